@@ -15,6 +15,19 @@
  * Ciphertext = IV (12 bytes) + Auth Tag (16 bytes) + Encrypted Data
  * All encoded as hexadecimal string
  * 
+ * Versioned format (encrypt):
+ * Header ("ZPK" + key version, uint16 BE, authenticated as AAD) + Ciphertext
+ * - Decryption picks the key version from the header (KeyManager)
+ * - Headerless (pre-versioning) ciphertexts are read with version 1
+ * - Still hex, so callers re-encoding the bytes keep working
+ * 
+ * Keys:
+ * - encrypt / decrypt → KeyManager from env (ENCRYPTION_KEYS /
+ *   ENCRYPTION_KEY, see keyManagement.js), Redis data at rest
+ * - encryptWithKey / decryptWithKey → explicit key + optional AAD
+ *   (e.g. factor-derived keys; never swap ENCRYPTION_KEY for these,
+ *   process.env is shared by all concurrent requests)
+ * 
  * Usage:
  *   const { encrypt, decrypt } = require('./crypto/encryption');
  *   const encrypted = await encrypt(plaintext);
@@ -25,6 +38,7 @@
  */
 
 const crypto = require('crypto');
+const { loadKeysFromEnv } = require('./keyManagement');
 
 // ============================================================================
 // CONSTANTS
@@ -34,41 +48,125 @@ const ALGORITHM = 'aes-256-gcm';
 const KEY_LENGTH = 32;      // 256 bits
 const IV_LENGTH = 12;       // 96 bits (GCM standard)
 const AUTH_TAG_LENGTH = 16; // 128 bits
+const HEADER_MAGIC = Buffer.from('ZPK', 'ascii');
+const HEADER_MAGIC_HEX = HEADER_MAGIC.toString('hex');
+const HEADER_LENGTH = HEADER_MAGIC.length + 2; // + uint16 key version
+const LEGACY_KEY_VERSION = 1;
 
 // ============================================================================
 // KEY MANAGEMENT
 // ============================================================================
 
+let keyManager = null;
+
 /**
- * Get encryption key from environment variable
+ * Get the key manager (loaded from env on first use)
  * 
  * ⚠️ PRODUCTION WARNING:
  * In production, load keys from HashiCorp Vault, AWS KMS, or similar
- * Environment variables are acceptable for development only
+ * (setKeyManager); environment variables are acceptable for development only
  * 
- * @returns {Buffer} 32-byte encryption key
- * @throws {Error} If key is invalid or missing
+ * @returns {KeyManager} Key manager
+ * @throws {Error} If keys are invalid or missing
  */
-function getEncryptionKey() {
-  const key = process.env.ENCRYPTION_KEY;
+function getKeyManager() {
+  if (!keyManager) {
+    keyManager = loadKeysFromEnv();
+  }
   
-  if (!key) {
-    throw new Error('ENCRYPTION_KEY not set in environment variables');
+  return keyManager;
+}
+
+/**
+ * Replace the key manager (Vault / KMS loaders, tests)
+ * 
+ * @param {KeyManager|null} manager - Key manager (null = reload from env)
+ */
+function setKeyManager(manager) {
+  keyManager = manager;
+}
+
+/**
+ * Copy of a key version (callers wipe it, the manager keeps its own)
+ * 
+ * @param {number} version - Key version
+ * @returns {Buffer} 32-byte key
+ */
+function getVersionKey(version) {
+  return Buffer.from(getKeyManager().getKey(version));
+}
+
+// ============================================================================
+// VERSION HEADER
+// ============================================================================
+
+/**
+ * Build the key version header
+ * 
+ * @param {number} version - Key version (1-65535)
+ * @returns {Buffer} Header bytes
+ */
+function buildHeader(version) {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  HEADER_MAGIC.copy(header);
+  header.writeUInt16BE(version, HEADER_MAGIC.length);
+  return header;
+}
+
+/**
+ * Read the key version of a ciphertext
+ * 
+ * A legacy ciphertext starts with a random IV, so a match is only a
+ * hint: decrypt falls back to the legacy format if the header's key
+ * does not authenticate it.
+ * 
+ * @param {string} ciphertext - Hex-encoded encrypted data
+ * @returns {number|null} Key version, or null for headerless (legacy)
+ */
+function getCiphertextVersion(ciphertext) {
+  if (typeof ciphertext !== 'string' ||
+      ciphertext.length < (HEADER_LENGTH + IV_LENGTH + AUTH_TAG_LENGTH + 1) * 2 ||
+      !ciphertext.startsWith(HEADER_MAGIC_HEX)) {
+    return null;
   }
   
-  if (key.length !== KEY_LENGTH * 2) {
-    throw new Error(
-      `Invalid ENCRYPTION_KEY: must be ${KEY_LENGTH * 2} hex characters (${KEY_LENGTH} bytes). ` +
-      `Got: ${key.length} characters`
-    );
+  const version = parseInt(ciphertext.slice(HEADER_MAGIC_HEX.length, HEADER_LENGTH * 2), 16);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Validate an explicit key (caller keeps ownership, not wiped here)
+ * 
+ * @param {Buffer} key - 32-byte key
+ * @throws {Error} If key is not a 32-byte Buffer
+ */
+function validateKey(key) {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH) {
+    throw new Error(`Key must be a ${KEY_LENGTH}-byte Buffer`);
+  }
+}
+
+/**
+ * Normalize additional authenticated data
+ * 
+ * @param {string|Buffer|null} aad - AAD (optional)
+ * @returns {Buffer|null} AAD bytes
+ * @throws {Error} If AAD is not a string or Buffer
+ */
+function toAAD(aad) {
+  if (aad === null || aad === undefined) {
+    return null;
   }
   
-  // Validate hex format
-  if (!/^[0-9a-f]{64}$/i.test(key)) {
-    throw new Error('ENCRYPTION_KEY must be hexadecimal (0-9, a-f)');
+  if (typeof aad === 'string') {
+    return Buffer.from(aad, 'utf8');
   }
   
-  return Buffer.from(key, 'hex');
+  if (!Buffer.isBuffer(aad)) {
+    throw new Error('AAD must be a string or Buffer');
+  }
+  
+  return aad;
 }
 
 // ============================================================================
@@ -76,25 +174,29 @@ function getEncryptionKey() {
 // ============================================================================
 
 /**
- * Encrypt plaintext using AES-256-GCM
+ * Encrypt plaintext using AES-256-GCM with an explicit key
  * 
  * Process:
  * 1. Generate random 96-bit IV
- * 2. Create cipher with key and IV
+ * 2. Create cipher with key and IV (+ AAD if given)
  * 3. Encrypt plaintext
  * 4. Get authentication tag
  * 5. Concatenate: IV + tag + ciphertext
  * 6. Encode as hexadecimal
  * 
+ * AAD is authenticated but not stored: decryption must pass the same
+ * value (e.g. the UUID the data belongs to).
+ * 
  * @param {string} plaintext - Data to encrypt
+ * @param {Buffer} key - 32-byte key (not wiped, caller owns it)
+ * @param {string|Buffer} aad - Additional authenticated data (optional)
  * @returns {Promise<string>} Hex-encoded encrypted data
  * @throws {Error} If encryption fails
  * 
  * @example
- * const encrypted = await encrypt('{"user":"test","data":"sensitive"}');
- * // Returns: "a1b2c3...def" (hex string)
+ * const encrypted = await encryptWithKey(plaintext, derivedKey, `zeropay.data.v1:${uuid}`);
  */
-async function encrypt(plaintext) {
+async function encryptWithKey(plaintext, key, aad = null) {
   if (!plaintext) {
     throw new Error('Plaintext required for encryption');
   }
@@ -104,8 +206,8 @@ async function encrypt(plaintext) {
   }
   
   try {
-    // Get encryption key
-    const key = getEncryptionKey();
+    validateKey(key);
+    const aadBuffer = toAAD(aad);
     
     // Generate random IV (never reuse IVs!)
     const iv = crypto.randomBytes(IV_LENGTH);
@@ -113,6 +215,10 @@ async function encrypt(plaintext) {
     // Create cipher
     const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
     
+    if (aadBuffer) {
+      cipher.setAAD(aadBuffer);
+    }
+    
     // Encrypt data
     let encrypted = cipher.update(plaintext, 'utf8', 'hex');
     encrypted += cipher.final('hex');
@@ -124,7 +230,6 @@ async function encrypt(plaintext) {
     const result = iv.toString('hex') + authTag.toString('hex') + encrypted;
     
     // Zero sensitive data (defense in depth)
-    key.fill(0);
     iv.fill(0);
     
     return result;
@@ -134,30 +239,77 @@ async function encrypt(plaintext) {
   }
 }
 
+/**
+ * Encrypt plaintext with a specific key version (versioned format)
+ * 
+ * @param {string} plaintext - Data to encrypt
+ * @param {number} version - Key version (must be loaded)
+ * @returns {Promise<string>} Hex-encoded header + encrypted data
+ * @throws {Error} If the version is unknown or encryption fails
+ */
+async function encryptWithVersion(plaintext, version) {
+  let key;
+  try {
+    key = getVersionKey(version);
+  } catch (error) {
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+  
+  try {
+    const header = buildHeader(version);
+    return header.toString('hex') + await encryptWithKey(plaintext, key, header);
+  } finally {
+    key.fill(0);
+  }
+}
+
+/**
+ * Encrypt plaintext using AES-256-GCM (active key version)
+ * 
+ * @param {string} plaintext - Data to encrypt
+ * @returns {Promise<string>} Hex-encoded encrypted data (with key version header)
+ * @throws {Error} If encryption fails
+ * 
+ * @example
+ * const encrypted = await encrypt('{"user":"test","data":"sensitive"}');
+ * // Returns: "5a504b0001a1b2c3...def" (hex string)
+ */
+async function encrypt(plaintext) {
+  let version;
+  try {
+    version = getKeyManager().getActiveVersion();
+  } catch (error) {
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+  
+  return encryptWithVersion(plaintext, version);
+}
+
 // ============================================================================
 // DECRYPTION
 // ============================================================================
 
 /**
- * Decrypt ciphertext using AES-256-GCM
+ * Decrypt ciphertext using AES-256-GCM with an explicit key
  * 
  * Process:
  * 1. Extract IV (first 24 hex chars = 12 bytes)
  * 2. Extract auth tag (next 32 hex chars = 16 bytes)
  * 3. Extract ciphertext (remaining)
- * 4. Create decipher with key and IV
+ * 4. Create decipher with key and IV (+ AAD if given)
  * 5. Set auth tag for verification
  * 6. Decrypt and verify
  * 
  * @param {string} ciphertext - Hex-encoded encrypted data
+ * @param {Buffer} key - 32-byte key (not wiped, caller owns it)
+ * @param {string|Buffer} aad - AAD used at encryption (optional)
  * @returns {Promise<string>} Decrypted plaintext
- * @throws {Error} If decryption fails or authentication fails
+ * @throws {Error} If decryption fails, authentication fails or the AAD differs
  * 
  * @example
- * const decrypted = await decrypt('a1b2c3...def');
- * // Returns: '{"user":"test","data":"sensitive"}'
+ * const decrypted = await decryptWithKey(encrypted, derivedKey, `zeropay.data.v1:${uuid}`);
  */
-async function decrypt(ciphertext) {
+async function decryptWithKey(ciphertext, key, aad = null) {
   if (!ciphertext) {
     throw new Error('Ciphertext required for decryption');
   }
@@ -173,8 +325,8 @@ async function decrypt(ciphertext) {
   }
   
   try {
-    // Get encryption key
-    const key = getEncryptionKey();
+    validateKey(key);
+    const aadBuffer = toAAD(aad);
     
     // Extract components from concatenated hex string
     const ivHex = ciphertext.slice(0, IV_LENGTH * 2);
@@ -196,6 +348,10 @@ async function decrypt(ciphertext) {
     // Create decipher
     const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
     
+    if (aadBuffer) {
+      decipher.setAAD(aadBuffer);
+    }
+    
     // Set authentication tag (this will be verified during decryption)
     decipher.setAuthTag(authTag);
     
@@ -204,14 +360,13 @@ async function decrypt(ciphertext) {
     decrypted += decipher.final('utf8');
     
     // Zero sensitive data
-    key.fill(0);
     iv.fill(0);
     authTag.fill(0);
     
     return decrypted;
     
   } catch (error) {
-    // Authentication failure means data was tampered with
+    // Authentication failure means data was tampered with (or wrong key / AAD)
     if (error.message.includes('Unsupported state or unable to authenticate data')) {
       throw new Error('Decryption failed: Authentication failed (data may have been tampered with)');
     }
@@ -219,6 +374,59 @@ async function decrypt(ciphertext) {
   }
 }
 
+/**
+ * Decrypt ciphertext using AES-256-GCM (key version from the header)
+ * 
+ * @param {string} ciphertext - Hex-encoded encrypted data
+ * @returns {Promise<string>} Decrypted plaintext
+ * @throws {Error} If decryption fails, authentication fails or the key version is not loaded
+ * 
+ * @example
+ * const decrypted = await decrypt('5a504b0001a1b2c3...def');
+ * // Returns: '{"user":"test","data":"sensitive"}'
+ */
+async function decrypt(ciphertext) {
+  const version = getCiphertextVersion(ciphertext);
+  
+  let manager;
+  try {
+    manager = getKeyManager();
+  } catch (error) {
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
+  
+  let headerError = null;
+  
+  if (version !== null && manager.hasKey(version)) {
+    const key = getVersionKey(version);
+    
+    try {
+      return await decryptWithKey(ciphertext.slice(HEADER_LENGTH * 2), key, buildHeader(version));
+    } catch (error) {
+      headerError = error;
+    } finally {
+      key.fill(0);
+    }
+  } else if (version !== null) {
+    headerError = new Error(`Decryption failed: Key version ${version} not loaded`);
+  }
+  
+  // Headerless, or a legacy ciphertext whose IV happens to look like a header
+  if (!manager.hasKey(LEGACY_KEY_VERSION)) {
+    throw headerError || new Error(`Decryption failed: Key version ${LEGACY_KEY_VERSION} not loaded`);
+  }
+  
+  const legacyKey = getVersionKey(LEGACY_KEY_VERSION);
+  
+  try {
+    return await decryptWithKey(ciphertext, legacyKey);
+  } catch (error) {
+    throw headerError || error;
+  } finally {
+    legacyKey.fill(0);
+  }
+}
+
 // ============================================================================
 // TESTING
 // ============================================================================
@@ -339,6 +547,12 @@ async function test() {
 module.exports = {
   encrypt,
   decrypt,
+  encryptWithKey,
+  decryptWithKey,
+  encryptWithVersion,
+  getCiphertextVersion,
+  getKeyManager,
+  setKeyManager,
   test
 };
 
@@ -0,0 +1,109 @@
+// Path: backend/crypto/attestationRoots.js
+
+/**
+ * Attestation Roots - Bundled trust anchors for device attestation
+ *
+ * Anchors are pinned as public keys (SPKI), not certificates: Google
+ * re-issued its hardware attestation root several times with the same
+ * RSA key, and an expired root certificate must not break verification.
+ *
+ * Bundled:
+ * - Google Hardware Attestation Root (RSA-4096)
+ *   Android Key Attestation chains end in a certificate with this key
+ * - Apple App Attestation Root CA (P-384, valid until 2045)
+ *   Signs the intermediate in App Attest x5c chains
+ *
+ * Extra anchors (e.g. Google's newer ECDSA root) can be supplied as a PEM
+ * bundle of certificates or public keys in ATTESTATION_EXTRA_ROOTS_PATH.
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// ============================================================================
+// BUNDLED ROOTS
+// ============================================================================
+
+const GOOGLE_HARDWARE_ATTESTATION_ROOT_KEY = `
+-----BEGIN PUBLIC KEY-----
+MIICIjANBgkqhkiG9w0BAQEFAAOCAg8AMIICCgKCAgEAr7bHgiuxpwHsK7Qui8xU
+FmOr75gvMsd/dTEDDJdSSxtf6An7xyqpRR90PL2abxM1dEqlXnf2tqw1Ne4Xwl5j
+lRfdnJLmN0pTy/4lj4/7tv0Sk3iiKkypnEUtR6WfMgH0QZfKHM1+di+y9TFRtv6y
+//0rb+T+W8a9nsNL/ggjnar86461qO0rOs2cXjp3kOG1FEJ5MVmFmBGtnrKpa73X
+pXyTqRxB/M0n1n/W9nGqC4FSYa04T6N5RIZGBN2z2MT5IKGbFlbC8UrW0DxW7AYI
+mQQcHtGl/m00QLVWutHQoVJYnFPlXTcHYvASLu+RhhsbDmxMgJJ0mcDpvsC4PjvB
++TxywElgS70vE0XmLD+OJtvsBslHZvPBKCOdT0MS+tgSOIfga+z1Z1g7+DVagf7q
+uvmag8jfPioyKvxnK/EgsTUVi2ghzq8wm27ud/mIM7AY2qEORR8Go3TVB4HzWQgp
+Zrt3i5MIlCaY504LzSRiigHCzAPlHws+W0rB5N+er5/2pJKnfBSDiCiFAVtCLOZ7
+gLiMm0jhO2B6tUXHI/+MRPjy02i59lINMRRev56GKtcd9qO/0kUJWdZTdA2XoS82
+ixPvZtXQpUpuL12ab+9EaDK8Z4RHJYYfCT3Q5vNAXaiWQ+8PTWm2QgBR/bkwSWc+
+NpUFgNPN9PvQi8WEg5UmAGMCAwEAAQ==
+-----END PUBLIC KEY-----
+`;
+
+const APPLE_APP_ATTESTATION_ROOT_CA = `
+-----BEGIN CERTIFICATE-----
+MIICITCCAaegAwIBAgIQC/O+DvHN0uD7jG5yH2IXmDAKBggqhkjOPQQDAzBSMSYw
+JAYDVQQDDB1BcHBsZSBBcHAgQXR0ZXN0YXRpb24gUm9vdCBDQTETMBEGA1UECgwK
+QXBwbGUgSW5jLjETMBEGA1UECAwKQ2FsaWZvcm5pYTAeFw0yMDAzMTgxODMyNTNa
+Fw00NTAzMTUwMDAwMDBaMFIxJjAkBgNVBAMMHUFwcGxlIEFwcCBBdHRlc3RhdGlv
+biBSb290IENBMRMwEQYDVQQKDApBcHBsZSBJbmMuMRMwEQYDVQQIDApDYWxpZm9y
+bmlhMHYwEAYHKoZIzj0CAQYFK4EEACIDYgAERTHhmLW07ATaFQIEVwTtT4dyctdh
+NbJhFs/Ii2FdCgAHGbpphY3+d8qjuDngIN3WVhQUBHAoMeQ/cLiP1sOUtgjqK9au
+Yen1mMEvRq9Sk3Jm5X8U62H+xTD3FE9TgS41o0IwQDAPBgNVHRMBAf8EBTADAQH/
+MB0GA1UdDgQWBBSskRBTM72+aEH/pwyp5frq5eWKoTAOBgNVHQ8BAf8EBAMCAQYw
+CgYIKoZIzj0EAwMDaAAwZQIwQgFGnByvsiVbpTKwSga0kP0e8EeDS4+sQmTvb7vn
+53O5+FRXgeLhpJ06ysC5PrOyAjEAp5U4xDgEgllF7En3VcE3iexZZtKeYnpqtijV
+oyFraWVIyd/dganmrduC1bmTBGwD
+-----END CERTIFICATE-----
+`;
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Parse a PEM bundle (certificates and/or public keys) into public keys
+ *
+ * @param {string} pem - PEM text
+ * @returns {Array<crypto.KeyObject>} Public keys
+ * @throws {Error} If a block cannot be parsed
+ */
+function parseRootBundle(pem) {
+  const blocks = pem.match(/-----BEGIN [A-Z ]+-----[\s\S]+?-----END [A-Z ]+-----/g) || [];
+
+  return blocks.map(block => (block.includes('CERTIFICATE')
+    ? new crypto.X509Certificate(block).publicKey
+    : crypto.createPublicKey(block)));
+}
+
+/**
+ * Load trust anchors per attestation format
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} { android: [KeyObject], apple: [KeyObject] }
+ */
+function loadAttestationRoots(env = process.env) {
+  const extra = env.ATTESTATION_EXTRA_ROOTS_PATH
+    ? parseRootBundle(fs.readFileSync(env.ATTESTATION_EXTRA_ROOTS_PATH, 'utf8'))
+    : [];
+
+  return {
+    android: [...parseRootBundle(GOOGLE_HARDWARE_ATTESTATION_ROOT_KEY), ...extra],
+    apple: [...parseRootBundle(APPLE_APP_ATTESTATION_ROOT_CA), ...extra]
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadAttestationRoots,
+  parseRootBundle,
+  GOOGLE_HARDWARE_ATTESTATION_ROOT_KEY,
+  APPLE_APP_ATTESTATION_ROOT_CA
+};
@@ -0,0 +1,152 @@
+// Path: backend/crypto/cbor.js
+
+/**
+ * CBOR Decoder - Minimal RFC 8949 decoding
+ *
+ * Purpose: Decode Apple App Attest attestation objects (WebAuthn-style
+ * CBOR maps) without a third-party dependency.
+ *
+ * Scope:
+ * - Major types 0-5 (integers, byte/text strings, arrays, maps)
+ * - Simple values false / true / null
+ * - Definite lengths only; tags and floats rejected
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const MAX_DEPTH = 16;
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Read the argument of a CBOR head
+ */
+function readArgument(buffer, state, info) {
+  if (info < 24) {
+    return info;
+  }
+
+  const sizes = { 24: 1, 25: 2, 26: 4, 27: 8 };
+  const size = sizes[info];
+
+  if (!size) {
+    throw new Error('CBOR: indefinite lengths not supported');
+  }
+
+  if (state.offset + size > buffer.length) {
+    throw new Error('CBOR: unexpected end of data');
+  }
+
+  let value = 0;
+  for (let i = 0; i < size; i++) {
+    value = (value * 256) + buffer[state.offset + i];
+  }
+  state.offset += size;
+
+  if (!Number.isSafeInteger(value)) {
+    throw new Error('CBOR: integer too large');
+  }
+
+  return value;
+}
+
+/**
+ * Decode one item
+ */
+function decodeItem(buffer, state, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new Error('CBOR: nesting too deep');
+  }
+
+  if (state.offset >= buffer.length) {
+    throw new Error('CBOR: unexpected end of data');
+  }
+
+  const head = buffer[state.offset++];
+  const major = head >> 5;
+  const info = head & 0x1f;
+
+  if (major === 7) {
+    if (info === 20) return false;
+    if (info === 21) return true;
+    if (info === 22) return null;
+    throw new Error('CBOR: unsupported simple value');
+  }
+
+  if (major === 6) {
+    throw new Error('CBOR: tags not supported');
+  }
+
+  const argument = readArgument(buffer, state, info);
+
+  switch (major) {
+    case 0:
+      return argument;
+
+    case 1:
+      return -1 - argument;
+
+    case 2:
+    case 3: {
+      if (state.offset + argument > buffer.length) {
+        throw new Error('CBOR: string exceeds data');
+      }
+      const bytes = buffer.subarray(state.offset, state.offset + argument);
+      state.offset += argument;
+      return major === 2 ? Buffer.from(bytes) : bytes.toString('utf8');
+    }
+
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        items.push(decodeItem(buffer, state, depth + 1));
+      }
+      return items;
+    }
+
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < argument; i++) {
+        const key = decodeItem(buffer, state, depth + 1);
+        map.set(key, decodeItem(buffer, state, depth + 1));
+      }
+      return map;
+    }
+
+    default:
+      throw new Error('CBOR: unsupported major type');
+  }
+}
+
+/**
+ * Decode a CBOR document
+ *
+ * @param {Buffer} buffer - CBOR bytes
+ * @returns {*} Decoded value (maps as Map, byte strings as Buffer)
+ * @throws {Error} If the input is malformed or has trailing bytes
+ */
+function decodeCbor(buffer) {
+  const state = { offset: 0 };
+  const value = decodeItem(buffer, state, 0);
+
+  if (state.offset !== buffer.length) {
+    throw new Error('CBOR: trailing bytes');
+  }
+
+  return value;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  decodeCbor
+};
@@ -0,0 +1,218 @@
+// Path: backend/crypto/der.js
+
+/**
+ * DER Reader - Minimal ASN.1 DER decoding
+ *
+ * Purpose: Read X.509 extensions that node's X509Certificate does not
+ * expose (Android Key Attestation, Apple App Attest nonce).
+ *
+ * Scope:
+ * - Definite lengths only (DER)
+ * - Multi-byte tag numbers (Android uses context tags up to [719])
+ * - Read-only: no encoder
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TAG_CLASS = {
+  UNIVERSAL: 0,
+  APPLICATION: 1,
+  CONTEXT: 2,
+  PRIVATE: 3
+};
+
+const UNIVERSAL = {
+  BOOLEAN: 1,
+  INTEGER: 2,
+  BIT_STRING: 3,
+  OCTET_STRING: 4,
+  OID: 6,
+  ENUMERATED: 10,
+  SEQUENCE: 16,
+  SET: 17
+};
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Read one TLV element
+ *
+ * @param {Buffer} buffer - DER bytes
+ * @param {number} offset - Start offset
+ * @returns {Object} { tagClass, constructed, tagNumber, value, end }
+ * @throws {Error} If the encoding is truncated or malformed
+ */
+function readElement(buffer, offset = 0) {
+  let pos = offset;
+
+  if (pos >= buffer.length) {
+    throw new Error('DER: unexpected end of data');
+  }
+
+  const first = buffer[pos++];
+  const tagClass = first >> 6;
+  const constructed = (first & 0x20) !== 0;
+  let tagNumber = first & 0x1f;
+
+  // High tag number form (base-128)
+  if (tagNumber === 0x1f) {
+    tagNumber = 0;
+    let byte;
+    do {
+      if (pos >= buffer.length) throw new Error('DER: truncated tag');
+      byte = buffer[pos++];
+      tagNumber = (tagNumber << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+  }
+
+  if (pos >= buffer.length) {
+    throw new Error('DER: truncated length');
+  }
+
+  let length = buffer[pos++];
+
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    if (lengthBytes === 0 || lengthBytes > 4) {
+      throw new Error('DER: unsupported length encoding');
+    }
+
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      if (pos >= buffer.length) throw new Error('DER: truncated length');
+      length = (length * 256) + buffer[pos++];
+    }
+  }
+
+  const end = pos + length;
+  if (end > buffer.length) {
+    throw new Error('DER: element exceeds data');
+  }
+
+  return {
+    tagClass,
+    constructed,
+    tagNumber,
+    value: buffer.subarray(pos, end),
+    end
+  };
+}
+
+/**
+ * Read all child elements of a constructed value
+ *
+ * @param {Buffer} value - Constructed element value
+ * @returns {Array<Object>} Elements
+ */
+function readChildren(value) {
+  const children = [];
+  let offset = 0;
+
+  while (offset < value.length) {
+    const element = readElement(value, offset);
+    children.push(element);
+    offset = element.end;
+  }
+
+  return children;
+}
+
+/**
+ * Decode an INTEGER / ENUMERATED value (non-negative, ≤ 2^53)
+ *
+ * @param {Object} element - Element
+ * @returns {number} Integer value
+ */
+function readInteger(element) {
+  let result = 0;
+  for (const byte of element.value) {
+    result = (result * 256) + byte;
+  }
+  return result;
+}
+
+/**
+ * Decode a BOOLEAN value
+ */
+function readBoolean(element) {
+  return element.value.length === 1 && element.value[0] !== 0;
+}
+
+/**
+ * Decode an OBJECT IDENTIFIER to dotted form
+ *
+ * @param {Object} element - Element
+ * @returns {string} OID (e.g. "1.3.6.1.4.1.11129.2.1.17")
+ */
+function readOid(element) {
+  const bytes = element.value;
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+
+  for (let i = 1; i < bytes.length; i++) {
+    value = (value * 128) + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+
+  return parts.join('.');
+}
+
+// ============================================================================
+// X.509
+// ============================================================================
+
+/**
+ * Get extension values from a DER certificate
+ *
+ * @param {Buffer} certificateDer - Certificate (DER)
+ * @returns {Map<string, Buffer>} OID → extnValue (inner DER)
+ */
+function readCertificateExtensions(certificateDer) {
+  const certificate = readElement(certificateDer);
+  const [tbsCertificate] = readChildren(certificate.value);
+  const extensions = new Map();
+
+  // extensions [3] EXPLICIT Extensions (last optional field of TBSCertificate)
+  const wrapper = readChildren(tbsCertificate.value)
+    .find(e => e.tagClass === TAG_CLASS.CONTEXT && e.tagNumber === 3);
+
+  if (!wrapper) {
+    return extensions;
+  }
+
+  const [sequence] = readChildren(wrapper.value);
+
+  for (const extension of readChildren(sequence.value)) {
+    const fields = readChildren(extension.value);
+    const oid = readOid(fields[0]);
+    // critical BOOLEAN is optional: extnValue is always the last field
+    extensions.set(oid, fields[fields.length - 1].value);
+  }
+
+  return extensions;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  readElement,
+  readChildren,
+  readInteger,
+  readBoolean,
+  readOid,
+  readCertificateExtensions,
+  TAG_CLASS,
+  UNIVERSAL
+};
@@ -0,0 +1,570 @@
+// Path: backend/crypto/deviceAttestation.js
+
+/**
+ * Device Attestation - Offline verification of hardware attestations
+ *
+ * Purpose: Prove at enrollment that the device key lives in genuine
+ * hardware running an untampered build of our app, instead of trusting
+ * whatever device_id string the client sends.
+ *
+ * Formats:
+ * - android-key      → Android Key Attestation certificate chain
+ *                      (KeyStore key generated with setAttestationChallenge)
+ * - apple-appattest  → Apple App Attest attestation object (CBOR)
+ *                      (DCAppAttestService.attestKey with clientDataHash)
+ *
+ * Challenge: server-issued string, single use. Android passes its UTF-8
+ * bytes as the attestation challenge; iOS passes SHA-256(challenge) as
+ * clientDataHash.
+ *
+ * Android checks:
+ * - Chain signatures + validity, ending in a Google root key
+ * - Key description extension (1.3.6.1.4.1.11129.2.1.17) in the leaf only
+ * - attestationChallenge == challenge
+ * - Attestation + KeyMint security level ≥ minSecurityLevel (TEE default)
+ * - Hardware-enforced origin GENERATED, root of trust Verified + locked
+ * - Package name in allowedPackages (attestationApplicationId)
+ *
+ * Apple checks (Apple "Validating apps that connect to your server"):
+ * - x5c chain to the Apple App Attestation Root CA
+ * - Leaf nonce extension (1.2.840.113635.100.8.2) ==
+ *   SHA-256(authData || SHA-256(challenge))
+ * - SHA-256(leaf public key point) == keyId == credentialId
+ * - rpIdHash == SHA-256(appId), counter == 0
+ * - aaguid production ("appattest") or, if allowed, development
+ *
+ * Not checked (offline): Google revocation list, Apple fraud receipt.
+ *
+ * Verdict: { valid, format, reason, ...claims }. Failures never throw;
+ * reason is a stable code for logs and stored metadata.
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { decodeCbor } = require('./cbor');
+const {
+  readElement,
+  readChildren,
+  readInteger,
+  readBoolean,
+  readCertificateExtensions,
+  TAG_CLASS
+} = require('./der');
+const { loadAttestationRoots } = require('./attestationRoots');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ATTESTATION_FORMATS = {
+  ANDROID_KEY: 'android-key',
+  APPLE_APP_ATTEST: 'apple-appattest'
+};
+
+const ANDROID_KEY_DESCRIPTION_OID = '1.3.6.1.4.1.11129.2.1.17';
+const APPLE_NONCE_OID = '1.2.840.113635.100.8.2';
+
+// KeyDescription security levels
+const SECURITY_LEVELS = ['SOFTWARE', 'TEE', 'STRONG_BOX'];
+
+// RootOfTrust verifiedBootState
+const BOOT_STATES = ['VERIFIED', 'SELF_SIGNED', 'UNVERIFIED', 'FAILED'];
+
+// AuthorizationList tags
+const TAG_ORIGIN = 702;
+const TAG_ROOT_OF_TRUST = 704;
+const TAG_ATTESTATION_APPLICATION_ID = 709;
+const ORIGIN_GENERATED = 0;
+
+const APPLE_AAGUID_PRODUCTION = Buffer.concat([Buffer.from('appattest'), Buffer.alloc(7)]);
+const APPLE_AAGUID_DEVELOPMENT = Buffer.from('appattestdevelop');
+
+const MAX_CHAIN_LENGTH = 6;
+const MAX_CERTIFICATE_LENGTH = 8192;
+const MAX_ATTESTATION_OBJECT_LENGTH = 16384;
+
+const BUNDLED_ROOTS = loadAttestationRoots();
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Decode base64 or base64url
+ */
+function decodeBase64(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * SHA-256 digest
+ */
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+/**
+ * SHA-256 fingerprint of a public key (hex, same as deviceBinding)
+ */
+function keyFingerprint(publicKey) {
+  return sha256(publicKey.export({ format: 'der', type: 'spki' })).toString('hex');
+}
+
+/**
+ * Whether two public keys are the same key
+ */
+function sameKey(a, b) {
+  return a.export({ format: 'der', type: 'spki' })
+    .equals(b.export({ format: 'der', type: 'spki' }));
+}
+
+/**
+ * Build a failed verdict
+ */
+function reject(format, reason) {
+  return { valid: false, format, reason };
+}
+
+// ============================================================================
+// CERTIFICATE CHAINS
+// ============================================================================
+
+/**
+ * Parse base64 DER certificates (leaf first)
+ *
+ * @param {Array<string|Buffer>} chain - Certificates
+ * @returns {Array<Object>|null} [{ der, certificate }] or null if malformed
+ */
+function parseChain(chain) {
+  if (!Array.isArray(chain) || chain.length === 0 || chain.length > MAX_CHAIN_LENGTH) {
+    return null;
+  }
+
+  try {
+    return chain.map(entry => {
+      const der = Buffer.isBuffer(entry) ? entry : decodeBase64(String(entry));
+      if (der.length === 0 || der.length > MAX_CERTIFICATE_LENGTH) {
+        throw new Error('certificate size');
+      }
+      return { der, certificate: new crypto.X509Certificate(der) };
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verify a certificate chain against trusted root keys
+ *
+ * Each certificate must be signed by the next and be within its validity
+ * period. The last certificate must either carry a trusted key (root
+ * included in the chain) or be signed by one (root omitted).
+ *
+ * @param {Array<Object>} chain - Parsed chain (leaf first)
+ * @param {Array<crypto.KeyObject>} trustedRoots - Trusted public keys
+ * @param {Date} now - Verification time
+ * @returns {string|null} Failure reason, or null if the chain is trusted
+ */
+function verifyChain(chain, trustedRoots, now) {
+  for (const { certificate } of chain) {
+    if (now < new Date(certificate.validFrom) || now > new Date(certificate.validTo)) {
+      return 'certificate_expired';
+    }
+  }
+
+  for (let i = 0; i < chain.length - 1; i++) {
+    if (!chain[i].certificate.verify(chain[i + 1].certificate.publicKey)) {
+      return 'invalid_chain';
+    }
+  }
+
+  const last = chain[chain.length - 1].certificate;
+  const trusted = trustedRoots.some(root =>
+    sameKey(last.publicKey, root) || last.verify(root)
+  );
+
+  return trusted ? null : 'untrusted_root';
+}
+
+// ============================================================================
+// ANDROID KEY ATTESTATION
+// ============================================================================
+
+/**
+ * Index an AuthorizationList by tag number
+ *
+ * @param {Object} element - AuthorizationList SEQUENCE
+ * @returns {Map<number, Object>} Tag → inner element
+ */
+function readAuthorizationList(element) {
+  const fields = new Map();
+
+  for (const field of readChildren(element.value)) {
+    if (field.tagClass === TAG_CLASS.CONTEXT) {
+      fields.set(field.tagNumber, readElement(field.value));
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Parse the KeyDescription extension
+ *
+ * @param {Buffer} extension - Extension value (DER)
+ * @returns {Object} Parsed key description
+ */
+function parseKeyDescription(extension) {
+  const fields = readChildren(readElement(extension).value);
+
+  const description = {
+    attestationVersion: readInteger(fields[0]),
+    attestationSecurityLevel: SECURITY_LEVELS[readInteger(fields[1])] || 'UNKNOWN',
+    keymasterSecurityLevel: SECURITY_LEVELS[readInteger(fields[3])] || 'UNKNOWN',
+    attestationChallenge: Buffer.from(fields[4].value),
+    softwareEnforced: readAuthorizationList(fields[6]),
+    hardwareEnforced: readAuthorizationList(fields[7])
+  };
+
+  const rootOfTrust = description.hardwareEnforced.get(TAG_ROOT_OF_TRUST);
+  if (rootOfTrust) {
+    const [, deviceLocked, bootState] = readChildren(rootOfTrust.value);
+    description.deviceLocked = readBoolean(deviceLocked);
+    description.verifiedBootState = BOOT_STATES[readInteger(bootState)] || 'UNKNOWN';
+  }
+
+  const origin = description.hardwareEnforced.get(TAG_ORIGIN);
+  description.origin = origin ? readInteger(origin) : null;
+
+  // AttestationApplicationId: OCTET STRING wrapping
+  // SEQUENCE { SET OF SEQUENCE { packageName, version }, SET OF signatureDigest }
+  const applicationId = description.softwareEnforced.get(TAG_ATTESTATION_APPLICATION_ID) ||
+    description.hardwareEnforced.get(TAG_ATTESTATION_APPLICATION_ID);
+  description.packageNames = [];
+
+  if (applicationId) {
+    const [packageInfos] = readChildren(readElement(applicationId.value).value);
+    for (const info of readChildren(packageInfos.value)) {
+      const [name] = readChildren(info.value);
+      description.packageNames.push(name.value.toString('utf8'));
+    }
+  }
+
+  return description;
+}
+
+/**
+ * Verify an Android Key Attestation certificate chain
+ *
+ * @param {Object} params
+ * @param {Array<string>} params.certificateChain - Base64 DER certificates (leaf first)
+ * @param {string} params.challenge - Server challenge
+ * @param {Array<string>} params.allowedPackages - Accepted package names (empty: any)
+ * @param {string} params.minSecurityLevel - 'TEE' or 'STRONG_BOX'
+ * @param {Array<crypto.KeyObject>} params.trustedRoots - Override bundled roots
+ * @param {Date} params.now - Verification time
+ * @returns {Object} Verdict
+ */
+function verifyAndroidKeyAttestation({
+  certificateChain,
+  challenge,
+  allowedPackages = [],
+  minSecurityLevel = 'TEE',
+  trustedRoots = BUNDLED_ROOTS.android,
+  now = new Date()
+}) {
+  const format = ATTESTATION_FORMATS.ANDROID_KEY;
+  const chain = parseChain(certificateChain);
+
+  if (!chain) {
+    return reject(format, 'malformed_attestation');
+  }
+
+  const chainError = verifyChain(chain, trustedRoots, now);
+  if (chainError) {
+    return reject(format, chainError);
+  }
+
+  let description;
+  try {
+    const extensions = chain.map(({ der }) => readCertificateExtensions(der));
+
+    // An attestation key must not attest another attestation
+    if (extensions.slice(1).some(ext => ext.has(ANDROID_KEY_DESCRIPTION_OID))) {
+      return reject(format, 'invalid_chain');
+    }
+
+    const extension = extensions[0].get(ANDROID_KEY_DESCRIPTION_OID);
+    if (!extension) {
+      return reject(format, 'missing_key_description');
+    }
+
+    description = parseKeyDescription(extension);
+  } catch {
+    return reject(format, 'malformed_attestation');
+  }
+
+  if (typeof challenge !== 'string' ||
+      !crypto.timingSafeEqual(
+        sha256(description.attestationChallenge),
+        sha256(Buffer.from(challenge, 'utf8'))
+      )) {
+    return reject(format, 'challenge_mismatch');
+  }
+
+  const required = Math.max(SECURITY_LEVELS.indexOf(minSecurityLevel), 1);
+  if (SECURITY_LEVELS.indexOf(description.attestationSecurityLevel) < required ||
+      SECURITY_LEVELS.indexOf(description.keymasterSecurityLevel) < required) {
+    return reject(format, 'insufficient_security_level');
+  }
+
+  if (description.origin !== ORIGIN_GENERATED) {
+    return reject(format, 'key_not_generated_in_hardware');
+  }
+
+  if (description.verifiedBootState !== 'VERIFIED' || description.deviceLocked !== true) {
+    return reject(format, 'device_integrity');
+  }
+
+  if (allowedPackages.length > 0 &&
+      !description.packageNames.some(name => allowedPackages.includes(name))) {
+    return reject(format, 'app_not_allowed');
+  }
+
+  const leafKey = chain[0].certificate.publicKey;
+
+  return {
+    valid: true,
+    format,
+    reason: null,
+    securityLevel: description.keymasterSecurityLevel,
+    attestationVersion: description.attestationVersion,
+    verifiedBootState: description.verifiedBootState,
+    deviceLocked: description.deviceLocked,
+    packageNames: description.packageNames,
+    attestedKey: leafKey,
+    attestedKeyFingerprint: keyFingerprint(leafKey)
+  };
+}
+
+// ============================================================================
+// APPLE APP ATTEST
+// ============================================================================
+
+/**
+ * Split App Attest authenticator data
+ *
+ * @param {Buffer} authData - Authenticator data
+ * @returns {Object} { rpIdHash, counter, aaguid, credentialId }
+ * @throws {Error} If the data is truncated
+ */
+function parseAuthenticatorData(authData) {
+  if (authData.length < 55) {
+    throw new Error('authData too short');
+  }
+
+  const credentialIdLength = authData.readUInt16BE(53);
+  if (authData.length < 55 + credentialIdLength) {
+    throw new Error('authData truncated');
+  }
+
+  return {
+    rpIdHash: authData.subarray(0, 32),
+    counter: authData.readUInt32BE(33),
+    aaguid: authData.subarray(37, 53),
+    credentialId: authData.subarray(55, 55 + credentialIdLength)
+  };
+}
+
+/**
+ * Read the nonce from the App Attest credential certificate
+ *
+ * @param {Buffer} leafDer - Credential certificate (DER)
+ * @returns {Buffer|null} Nonce
+ */
+function readAppleNonce(leafDer) {
+  const extension = readCertificateExtensions(leafDer).get(APPLE_NONCE_OID);
+  if (!extension) {
+    return null;
+  }
+
+  // SEQUENCE { [1] EXPLICIT OCTET STRING }
+  const [tagged] = readChildren(readElement(extension).value);
+  return Buffer.from(readElement(tagged.value).value);
+}
+
+/**
+ * Verify an Apple App Attest attestation object
+ *
+ * @param {Object} params
+ * @param {string} params.attestationObject - Base64 CBOR attestation object
+ * @param {string} params.keyId - Base64 key identifier from generateKey
+ * @param {string} params.challenge - Server challenge
+ * @param {Array<string>} params.allowedAppIds - Accepted "<TeamID>.<bundleId>" values
+ * @param {boolean} params.allowDevelopment - Accept the development environment
+ * @param {Array<crypto.KeyObject>} params.trustedRoots - Override bundled roots
+ * @param {Date} params.now - Verification time
+ * @returns {Object} Verdict
+ */
+function verifyAppleAppAttest({
+  attestationObject,
+  keyId,
+  challenge,
+  allowedAppIds = [],
+  allowDevelopment = false,
+  trustedRoots = BUNDLED_ROOTS.apple,
+  now = new Date()
+}) {
+  const format = ATTESTATION_FORMATS.APPLE_APP_ATTEST;
+
+  if (typeof attestationObject !== 'string' || attestationObject.length > MAX_ATTESTATION_OBJECT_LENGTH ||
+      typeof keyId !== 'string' || typeof challenge !== 'string') {
+    return reject(format, 'malformed_attestation');
+  }
+
+  let statement;
+  let authData;
+  let chain;
+  try {
+    const decoded = decodeCbor(decodeBase64(attestationObject));
+    statement = decoded.get('attStmt');
+    authData = parseAuthenticatorData(decoded.get('authData'));
+
+    if (decoded.get('fmt') !== 'apple-appattest' || !(statement instanceof Map)) {
+      return reject(format, 'malformed_attestation');
+    }
+
+    chain = parseChain(statement.get('x5c'));
+    if (!chain) {
+      return reject(format, 'malformed_attestation');
+    }
+    authData.raw = decoded.get('authData');
+  } catch {
+    return reject(format, 'malformed_attestation');
+  }
+
+  const chainError = verifyChain(chain, trustedRoots, now);
+  if (chainError) {
+    return reject(format, chainError);
+  }
+
+  let nonce;
+  try {
+    nonce = readAppleNonce(chain[0].der);
+  } catch {
+    return reject(format, 'malformed_attestation');
+  }
+
+  const expectedNonce = sha256(authData.raw, sha256(Buffer.from(challenge, 'utf8')));
+  if (!nonce || nonce.length !== 32 || !crypto.timingSafeEqual(nonce, expectedNonce)) {
+    return reject(format, 'challenge_mismatch');
+  }
+
+  // keyId = SHA-256 of the uncompressed P-256 point (0x04 || X || Y)
+  const leafKey = chain[0].certificate.publicKey;
+  if (leafKey.asymmetricKeyType !== 'ec') {
+    return reject(format, 'malformed_attestation');
+  }
+
+  const { x, y } = leafKey.export({ format: 'jwk' });
+  const publicKeyHash = sha256(Buffer.from([0x04]), decodeBase64(x), decodeBase64(y));
+  const keyIdBytes = decodeBase64(keyId);
+
+  if (!publicKeyHash.equals(keyIdBytes) || !authData.credentialId.equals(keyIdBytes)) {
+    return reject(format, 'key_id_mismatch');
+  }
+
+  const appId = allowedAppIds.find(id => sha256(Buffer.from(id, 'utf8')).equals(authData.rpIdHash));
+  if (!appId) {
+    return reject(format, 'app_not_allowed');
+  }
+
+  if (authData.counter !== 0) {
+    return reject(format, 'invalid_counter');
+  }
+
+  let environment;
+  if (authData.aaguid.equals(APPLE_AAGUID_PRODUCTION)) {
+    environment = 'production';
+  } else if (authData.aaguid.equals(APPLE_AAGUID_DEVELOPMENT) && allowDevelopment) {
+    environment = 'development';
+  } else {
+    return reject(format, 'environment_not_allowed');
+  }
+
+  return {
+    valid: true,
+    format,
+    reason: null,
+    appId,
+    environment,
+    keyId: keyIdBytes.toString('base64'),
+    attestedKey: leafKey,
+    attestedKeyFingerprint: keyFingerprint(leafKey)
+  };
+}
+
+// ============================================================================
+// DISPATCH
+// ============================================================================
+
+/**
+ * Verify an attestation in any supported format
+ *
+ * @param {Object} attestation - Request body attestation
+ *   { format: 'android-key', certificate_chain }
+ *   { format: 'apple-appattest', attestation_object, key_id }
+ * @param {Object} options
+ * @param {string} options.challenge - Server challenge
+ * @param {Array<string>} options.allowedPackages - Android package names
+ * @param {string} options.minSecurityLevel - Android minimum security level
+ * @param {Array<string>} options.allowedAppIds - Apple app IDs
+ * @param {boolean} options.allowDevelopment - Apple development environment
+ * @param {Object} options.trustedRoots - { android, apple } override
+ * @param {Date} options.now - Verification time
+ * @returns {Object} Verdict
+ */
+function verifyAttestation(attestation, options = {}) {
+  const format = attestation && attestation.format;
+  const roots = options.trustedRoots || BUNDLED_ROOTS;
+
+  if (format === ATTESTATION_FORMATS.ANDROID_KEY) {
+    return verifyAndroidKeyAttestation({
+      certificateChain: attestation.certificate_chain,
+      challenge: options.challenge,
+      allowedPackages: options.allowedPackages,
+      minSecurityLevel: options.minSecurityLevel,
+      trustedRoots: roots.android,
+      now: options.now
+    });
+  }
+
+  if (format === ATTESTATION_FORMATS.APPLE_APP_ATTEST) {
+    return verifyAppleAppAttest({
+      attestationObject: attestation.attestation_object,
+      keyId: attestation.key_id,
+      challenge: options.challenge,
+      allowedAppIds: options.allowedAppIds,
+      allowDevelopment: options.allowDevelopment,
+      trustedRoots: roots.apple,
+      now: options.now
+    });
+  }
+
+  return reject(format || null, 'unsupported_format');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  verifyAttestation,
+  verifyAndroidKeyAttestation,
+  verifyAppleAppAttest,
+  ATTESTATION_FORMATS
+};
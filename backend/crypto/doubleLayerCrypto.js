@@ -23,6 +23,47 @@
  * 7. Compare unwrapped vs derived (constant-time)
  * 8. Success = both layers match
  * 
+ * K-OF-N THRESHOLD (optional, per enrollment):
+ * - Layer 1 key is a random secret instead of PBKDF2(all factors)
+ * - Secret split into Shamir shares, one per factor (see thresholdKey.js)
+ * - Each share encrypted under a key derived from its factor, salted
+ *   from the KMS-held secret (shares cannot be attacked offline)
+ * - Any K correct factors recover the secret → compared with KMS unwrap
+ * - Encrypted shares stored next to the wrapped key (metadata)
+ * 
+ * DURABLE ENROLLMENT RECORD:
+ * - Enrollment record (factor digests + policy) sealed with AES-256-GCM
+ *   under the Layer 1 key at enrollment, stored next to the wrapped key
+ * - Redis copy is a cache: on a miss the record is opened by unwrapping
+ *   the Layer 1 key with KMS (see unsealEnrollmentRecord)
+ * - Wrapped key deleted → sealed record unreadable (cryptographic deletion)
+ * 
+ * KDF PARAMETERS (see keyDerivation.js):
+ * - Enrollment derives with the current parameters and returns them
+ *   (kdfParams, stored with the wrapped key)
+ * - Verification derives with the stored parameters (null = legacy)
+ * - If they are outdated, a successful verification re-derives with the
+ *   current parameters, re-seals the record and re-wraps (kdfUpgrade);
+ *   the caller persists it
+ * - Threshold enrollments upgrade on their next factor change (K
+ *   presented factors cannot re-seal the other shares)
+ * 
+ * KMS ENCRYPTION CONTEXT:
+ * - Every wrap is bound to { uuid, key_version, purpose } (see
+ *   kmsProvider.js normalizeEncryptionContext); unwrap rebuilds it from
+ *   the row being read, so a wrapped key moved to another user's row or
+ *   replayed under another key version fails closed
+ * - key_version is the wrapped_keys version the key is stored under:
+ *   1 at enrollment, +1 on every rotation (factor change, recovery,
+ *   KDF upgrade)
+ * - The context is returned (encryptionContext) for the caller to persist
+ * 
+ * DEVICE BINDING (verification):
+ * - Presenting device must be one of the user's active devices
+ * - Devices with a registered public key must sign the session
+ *   challenge (see deviceBinding.js)
+ * - Checked before KMS unwrap: a revoked device never reaches Layer 2
+ * 
  * Security Model:
  * - Layer 1 (Derive): User-controlled
  *   → Requires correct factors
@@ -53,10 +94,31 @@
  * @author ZeroPay Security Team
  */
 
-const { deriveKey, verifyDerivedKey } = require('./keyDerivation');
+const crypto = require('crypto');
+const {
+  deriveKey,
+  normalizeKdfParams,
+  getCurrentKdfParams,
+  needsRehash
+} = require('./keyDerivation');
+const { createThresholdKey, recoverThresholdKey, SHARE_VERSION } = require('./thresholdKey');
+const { checkDeviceBinding } = require('./deviceBinding');
 const { createKMSProvider } = require('./kmsProvider');
-const { encrypt, decrypt } = require('./encryption');
-const { wipeBuffer, wipeBuffers, secureCompare } = require('./memoryWipe');
+const { encryptWithKey, decryptWithKey } = require('./encryption');
+const { wipeBuffer, secureCompare } = require('./memoryWipe');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const RECORD_VERSION = 'zeropay.enrollment.v1';
+const RECORD_CIPHER = 'aes-256-gcm';
+const RECORD_IV_LENGTH = 12;
+const RECORD_TAG_LENGTH = 16;
+const DATA_VERSION = 'zeropay.data.v2';
+const LEGACY_DATA_VERSION = 'zeropay.data.v1';
+const DATA_ENVELOPE_SEPARATOR = '$';
+const KEY_WRAP_PURPOSE = 'key-wrapping';
 
 // ============================================================================
 // SINGLETON KMS PROVIDER
@@ -78,6 +140,76 @@ function getKMSProvider() {
   return kmsProvider;
 }
 
+// ============================================================================
+// ENROLLMENT RECORD SEALING
+// ============================================================================
+
+/**
+ * Build AAD for a sealed enrollment record (binds record to UUID)
+ */
+function recordAAD(uuid) {
+  return Buffer.from(`${RECORD_VERSION}:${uuid}`, 'utf8');
+}
+
+/**
+ * Encrypt enrollment record under the Layer 1 key
+ * 
+ * @param {string} plaintext - Serialized enrollment record
+ * @param {Buffer} key - Layer 1 key (derived key or threshold secret)
+ * @param {string} uuid - User UUID
+ * @returns {string} Envelope (hex): iv || tag || ciphertext
+ */
+function sealRecord(plaintext, key, uuid) {
+  const iv = crypto.randomBytes(RECORD_IV_LENGTH);
+  const cipher = crypto.createCipheriv(RECORD_CIPHER, key, iv);
+  cipher.setAAD(recordAAD(uuid));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  
+  return Buffer.concat([iv, tag, ciphertext]).toString('hex');
+}
+
+/**
+ * Decrypt enrollment record envelope
+ * 
+ * @param {string} envelopeHex - Envelope (hex)
+ * @param {Buffer} key - Layer 1 key
+ * @param {string} uuid - User UUID
+ * @returns {string} Serialized enrollment record
+ * @throws {Error} If authentication fails (wrong key, wrong UUID, tampered)
+ */
+function openRecord(envelopeHex, key, uuid) {
+  const envelope = Buffer.from(envelopeHex, 'hex');
+  const iv = envelope.subarray(0, RECORD_IV_LENGTH);
+  const tag = envelope.subarray(RECORD_IV_LENGTH, RECORD_IV_LENGTH + RECORD_TAG_LENGTH);
+  const ciphertext = envelope.subarray(RECORD_IV_LENGTH + RECORD_TAG_LENGTH);
+  
+  const decipher = crypto.createDecipheriv(RECORD_CIPHER, key, iv);
+  decipher.setAAD(recordAAD(uuid));
+  decipher.setAuthTag(tag);
+  
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Build KMS encryption context for a wrap (stable: unwrap rebuilds it)
+ * 
+ * @param {string} uuid - User UUID
+ * @param {number} keyVersion - wrapped_keys version the key is stored under
+ * @returns {Object} { uuid, key_version, purpose }
+ */
+function buildEncryptionContext(uuid, keyVersion) {
+  if (!Number.isInteger(keyVersion) || keyVersion < 1) {
+    throw new Error('Key version must be a positive integer');
+  }
+  
+  return {
+    uuid,
+    key_version: String(keyVersion),
+    purpose: KEY_WRAP_PURPOSE
+  };
+}
+
 // ============================================================================
 // ENROLLMENT (STORE)
 // ============================================================================
@@ -87,14 +219,20 @@ function getKMSProvider() {
  * 
  * Process:
  * 1. Derive encryption key from UUID + factor digests (Layer 1)
+ *    (or, with a threshold, split a random key into per-factor shares)
  * 2. Wrap derived key with KMS (Layer 2)
  * 3. Return wrapped key for PostgreSQL storage
+ * 4. Optionally seal the enrollment record under the Layer 1 key
  * 
  * @param {Object} params
  * @param {string} params.uuid - User UUID
  * @param {Object} params.factorDigests - Map of factor names to hex digests
- * @param {Object} params.context - Additional encryption context
- * @returns {Promise<Object>} Enrollment result
+ * @param {number} params.keyVersion - Key version the wrapped key will be stored under (default: 1)
+ * @param {number} params.threshold - Factors required at verification (optional, K < N)
+ * @param {string} params.enrollmentRecord - Serialized enrollment record to seal (optional)
+ * @returns {Promise<Object>} Enrollment result (includes factorShares in threshold mode,
+ *   sealedRecord when enrollmentRecord is given, kdfParams, kmsProviders and
+ *   encryptionContext to store)
  * 
  * @example
  * const result = await enrollWithDoubleEncryption({
@@ -102,11 +240,16 @@ function getKMSProvider() {
  *   factorDigests: {
  *     PIN: 'abc123...',
  *     PATTERN: 'def456...'
- *   },
- *   context: { device_id: 'device-123' }
+ *   }
  * });
  */
-async function enrollWithDoubleEncryption({ uuid, factorDigests, context = {} }) {
+async function enrollWithDoubleEncryption({
+  uuid,
+  factorDigests,
+  keyVersion = 1,
+  threshold = null,
+  enrollmentRecord = null
+}) {
   // Validation
   if (!uuid || typeof uuid !== 'string') {
     throw new Error('UUID required (string)');
@@ -125,25 +268,40 @@ async function enrollWithDoubleEncryption({ uuid, factorDigests, context = {} })
     throw new Error('Maximum 10 factors allowed (DoS protection)');
   }
   
+  const thresholdMode = threshold !== null && threshold !== undefined && threshold < factorCount;
+  if (thresholdMode && (!Number.isInteger(threshold) || threshold < 2)) {
+    throw new Error('Threshold must be an integer >= 2');
+  }
+  
   let derivedKey = null;
   let wrappedKey = null;
+  let factorShares = null;
+  const kdfParams = getCurrentKdfParams();
   
   try {
     // LAYER 1: Derive encryption key from factors
-    console.log(`📍 Layer 1: Deriving key from ${factorCount} factors...`);
-    derivedKey = await deriveKey(uuid, factorDigests);
+    if (thresholdMode) {
+      console.log(`📍 Layer 1: Splitting key into ${factorCount} factor shares (threshold ${threshold})...`);
+      const thresholdKey = await createThresholdKey({ uuid, factorDigests, threshold, kdfParams });
+      derivedKey = thresholdKey.secret;
+      factorShares = thresholdKey.shares;
+    } else {
+      console.log(`📍 Layer 1: Deriving key from ${factorCount} factors...`);
+      derivedKey = await deriveKey(uuid, factorDigests, kdfParams);
+    }
     
     // LAYER 2: Wrap derived key with KMS
     console.log('📍 Layer 2: Wrapping with KMS...');
     const kms = getKMSProvider();
     
-    // Build encryption context
-    const encryptionContext = {
-      uuid,
-      factor_count: factorCount.toString(),
-      timestamp: Date.now().toString(),
-      ...context
-    };
+    // Bind the wrap to this user and key version
+    const encryptionContext = buildEncryptionContext(uuid, keyVersion);
+    
+    // Durable enrollment record (readable only via KMS unwrap)
+    // Sealed before wrapping: providers wipe the plaintext key they wrap
+    const sealedRecord = enrollmentRecord !== null
+      ? sealRecord(enrollmentRecord, derivedKey, uuid)
+      : null;
     
     wrappedKey = await kms.wrap(derivedKey, encryptionContext);
     
@@ -152,9 +310,14 @@ async function enrollWithDoubleEncryption({ uuid, factorDigests, context = {} })
     return {
       uuid,
       wrappedKey: wrappedKey.toString('hex'),
-      kmsKeyId: process.env.KMS_KEY_ID || 'local',
-      keyVersion: 1,
+      kmsKeyId: kms.keyId || 'local',
+      kmsProviders: kms.getHolders(wrappedKey),
+      keyVersion,
       factorCount,
+      threshold: thresholdMode ? threshold : factorCount,
+      factorShares,
+      sealedRecord,
+      kdfParams,
       encryptionContext
     };
     
@@ -179,6 +342,7 @@ async function enrollWithDoubleEncryption({ uuid, factorDigests, context = {} })
  * 1. Retrieve wrapped key from PostgreSQL
  * 2. Unwrap with KMS → get original derived key (Layer 2)
  * 3. Derive key from input factors (Layer 1)
+ *    (or, with factor shares, recover it from any K factors)
  * 4. Compare unwrapped vs derived (constant-time)
  * 5. Success = both layers match
  * 
@@ -186,8 +350,21 @@ async function enrollWithDoubleEncryption({ uuid, factorDigests, context = {} })
  * @param {string} params.uuid - User UUID
  * @param {Object} params.factorDigests - Input factor digests to verify
  * @param {string} params.wrappedKeyHex - Wrapped key from PostgreSQL (hex)
- * @param {Object} params.context - Encryption context (must match enrollment)
- * @returns {Promise<Object>} Verification result
+ * @param {number} params.keyVersion - Stored key version (wrapped_keys.key_version, default: 1)
+ * @param {Object} params.factorShares - Encrypted factor shares (threshold enrollments only)
+ * @param {number} params.threshold - Factors required (threshold enrollments only)
+ * @param {string} params.shareVersion - Factor share version (threshold enrollments only)
+ * @param {Object} params.kdfParams - Stored KDF parameters (null = legacy)
+ * @param {string} params.sealedRecordHex - Sealed enrollment record (re-sealed on KDF upgrade)
+ * @param {boolean} params.upgradeKdf - Re-derive outdated keys (false if the caller re-enrolls anyway)
+ * @param {Object} params.device - Presenting device (null = no device check)
+ * @param {string} params.device.deviceId - Device ID
+ * @param {Array<Object>} params.device.activeDevices - User's active devices [{ device_id, public_key }]
+ * @param {string} params.device.challenge - Challenge the device signed
+ * @param {string} params.device.signature - Device signature
+ * @returns {Promise<Object>} Verification result (deviceRejected set if the device check failed,
+ *   kdfUpgrade { wrappedKey, kmsKeyId, kmsProviders, keyVersion, encryptionContext, kdfParams,
+ *   sealedRecord } if the key was re-derived)
  * 
  * @example
  * const result = await verifyWithDoubleEncryption({
@@ -197,10 +374,22 @@ async function enrollWithDoubleEncryption({ uuid, factorDigests, context = {} })
  *     PATTERN: 'def456...'
  *   },
  *   wrappedKeyHex: 'f9d8d2e0a7eca9be...',
- *   context: { device_id: 'device-123' }
+ *   keyVersion: 1
  * });
  */
-async function verifyWithDoubleEncryption({ uuid, factorDigests, wrappedKeyHex, context = {} }) {
+async function verifyWithDoubleEncryption({
+  uuid,
+  factorDigests,
+  wrappedKeyHex,
+  keyVersion = 1,
+  factorShares = null,
+  threshold = null,
+  shareVersion = SHARE_VERSION,
+  kdfParams = null,
+  sealedRecordHex = null,
+  upgradeKdf = true,
+  device = null
+}) {
   // Validation
   if (!uuid || typeof uuid !== 'string') {
     throw new Error('UUID required (string)');
@@ -219,6 +408,23 @@ async function verifyWithDoubleEncryption({ uuid, factorDigests, wrappedKeyHex,
     throw new Error('At least 2 factors required');
   }
   
+  // Device binding: active device (+ signature if it has a key)
+  if (device) {
+    const binding = checkDeviceBinding(device);
+    
+    if (!binding.valid) {
+      console.log(`❌ Device check failed for UUID: ${uuid.slice(0, 8)}... (${binding.reason})`);
+      
+      return {
+        success: false,
+        uuid,
+        factorCount,
+        deviceRejected: true,
+        message: 'Device not recognised'
+      };
+    }
+  }
+  
   let wrappedKey = null;
   let unwrappedKey = null;
   let derivedKey = null;
@@ -231,21 +437,31 @@ async function verifyWithDoubleEncryption({ uuid, factorDigests, wrappedKeyHex,
     console.log('📍 Layer 2: Unwrapping with KMS...');
     const kms = getKMSProvider();
     
-    // Build encryption context (must match enrollment)
-    const encryptionContext = {
-      uuid,
-      ...context
-    };
+    // Rebuilt from the row being verified (never taken from storage)
+    unwrappedKey = await kms.unwrap(wrappedKey, buildEncryptionContext(uuid, keyVersion));
     
-    unwrappedKey = await kms.unwrap(wrappedKey, encryptionContext);
+    // LAYER 1: Derive key from input factors (stored KDF parameters)
+    const storedKdfParams = normalizeKdfParams(kdfParams);
     
-    // LAYER 1: Derive key from input factors
-    console.log(`📍 Layer 1: Deriving key from ${factorCount} factors...`);
-    derivedKey = await deriveKey(uuid, factorDigests);
+    if (factorShares) {
+      console.log(`📍 Layer 1: Recovering key from ${factorCount} factor shares...`);
+      derivedKey = await recoverThresholdKey({
+        uuid,
+        factorDigests,
+        shares: factorShares,
+        threshold,
+        kdfParams: storedKdfParams,
+        secret: unwrappedKey,
+        version: shareVersion
+      });
+    } else {
+      console.log(`📍 Layer 1: Deriving key from ${factorCount} factors...`);
+      derivedKey = await deriveKey(uuid, factorDigests, storedKdfParams);
+    }
     
     // CRITICAL: Constant-time comparison (prevents timing attacks)
     console.log('📍 Comparing keys (constant-time)...');
-    const match = secureCompare(unwrappedKey, derivedKey, false);
+    const match = derivedKey !== null && secureCompare(unwrappedKey, derivedKey, false);
     
     if (match) {
       console.log(`✅ Double verification successful for UUID: ${uuid.slice(0, 8)}...`);
@@ -253,10 +469,16 @@ async function verifyWithDoubleEncryption({ uuid, factorDigests, wrappedKeyHex,
       console.log(`❌ Double verification failed for UUID: ${uuid.slice(0, 8)}... (keys don't match)`);
     }
     
+    // Outdated KDF parameters: re-derive now that the factors are known good
+    const kdfUpgrade = match && upgradeKdf && !factorShares && needsRehash(storedKdfParams)
+      ? await upgradeDerivedKey({ uuid, factorDigests, currentKey: unwrappedKey, sealedRecordHex, keyVersion })
+      : null;
+    
     return {
       success: match,
       uuid,
       factorCount,
+      kdfUpgrade,
       message: match ? 'Authentication successful' : 'Invalid factors'
     };
     
@@ -278,6 +500,60 @@ async function verifyWithDoubleEncryption({ uuid, factorDigests, wrappedKeyHex,
   }
 }
 
+/**
+ * Re-derive a verified key with the current KDF parameters
+ * 
+ * Never fails the verification: on error the old key stays in place
+ * and the upgrade is retried on the next verification.
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {Object} params.factorDigests - Verified factor digests
+ * @param {Buffer} params.currentKey - Unwrapped Layer 1 key (opens the sealed record)
+ * @param {string} params.sealedRecordHex - Sealed enrollment record (optional)
+ * @param {number} params.keyVersion - Current key version (the upgrade is stored as the next one)
+ * @returns {Promise<Object|null>} { wrappedKey, kmsKeyId, kmsProviders, keyVersion,
+ *   encryptionContext, kdfParams, sealedRecord } or null
+ */
+async function upgradeDerivedKey({ uuid, factorDigests, currentKey, sealedRecordHex, keyVersion }) {
+  const kdfParams = getCurrentKdfParams();
+  let newKey = null;
+  let wrappedKey = null;
+  
+  try {
+    console.log(`📍 Upgrading KDF parameters to ${kdfParams.algorithm}...`);
+    newKey = await deriveKey(uuid, factorDigests, kdfParams);
+    
+    // Record sealed under the old key moves to the new one (before wrap wipes it)
+    const sealedRecord = sealedRecordHex
+      ? sealRecord(openRecord(sealedRecordHex, currentKey, uuid), newKey, uuid)
+      : null;
+    
+    // Stored by rotateWrappedKey as the next version
+    const encryptionContext = buildEncryptionContext(uuid, keyVersion + 1);
+    
+    const kms = getKMSProvider();
+    wrappedKey = await kms.wrap(newKey, encryptionContext);
+    
+    return {
+      wrappedKey: wrappedKey.toString('hex'),
+      kmsKeyId: kms.keyId || 'local',
+      kmsProviders: kms.getHolders(wrappedKey),
+      keyVersion: keyVersion + 1,
+      encryptionContext,
+      kdfParams,
+      sealedRecord
+    };
+    
+  } catch (error) {
+    console.error('❌ KDF upgrade failed:', error.message);
+    return null;
+  } finally {
+    if (newKey) wipeBuffer(newKey);
+    if (wrappedKey) wipeBuffer(wrappedKey);
+  }
+}
+
 // ============================================================================
 // UPDATE (KEY ROTATION)
 // ============================================================================
@@ -301,7 +577,13 @@ async function verifyWithDoubleEncryption({ uuid, factorDigests, wrappedKeyHex,
  * @param {Object} params.oldFactorDigests - Current factor digests
  * @param {Object} params.newFactorDigests - New factor digests
  * @param {string} params.oldWrappedKeyHex - Current wrapped key (hex)
- * @param {Object} params.context - Encryption context
+ * @param {number} params.oldKeyVersion - Current key version (the new key is wrapped for the next one)
+ * @param {Object} params.oldFactorShares - Current factor shares (threshold enrollments only)
+ * @param {number} params.oldThreshold - Current threshold (threshold enrollments only)
+ * @param {string} params.oldShareVersion - Current factor share version (threshold enrollments only)
+ * @param {Object} params.oldKdfParams - Stored KDF parameters (null = legacy)
+ * @param {number} params.newThreshold - Threshold for the new factor set (optional)
+ * @param {string} params.enrollmentRecord - New serialized enrollment record to seal (optional)
  * @returns {Promise<Object>} Update result
  */
 async function updateWithDoubleEncryption({
@@ -309,14 +591,25 @@ async function updateWithDoubleEncryption({
   oldFactorDigests,
   newFactorDigests,
   oldWrappedKeyHex,
-  context = {}
+  oldKeyVersion = 1,
+  oldFactorShares = null,
+  oldThreshold = null,
+  oldShareVersion = SHARE_VERSION,
+  oldKdfParams = null,
+  newThreshold = null,
+  enrollmentRecord = null
 }) {
   // First, verify old factors
   const verification = await verifyWithDoubleEncryption({
     uuid,
     factorDigests: oldFactorDigests,
     wrappedKeyHex: oldWrappedKeyHex,
-    context
+    keyVersion: oldKeyVersion,
+    factorShares: oldFactorShares,
+    threshold: oldThreshold,
+    shareVersion: oldShareVersion,
+    kdfParams: oldKdfParams,
+    upgradeKdf: false
   });
   
   if (!verification.success) {
@@ -327,7 +620,9 @@ async function updateWithDoubleEncryption({
   const enrollment = await enrollWithDoubleEncryption({
     uuid,
     factorDigests: newFactorDigests,
-    context
+    keyVersion: oldKeyVersion + 1,
+    threshold: newThreshold,
+    enrollmentRecord
   });
   
   console.log(`✅ Updated enrollment for UUID: ${uuid.slice(0, 8)}...`);
@@ -337,10 +632,140 @@ async function updateWithDoubleEncryption({
     oldFactorCount: Object.keys(oldFactorDigests).length,
     newFactorCount: Object.keys(newFactorDigests).length,
     wrappedKey: enrollment.wrappedKey,
+    kmsKeyId: enrollment.kmsKeyId,
+    kmsProviders: enrollment.kmsProviders,
+    keyVersion: enrollment.keyVersion,
+    encryptionContext: enrollment.encryptionContext,
+    threshold: enrollment.threshold,
+    factorShares: enrollment.factorShares,
+    sealedRecord: enrollment.sealedRecord,
+    kdfParams: enrollment.kdfParams,
     message: 'Enrollment updated successfully'
   };
 }
 
+// ============================================================================
+// ENROLLMENT RECORD (REHYDRATE)
+// ============================================================================
+
+/**
+ * Open a sealed enrollment record
+ * 
+ * Use case: Redis cache miss. The record was sealed under the Layer 1
+ * key at enrollment; unwrapping that key with KMS opens it without
+ * the user's factors.
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.wrappedKeyHex - Wrapped key from PostgreSQL (hex)
+ * @param {string} params.sealedRecordHex - Sealed record from PostgreSQL (hex)
+ * @param {number} params.keyVersion - Stored key version (wrapped_keys.key_version, default: 1)
+ * @returns {Promise<string>} Serialized enrollment record
+ * @throws {Error} If unwrap or authentication fails
+ */
+async function unsealEnrollmentRecord({ uuid, wrappedKeyHex, sealedRecordHex, keyVersion = 1 }) {
+  // Validation
+  if (!uuid || typeof uuid !== 'string') {
+    throw new Error('UUID required (string)');
+  }
+  
+  if (!wrappedKeyHex || typeof wrappedKeyHex !== 'string') {
+    throw new Error('Wrapped key required (hex string)');
+  }
+  
+  if (!sealedRecordHex || typeof sealedRecordHex !== 'string') {
+    throw new Error('Sealed record required (hex string)');
+  }
+  
+  let wrappedKey = null;
+  let unwrappedKey = null;
+  
+  try {
+    wrappedKey = Buffer.from(wrappedKeyHex, 'hex');
+    
+    const kms = getKMSProvider();
+    unwrappedKey = await kms.unwrap(wrappedKey, buildEncryptionContext(uuid, keyVersion));
+    
+    return openRecord(sealedRecordHex, unwrappedKey, uuid);
+    
+  } catch (error) {
+    throw new Error(`Enrollment record unseal failed: ${error.message}`);
+  } finally {
+    if (wrappedKey) wipeBuffer(wrappedKey);
+    if (unwrappedKey) wipeBuffer(unwrappedKey);
+  }
+}
+
+// ============================================================================
+// RE-WRAP (MASTER KEY ROTATION)
+// ============================================================================
+
+/**
+ * Move a wrapped key to another KMS key without the user's factors
+ * 
+ * Use case: master key rotation across all users (see
+ * services/masterKeyRotationJob.js). The Layer 1 key is unchanged, so
+ * the sealed enrollment record stays valid; it is wrapped for the next
+ * key version, as every other rotation (rotateWrappedKey).
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.wrappedKeyHex - Stored wrapped key (hex)
+ * @param {number} params.keyVersion - Stored key version
+ * @param {KMSProvider} params.sourceKms - Provider able to unwrap it (default: current)
+ * @param {KMSProvider} params.targetKms - Provider to wrap under (default: current)
+ * @returns {Promise<Object>} { wrappedKey, kmsKeyId, kmsProviders, keyVersion, encryptionContext }
+ * @throws {Error} If unwrap or wrap fails
+ */
+async function rewrapWithDoubleEncryption({
+  uuid,
+  wrappedKeyHex,
+  keyVersion,
+  sourceKms = null,
+  targetKms = null
+}) {
+  // Validation
+  if (!uuid || typeof uuid !== 'string') {
+    throw new Error('UUID required (string)');
+  }
+  
+  if (!wrappedKeyHex || typeof wrappedKeyHex !== 'string') {
+    throw new Error('Wrapped key required (hex string)');
+  }
+  
+  const source = sourceKms || getKMSProvider();
+  const target = targetKms || getKMSProvider();
+  const encryptionContext = buildEncryptionContext(uuid, keyVersion + 1);
+  
+  let wrappedKey = null;
+  let unwrappedKey = null;
+  let rewrapped = null;
+  
+  try {
+    wrappedKey = Buffer.from(wrappedKeyHex, 'hex');
+    unwrappedKey = await source.unwrap(wrappedKey, buildEncryptionContext(uuid, keyVersion));
+    
+    // Provider wipes the key it wraps
+    rewrapped = await target.wrap(unwrappedKey, encryptionContext);
+    unwrappedKey = null;
+    
+    return {
+      wrappedKey: rewrapped.toString('hex'),
+      kmsKeyId: target.keyId || 'local',
+      kmsProviders: target.getHolders(rewrapped),
+      keyVersion: keyVersion + 1,
+      encryptionContext
+    };
+    
+  } catch (error) {
+    throw new Error(`Re-wrap failed: ${error.message}`);
+  } finally {
+    if (wrappedKey) wipeBuffer(wrappedKey);
+    if (unwrappedKey) wipeBuffer(unwrappedKey);
+    if (rewrapped) wipeBuffer(rewrapped);
+  }
+}
+
 // ============================================================================
 // DELETION (GDPR)
 // ============================================================================
@@ -385,35 +810,84 @@ async function deleteWithDoubleEncryption({ uuid, reason = 'USER_REQUEST' }) {
 // UTILITIES
 // ============================================================================
 
+/**
+ * Build AAD for factor-encrypted data (binds ciphertext to UUID + KDF parameters)
+ */
+function dataAAD(uuid, kdfParams) {
+  return `${DATA_VERSION}:${uuid}:${JSON.stringify(kdfParams)}`;
+}
+
+/**
+ * Split a data envelope
+ * 
+ * Bare hex is a v1 ciphertext (no stored parameters): it was derived
+ * with the parameters current at the time, so the current ones are tried.
+ * 
+ * @param {string} ciphertext - Envelope from encryptDataWithFactors
+ * @returns {Object} { kdfParams, ciphertextHex, aad(uuid) }
+ * @throws {Error} If the envelope is malformed
+ */
+function parseDataEnvelope(ciphertext) {
+  if (typeof ciphertext !== 'string') {
+    throw new Error('Ciphertext required (string)');
+  }
+  
+  const parts = ciphertext.split(DATA_ENVELOPE_SEPARATOR);
+  
+  if (parts.length === 1) {
+    return {
+      kdfParams: getCurrentKdfParams(),
+      ciphertextHex: ciphertext,
+      aad: uuid => `${LEGACY_DATA_VERSION}:${uuid}`
+    };
+  }
+  
+  if (parts.length !== 3 || parts[0] !== DATA_VERSION) {
+    throw new Error('Unsupported data envelope');
+  }
+  
+  const kdfParams = normalizeKdfParams(JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')));
+  
+  return {
+    kdfParams,
+    ciphertextHex: parts[2],
+    aad: uuid => dataAAD(uuid, kdfParams)
+  };
+}
+
 /**
  * Encrypt data with derived key
  * 
  * Use case: Encrypt payment tokens, metadata, etc.
  * 
+ * The derived key is passed to the cipher directly (never through
+ * process.env, which concurrent requests share), and the UUID is bound
+ * as AAD so ciphertexts cannot be replayed for another user.
+ * 
+ * The KDF parameters travel in the envelope, so data stays readable
+ * after KDF_ALGORITHM or its cost settings change:
+ * <version>$<base64url(KDF params JSON)>$<ciphertext hex>
+ * 
  * @param {Object} params
  * @param {string} params.uuid - User UUID
  * @param {Object} params.factorDigests - Factor digests
  * @param {string} params.plaintext - Data to encrypt
- * @returns {Promise<string>} Encrypted data (hex)
+ * @returns {Promise<string>} Data envelope
  */
 async function encryptDataWithFactors({ uuid, factorDigests, plaintext }) {
+  const kdfParams = getCurrentKdfParams();
   let derivedKey = null;
   
   try {
-    // Derive key
-    derivedKey = await deriveKey(uuid, factorDigests);
-    
-    // Use derived key as encryption key
-    const prevKey = process.env.ENCRYPTION_KEY;
-    process.env.ENCRYPTION_KEY = derivedKey.toString('hex');
-    
-    // Encrypt
-    const encrypted = await encrypt(plaintext);
+    derivedKey = await deriveKey(uuid, factorDigests, kdfParams);
     
-    // Restore
-    process.env.ENCRYPTION_KEY = prevKey;
+    const ciphertextHex = await encryptWithKey(plaintext, derivedKey, dataAAD(uuid, kdfParams));
     
-    return encrypted;
+    return [
+      DATA_VERSION,
+      Buffer.from(JSON.stringify(kdfParams)).toString('base64url'),
+      ciphertextHex
+    ].join(DATA_ENVELOPE_SEPARATOR);
     
   } finally {
     if (derivedKey) wipeBuffer(derivedKey);
@@ -421,32 +895,23 @@ async function encryptDataWithFactors({ uuid, factorDigests, plaintext }) {
 }
 
 /**
- * Decrypt data with derived key
+ * Decrypt data with derived key (KDF parameters from the envelope)
  * 
  * @param {Object} params
  * @param {string} params.uuid - User UUID
  * @param {Object} params.factorDigests - Factor digests
- * @param {string} params.ciphertext - Encrypted data (hex)
+ * @param {string} params.ciphertext - Data envelope (or v1 hex)
  * @returns {Promise<string>} Decrypted data
+ * @throws {Error} If factors or UUID differ from encryption
  */
 async function decryptDataWithFactors({ uuid, factorDigests, ciphertext }) {
+  const envelope = parseDataEnvelope(ciphertext);
   let derivedKey = null;
   
   try {
-    // Derive key
-    derivedKey = await deriveKey(uuid, factorDigests);
+    derivedKey = await deriveKey(uuid, factorDigests, envelope.kdfParams);
     
-    // Use derived key as decryption key
-    const prevKey = process.env.ENCRYPTION_KEY;
-    process.env.ENCRYPTION_KEY = derivedKey.toString('hex');
-    
-    // Decrypt
-    const decrypted = await decrypt(ciphertext);
-    
-    // Restore
-    process.env.ENCRYPTION_KEY = prevKey;
-    
-    return decrypted;
+    return await decryptWithKey(envelope.ciphertextHex, derivedKey, envelope.aad(uuid));
     
   } finally {
     if (derivedKey) wipeBuffer(derivedKey);
@@ -464,6 +929,7 @@ function getSystemStatus() {
   return {
     doubleEncryptionEnabled: true,
     kmsProvider: kms.getName(),
+    kmsProviders: kms.getHealth ? kms.getHealth() : undefined,
     environment: process.env.NODE_ENV || 'development',
     version: '1.0.0'
   };
@@ -479,12 +945,15 @@ module.exports = {
   verifyWithDoubleEncryption,
   updateWithDoubleEncryption,
   deleteWithDoubleEncryption,
+  unsealEnrollmentRecord,
+  rewrapWithDoubleEncryption,
   
   // Data encryption with factors
   encryptDataWithFactors,
   decryptDataWithFactors,
   
   // Utilities
+  buildEncryptionContext,
   getKMSProvider,
   getSystemStatus
 };
@@ -508,16 +977,11 @@ if (require.main === module) {
         PIN: 'x'.repeat(64),
         PATTERN: 'y'.repeat(64)
       };
-      const context = {
-        device_id: 'test-device-123'
-      };
-      
       // Test 1: Enrollment
       console.log('Test 1: Enrollment with double encryption');
       const enrollment = await enrollWithDoubleEncryption({
         uuid,
-        factorDigests: correctFactors,
-        context
+        factorDigests: correctFactors
       });
       
       console.log(`  UUID: ${enrollment.uuid.slice(0, 16)}...`);
@@ -532,7 +996,7 @@ if (require.main === module) {
         uuid,
         factorDigests: correctFactors,
         wrappedKeyHex: enrollment.wrappedKey,
-        context
+        keyVersion: enrollment.keyVersion
       });
       
       console.log(`  Success: ${correctVerification.success ? '✅' : '❌'}`);
@@ -544,7 +1008,7 @@ if (require.main === module) {
         uuid,
         factorDigests: wrongFactors,
         wrappedKeyHex: enrollment.wrappedKey,
-        context
+        keyVersion: enrollment.keyVersion
       });
       
       console.log(`  Success: ${wrongVerification.success ? '❌ (should be false)' : '✅'}`);
@@ -563,7 +1027,7 @@ if (require.main === module) {
         oldFactorDigests: correctFactors,
         newFactorDigests: newFactors,
         oldWrappedKeyHex: enrollment.wrappedKey,
-        context
+        oldKeyVersion: enrollment.keyVersion
       });
       
       console.log(`  Old factors: ${update.oldFactorCount}`);
@@ -577,7 +1041,7 @@ if (require.main === module) {
         uuid,
         factorDigests: newFactors,
         wrappedKeyHex: update.wrappedKey,
-        context
+        keyVersion: update.keyVersion
       });
       
       console.log(`  Success: ${newVerification.success ? '✅' : '❌'}`);
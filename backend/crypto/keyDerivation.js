@@ -1,21 +1,36 @@
 // Path: backend/crypto/keyDerivation.js
 
 /**
- * Key Derivation Module - PBKDF2 Implementation
+ * Key Derivation Module - Versioned KDF Registry
  * 
  * Purpose: Derive encryption keys from factor digests
  * 
  * Architecture:
  * - Layer 1 of double encryption (Derive)
  * - Converts factor digests → encryption key
- * - Deterministic (same factors = same key)
+ * - Deterministic (same factors + same KDF parameters = same key)
  * - Computationally expensive (prevents brute force)
  * 
- * Algorithm:
- * - PBKDF2-HMAC-SHA256
- * - 100,000 iterations (OWASP recommended)
- * - 32-byte output (AES-256)
- * - Salt = UUID (unique per user)
+ * KDF Registry:
+ * - pbkdf2   → { algorithm, hash, iterations }
+ * - scrypt   → { algorithm, N, r, p }
+ * - argon2id → { algorithm, memory (KiB), passes, parallelism }
+ *              (needs crypto.argon2, Node.js 24.7+)
+ * - 32-byte output (AES-256), salt = SALT_PREFIX + UUID (unique per user)
+ * 
+ * Versioned Parameters:
+ * - Parameters are stored with each wrapped key (wrapped_keys.kdf_params)
+ * - No stored parameters = LEGACY_KDF_PARAMS (PBKDF2-SHA256, 100,000)
+ * - New keys use the current parameters (env, see loadKdfParams)
+ * - needsRehash() tells the caller to re-derive after a successful
+ *   verification, so cost can be raised without re-enrollment
+ * 
+ * Configuration (env):
+ * - KDF_ALGORITHM           → pbkdf2 (default) | scrypt | argon2id
+ * - KDF_PBKDF2_ITERATIONS   → Default 100000
+ * - KDF_PBKDF2_HASH         → sha256 (default) | sha512
+ * - KDF_SCRYPT_N / _R / _P  → Default 2^15 / 8 / 1
+ * - KDF_ARGON2_MEMORY_KIB / _PASSES / _PARALLELISM → Default 65536 / 3 / 1
  * 
  * Security:
  * - No raw factors stored
@@ -45,17 +60,213 @@ const ITERATIONS = 100000;     // OWASP recommended minimum for PBKDF2
 const KEY_LENGTH = 32;          // 256 bits for AES-256
 const SALT_PREFIX = 'zeropay.v1'; // Version prefix for salt
 
+const KDF_ALGORITHMS = {
+  PBKDF2: 'pbkdf2',
+  SCRYPT: 'scrypt',
+  ARGON2ID: 'argon2id'
+};
+
+// Parameters of keys enrolled before the registry (no kdf_params stored)
+const LEGACY_KDF_PARAMS = Object.freeze({
+  algorithm: KDF_ALGORITHMS.PBKDF2,
+  hash: ALGORITHM,
+  iterations: ITERATIONS
+});
+
+// ============================================================================
+// KDF REGISTRY
+// ============================================================================
+
+/**
+ * Check an integer parameter is within bounds
+ */
+function checkRange(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`KDF parameter ${name} must be an integer between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Whether Argon2id is available (crypto.argon2, Node.js 24.7+)
+ */
+function isArgon2Supported() {
+  return typeof crypto.argon2 === 'function';
+}
+
+/**
+ * Registered KDFs
+ * 
+ * normalize(params) → canonical parameters (throws if out of bounds)
+ * derive(password, salt, params) → Promise<Buffer> (KEY_LENGTH bytes)
+ */
+const KDF_REGISTRY = {
+  [KDF_ALGORITHMS.PBKDF2]: {
+    normalize(params) {
+      const hash = params.hash || ALGORITHM;
+      if (!['sha256', 'sha512'].includes(hash)) {
+        throw new Error('KDF parameter hash must be sha256 or sha512');
+      }
+      checkRange('iterations', params.iterations, 10000, 10000000);
+      return { algorithm: KDF_ALGORITHMS.PBKDF2, hash, iterations: params.iterations };
+    },
+    derive(password, salt, params) {
+      return pbkdf2(password, salt, params.iterations, KEY_LENGTH, params.hash);
+    }
+  },
+  
+  [KDF_ALGORITHMS.SCRYPT]: {
+    normalize(params) {
+      checkRange('N', params.N, 1 << 14, 1 << 20);
+      if ((params.N & (params.N - 1)) !== 0) {
+        throw new Error('KDF parameter N must be a power of 2');
+      }
+      checkRange('r', params.r, 1, 32);
+      checkRange('p', params.p, 1, 16);
+      return { algorithm: KDF_ALGORITHMS.SCRYPT, N: params.N, r: params.r, p: params.p };
+    },
+    derive(password, salt, params) {
+      return new Promise((resolve, reject) => {
+        const options = { N: params.N, r: params.r, p: params.p, maxmem: 256 * params.N * params.r };
+        crypto.scrypt(password, salt, KEY_LENGTH, options, (err, derivedKey) => {
+          if (err) {
+            reject(new Error(`scrypt failed: ${err.message}`));
+          } else {
+            resolve(derivedKey);
+          }
+        });
+      });
+    }
+  },
+  
+  [KDF_ALGORITHMS.ARGON2ID]: {
+    normalize(params) {
+      checkRange('memory', params.memory, 8192, 1048576);
+      checkRange('passes', params.passes, 1, 10);
+      checkRange('parallelism', params.parallelism, 1, 8);
+      return {
+        algorithm: KDF_ALGORITHMS.ARGON2ID,
+        memory: params.memory,
+        passes: params.passes,
+        parallelism: params.parallelism
+      };
+    },
+    derive(password, salt, params) {
+      if (!isArgon2Supported()) {
+        return Promise.reject(new Error('Argon2id requires crypto.argon2 (Node.js 24.7+)'));
+      }
+      
+      return new Promise((resolve, reject) => {
+        crypto.argon2('argon2id', {
+          message: password,
+          nonce: salt,
+          parallelism: params.parallelism,
+          tagLength: KEY_LENGTH,
+          memory: params.memory,
+          passes: params.passes
+        }, (err, derivedKey) => {
+          if (err) {
+            reject(new Error(`Argon2id failed: ${err.message}`));
+          } else {
+            resolve(Buffer.from(derivedKey));
+          }
+        });
+      });
+    }
+  }
+};
+
+/**
+ * Validate KDF parameters and return their canonical form
+ * 
+ * @param {Object|null} params - Stored or configured parameters (null = legacy)
+ * @returns {Object} Frozen canonical parameters
+ * @throws {Error} If the algorithm is unknown or parameters are out of bounds
+ */
+function normalizeKdfParams(params) {
+  if (params === null || params === undefined) {
+    return LEGACY_KDF_PARAMS;
+  }
+  
+  const kdf = KDF_REGISTRY[params.algorithm];
+  if (!kdf) {
+    throw new Error(`Unknown KDF algorithm: ${params.algorithm}`);
+  }
+  
+  return Object.freeze(kdf.normalize(params));
+}
+
+/**
+ * Load current KDF parameters from environment
+ * 
+ * @param {Object} env - Environment variables
+ * @returns {Object} Canonical parameters
+ * @throws {Error} If misconfigured (or Argon2id unavailable)
+ */
+function loadKdfParams(env = process.env) {
+  const algorithm = (env.KDF_ALGORITHM || KDF_ALGORITHMS.PBKDF2).trim().toLowerCase();
+  
+  if (algorithm === KDF_ALGORITHMS.ARGON2ID && !isArgon2Supported()) {
+    throw new Error('KDF_ALGORITHM=argon2id requires crypto.argon2 (Node.js 24.7+)');
+  }
+  
+  return normalizeKdfParams({
+    algorithm,
+    hash: env.KDF_PBKDF2_HASH || ALGORITHM,
+    iterations: parseInt(env.KDF_PBKDF2_ITERATIONS || String(ITERATIONS), 10),
+    N: parseInt(env.KDF_SCRYPT_N || '32768', 10),
+    r: parseInt(env.KDF_SCRYPT_R || '8', 10),
+    p: parseInt(env.KDF_SCRYPT_P || '1', 10),
+    memory: parseInt(env.KDF_ARGON2_MEMORY_KIB || '65536', 10),
+    passes: parseInt(env.KDF_ARGON2_PASSES || '3', 10),
+    parallelism: parseInt(env.KDF_ARGON2_PARALLELISM || '1', 10)
+  });
+}
+
+const CURRENT_KDF_PARAMS = loadKdfParams();
+
+/**
+ * Get the parameters new keys are derived with
+ * 
+ * @returns {Object} Canonical parameters
+ */
+function getCurrentKdfParams() {
+  return CURRENT_KDF_PARAMS;
+}
+
+/**
+ * Whether a key derived with `params` should be re-derived
+ * 
+ * Any difference from the current parameters counts (algorithm or cost,
+ * up or down), like password_needs_rehash.
+ * 
+ * @param {Object|null} params - Stored parameters (null = legacy)
+ * @param {Object} current - Target parameters (default: from env)
+ * @returns {boolean} True if the key should be re-derived
+ */
+function needsRehash(params, current = CURRENT_KDF_PARAMS) {
+  let stored;
+  try {
+    stored = normalizeKdfParams(params);
+  } catch {
+    return true;
+  }
+  
+  const keys = new Set([...Object.keys(stored), ...Object.keys(current)]);
+  return [...keys].some(key => stored[key] !== current[key]);
+}
+
 // ============================================================================
 // KEY DERIVATION
 // ============================================================================
 
 /**
- * Derive encryption key from factor digests using PBKDF2
+ * Derive encryption key from factor digests with a registered KDF
  * 
  * Process:
  * 1. Concatenate all factor digests (sorted by factor name)
  * 2. Generate salt from UUID + prefix
- * 3. Apply PBKDF2-HMAC-SHA256 (100K iterations)
+ * 3. Apply the KDF named by kdfParams.algorithm (PBKDF2, scrypt or
+ *    Argon2id; stored parameters, else current)
  * 4. Output 32-byte AES-256 key
  * 
  * Why Sorted?
@@ -65,6 +276,8 @@ const SALT_PREFIX = 'zeropay.v1'; // Version prefix for salt
  * 
  * @param {string} uuid - User UUID (used as salt)
  * @param {Object} factorDigests - Map of factor names to hex digests
+ * @param {Object} kdfParams - KDF parameters (default: current; pass the
+ *   stored parameters when verifying)
  * @returns {Promise<Buffer>} 32-byte derived key
  * 
  * @example
@@ -73,7 +286,7 @@ const SALT_PREFIX = 'zeropay.v1'; // Version prefix for salt
  *   PATTERN: 'def456...'
  * });
  */
-async function deriveKey(uuid, factorDigests) {
+async function deriveKey(uuid, factorDigests, kdfParams = CURRENT_KDF_PARAMS) {
   // Validation
   if (!uuid || typeof uuid !== 'string') {
     throw new Error('UUID required (string)');
@@ -99,6 +312,8 @@ async function deriveKey(uuid, factorDigests) {
     }
   }
   
+  const params = normalizeKdfParams(kdfParams);
+  
   // Sort factors by name (deterministic)
   const sortedFactors = Object.keys(factorDigests).sort();
   
@@ -115,8 +330,7 @@ async function deriveKey(uuid, factorDigests) {
   const salt = generateSalt(uuid);
   
   try {
-    // Derive key using PBKDF2
-    const derivedKey = await pbkdf2(password, salt, ITERATIONS, KEY_LENGTH, ALGORITHM);
+    const derivedKey = await KDF_REGISTRY[params.algorithm].derive(password, salt, params);
     
     console.log(`✅ Derived key from ${sortedFactors.length} factors (UUID: ${uuid.slice(0, 8)}...)`);
     
@@ -185,9 +399,10 @@ function pbkdf2(password, salt, iterations, keyLength, digest) {
  * @param {string} uuid - User UUID
  * @param {Object} factorDigests - Factor digests to verify
  * @param {Buffer} expectedKey - Expected derived key
+ * @param {Object} kdfParams - KDF parameters the expected key was derived with
  * @returns {Promise<boolean>} True if keys match
  */
-async function verifyDerivedKey(uuid, factorDigests, expectedKey) {
+async function verifyDerivedKey(uuid, factorDigests, expectedKey, kdfParams = CURRENT_KDF_PARAMS) {
   // Validation
   if (!Buffer.isBuffer(expectedKey)) {
     throw new Error('Expected key must be a Buffer');
@@ -199,7 +414,7 @@ async function verifyDerivedKey(uuid, factorDigests, expectedKey) {
   
   try {
     // Derive key from factors
-    const derivedKey = await deriveKey(uuid, factorDigests);
+    const derivedKey = await deriveKey(uuid, factorDigests, kdfParams);
     
     // Constant-time comparison (prevents timing attacks)
     const match = secureCompare(derivedKey, expectedKey, true);
@@ -329,12 +544,12 @@ async function estimateDerivationTime() {
  */
 function getAlgorithmInfo() {
   return {
-    algorithm: 'PBKDF2',
-    hash: ALGORITHM,
-    iterations: ITERATIONS,
+    ...CURRENT_KDF_PARAMS,
+    algorithm: CURRENT_KDF_PARAMS.algorithm.toUpperCase(),
     keyLength: KEY_LENGTH,
     saltPrefix: SALT_PREFIX,
-    version: '1.0.0'
+    argon2Supported: isArgon2Supported(),
+    version: '1.1.0'
   };
 }
 
@@ -347,6 +562,13 @@ module.exports = {
   deriveKey,
   verifyDerivedKey,
   
+  // KDF parameters
+  normalizeKdfParams,
+  loadKdfParams,
+  getCurrentKdfParams,
+  needsRehash,
+  isArgon2Supported,
+  
   // Utilities
   generateSalt,
   validateKeyStrength,
@@ -358,7 +580,9 @@ module.exports = {
   ALGORITHM,
   ITERATIONS,
   KEY_LENGTH,
-  SALT_PREFIX
+  SALT_PREFIX,
+  KDF_ALGORITHMS,
+  LEGACY_KDF_PARAMS
 };
 
 // ============================================================================
@@ -418,7 +642,7 @@ if (require.main === module) {
       console.log('\nTest 6: Performance benchmark');
       const estimatedTime = await estimateDerivationTime();
       console.log(`  Estimated derivation time: ${estimatedTime}ms`);
-      console.log(`  ${ITERATIONS.toLocaleString()} iterations`);
+      console.log(`  KDF: ${getCurrentKdfParams().algorithm}`);
       
       // Test 7: Verification
       console.log('\nTest 7: Key verification');
@@ -433,8 +657,7 @@ if (require.main === module) {
       console.log('\nTest 8: Algorithm information');
       const info = getAlgorithmInfo();
       console.log(`  Algorithm: ${info.algorithm}`);
-      console.log(`  Hash: ${info.hash}`);
-      console.log(`  Iterations: ${info.iterations.toLocaleString()}`);
+      console.log(`  Parameters: ${JSON.stringify(getCurrentKdfParams())}`);
       console.log(`  Key Length: ${info.keyLength} bytes`);
       console.log(`  Version: ${info.version}`);
       
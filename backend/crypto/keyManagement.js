@@ -29,6 +29,7 @@
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { VaultTransitClient, loadVaultConfig } = require('./vaultClient');
 
 // ============================================================================
 // CONSTANTS
@@ -38,6 +39,7 @@ const KEY_LENGTH = 32; // 256 bits for AES-256
 const KEY_VERSION_PREFIX = 'encryption_key_v';
 const KEY_ROTATION_DAYS = 90;
 const KEY_FILE_PATH = path.join(__dirname, '../.keys.json'); // For development only
+const DEFAULT_VAULT_DATA_KEY = 'zeropay-data';
 
 // ============================================================================
 // KEY GENERATION
@@ -208,6 +210,17 @@ class KeyManager {
     return this.activeVersion;
   }
   
+  /**
+   * Whether a version is loaded and usable for decryption
+   * 
+   * @param {number} version - Key version
+   * @returns {boolean} True if loaded and not revoked
+   */
+  hasKey(version) {
+    const keyVersion = this.keys.get(version);
+    return Boolean(keyVersion) && keyVersion.status !== 'revoked';
+  }
+  
   /**
    * List all key versions (without keys)
    * 
@@ -296,23 +309,75 @@ class KeyManager {
 // ============================================================================
 
 /**
- * Load keys from environment variable (development)
+ * Parse a hex key from configuration
+ * 
+ * @param {string} name - Variable name (for errors, never the key)
+ * @param {string} value - 64 hex characters
+ * @returns {string} Lowercase hex key
+ * @throws {Error} If not a 32-byte hex key
+ */
+function parseHexKey(name, value) {
+  if (!/^[0-9a-f]{64}$/i.test(value || '')) {
+    throw new Error(`${name} must be ${KEY_LENGTH * 2} hex characters (${KEY_LENGTH} bytes)`);
+  }
+  
+  return value.toLowerCase();
+}
+
+/**
+ * Load keys from environment variables
+ * 
+ * - ENCRYPTION_KEYS="1:<hex>,2:<hex>" → all loaded versions
+ * - ENCRYPTION_KEY_VERSION → version new data is encrypted with
+ *   (default: highest); the others only decrypt (deprecated)
+ * - ENCRYPTION_KEY alone → version 1 (single-key deployments)
  * 
+ * Env keys do not expire: rotation is operator-driven (add a version,
+ * switch ENCRYPTION_KEY_VERSION, re-encrypt, then drop the old one).
+ * 
+ * @param {Object} env - Environment variables
  * @returns {KeyManager} Key manager with loaded keys
+ * @throws {Error} If keys are missing or malformed
  */
-function loadKeysFromEnv() {
+function loadKeysFromEnv(env = process.env) {
   const keyManager = new KeyManager();
+  const configured = new Map();
+  
+  if (env.ENCRYPTION_KEYS) {
+    for (const entry of env.ENCRYPTION_KEYS.split(',').map(item => item.trim()).filter(Boolean)) {
+      const [versionText, keyHex] = entry.split(':');
+      const version = parseInt(versionText, 10);
+      
+      if (!Number.isInteger(version) || version < 1 || version > 65535 || String(version) !== versionText.trim()) {
+        throw new Error(`Invalid ENCRYPTION_KEYS version: ${versionText}`);
+      }
+      if (configured.has(version)) {
+        throw new Error(`Duplicate ENCRYPTION_KEYS version: ${version}`);
+      }
+      
+      configured.set(version, parseHexKey(`ENCRYPTION_KEYS version ${version}`, keyHex));
+    }
+  } else if (env.ENCRYPTION_KEY) {
+    configured.set(1, parseHexKey('ENCRYPTION_KEY', env.ENCRYPTION_KEY));
+  }
   
-  // Load primary key from env
-  const envKey = process.env.ENCRYPTION_KEY;
-  if (!envKey) {
+  if (configured.size === 0) {
     throw new Error('ENCRYPTION_KEY not set in environment');
   }
   
-  // Add as version 1 (default)
+  const activeVersion = env.ENCRYPTION_KEY_VERSION
+    ? parseInt(env.ENCRYPTION_KEY_VERSION, 10)
+    : Math.max(...configured.keys());
+  
+  if (!configured.has(activeVersion)) {
+    throw new Error(`ENCRYPTION_KEY_VERSION ${env.ENCRYPTION_KEY_VERSION} is not in ENCRYPTION_KEYS`);
+  }
+  
   const createdAt = Date.now();
-  const expiresAt = createdAt + (KEY_ROTATION_DAYS * 24 * 60 * 60 * 1000);
-  keyManager.addKey(1, envKey, createdAt, expiresAt, 'active');
+  for (const [version, keyHex] of configured) {
+    const status = version === activeVersion ? 'active' : 'deprecated';
+    keyManager.addKey(version, keyHex, createdAt, Infinity, status);
+  }
   
   return keyManager;
 }
@@ -378,24 +443,80 @@ async function saveKeysToFile(keyManager) {
 /**
  * Load keys from HashiCorp Vault (production)
  * 
+ * Keys live in an exportable Transit key; each Transit version becomes
+ * the KeyManager version of the same number (latest → active, the
+ * others decrypt only). Versions below min_decryption_version are not
+ * exported by Vault, so they are not loaded.
+ * 
+ * Vault setup:
+ *   vault write -f transit/keys/zeropay-data type=aes256-gcm96 exportable=true
+ *   vault write -f transit/keys/zeropay-data/rotate   (rotation)
+ * 
  * Requires:
- * - VAULT_URL environment variable
- * - VAULT_TOKEN or vault login
+ * - VAULT_URL, VAULT_TOKEN (see crypto/vaultClient.js)
+ * - VAULT_DATA_KEY → Transit key name (default: zeropay-data)
+ * - ENCRYPTION_KEY_VERSION → Pin the active version (optional)
  * 
+ * Install with Encryption.setKeyManager(await loadKeysFromVault()).
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} httpClient - axios-compatible client (tests)
  * @returns {Promise<KeyManager>} Key manager with loaded keys
+ * @throws {Error} If Vault is unreachable or the key is not usable
  */
-async function loadKeysFromVault() {
-  const vaultUrl = process.env.VAULT_URL;
-  const vaultToken = process.env.VAULT_TOKEN;
+async function loadKeysFromVault(env = process.env, httpClient = undefined) {
+  const keyName = env.VAULT_DATA_KEY || DEFAULT_VAULT_DATA_KEY;
+  const client = new VaultTransitClient(loadVaultConfig(env), httpClient);
   
-  if (!vaultUrl || !vaultToken) {
-    throw new Error('Vault configuration missing (VAULT_URL, VAULT_TOKEN)');
+  const keyInfo = await client.readKey(keyName);
+  if (keyInfo.type !== 'aes256-gcm96') {
+    throw new Error(`Vault key ${keyName} must be of type aes256-gcm96 (got ${keyInfo.type})`);
+  }
+  if (!keyInfo.exportable) {
+    throw new Error(`Vault key ${keyName} is not exportable`);
   }
   
-  // TODO: Implement Vault client integration
-  // This is a placeholder for production implementation
+  const exported = await client.exportEncryptionKeys(keyName);
+  const keyManager = new KeyManager();
+  const configured = new Map();
   
-  throw new Error('Vault integration not yet implemented. Use .env for development.');
+  for (const [versionText, keyBase64] of Object.entries(exported)) {
+    const version = parseInt(versionText, 10);
+    const key = Buffer.from(keyBase64, 'base64');
+    
+    if (!Number.isInteger(version) || version < 1 || version > 65535) {
+      throw new Error(`Invalid Vault key version: ${versionText}`);
+    }
+    if (key.length !== KEY_LENGTH) {
+      key.fill(0);
+      throw new Error(`Vault key ${keyName} version ${version} is not ${KEY_LENGTH} bytes`);
+    }
+    
+    configured.set(version, key);
+  }
+  
+  if (configured.size === 0) {
+    throw new Error(`Vault key ${keyName} exported no versions`);
+  }
+  
+  const activeVersion = env.ENCRYPTION_KEY_VERSION
+    ? parseInt(env.ENCRYPTION_KEY_VERSION, 10)
+    : keyInfo.latest_version;
+  
+  if (!configured.has(activeVersion)) {
+    for (const key of configured.values()) key.fill(0);
+    throw new Error(`Key version ${activeVersion} is not decryptable in Vault key ${keyName}`);
+  }
+  
+  const createdAt = Date.now();
+  for (const [version, key] of configured) {
+    const status = version === activeVersion ? 'active' : 'deprecated';
+    keyManager.addKey(version, key, createdAt, Infinity, status);
+  }
+  
+  console.log(`✅ Loaded ${configured.size} key version(s) from Vault (active: v${activeVersion})`);
+  
+  return keyManager;
 }
 
 /**
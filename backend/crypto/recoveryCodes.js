@@ -0,0 +1,215 @@
+// Path: backend/crypto/recoveryCodes.js
+
+/**
+ * Recovery Codes - Generation and slow hashing
+ *
+ * Purpose: One-time codes a user writes down at enrollment and redeems
+ * when a factor is forgotten (see services/accountRecovery.js).
+ *
+ * Format:
+ * - 16 Crockford base32 characters in 4 groups: "7K2M-9QXD-4HNB-T0WZ"
+ * - 80 bits of entropy per code
+ * - Input is normalized: case-insensitive, dashes/spaces ignored,
+ *   I/L → 1 and O → 0 (Crockford aliases)
+ *
+ * Storage:
+ * - Only scrypt hashes are stored (per-code random salt)
+ * - Encoded as "scrypt$N$r$p$<salt hex>$<hash hex>" so cost can be
+ *   raised later without breaking existing codes
+ *
+ * Tokens:
+ * - Recovery request tokens (completion / cancellation) are 256-bit
+ *   random values; only their SHA-256 is stored (high entropy, no
+ *   slow hash needed)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32
+const CODE_LENGTH = 16;
+const CODE_GROUP = 4;
+const DEFAULT_CODE_COUNT = 10;
+
+const SCRYPT_PARAMS = {
+  N: 16384, // 2^14 (~16 MB)
+  r: 8,
+  p: 1
+};
+const SCRYPT_KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const TOKEN_LENGTH = 32;
+
+// ============================================================================
+// CODES
+// ============================================================================
+
+/**
+ * Generate recovery codes
+ *
+ * @param {number} count - Number of codes (default: 10)
+ * @returns {Array<string>} Formatted codes (shown to the user once)
+ */
+function generateRecoveryCodes(count = DEFAULT_CODE_COUNT) {
+  const codes = [];
+
+  for (let i = 0; i < count; i++) {
+    // 5 bits per character: one random byte per character, low 5 bits
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = '';
+
+    for (let j = 0; j < CODE_LENGTH; j++) {
+      if (j > 0 && j % CODE_GROUP === 0) code += '-';
+      code += CODE_ALPHABET[bytes[j] & 0x1f];
+    }
+
+    codes.push(code);
+  }
+
+  return codes;
+}
+
+/**
+ * Normalize user input to canonical code characters
+ *
+ * @param {string} input - Code as typed by the user
+ * @returns {string|null} Canonical code (16 chars, no dashes) or null if malformed
+ */
+function normalizeRecoveryCode(input) {
+  if (typeof input !== 'string' || input.length > 64) {
+    return null;
+  }
+
+  const canonical = input
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/[IL]/g, '1')
+    .replace(/O/g, '0');
+
+  if (canonical.length !== CODE_LENGTH) {
+    return null;
+  }
+
+  for (const char of canonical) {
+    if (!CODE_ALPHABET.includes(char)) {
+      return null;
+    }
+  }
+
+  return canonical;
+}
+
+// ============================================================================
+// HASHING
+// ============================================================================
+
+/**
+ * Hash a recovery code (scrypt, random salt)
+ *
+ * @param {string} code - Recovery code (any accepted input format)
+ * @returns {Promise<string>} Encoded hash
+ */
+async function hashRecoveryCode(code) {
+  const canonical = normalizeRecoveryCode(code);
+  if (!canonical) {
+    throw new Error('Invalid recovery code format');
+  }
+
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await scrypt(canonical, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+/**
+ * Check a recovery code against an encoded hash (constant-time)
+ *
+ * @param {string} code - Recovery code (any accepted input format)
+ * @param {string} encoded - Encoded hash from hashRecoveryCode
+ * @returns {Promise<boolean>} True if the code matches
+ */
+async function verifyRecoveryCode(code, encoded) {
+  const canonical = normalizeRecoveryCode(code);
+  const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+
+  if (!canonical || parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, N, r, p, saltHex, hashHex] = parts;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(canonical, Buffer.from(saltHex, 'hex'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  });
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// ============================================================================
+// REQUEST TOKENS
+// ============================================================================
+
+/**
+ * Generate a recovery request token
+ *
+ * @returns {Object} { token, tokenHash }
+ */
+function generateRecoveryToken() {
+  const token = crypto.randomBytes(TOKEN_LENGTH).toString('base64url');
+  return { token, tokenHash: hashRecoveryToken(token) };
+}
+
+/**
+ * Hash a recovery request token (SHA-256 hex)
+ *
+ * @param {string} token - Token
+ * @returns {string} Token hash
+ */
+function hashRecoveryToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Compare a token with a stored hash (constant-time)
+ *
+ * @param {string} token - Presented token
+ * @param {string} tokenHash - Stored hash
+ * @returns {boolean} True if the token matches
+ */
+function verifyRecoveryToken(token, tokenHash) {
+  if (typeof token !== 'string' || typeof tokenHash !== 'string') {
+    return false;
+  }
+
+  const actual = Buffer.from(hashRecoveryToken(token), 'hex');
+  const expected = Buffer.from(tokenHash, 'hex');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  verifyRecoveryCode,
+  generateRecoveryToken,
+  hashRecoveryToken,
+  verifyRecoveryToken,
+  DEFAULT_CODE_COUNT
+};
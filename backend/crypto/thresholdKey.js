@@ -0,0 +1,454 @@
+// Path: backend/crypto/thresholdKey.js
+
+/**
+ * Threshold Key Module - K-of-N factor key layer
+ *
+ * Purpose: Let any K of a user's N enrolled factors reconstruct the
+ * key that is wrapped by KMS (Layer 2), instead of requiring all N.
+ *
+ * Architecture:
+ *
+ * ENROLLMENT:
+ * 1. Generate random 32-byte enrollment secret
+ * 2. Split secret into N Shamir shares (threshold K, GF(256))
+ * 3. Derive a share key per factor (Layer 1 KDF + HKDF, factor-name bound,
+ *    salted with a binding key derived from the secret)
+ * 4. Encrypt each share under its factor's share key (AES-256-GCM)
+ * 5. Secret is wrapped with KMS; encrypted shares stored with wrapped key
+ *
+ * VERIFICATION:
+ * 1. Caller unwraps the secret with KMS (binding key source)
+ * 2. Derive share keys from the presented factors + binding key
+ * 3. Decrypt their shares (GCM tag fails for a wrong factor)
+ * 4. Combine ≥ K shares (Lagrange interpolation) → secret
+ * 5. Caller compares secret with the KMS-unwrapped key (constant-time)
+ *
+ * Security:
+ * - Fewer than K shares reveal nothing about the secret (Shamir)
+ * - Encrypted shares are useless without the factor digests
+ * - Share keys need the KMS-held secret: a database dump alone gives
+ *   no offline oracle for guessing a single factor against its share
+ * - Share AAD binds UUID + factor name (no share swapping)
+ * - Memory wiping of secrets, shares and share keys
+ *
+ * Share Envelope (hex):
+ * - IV (12 bytes) + Auth Tag (16 bytes) + Ciphertext (x || y, 33 bytes)
+ *
+ * Versions (threshold_key.version):
+ * - zeropay.share.v2: share keys bound to the KMS-held secret (only
+ *   version accepted)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { deriveKey, getCurrentKdfParams, KEY_LENGTH } = require('./keyDerivation');
+const { wipeBuffer } = require('./memoryWipe');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SHARE_VERSION = 'zeropay.share.v2';
+const SHARE_CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const MAX_SHARES = 255;
+
+// ============================================================================
+// GF(256) ARITHMETIC
+// ============================================================================
+
+// Log/exp tables for GF(2^8) with the AES polynomial (x^8 + x^4 + x^3 + x + 1)
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+
+(function buildTables() {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    // Multiply by generator 3: x * 2 ^ x
+    x ^= (x << 1) ^ ((x & 0x80) ? 0x11b : 0);
+  }
+  for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+/**
+ * Multiply in GF(256)
+ */
+function gfMul(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return EXP[LOG[a] + LOG[b]];
+}
+
+/**
+ * Divide in GF(256)
+ */
+function gfDiv(a, b) {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  if (a === 0) return 0;
+  return EXP[LOG[a] + 255 - LOG[b]];
+}
+
+// ============================================================================
+// SHAMIR SECRET SHARING
+// ============================================================================
+
+/**
+ * Split secret into shares
+ *
+ * @param {Buffer} secret - Secret to split
+ * @param {number} shareCount - Number of shares (N)
+ * @param {number} threshold - Shares needed to recover (K)
+ * @returns {Array<Object>} Shares [{ x, y: Buffer }]
+ */
+function splitSecret(secret, shareCount, threshold) {
+  if (!Buffer.isBuffer(secret) || secret.length === 0) {
+    throw new Error('Secret must be a non-empty Buffer');
+  }
+
+  if (!Number.isInteger(threshold) || threshold < 2) {
+    throw new Error('Threshold must be an integer >= 2');
+  }
+
+  if (!Number.isInteger(shareCount) || shareCount < threshold || shareCount > MAX_SHARES) {
+    throw new Error(`Share count must be between threshold and ${MAX_SHARES}`);
+  }
+
+  const shares = [];
+  for (let i = 1; i <= shareCount; i++) {
+    shares.push({ x: i, y: Buffer.alloc(secret.length) });
+  }
+
+  // One random polynomial of degree K-1 per secret byte
+  const coefficients = Buffer.alloc(threshold);
+
+  try {
+    for (let byte = 0; byte < secret.length; byte++) {
+      coefficients[0] = secret[byte];
+      crypto.randomFillSync(coefficients, 1);
+
+      for (const share of shares) {
+        // Horner evaluation at x
+        let y = 0;
+        for (let c = threshold - 1; c >= 0; c--) {
+          y = gfMul(y, share.x) ^ coefficients[c];
+        }
+        share.y[byte] = y;
+      }
+    }
+
+    return shares;
+
+  } finally {
+    wipeBuffer(coefficients);
+  }
+}
+
+/**
+ * Combine shares into secret (Lagrange interpolation at x = 0)
+ *
+ * @param {Array<Object>} shares - Shares [{ x, y: Buffer }]
+ * @returns {Buffer} Recovered secret
+ */
+function combineShares(shares) {
+  if (!Array.isArray(shares) || shares.length < 2) {
+    throw new Error('At least 2 shares required');
+  }
+
+  const length = shares[0].y.length;
+  const xs = new Set();
+
+  for (const share of shares) {
+    if (!Number.isInteger(share.x) || share.x < 1 || share.x > MAX_SHARES) {
+      throw new Error('Invalid share index');
+    }
+    if (xs.has(share.x)) {
+      throw new Error('Duplicate share index');
+    }
+    if (!Buffer.isBuffer(share.y) || share.y.length !== length) {
+      throw new Error('Inconsistent share length');
+    }
+    xs.add(share.x);
+  }
+
+  const secret = Buffer.alloc(length);
+
+  for (let byte = 0; byte < length; byte++) {
+    let value = 0;
+
+    for (let i = 0; i < shares.length; i++) {
+      // Lagrange basis polynomial l_i(0)
+      let basis = 1;
+      for (let j = 0; j < shares.length; j++) {
+        if (i === j) continue;
+        basis = gfMul(basis, gfDiv(shares[j].x, shares[j].x ^ shares[i].x));
+      }
+      value ^= gfMul(shares[i].y[byte], basis);
+    }
+
+    secret[byte] = value;
+  }
+
+  return secret;
+}
+
+// ============================================================================
+// SHARE ENCRYPTION
+// ============================================================================
+
+/**
+ * Derive binding key from the secret
+ *
+ * Salts every share key, so opening a share needs the KMS-unwrapped
+ * secret as well as the factor.
+ *
+ * @param {Buffer} secret - Threshold secret (KMS-unwrapped at verification)
+ * @returns {Buffer} 32-byte binding key
+ */
+function deriveBindingKey(secret) {
+  return Buffer.from(crypto.hkdfSync(
+    'sha256',
+    secret,
+    Buffer.alloc(0),
+    `${SHARE_VERSION}:binding`,
+    KEY_LENGTH
+  ));
+}
+
+/**
+ * Derive share key for a single factor
+ *
+ * Layer 1 KDF (same parameters as the enrollment) over the factor
+ * digest, then HKDF with the factor name so each factor gets an
+ * independent key.
+ *
+ * @param {string} uuid - User UUID
+ * @param {string} factorName - Factor name
+ * @param {string} digest - Factor digest (hex)
+ * @param {Object} kdfParams - KDF parameters (see keyDerivation.js)
+ * @param {string} version - Share version
+ * @param {Buffer} bindingKey - HKDF salt (see deriveBindingKey)
+ * @returns {Promise<Buffer>} 32-byte share key
+ */
+async function deriveShareKey(uuid, factorName, digest, kdfParams, version, bindingKey) {
+  const stretched = await deriveKey(uuid, { [factorName]: digest }, kdfParams);
+
+  try {
+    return Buffer.from(crypto.hkdfSync(
+      'sha256',
+      stretched,
+      bindingKey,
+      `${version}:${factorName}`,
+      KEY_LENGTH
+    ));
+  } finally {
+    wipeBuffer(stretched);
+  }
+}
+
+/**
+ * Build AAD for a share envelope
+ */
+function shareAAD(uuid, factorName, version) {
+  return Buffer.from(`${version}:${uuid}:${factorName}`, 'utf8');
+}
+
+/**
+ * Encrypt share under share key
+ *
+ * @param {Object} share - { x, y: Buffer }
+ * @param {Buffer} shareKey - Share key
+ * @param {Buffer} aad - Additional authenticated data
+ * @returns {string} Envelope (hex)
+ */
+function sealShare(share, shareKey, aad) {
+  const plaintext = Buffer.concat([Buffer.from([share.x]), share.y]);
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  try {
+    const cipher = crypto.createCipheriv(SHARE_CIPHER, shareKey, iv);
+    cipher.setAAD(aad);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return Buffer.concat([iv, tag, ciphertext]).toString('hex');
+  } finally {
+    wipeBuffer(plaintext);
+  }
+}
+
+/**
+ * Decrypt share envelope
+ *
+ * @param {string} envelopeHex - Envelope (hex)
+ * @param {Buffer} shareKey - Share key
+ * @param {Buffer} aad - Additional authenticated data
+ * @returns {Object|null} { x, y: Buffer } or null if authentication fails
+ */
+function openShare(envelopeHex, shareKey, aad) {
+  try {
+    const envelope = Buffer.from(envelopeHex, 'hex');
+    const iv = envelope.subarray(0, IV_LENGTH);
+    const tag = envelope.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const ciphertext = envelope.subarray(IV_LENGTH + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(SHARE_CIPHER, shareKey, iv);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(tag);
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+
+    const share = { x: plaintext[0], y: Buffer.from(plaintext.subarray(1)) };
+    wipeBuffer(plaintext);
+    return share;
+
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// THRESHOLD KEY OPERATIONS
+// ============================================================================
+
+/**
+ * Create threshold key for enrollment
+ *
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {Object} params.factorDigests - Map of factor names to hex digests (N factors)
+ * @param {number} params.threshold - Factors required to recover (K)
+ * @param {Object} params.kdfParams - Share key KDF parameters (default: current)
+ * @returns {Promise<Object>} { secret: Buffer, shares: { FACTOR: envelopeHex }, version }
+ *   Caller must wipe `secret` after wrapping it.
+ */
+async function createThresholdKey({ uuid, factorDigests, threshold, kdfParams = getCurrentKdfParams() }) {
+  const factorNames = Object.keys(factorDigests).sort();
+  const secret = crypto.randomBytes(KEY_LENGTH);
+  const rawShares = splitSecret(secret, factorNames.length, threshold);
+  const bindingKey = deriveBindingKey(secret);
+  const shares = {};
+
+  try {
+    for (let i = 0; i < factorNames.length; i++) {
+      const name = factorNames[i];
+      const shareKey = await deriveShareKey(uuid, name, factorDigests[name], kdfParams, SHARE_VERSION, bindingKey);
+
+      try {
+        shares[name] = sealShare(rawShares[i], shareKey, shareAAD(uuid, name, SHARE_VERSION));
+      } finally {
+        wipeBuffer(shareKey);
+      }
+    }
+
+    return { secret, shares, version: SHARE_VERSION };
+
+  } catch (error) {
+    wipeBuffer(secret);
+    throw error;
+  } finally {
+    wipeBuffer(bindingKey);
+    for (const share of rawShares) {
+      wipeBuffer(share.y);
+    }
+  }
+}
+
+/**
+ * Recover threshold key from a subset of factors
+ *
+ * Every presented factor must open its share; a single wrong
+ * factor fails the whole recovery.
+ *
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {Object} params.factorDigests - Presented factor digests (≥ K)
+ * @param {Object} params.shares - Encrypted shares from enrollment
+ * @param {number} params.threshold - Factors required (K)
+ * @param {Object} params.kdfParams - Share key KDF parameters from enrollment
+ * @param {Buffer} params.secret - KMS-unwrapped secret (binds the share keys)
+ * @param {string} params.version - Share version from enrollment (default: current)
+ * @returns {Promise<Buffer|null>} Recovered secret, or null on failure
+ */
+async function recoverThresholdKey({
+  uuid,
+  factorDigests,
+  shares,
+  threshold,
+  kdfParams = getCurrentKdfParams(),
+  secret = null,
+  version = SHARE_VERSION
+}) {
+  const factorNames = Object.keys(factorDigests).sort();
+  const opened = [];
+  let allOpened = true;
+
+  if (factorNames.length < threshold) {
+    return null;
+  }
+
+  if (version !== SHARE_VERSION || !Buffer.isBuffer(secret)) {
+    return null;
+  }
+
+  const bindingKey = deriveBindingKey(secret);
+
+  try {
+    for (const name of factorNames) {
+      const envelope = shares[name];
+
+      if (typeof envelope !== 'string') {
+        allOpened = false;
+        continue;
+      }
+
+      const shareKey = await deriveShareKey(uuid, name, factorDigests[name], kdfParams, version, bindingKey);
+
+      try {
+        const share = openShare(envelope, shareKey, shareAAD(uuid, name, version));
+        if (share) {
+          opened.push(share);
+        } else {
+          allOpened = false;
+        }
+      } finally {
+        wipeBuffer(shareKey);
+      }
+    }
+
+    if (!allOpened || opened.length < threshold) {
+      return null;
+    }
+
+    return combineShares(opened);
+
+  } catch {
+    return null;
+  } finally {
+    wipeBuffer(bindingKey);
+    for (const share of opened) {
+      wipeBuffer(share.y);
+    }
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Threshold key layer
+  createThresholdKey,
+  recoverThresholdKey,
+
+  // Shamir primitives (for testing)
+  splitSecret,
+  combineShares,
+
+  // Constants
+  SHARE_VERSION
+};
@@ -0,0 +1,233 @@
+// Path: backend/crypto/vaultClient.js
+
+/**
+ * Vault Transit Client - HashiCorp Vault Transit secrets engine
+ *
+ * Purpose: Minimal HTTP client shared by VaultTransitKMSProvider
+ * (kmsProvider.js, key wrapping) and loadKeysFromVault
+ * (keyManagement.js, at-rest encryption keys).
+ *
+ * Endpoints used (mount default "transit"):
+ * - POST /v1/<mount>/encrypt/<key>             → wrap
+ * - POST /v1/<mount>/decrypt/<key>             → unwrap
+ * - POST /v1/<mount>/rewrap/<key>              → move to latest version
+ * - GET  /v1/<mount>/keys/<key>                → versions, policy
+ * - GET  /v1/<mount>/export/encryption-key/<key> → key material
+ *                                                (exportable keys only)
+ *
+ * Configuration (env):
+ * - VAULT_URL        → e.g. https://vault.internal:8200
+ * - VAULT_TOKEN      → Token (policy limited to the paths above)
+ * - VAULT_NAMESPACE  → Enterprise namespace (optional)
+ * - VAULT_TRANSIT_MOUNT → Transit mount path (default: transit)
+ * - VAULT_TIMEOUT_MS → Request timeout (default: 5000)
+ *
+ * Ciphertexts are Vault's own format ("vault:v<N>:<base64>"), so the
+ * key version travels with every wrapped key.
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const axios = require('axios');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_MOUNT = 'transit';
+const DEFAULT_TIMEOUT_MS = 5000;
+const CIPHERTEXT_PATTERN = /^vault:v(\d+):[A-Za-z0-9+/=]+$/;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Load Vault connection settings from environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} { url, token, namespace, mount, timeoutMs }
+ * @throws {Error} If VAULT_URL or VAULT_TOKEN is missing
+ */
+function loadVaultConfig(env = process.env) {
+  if (!env.VAULT_URL || !env.VAULT_TOKEN) {
+    throw new Error('Vault configuration missing (VAULT_URL, VAULT_TOKEN)');
+  }
+
+  const timeoutMs = parseInt(env.VAULT_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS), 10);
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    throw new Error('VAULT_TIMEOUT_MS must be a positive integer');
+  }
+
+  return Object.freeze({
+    url: env.VAULT_URL.replace(/\/+$/, ''),
+    token: env.VAULT_TOKEN,
+    namespace: env.VAULT_NAMESPACE || null,
+    mount: (env.VAULT_TRANSIT_MOUNT || DEFAULT_MOUNT).replace(/^\/+|\/+$/g, ''),
+    timeoutMs
+  });
+}
+
+/**
+ * Key version of a Transit ciphertext
+ *
+ * @param {string} ciphertext - "vault:v<N>:..."
+ * @returns {number|null} Key version, or null if not a Transit ciphertext
+ */
+function getTransitKeyVersion(ciphertext) {
+  const match = CIPHERTEXT_PATTERN.exec(ciphertext || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+/**
+ * Vault Transit HTTP client
+ */
+class VaultTransitClient {
+  /**
+   * @param {Object} config - From loadVaultConfig()
+   * @param {Object} httpClient - axios-compatible client (default: axios)
+   */
+  constructor(config, httpClient = axios) {
+    this.config = config;
+    this.http = httpClient;
+  }
+
+  /**
+   * Call a Transit endpoint
+   *
+   * @param {string} method - 'GET' or 'POST'
+   * @param {string} path - Path below the mount (e.g. "encrypt/my-key")
+   * @param {Object} body - JSON body (POST)
+   * @returns {Promise<Object>} Response `data` field
+   * @throws {Error} With Vault's error messages (never the token)
+   */
+  async request(method, path, body = null) {
+    const headers = { 'X-Vault-Token': this.config.token };
+    if (this.config.namespace) {
+      headers['X-Vault-Namespace'] = this.config.namespace;
+    }
+
+    try {
+      const response = await this.http.request({
+        method,
+        url: `${this.config.url}/v1/${this.config.mount}/${path}`,
+        data: body || undefined,
+        headers,
+        timeout: this.config.timeoutMs
+      });
+
+      return (response.data && response.data.data) || {};
+
+    } catch (error) {
+      const errors = error.response && error.response.data && error.response.data.errors;
+      const detail = Array.isArray(errors) && errors.length > 0
+        ? errors.join('; ')
+        : error.message;
+      const status = error.response ? ` (${error.response.status})` : '';
+
+      throw new Error(`Vault ${method} ${path}${status}: ${detail}`);
+    }
+  }
+
+  /**
+   * Encrypt with a Transit key
+   *
+   * @param {string} keyName - Transit key
+   * @param {Buffer} plaintext - Data to encrypt
+   * @param {Buffer|null} associatedData - AAD (aes256-gcm96 keys)
+   * @returns {Promise<string>} "vault:v<N>:..." ciphertext
+   */
+  async encrypt(keyName, plaintext, associatedData = null) {
+    const body = { plaintext: plaintext.toString('base64') };
+    if (associatedData) {
+      body.associated_data = associatedData.toString('base64');
+    }
+
+    const data = await this.request('POST', `encrypt/${encodeURIComponent(keyName)}`, body);
+    if (!data.ciphertext) {
+      throw new Error('Vault encrypt returned no ciphertext');
+    }
+
+    return data.ciphertext;
+  }
+
+  /**
+   * Decrypt with a Transit key
+   *
+   * @param {string} keyName - Transit key
+   * @param {string} ciphertext - "vault:v<N>:..." ciphertext
+   * @param {Buffer|null} associatedData - AAD given at encryption
+   * @returns {Promise<Buffer>} Plaintext
+   */
+  async decrypt(keyName, ciphertext, associatedData = null) {
+    const body = { ciphertext };
+    if (associatedData) {
+      body.associated_data = associatedData.toString('base64');
+    }
+
+    const data = await this.request('POST', `decrypt/${encodeURIComponent(keyName)}`, body);
+    if (typeof data.plaintext !== 'string') {
+      throw new Error('Vault decrypt returned no plaintext');
+    }
+
+    return Buffer.from(data.plaintext, 'base64');
+  }
+
+  /**
+   * Re-encrypt under the latest key version (plaintext stays in Vault)
+   *
+   * @param {string} keyName - Transit key
+   * @param {string} ciphertext - Existing ciphertext
+   * @param {Buffer|null} associatedData - AAD given at encryption
+   * @returns {Promise<string>} New ciphertext
+   */
+  async rewrap(keyName, ciphertext, associatedData = null) {
+    const body = { ciphertext };
+    if (associatedData) {
+      body.associated_data = associatedData.toString('base64');
+    }
+
+    const data = await this.request('POST', `rewrap/${encodeURIComponent(keyName)}`, body);
+    if (!data.ciphertext) {
+      throw new Error('Vault rewrap returned no ciphertext');
+    }
+
+    return data.ciphertext;
+  }
+
+  /**
+   * Read key policy (versions, type, exportable)
+   *
+   * @param {string} keyName - Transit key
+   * @returns {Promise<Object>} Vault key data
+   */
+  async readKey(keyName) {
+    return this.request('GET', `keys/${encodeURIComponent(keyName)}`);
+  }
+
+  /**
+   * Export key material (all decryptable versions)
+   *
+   * @param {string} keyName - Transit key (exportable=true)
+   * @returns {Promise<Object>} version → base64 key
+   */
+  async exportEncryptionKeys(keyName) {
+    const data = await this.request('GET', `export/encryption-key/${encodeURIComponent(keyName)}`);
+    return data.keys || {};
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  VaultTransitClient,
+  loadVaultConfig,
+  getTransitKeyVersion
+};
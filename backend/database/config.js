@@ -0,0 +1,58 @@
+// Path: backend/database/config.js
+
+/**
+ * PostgreSQL Connection Settings
+ *
+ * Shared by the connection pool (database.js) and the database scripts
+ * (scripts/migrate.js, scripts/setupDatabase.js) so they reach the same
+ * database.
+ *
+ * - DATABASE_URL: connection string (takes precedence over the fields below)
+ * - DB_HOST, DB_PORT, DB_NAME, DB_USER, DB_PASSWORD
+ * - DB_SSL_CA, DB_SSL_CERT, DB_SSL_KEY: TLS in production
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Load connection settings
+ *
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} pg Client / Pool connection options
+ */
+function loadDatabaseConfig(env = process.env) {
+  const config = {
+    host: env.DB_HOST || 'localhost',
+    port: parseInt(env.DB_PORT) || 5432,
+    database: env.DB_NAME || 'zeropay',
+    user: env.DB_USER || 'zeropay_backend',
+    password: env.DB_PASSWORD,
+
+    // SSL/TLS for production
+    ssl: env.NODE_ENV === 'production' ? {
+      rejectUnauthorized: true,
+      ca: env.DB_SSL_CA,
+      cert: env.DB_SSL_CERT,
+      key: env.DB_SSL_KEY
+    } : false
+  };
+
+  if (env.DATABASE_URL) {
+    config.connectionString = env.DATABASE_URL;
+  }
+
+  return config;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadDatabaseConfig
+};
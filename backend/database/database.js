@@ -6,17 +6,25 @@
  * Purpose: Store wrapped encryption keys (NOT in Redis)
  * 
  * Architecture:
- * - Redis: Factor digests (24h TTL, encrypted)
- * - PostgreSQL: Wrapped keys (permanent, until GDPR deletion)
+ * - Redis: Factor digests cache (24h TTL, encrypted)
+ * - PostgreSQL: Wrapped keys + sealed enrollment records
+ *   (permanent, until GDPR deletion)
  * 
  * Why Separate Database?
  * - Redis is ephemeral (24h TTL)
  * - Wrapped keys must persist for key rotation
+ * - Enrollment records must outlive the Redis TTL (cache rehydration)
  * - GDPR requires permanent deletion capability
  * - Wrapped keys enable cryptographic deletion
  * 
+ * Schema:
+ * - Defined by the migrations in database/migrations/ (migrator.js),
+ *   applied on first require and by npm run db:migrate
+ * 
  * Security:
  * - Wrapped keys stored (NOT raw keys)
+ * - Wrapped keys bound to their row (uuid + key_version KMS encryption
+ *   context, stored in encryption_context)
  * - Encryption at rest (PostgreSQL + disk encryption)
  * - Row-level security (RLS)
  * - Audit logging
@@ -33,31 +41,21 @@
  */
 
 const { Pool } = require('pg');
+const { loadDatabaseConfig } = require('./config');
+const { migrate } = require('./migrator');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT) || 5432,
-  database: process.env.DB_NAME || 'zeropay',
-  user: process.env.DB_USER || 'zeropay_backend',
-  password: process.env.DB_PASSWORD,
+  ...loadDatabaseConfig(),
   
   // Connection pool settings
   max: 20,                    // Maximum pool size
   min: 2,                     // Minimum pool size
   idleTimeoutMillis: 30000,   // Close idle clients after 30s
-  connectionTimeoutMillis: 5000, // Timeout after 5s
-  
-  // SSL/TLS for production
-  ssl: process.env.NODE_ENV === 'production' ? {
-    rejectUnauthorized: true,
-    ca: process.env.DB_SSL_CA,
-    cert: process.env.DB_SSL_CERT,
-    key: process.env.DB_SSL_KEY
-  } : false
+  connectionTimeoutMillis: 5000 // Timeout after 5s
 });
 
 // Error handling
@@ -78,8 +76,15 @@ pool.on('connect', () => {
 /**
  * Initialize database schema
  * 
+ * Applies pending migrations (database/migrations/, see migrator.js).
+ * 
  * Tables:
- * - wrapped_keys: Store wrapped encryption keys
+ * - wrapped_keys: Store wrapped encryption keys (+ sealed enrollment record)
+ * - key_rotation_history: Previous wrapped keys (30-day retention)
+ * - user_devices: Devices enrolled per user (+ device public key, attestation verdict)
+ * - recovery_codes: Recovery code hashes (scrypt, single use)
+ * - recovery_requests: Time-delayed factor resets
+ * - kms_rotation_jobs: Bulk master key re-wrap jobs
  * - audit_log: GDPR compliance logging
  * 
  * @returns {Promise<void>}
@@ -88,65 +93,11 @@ async function initializeSchema() {
   const client = await pool.connect();
   
   try {
-    await client.query('BEGIN');
-    
-    // Table: wrapped_keys
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS wrapped_keys (
-        uuid VARCHAR(36) PRIMARY KEY,
-        wrapped_key TEXT NOT NULL,
-        kms_key_id VARCHAR(256) NOT NULL,
-        key_version INTEGER NOT NULL DEFAULT 1,
-        factor_count INTEGER NOT NULL,
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        last_accessed_at TIMESTAMPTZ,
-        device_id VARCHAR(128),
-        metadata JSONB DEFAULT '{}'::jsonb
-      )
-    `);
-    
-    // Indexes for performance
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_wrapped_keys_created_at 
-      ON wrapped_keys(created_at);
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_wrapped_keys_device_id 
-      ON wrapped_keys(device_id);
-    `);
-    
-    // Table: audit_log (GDPR compliance)
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS audit_log (
-        id SERIAL PRIMARY KEY,
-        uuid VARCHAR(36) NOT NULL,
-        action VARCHAR(50) NOT NULL,
-        timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        ip_address INET,
-        user_agent TEXT,
-        details JSONB DEFAULT '{}'::jsonb
-      )
-    `);
-    
-    // Index for audit queries
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_audit_log_uuid 
-      ON audit_log(uuid);
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp 
-      ON audit_log(timestamp);
-    `);
+    const applied = await migrate(client);
     
-    await client.query('COMMIT');
-    
-    console.log('✅ Database schema initialized');
+    console.log(`✅ Database schema initialized (${applied.length} migration(s) applied)`);
     
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('❌ Schema initialization failed:', error.message);
     throw error;
   } finally {
@@ -159,7 +110,30 @@ async function initializeSchema() {
 // ============================================================================
 
 /**
- * Store wrapped encryption key
+ * Check a KMS encryption context belongs to the row it is stored on
+ * 
+ * Wrapped keys only unwrap under { uuid, key_version } of their own row
+ * (see crypto/doubleLayerCrypto.js); a mismatch here means the key would
+ * be unusable once stored, so the write is refused.
+ * 
+ * @param {Object} encryptionContext - Context the key was wrapped with
+ * @param {string} uuid - Row UUID
+ * @param {number} keyVersion - Row key version
+ * @throws {Error} If the context is missing or for another row
+ */
+function checkEncryptionContext(encryptionContext, uuid, keyVersion) {
+  if (!encryptionContext ||
+      encryptionContext.uuid !== uuid ||
+      encryptionContext.key_version !== String(keyVersion)) {
+    throw new Error(`Encryption context does not match wrapped key row (${uuid.slice(0, 8)}..., v${keyVersion})`);
+  }
+}
+
+/**
+ * Store wrapped encryption key (first enrollment only)
+ * 
+ * Insert-only: an existing enrollment is never overwritten here (factor
+ * changes go through rotateWrappedKey, which needs proof of the old factors).
  * 
  * @param {Object} params
  * @param {string} params.uuid - User UUID
@@ -169,8 +143,13 @@ async function initializeSchema() {
  * @param {number} params.factorCount - Number of factors enrolled
  * @param {string} params.deviceId - Device identifier
  * @param {Object} params.metadata - Additional metadata
+ * @param {string} params.sealedEnrollment - Enrollment record sealed under the derived key (hex)
+ * @param {Object} params.kdfParams - KDF parameters of the derived key (null = legacy)
+ * @param {Array<string>} params.kmsProviders - Providers holding a copy of the wrapped key
+ * @param {Object} params.encryptionContext - KMS encryption context (must match uuid + keyVersion)
+ * @param {Object} params.device - Enrolling device binding { deviceName, publicKey, keyFingerprint, attestation }
  * @param {string} params.ipAddress - Client IP (for audit)
- * @returns {Promise<Object>} Inserted record
+ * @returns {Promise<Object|null>} Inserted record, or null if the UUID is already enrolled
  */
 async function storeWrappedKey({
   uuid,
@@ -180,6 +159,11 @@ async function storeWrappedKey({
   factorCount,
   deviceId,
   metadata = {},
+  sealedEnrollment = null,
+  kdfParams = null,
+  kmsProviders = null,
+  encryptionContext,
+  device = {},
   ipAddress
 }) {
   // Validation
@@ -198,34 +182,49 @@ async function storeWrappedKey({
     throw new Error('Wrapped key must be hexadecimal');
   }
   
+  if (sealedEnrollment !== null && !/^[0-9a-f]+$/i.test(sealedEnrollment)) {
+    throw new Error('Sealed enrollment must be hexadecimal');
+  }
+  
   // Validate factor count (PSD3: min 2)
   if (factorCount < 2 || factorCount > 10) {
     throw new Error('Factor count must be between 2 and 10');
   }
   
+  checkEncryptionContext(encryptionContext, uuid, keyVersion);
+  
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
-    // Upsert wrapped key
+    // Insert wrapped key (concurrent enrollments: first insert wins)
     const result = await client.query(
       `INSERT INTO wrapped_keys (
         uuid, wrapped_key, kms_key_id, key_version, 
-        factor_count, device_id, metadata, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-      ON CONFLICT (uuid) DO UPDATE SET
-        wrapped_key = EXCLUDED.wrapped_key,
-        kms_key_id = EXCLUDED.kms_key_id,
-        key_version = EXCLUDED.key_version,
-        factor_count = EXCLUDED.factor_count,
-        device_id = EXCLUDED.device_id,
-        metadata = EXCLUDED.metadata,
-        updated_at = NOW()
+        factor_count, device_id, metadata, sealed_enrollment, kdf_params, kms_providers,
+        encryption_context, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+      ON CONFLICT (uuid) DO NOTHING
       RETURNING *`,
-      [uuid, wrappedKey, kmsKeyId, keyVersion, factorCount, deviceId, JSON.stringify(metadata)]
+      [
+        uuid, wrappedKey, kmsKeyId, keyVersion, factorCount, deviceId,
+        JSON.stringify(metadata), sealedEnrollment, kdfParams ? JSON.stringify(kdfParams) : null,
+        kmsProviders ? JSON.stringify(kmsProviders) : null, JSON.stringify(encryptionContext)
+      ]
     );
     
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      console.warn(`⚠️  Enrollment refused, UUID already enrolled: ${uuid.slice(0, 8)}...`);
+      return null;
+    }
+    
+    // Enrolling device joins the user's devices (others stay active)
+    if (deviceId) {
+      await upsertDevice(client, { uuid, deviceId, ...device });
+    }
+    
     // Audit log
     await client.query(
       `INSERT INTO audit_log (uuid, action, ip_address, details)
@@ -234,7 +233,13 @@ async function storeWrappedKey({
         uuid,
         'STORE_WRAPPED_KEY',
         ipAddress,
-        JSON.stringify({ factor_count: factorCount, key_version: keyVersion })
+        JSON.stringify({
+          factor_count: factorCount,
+          key_version: keyVersion,
+          sealed_enrollment: sealedEnrollment !== null,
+          kdf: kdfParams ? kdfParams.algorithm : null,
+          kms_providers: kmsProviders
+        })
       ]
     );
     
@@ -410,83 +415,151 @@ async function hasWrappedKey(uuid) {
 }
 
 // ============================================================================
-// AUDIT LOG OPERATIONS
+// KEY ROTATION
 // ============================================================================
 
 /**
- * Get audit log for a UUID (GDPR compliance)
+ * Replace wrapped key and record the rotation
  * 
- * @param {string} uuid - User UUID
- * @param {Object} options - Query options
- * @param {number} options.limit - Max records (default: 100)
- * @param {number} options.offset - Offset (default: 0)
- * @returns {Promise<Array>} Audit log records
+ * Single transaction:
+ * 1. Lock current row (FOR UPDATE)
+ * 2. Check key version has not moved since the caller read it
+ *    and the new key is bound to the next one
+ * 3. Write new wrapped key (key_version + 1)
+ * 4. Insert key_rotation_history row (old key, 30-day retention)
+ * 5. Audit log
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {number} params.expectedKeyVersion - Key version the new key was derived against
+ * @param {string} params.wrappedKey - New KMS-wrapped key (hex)
+ * @param {string} params.kmsKeyId - KMS key ID used for wrapping
+ * @param {number} params.factorCount - Number of factors enrolled
+ * @param {string} params.deviceId - Device identifier
+ * @param {Object} params.metadata - Additional metadata
+ * @param {string} params.sealedEnrollment - Sealed enrollment record (hex)
+ * @param {Object} params.kdfParams - KDF parameters of the new key (null = legacy)
+ * @param {Array<string>} params.kmsProviders - Providers holding a copy of the new wrapped key
+ * @param {Object} params.encryptionContext - KMS encryption context (uuid, expectedKeyVersion + 1)
+ * @param {string} params.rotationReason - Why the key rotated (e.g. 'factor_add')
+ * @param {string} params.rotatedBy - Actor (e.g. 'user', 'admin')
+ * @param {Object} params.auditDetails - Extra audit log details (no digests)
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<Object|null>} Updated record, or null if not found or
+ *   the key version changed concurrently
  */
-async function getAuditLog(uuid, { limit = 100, offset = 0 } = {}) {
+async function rotateWrappedKey({
+  uuid,
+  expectedKeyVersion,
+  wrappedKey,
+  kmsKeyId,
+  factorCount,
+  deviceId,
+  metadata = {},
+  sealedEnrollment = null,
+  kdfParams = null,
+  kmsProviders = null,
+  encryptionContext,
+  rotationReason,
+  rotatedBy = 'user',
+  auditDetails = {},
+  ipAddress
+}) {
   // Validation
-  if (!uuid) {
-    throw new Error('UUID required');
+  if (!uuid || !wrappedKey || !kmsKeyId || !factorCount || !expectedKeyVersion) {
+    throw new Error('Missing required fields: uuid, wrappedKey, kmsKeyId, factorCount, expectedKeyVersion');
   }
   
-  try {
-    const result = await pool.query(
-      `SELECT * FROM audit_log 
-       WHERE uuid = $1 
-       ORDER BY timestamp DESC 
-       LIMIT $2 OFFSET $3`,
-      [uuid, limit, offset]
-    );
-    
-    return result.rows;
-    
-  } catch (error) {
-    console.error('❌ Failed to retrieve audit log:', error.message);
-    throw error;
+  if (!/^[0-9a-f]+$/i.test(wrappedKey)) {
+    throw new Error('Wrapped key must be hexadecimal');
   }
-}
-
-/**
- * Export user data (GDPR Article 15 - Right of Access)
- * 
- * @param {string} uuid - User UUID
- * @returns {Promise<Object>} User data export
- */
-async function exportUserData(uuid) {
-  // Validation
-  if (!uuid) {
-    throw new Error('UUID required');
+  
+  if (factorCount < 2 || factorCount > 10) {
+    throw new Error('Factor count must be between 2 and 10');
   }
   
+  checkEncryptionContext(encryptionContext, uuid, expectedKeyVersion + 1);
+  
   const client = await pool.connect();
   
   try {
-    // Get wrapped key metadata (NOT the key itself)
-    const wrappedKeyResult = await client.query(
-      `SELECT uuid, kms_key_id, key_version, factor_count, 
-              created_at, updated_at, last_accessed_at, device_id
-       FROM wrapped_keys 
-       WHERE uuid = $1`,
+    await client.query('BEGIN');
+    
+    const current = await client.query(
+      `SELECT wrapped_key, kms_key_id, key_version, kdf_params FROM wrapped_keys 
+       WHERE uuid = $1 FOR UPDATE`,
       [uuid]
     );
     
-    // Get audit log
-    const auditLogResult = await client.query(
-      `SELECT action, timestamp, ip_address, details
-       FROM audit_log 
-       WHERE uuid = $1 
-       ORDER BY timestamp DESC`,
-      [uuid]
+    if (current.rows.length === 0 || current.rows[0].key_version !== expectedKeyVersion) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const old = current.rows[0];
+    const newKeyVersion = old.key_version + 1;
+    
+    const result = await client.query(
+      `UPDATE wrapped_keys SET
+        wrapped_key = $2,
+        kms_key_id = $3,
+        key_version = $4,
+        factor_count = $5,
+        device_id = $6,
+        metadata = $7,
+        sealed_enrollment = $8,
+        kdf_params = $9,
+        kms_providers = $10,
+        encryption_context = $11,
+        updated_at = NOW()
+      WHERE uuid = $1
+      RETURNING *`,
+      [
+        uuid, wrappedKey, kmsKeyId, newKeyVersion, factorCount, deviceId,
+        JSON.stringify(metadata), sealedEnrollment, kdfParams ? JSON.stringify(kdfParams) : null,
+        kmsProviders ? JSON.stringify(kmsProviders) : null, JSON.stringify(encryptionContext)
+      ]
     );
     
-    return {
-      uuid,
-      wrapped_key_metadata: wrappedKeyResult.rows[0] || null,
-      audit_log: auditLogResult.rows,
-      export_date: new Date().toISOString()
-    };
+    await client.query(
+      `INSERT INTO key_rotation_history (
+        uuid, old_wrapped_key, old_key_version, old_kms_key_id, old_kdf_params,
+        new_key_version, new_kms_key_id, rotation_reason, rotated_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        uuid, old.wrapped_key, old.key_version, old.kms_key_id,
+        old.kdf_params ? JSON.stringify(old.kdf_params) : null,
+        newKeyVersion, kmsKeyId, rotationReason, rotatedBy
+      ]
+    );
+    
+    // Audit log
+    await client.query(
+      `INSERT INTO audit_log (uuid, action, ip_address, details)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        uuid,
+        'ROTATE_WRAPPED_KEY',
+        ipAddress,
+        JSON.stringify({
+          ...auditDetails,
+          reason: rotationReason,
+          factor_count: factorCount,
+          old_key_version: old.key_version,
+          new_key_version: newKeyVersion
+        })
+      ]
+    );
+    
+    await client.query('COMMIT');
+    
+    console.log(`✅ Rotated wrapped key for UUID: ${uuid.slice(0, 8)}... (v${old.key_version} → v${newKeyVersion})`);
+    
+    return result.rows[0];
     
   } catch (error) {
-    console.error('❌ Failed to export user data:', error.message);
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to rotate wrapped key:', error.message);
     throw error;
   } finally {
     client.release();
@@ -494,79 +567,851 @@ async function exportUserData(uuid) {
 }
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// KMS MASTER KEY ROTATION
 // ============================================================================
 
+// Advisory lock held for the whole job (released if the process dies)
+const KMS_ROTATION_LOCK = [0x5a50, 1];
+
 /**
- * Health check
+ * Count wrapped keys (rotation progress total)
  * 
- * @returns {Promise<boolean>} True if database is healthy
+ * @returns {Promise<number>} Number of wrapped_keys rows
  */
-async function healthCheck() {
+async function countWrappedKeys() {
+  const result = await pool.query(`SELECT COUNT(*) AS count FROM wrapped_keys`);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Page through wrapped keys in UUID order (keyset, resumable)
+ * 
+ * @param {string|null} afterUuid - Last UUID of the previous page (null = start)
+ * @param {number} limit - Page size
+ * @returns {Promise<Array<Object>>} Rows (fields rotateWrappedKey needs)
+ */
+async function listWrappedKeysAfter(afterUuid, limit) {
+  const result = await pool.query(
+    `SELECT uuid, wrapped_key, kms_key_id, key_version, factor_count, device_id,
+            metadata, sealed_enrollment, kdf_params, kms_providers
+     FROM wrapped_keys
+     WHERE $1::VARCHAR IS NULL OR uuid > $1
+     ORDER BY uuid
+     LIMIT $2`,
+    [afterUuid, limit]
+  );
+  
+  return result.rows;
+}
+
+/**
+ * Insert or update a rotation job record
+ * 
+ * @param {Object} job - Job record (id, status, counts, cursor...)
+ * @returns {Promise<void>}
+ */
+async function saveKmsRotationJob(job) {
+  await pool.query(
+    `INSERT INTO kms_rotation_jobs (id, status, job, created_at, updated_at)
+     VALUES ($1, $2, $3, NOW(), NOW())
+     ON CONFLICT (id) DO UPDATE SET
+       status = EXCLUDED.status,
+       job = EXCLUDED.job,
+       updated_at = NOW()`,
+    [job.id, job.status, JSON.stringify(job)]
+  );
+}
+
+/**
+ * Most recent rotation job
+ * 
+ * @returns {Promise<Object|null>} Job record or null if none ran
+ */
+async function getLastKmsRotationJob() {
+  const result = await pool.query(
+    `SELECT job FROM kms_rotation_jobs ORDER BY created_at DESC LIMIT 1`
+  );
+  
+  return result.rows.length > 0 ? result.rows[0].job : null;
+}
+
+/**
+ * Take the rotation lock (one job across instances and the CLI)
+ * 
+ * Session-level advisory lock on a dedicated connection: a crashed
+ * process drops the connection and with it the lock.
+ * 
+ * @returns {Promise<Object|null>} { release() } or null if held elsewhere
+ */
+async function acquireKmsRotationLock() {
+  const client = await pool.connect();
+  
   try {
-    const result = await pool.query('SELECT 1');
-    return result.rowCount === 1;
+    const result = await client.query(
+      `SELECT pg_try_advisory_lock($1, $2) AS locked`,
+      KMS_ROTATION_LOCK
+    );
+    
+    if (!result.rows[0].locked) {
+      client.release();
+      return null;
+    }
   } catch (error) {
-    console.error('❌ Database health check failed:', error.message);
-    return false;
+    client.release();
+    throw error;
   }
+  
+  return {
+    release: async () => {
+      try {
+        await client.query(`SELECT pg_advisory_unlock($1, $2)`, KMS_ROTATION_LOCK);
+      } finally {
+        client.release();
+      }
+    }
+  };
 }
 
 /**
- * Close database connections (graceful shutdown)
+ * Whether a rotation job holds the lock (running somewhere)
  * 
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} True if locked
  */
-async function close() {
-  await pool.end();
-  console.log('✅ Database connections closed');
+async function isKmsRotationLocked() {
+  const result = await pool.query(
+    `SELECT 1 FROM pg_locks
+     WHERE locktype = 'advisory' AND classid = $1 AND objid = $2 AND objsubid = 2 AND granted`,
+    KMS_ROTATION_LOCK
+  );
+  
+  return result.rows.length > 0;
+}
+
+// ============================================================================
+// DEVICE OPERATIONS
+// ============================================================================
+
+const DEVICE_COLUMNS = `device_id, device_name, key_fingerprint, attestation, status,
+              created_at, last_used_at, revoked_at`;
+
+/**
+ * Insert or re-activate a device (inside an open transaction)
+ * 
+ * @param {Object} client - Pool client (transaction open)
+ * @param {Object} params - See registerDevice
+ * @returns {Promise<Object>} Device record
+ */
+async function upsertDevice(client, {
+  uuid,
+  deviceId,
+  deviceName = null,
+  publicKey = null,
+  keyFingerprint = null,
+  attestation = null
+}) {
+  const result = await client.query(
+    `INSERT INTO user_devices (uuid, device_id, device_name, public_key, key_fingerprint, attestation)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (uuid, device_id) DO UPDATE SET
+       device_name = COALESCE(EXCLUDED.device_name, user_devices.device_name),
+       public_key = COALESCE(EXCLUDED.public_key, user_devices.public_key),
+       key_fingerprint = COALESCE(EXCLUDED.key_fingerprint, user_devices.key_fingerprint),
+       attestation = COALESCE(EXCLUDED.attestation, user_devices.attestation),
+       status = 'active',
+       revoked_at = NULL
+     RETURNING ${DEVICE_COLUMNS}`,
+    [uuid, deviceId, deviceName, publicKey, keyFingerprint, attestation ? JSON.stringify(attestation) : null]
+  );
+  
+  return result.rows[0];
 }
 
 /**
- * Get database statistics
+ * Register a device for an enrolled user
  * 
- * @returns {Promise<Object>} Database stats
+ * Re-registering a device re-activates it; a new public key replaces
+ * the old one, no key keeps the old one (a binding is never dropped).
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.deviceId - Device identifier
+ * @param {string} params.deviceName - Display name (optional)
+ * @param {string} params.publicKey - Device public key, PEM (optional)
+ * @param {string} params.keyFingerprint - SHA-256 of the public key (hex)
+ * @param {Object} params.attestation - Attestation verdict (optional)
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<Object>} Device record (without public key)
  */
-async function getStats() {
+async function registerDevice({ uuid, deviceId, deviceName, publicKey, keyFingerprint, attestation, ipAddress }) {
+  if (!uuid || !deviceId) {
+    throw new Error('Missing required fields: uuid, deviceId');
+  }
+  
+  const client = await pool.connect();
+  
   try {
-    const wrappedKeysResult = await pool.query(
-      `SELECT COUNT(*) as count FROM wrapped_keys`
-    );
+    await client.query('BEGIN');
     
-    const auditLogResult = await pool.query(
-      `SELECT COUNT(*) as count FROM audit_log`
+    const device = await upsertDevice(client, { uuid, deviceId, deviceName, publicKey, keyFingerprint, attestation });
+    
+    await client.query(
+      `INSERT INTO audit_log (uuid, action, ip_address, details)
+       VALUES ($1, $2, $3, $4)`,
+      [uuid, 'REGISTER_DEVICE', ipAddress, JSON.stringify({
+        device_id: deviceId,
+        key_fingerprint: keyFingerprint || null,
+        attestation: attestation ? { format: attestation.format || null, valid: attestation.valid, reason: attestation.reason } : null
+      })]
     );
     
-    return {
-      wrapped_keys_count: parseInt(wrappedKeysResult.rows[0].count),
-      audit_log_count: parseInt(auditLogResult.rows[0].count),
-      pool_total: pool.totalCount,
-      pool_idle: pool.idleCount,
-      pool_waiting: pool.waitingCount
-    };
+    await client.query('COMMIT');
+    
+    console.log(`✅ Registered device for UUID: ${uuid.slice(0, 8)}...`);
+    
+    return device;
     
   } catch (error) {
-    console.error('❌ Failed to get database stats:', error.message);
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to register device:', error.message);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
-// ============================================================================
-// EXPORTS
-// ============================================================================
-
-module.exports = {
-  // Setup
-  initializeSchema,
-  close,
+/**
+ * List a user's devices (active and revoked, no public keys)
+ * 
+ * @param {string} uuid - User UUID
+ * @returns {Promise<Array>} Device records
+ */
+async function listDevices(uuid) {
+  if (!uuid) {
+    throw new Error('UUID required');
+  }
   
-  // Wrapped key operations
-  storeWrappedKey,
-  getWrappedKey,
-  deleteWrappedKey,
+  try {
+    const result = await pool.query(
+      `SELECT ${DEVICE_COLUMNS} FROM user_devices 
+       WHERE uuid = $1 
+       ORDER BY created_at`,
+      [uuid]
+    );
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('❌ Failed to list devices:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's active devices with their public keys (verification)
+ * 
+ * @param {string} uuid - User UUID
+ * @returns {Promise<Array>} [{ device_id, public_key }]
+ */
+async function getActiveDevices(uuid) {
+  if (!uuid) {
+    throw new Error('UUID required');
+  }
+  
+  try {
+    const result = await pool.query(
+      `SELECT device_id, public_key FROM user_devices 
+       WHERE uuid = $1 AND status = 'active'`,
+      [uuid]
+    );
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('❌ Failed to retrieve active devices:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Rename a device
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.deviceId - Device identifier
+ * @param {string} params.deviceName - New display name
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<Object|null>} Device record or null if not found
+ */
+async function renameDevice({ uuid, deviceId, deviceName, ipAddress }) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      `UPDATE user_devices SET device_name = $3 
+       WHERE uuid = $1 AND device_id = $2 
+       RETURNING ${DEVICE_COLUMNS}`,
+      [uuid, deviceId, deviceName]
+    );
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    await client.query(
+      `INSERT INTO audit_log (uuid, action, ip_address, details)
+       VALUES ($1, $2, $3, $4)`,
+      [uuid, 'RENAME_DEVICE', ipAddress, JSON.stringify({ device_id: deviceId })]
+    );
+    
+    await client.query('COMMIT');
+    
+    return result.rows[0];
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to rename device:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke a device (verification from it is refused from now on)
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.deviceId - Device identifier
+ * @param {string} params.reason - Revocation reason (for audit)
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<Object|null>} Device record or null if not active
+ */
+async function revokeDevice({ uuid, deviceId, reason = 'user_request', ipAddress }) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      `UPDATE user_devices SET status = 'revoked', revoked_at = NOW() 
+       WHERE uuid = $1 AND device_id = $2 AND status = 'active' 
+       RETURNING ${DEVICE_COLUMNS}`,
+      [uuid, deviceId]
+    );
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    await client.query(
+      `INSERT INTO audit_log (uuid, action, ip_address, details)
+       VALUES ($1, $2, $3, $4)`,
+      [uuid, 'REVOKE_DEVICE', ipAddress, JSON.stringify({ device_id: deviceId, reason })]
+    );
+    
+    await client.query('COMMIT');
+    
+    console.log(`✅ Revoked device for UUID: ${uuid.slice(0, 8)}...`);
+    
+    return result.rows[0];
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to revoke device:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record successful use of a device
+ * 
+ * @param {string} uuid - User UUID
+ * @param {string} deviceId - Device identifier
+ * @returns {Promise<void>}
+ */
+async function touchDevice(uuid, deviceId) {
+  await pool.query(
+    `UPDATE user_devices SET last_used_at = NOW() WHERE uuid = $1 AND device_id = $2`,
+    [uuid, deviceId]
+  );
+}
+
+// ============================================================================
+// RECOVERY OPERATIONS
+// ============================================================================
+
+/**
+ * Replace a user's recovery codes (previous codes stop working)
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {Array<string>} params.codeHashes - Encoded scrypt hashes
+ * @param {string} params.reason - Why codes were issued (for audit)
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<number>} Codes stored
+ */
+async function replaceRecoveryCodes({ uuid, codeHashes, reason = 'enrollment', ipAddress }) {
+  if (!uuid || !Array.isArray(codeHashes) || codeHashes.length === 0) {
+    throw new Error('Missing required fields: uuid, codeHashes');
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    await client.query(`DELETE FROM recovery_codes WHERE uuid = $1`, [uuid]);
+    
+    for (const codeHash of codeHashes) {
+      await client.query(
+        `INSERT INTO recovery_codes (uuid, code_hash) VALUES ($1, $2)`,
+        [uuid, codeHash]
+      );
+    }
+    
+    await client.query(
+      `INSERT INTO audit_log (uuid, action, ip_address, details)
+       VALUES ($1, $2, $3, $4)`,
+      [uuid, 'RECOVERY_CODES_ISSUED', ipAddress, JSON.stringify({ count: codeHashes.length, reason })]
+    );
+    
+    await client.query('COMMIT');
+    
+    console.log(`✅ Issued ${codeHashes.length} recovery codes for UUID: ${uuid.slice(0, 8)}...`);
+    
+    return codeHashes.length;
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to store recovery codes:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get unused recovery code hashes
+ * 
+ * @param {string} uuid - User UUID
+ * @returns {Promise<Array>} [{ id, code_hash }]
+ */
+async function getUnusedRecoveryCodes(uuid) {
+  if (!uuid) {
+    throw new Error('UUID required');
+  }
+  
+  try {
+    const result = await pool.query(
+      `SELECT id, code_hash FROM recovery_codes 
+       WHERE uuid = $1 AND used_at IS NULL 
+       ORDER BY id`,
+      [uuid]
+    );
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('❌ Failed to retrieve recovery codes:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Consume a recovery code and open a recovery request
+ * 
+ * Single transaction: the code is marked used only if it is still
+ * unused and the user has no other open request.
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {number} params.codeId - Matched recovery code ID
+ * @param {string} params.requestId - New request ID
+ * @param {string} params.completionTokenHash - SHA-256 of completion token
+ * @param {string} params.cancelTokenHash - SHA-256 of cancel token
+ * @param {Date} params.executableAt - Earliest completion time
+ * @param {Date} params.expiresAt - Latest completion time
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<Object|null>} Request record, or null if the code was
+ *   already used or another request is open
+ */
+async function createRecoveryRequest({
+  uuid,
+  codeId,
+  requestId,
+  completionTokenHash,
+  cancelTokenHash,
+  executableAt,
+  expiresAt,
+  ipAddress
+}) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Serialize recovery per user
+    await client.query(`SELECT 1 FROM wrapped_keys WHERE uuid = $1 FOR UPDATE`, [uuid]);
+    
+    const open = await client.query(
+      `SELECT 1 FROM recovery_requests 
+       WHERE uuid = $1 AND status = 'pending' AND expires_at > NOW()`,
+      [uuid]
+    );
+    
+    const consumed = open.rowCount === 0
+      ? await client.query(
+        `UPDATE recovery_codes SET used_at = NOW() 
+         WHERE id = $1 AND uuid = $2 AND used_at IS NULL`,
+        [codeId, uuid]
+      )
+      : { rowCount: 0 };
+    
+    if (consumed.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const result = await client.query(
+      `INSERT INTO recovery_requests (
+        id, uuid, completion_token_hash, cancel_token_hash,
+        executable_at, expires_at, ip_address
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [requestId, uuid, completionTokenHash, cancelTokenHash, executableAt, expiresAt, ipAddress]
+    );
+    
+    await client.query(
+      `INSERT INTO audit_log (uuid, action, ip_address, details)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        uuid,
+        'RECOVERY_REQUESTED',
+        ipAddress,
+        JSON.stringify({ request_id: requestId, executable_at: executableAt })
+      ]
+    );
+    
+    await client.query('COMMIT');
+    
+    return result.rows[0];
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to create recovery request:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a recovery request
+ * 
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object|null>} Request record or null
+ */
+async function getRecoveryRequest(requestId) {
+  if (!requestId) {
+    throw new Error('Request ID required');
+  }
+  
+  try {
+    const result = await pool.query(
+      `SELECT * FROM recovery_requests WHERE id = $1`,
+      [requestId]
+    );
+    
+    return result.rows[0] || null;
+    
+  } catch (error) {
+    console.error('❌ Failed to retrieve recovery request:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Close a pending recovery request
+ * 
+ * @param {Object} params
+ * @param {string} params.requestId - Request ID
+ * @param {string} params.status - 'cancelled' | 'completed'
+ * @param {Object} params.details - Extra audit details
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<Object|null>} Updated record, or null if not pending
+ */
+async function resolveRecoveryRequest({ requestId, status, details = {}, ipAddress }) {
+  if (!['cancelled', 'completed'].includes(status)) {
+    throw new Error('Status must be cancelled or completed');
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      `UPDATE recovery_requests SET status = $2, resolved_at = NOW() 
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [requestId, status]
+    );
+    
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const request = result.rows[0];
+    
+    await client.query(
+      `INSERT INTO audit_log (uuid, action, ip_address, details)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        request.uuid,
+        status === 'completed' ? 'RECOVERY_COMPLETED' : 'RECOVERY_CANCELLED',
+        ipAddress,
+        JSON.stringify({ ...details, request_id: requestId })
+      ]
+    );
+    
+    await client.query('COMMIT');
+    
+    return request;
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to resolve recovery request:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================================
+// AUDIT LOG OPERATIONS
+// ============================================================================
+
+/**
+ * Write an audit log entry
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.action - Action (e.g. 'RECOVERY_CODE_REJECTED')
+ * @param {string} params.ipAddress - Client IP
+ * @param {Object} params.details - Details (no secrets)
+ * @returns {Promise<void>}
+ */
+async function writeAuditLog({ uuid, action, ipAddress, details = {} }) {
+  if (!uuid || !action) {
+    throw new Error('UUID and action required');
+  }
+  
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (uuid, action, ip_address, details)
+       VALUES ($1, $2, $3, $4)`,
+      [uuid, action, ipAddress, JSON.stringify(details)]
+    );
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get audit log for a UUID (GDPR compliance)
+ * 
+ * @param {string} uuid - User UUID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Max records (default: 100)
+ * @param {number} options.offset - Offset (default: 0)
+ * @returns {Promise<Array>} Audit log records
+ */
+async function getAuditLog(uuid, { limit = 100, offset = 0 } = {}) {
+  // Validation
+  if (!uuid) {
+    throw new Error('UUID required');
+  }
+  
+  try {
+    const result = await pool.query(
+      `SELECT * FROM audit_log 
+       WHERE uuid = $1 
+       ORDER BY timestamp DESC 
+       LIMIT $2 OFFSET $3`,
+      [uuid, limit, offset]
+    );
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('❌ Failed to retrieve audit log:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Export user data (GDPR Article 15 - Right of Access)
+ * 
+ * @param {string} uuid - User UUID
+ * @returns {Promise<Object>} User data export
+ */
+async function exportUserData(uuid) {
+  // Validation
+  if (!uuid) {
+    throw new Error('UUID required');
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    // Get wrapped key metadata (NOT the key or sealed record itself)
+    const wrappedKeyResult = await client.query(
+      `SELECT uuid, kms_key_id, key_version, factor_count, 
+              created_at, updated_at, last_accessed_at, device_id,
+              (sealed_enrollment IS NOT NULL) AS has_sealed_enrollment
+       FROM wrapped_keys 
+       WHERE uuid = $1`,
+      [uuid]
+    );
+    
+    // Get devices (no public keys)
+    const devicesResult = await client.query(
+      `SELECT ${DEVICE_COLUMNS} FROM user_devices WHERE uuid = $1 ORDER BY created_at`,
+      [uuid]
+    );
+    
+    // Get audit log
+    const auditLogResult = await client.query(
+      `SELECT action, timestamp, ip_address, details
+       FROM audit_log 
+       WHERE uuid = $1 
+       ORDER BY timestamp DESC`,
+      [uuid]
+    );
+    
+    return {
+      uuid,
+      wrapped_key_metadata: wrappedKeyResult.rows[0] || null,
+      devices: devicesResult.rows,
+      audit_log: auditLogResult.rows,
+      export_date: new Date().toISOString()
+    };
+    
+  } catch (error) {
+    console.error('❌ Failed to export user data:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Health check
+ * 
+ * @returns {Promise<boolean>} True if database is healthy
+ */
+async function healthCheck() {
+  try {
+    const result = await pool.query('SELECT 1');
+    return result.rowCount === 1;
+  } catch (error) {
+    console.error('❌ Database health check failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Close database connections (graceful shutdown)
+ * 
+ * @returns {Promise<void>}
+ */
+async function close() {
+  await pool.end();
+  console.log('✅ Database connections closed');
+}
+
+/**
+ * Get database statistics
+ * 
+ * @returns {Promise<Object>} Database stats
+ */
+async function getStats() {
+  try {
+    const wrappedKeysResult = await pool.query(
+      `SELECT COUNT(*) as count FROM wrapped_keys`
+    );
+    
+    const auditLogResult = await pool.query(
+      `SELECT COUNT(*) as count FROM audit_log`
+    );
+    
+    return {
+      wrapped_keys_count: parseInt(wrappedKeysResult.rows[0].count),
+      audit_log_count: parseInt(auditLogResult.rows[0].count),
+      pool_total: pool.totalCount,
+      pool_idle: pool.idleCount,
+      pool_waiting: pool.waitingCount
+    };
+    
+  } catch (error) {
+    console.error('❌ Failed to get database stats:', error.message);
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Setup
+  initializeSchema,
+  close,
+  
+  // Wrapped key operations
+  storeWrappedKey,
+  getWrappedKey,
+  deleteWrappedKey,
   hasWrappedKey,
+  rotateWrappedKey,
+  
+  // KMS master key rotation
+  countWrappedKeys,
+  listWrappedKeysAfter,
+  saveKmsRotationJob,
+  getLastKmsRotationJob,
+  acquireKmsRotationLock,
+  isKmsRotationLocked,
+  
+  // Device operations
+  registerDevice,
+  listDevices,
+  getActiveDevices,
+  renameDevice,
+  revokeDevice,
+  touchDevice,
+  
+  // Recovery operations
+  replaceRecoveryCodes,
+  getUnusedRecoveryCodes,
+  createRecoveryRequest,
+  getRecoveryRequest,
+  resolveRecoveryRequest,
   
   // Audit operations
+  writeAuditLog,
   getAuditLog,
   exportUserData,
   
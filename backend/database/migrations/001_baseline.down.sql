@@ -0,0 +1,11 @@
+-- ==============================================================================
+-- 001 baseline (down): drops every table, all enrollments are lost
+-- ==============================================================================
+
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS kms_rotation_jobs;
+DROP TABLE IF EXISTS recovery_requests;
+DROP TABLE IF EXISTS recovery_codes;
+DROP TABLE IF EXISTS user_devices;
+DROP TABLE IF EXISTS key_rotation_history;
+DROP TABLE IF EXISTS wrapped_keys;
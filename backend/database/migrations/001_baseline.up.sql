@@ -0,0 +1,230 @@
+-- ==============================================================================
+-- 001 baseline: schema the backend queries (database/database.js)
+--
+-- Idempotent on databases created by the former database.js#initializeSchema,
+-- so existing deployments adopt migrations without changes.
+-- ==============================================================================
+
+-- Databases created from the retired database/schemas/schema.sql
+-- (wrapped_keys.user_uuid UUID, wrapped_key BYTEA) were never readable by
+-- the backend: stop rather than create a second, mixed layout
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema()
+          AND table_name = 'wrapped_keys'
+          AND column_name = 'user_uuid'
+    ) THEN
+        RAISE EXCEPTION 'wrapped_keys uses the retired schema.sql layout (user_uuid); migrate into a new database';
+    END IF;
+END $$;
+
+-- ==============================================================================
+-- TABLE: wrapped_keys
+-- KMS-wrapped keys + sealed enrollment records (never factor digests)
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS wrapped_keys (
+    -- User UUID (generated client-side, v4)
+    uuid VARCHAR(36) PRIMARY KEY,
+
+    -- KMS-wrapped derived key (hex)
+    wrapped_key TEXT NOT NULL,
+
+    -- KMS key ID used for wrapping
+    kms_key_id VARCHAR(256) NOT NULL,
+
+    -- Bumped on every re-wrap (factor change, KDF upgrade, master key rotation)
+    key_version INTEGER NOT NULL DEFAULT 1,
+
+    factor_count INTEGER NOT NULL,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_accessed_at TIMESTAMPTZ,
+
+    -- Enrolling device (all devices: user_devices)
+    device_id VARCHAR(128),
+
+    metadata JSONB DEFAULT '{}'::jsonb,
+
+    -- Enrollment record (factor digests + policy) sealed under the derived key
+    -- Durable copy behind the Redis cache; unreadable once wrapped_key is deleted
+    sealed_enrollment TEXT,
+
+    -- KDF parameters the derived key was produced with (NULL = legacy PBKDF2)
+    kdf_params JSONB,
+
+    -- KMS providers holding a copy of wrapped_key (composite KMS failover)
+    -- NULL = single provider (kms_key_id)
+    kms_providers JSONB,
+
+    -- KMS encryption context the wrapped key is bound to
+    -- { uuid, key_version, purpose }: must match this row, unwrap fails otherwise
+    encryption_context JSONB
+);
+
+-- Columns added after first release (databases from initializeSchema)
+ALTER TABLE wrapped_keys ADD COLUMN IF NOT EXISTS sealed_enrollment TEXT;
+ALTER TABLE wrapped_keys ADD COLUMN IF NOT EXISTS kdf_params JSONB;
+ALTER TABLE wrapped_keys ADD COLUMN IF NOT EXISTS kms_providers JSONB;
+ALTER TABLE wrapped_keys ADD COLUMN IF NOT EXISTS encryption_context JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_wrapped_keys_created_at ON wrapped_keys(created_at);
+CREATE INDEX IF NOT EXISTS idx_wrapped_keys_device_id ON wrapped_keys(device_id);
+
+-- ==============================================================================
+-- TABLE: key_rotation_history
+-- Previous wrapped keys (30-day retention for rollback)
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS key_rotation_history (
+    id SERIAL PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL REFERENCES wrapped_keys(uuid) ON DELETE CASCADE,
+
+    -- Old key details
+    old_wrapped_key TEXT NOT NULL,
+    old_key_version INTEGER NOT NULL,
+    old_kms_key_id VARCHAR(256) NOT NULL,
+    old_kdf_params JSONB,
+
+    -- New key details
+    new_key_version INTEGER NOT NULL,
+    new_kms_key_id VARCHAR(256) NOT NULL,
+
+    -- 'factor_update', 'kdf_upgrade', 'master_key_rotation', ...
+    rotation_reason VARCHAR(255),
+    rotated_by VARCHAR(255),
+    rotated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT (NOW() + INTERVAL '30 days'),
+
+    CONSTRAINT new_version_greater CHECK (new_key_version > old_key_version)
+);
+
+ALTER TABLE key_rotation_history ADD COLUMN IF NOT EXISTS old_kdf_params JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_key_rotation_uuid ON key_rotation_history(uuid);
+CREATE INDEX IF NOT EXISTS idx_key_rotation_expires_at ON key_rotation_history(expires_at);
+
+-- ==============================================================================
+-- TABLE: user_devices
+-- Devices enrolled per user (per-device public key binding)
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS user_devices (
+    id SERIAL PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL REFERENCES wrapped_keys(uuid) ON DELETE CASCADE,
+
+    -- Device identity
+    device_id VARCHAR(128) NOT NULL,
+    device_name VARCHAR(64),
+
+    -- Device binding (SPKI PEM, P-256 or Ed25519; NULL for legacy devices)
+    public_key TEXT,
+    key_fingerprint VARCHAR(64),
+
+    -- Hardware attestation verdict at registration (NULL if not evaluated)
+    attestation JSONB,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+
+    CONSTRAINT user_devices_unique UNIQUE (uuid, device_id),
+    CONSTRAINT device_status_valid CHECK (status IN ('active', 'revoked'))
+);
+
+ALTER TABLE user_devices ADD COLUMN IF NOT EXISTS attestation JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_user_devices_uuid ON user_devices(uuid) WHERE status = 'active';
+
+-- Devices enrolled before per-device bindings (no public key)
+INSERT INTO user_devices (uuid, device_id, created_at)
+SELECT uuid, device_id, created_at FROM wrapped_keys WHERE device_id IS NOT NULL
+ON CONFLICT (uuid, device_id) DO NOTHING;
+
+-- ==============================================================================
+-- TABLE: recovery_codes
+-- Single-use recovery codes (scrypt hashes only)
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id SERIAL PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL REFERENCES wrapped_keys(uuid) ON DELETE CASCADE,
+
+    -- Code hash ("scrypt$N$r$p$<salt>$<hash>")
+    code_hash TEXT NOT NULL,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_uuid ON recovery_codes(uuid) WHERE used_at IS NULL;
+
+-- ==============================================================================
+-- TABLE: recovery_requests
+-- Time-delayed factor resets opened by a recovery code
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS recovery_requests (
+    id VARCHAR(36) PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL REFERENCES wrapped_keys(uuid) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+
+    -- Token hashes (SHA-256, tokens are never stored)
+    completion_token_hash VARCHAR(64) NOT NULL,
+    cancel_token_hash VARCHAR(64) NOT NULL,
+
+    -- Timing (cancellation window, then completion window)
+    requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    executable_at TIMESTAMPTZ NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    resolved_at TIMESTAMPTZ,
+
+    ip_address INET,
+
+    CONSTRAINT recovery_status_valid CHECK (status IN ('pending', 'cancelled', 'completed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_requests_uuid ON recovery_requests(uuid);
+
+-- ==============================================================================
+-- TABLE: kms_rotation_jobs
+-- Bulk master key re-wrap jobs (see services/masterKeyRotationJob.js)
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS kms_rotation_jobs (
+    id VARCHAR(36) PRIMARY KEY,
+
+    -- running, completed, failed (interrupted = running without the lock)
+    status VARCHAR(20) NOT NULL,
+
+    -- Job record (cursor, counts, failures, target key)
+    job JSONB NOT NULL,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_kms_rotation_jobs_created_at ON kms_rotation_jobs(created_at);
+
+-- ==============================================================================
+-- TABLE: audit_log
+-- Security audit trail (GDPR / PSD3); kept after a user is deleted
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ip_address INET,
+    user_agent TEXT,
+    details JSONB DEFAULT '{}'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_uuid ON audit_log(uuid);
+CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp);
@@ -0,0 +1,299 @@
+// Path: backend/database/migrator.js
+
+/**
+ * Database Migrations - Versioned, checksummed schema changes
+ *
+ * The migrations in database/migrations/ are the only definition of the
+ * PostgreSQL schema. database.js applies pending ones on startup;
+ * scripts/migrate.js (npm run db:migrate) applies, rolls back and lists them.
+ *
+ * Files:
+ * - <version>_<name>.up.sql / <version>_<name>.down.sql (e.g. 002_add_x.up.sql)
+ * - Versions are integers, unique, applied in ascending order
+ * - Every migration needs both files; down undoes exactly what up did
+ *
+ * Bookkeeping (schema_migrations):
+ * - One row per applied migration: version, name, SHA-256 of the up file
+ * - An applied migration whose up file changed (checksum mismatch), or an
+ *   applied version with no file (database ahead of the code), stops
+ *   every run: write a new migration instead of editing an applied one
+ *
+ * Safety:
+ * - Each migration runs in its own transaction with its schema_migrations row
+ * - Advisory lock: one migration run at a time across instances and the CLI
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Advisory lock held for the whole run (see KMS_ROTATION_LOCK in database.js)
+const MIGRATION_LOCK = [0x5a50, 2];
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Read migrations from disk
+ *
+ * @param {string} dir - Migrations directory (default: database/migrations)
+ * @returns {Array<Object>} [{ version, name, checksum, up, down }] by version
+ * @throws {Error} On unknown files, duplicate versions or a missing up/down file
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      throw new Error(`Unrecognised migration file: ${file} (expected <version>_<name>.up.sql / .down.sql)`);
+    }
+
+    const [, digits, name, direction] = match;
+    const version = parseInt(digits, 10);
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+
+    if (migration.name !== name || migration[direction] !== null) {
+      throw new Error(`Duplicate migration version: ${version}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+
+  for (const migration of migrations) {
+    const missing = migration.up === null ? 'up' : (migration.down === null ? 'down' : null);
+    if (missing) {
+      throw new Error(`Migration ${formatMigration(migration)} has no ${missing} file`);
+    }
+
+    migration.checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+  }
+
+  return migrations;
+}
+
+/**
+ * Migration label (e.g. 001_baseline)
+ */
+function formatMigration({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+// ============================================================================
+// BOOKKEEPING
+// ============================================================================
+
+/**
+ * Create schema_migrations if missing (lock held)
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      execution_ms INTEGER NOT NULL
+    )
+  `);
+}
+
+/**
+ * Applied migrations by version
+ *
+ * @param {Object} client - pg client
+ * @returns {Promise<Map<number, Object>>} version → { version, name, checksum, applied_at }
+ */
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`
+  );
+
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Refuse to run against a database the migration files do not describe
+ *
+ * @param {Array<Object>} migrations - Loaded migrations
+ * @param {Map<number, Object>} applied - Applied migrations
+ * @throws {Error} On a checksum mismatch or an applied version with no file
+ */
+function verifyApplied(migrations, applied) {
+  const known = new Map(migrations.map(migration => [migration.version, migration]));
+
+  for (const row of applied.values()) {
+    const migration = known.get(row.version);
+
+    if (!migration) {
+      throw new Error(`Migration ${formatMigration(row)} is applied but has no file (database ahead of this code?)`);
+    }
+
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Checksum mismatch for applied migration ${formatMigration(migration)}: ` +
+        'its up file changed after it was applied; add a new migration instead');
+    }
+  }
+}
+
+/**
+ * Run fn with the migration lock held
+ */
+async function withMigrationLock(client, fn) {
+  await client.query(`SELECT pg_advisory_lock($1, $2)`, MIGRATION_LOCK);
+
+  try {
+    await ensureMigrationsTable(client);
+    return await fn();
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1, $2)`, MIGRATION_LOCK);
+  }
+}
+
+/**
+ * Run one migration file and record it, in a single transaction
+ */
+async function runInTransaction(client, sql, record) {
+  await client.query('BEGIN');
+
+  try {
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Migration status
+ *
+ * @param {Object} client - pg client
+ * @param {Object} options
+ * @param {Array<Object>} options.migrations - Migrations (default: loadMigrations())
+ * @returns {Promise<Array<Object>>} [{ version, name, applied, appliedAt, checksumMatch }]
+ */
+async function getMigrationStatus(client, { migrations = loadMigrations() } = {}) {
+  return withMigrationLock(client, async () => {
+    const applied = await getAppliedMigrations(client);
+
+    return migrations.map(migration => {
+      const row = applied.get(migration.version);
+
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        appliedAt: row ? row.applied_at : null,
+        checksumMatch: row ? row.checksum === migration.checksum : null
+      };
+    });
+  });
+}
+
+/**
+ * Apply pending migrations
+ *
+ * @param {Object} client - pg client (not a pool: lock and transactions are per session)
+ * @param {Object} options
+ * @param {number} options.to - Last version to apply (default: latest)
+ * @param {Array<Object>} options.migrations - Migrations (default: loadMigrations())
+ * @returns {Promise<Array<Object>>} Migrations applied by this run
+ */
+async function migrate(client, { to = null, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(client, async () => {
+    const applied = await getAppliedMigrations(client);
+    verifyApplied(migrations, applied);
+
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (to === null || migration.version <= to));
+
+    for (const migration of pending) {
+      const startedAt = Date.now();
+
+      try {
+        await runInTransaction(client, migration.up, () => client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+           VALUES ($1, $2, $3, $4)`,
+          [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+        ));
+      } catch (error) {
+        throw new Error(`Migration ${formatMigration(migration)} failed: ${error.message}`);
+      }
+
+      console.log(`✅ Applied migration ${formatMigration(migration)} (${Date.now() - startedAt}ms)`);
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Roll back applied migrations, newest first
+ *
+ * @param {Object} client - pg client
+ * @param {Object} options
+ * @param {number} options.to - Keep migrations up to this version (0 = roll back all)
+ * @param {number} options.steps - Number to roll back when no target (default: 1)
+ * @param {Array<Object>} options.migrations - Migrations (default: loadMigrations())
+ * @returns {Promise<Array<Object>>} Migrations rolled back by this run
+ */
+async function rollback(client, { to = null, steps = 1, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(client, async () => {
+    const applied = await getAppliedMigrations(client);
+    verifyApplied(migrations, applied);
+
+    const candidates = migrations.filter(migration => applied.has(migration.version)).reverse();
+    const targets = to === null
+      ? candidates.slice(0, steps)
+      : candidates.filter(migration => migration.version > to);
+
+    for (const migration of targets) {
+      try {
+        await runInTransaction(client, migration.down, () => client.query(
+          `DELETE FROM schema_migrations WHERE version = $1`,
+          [migration.version]
+        ));
+      } catch (error) {
+        throw new Error(`Rollback of ${formatMigration(migration)} failed: ${error.message}`);
+      }
+
+      console.log(`✅ Rolled back migration ${formatMigration(migration)}`);
+    }
+
+    return targets;
+  });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadMigrations,
+  formatMigration,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  MIGRATIONS_DIR
+};
@@ -0,0 +1,185 @@
+// Path: backend/middleware/clientAuth.js
+
+/**
+ * Client Authentication - Token endpoint callers (RFC 7662 §2.1, RFC 7009 §2.1)
+ *
+ * Purpose: Introspection and revocation are server-to-server calls.
+ * Without client authentication anyone holding (or guessing) a token
+ * could probe it or revoke another merchant's payment.
+ *
+ * Accepted credentials:
+ * - Merchant: HTTP Basic (client_id = merchant_id, client_secret),
+ *   configured in TOKEN_CLIENTS=<merchant_id>:<secret>,...
+ * - Admin: X-Admin-API-Key header (ADMIN_API_KEY, as for /admin)
+ *
+ * Scope:
+ * - Merchants see only tokens bound to their merchant_id
+ *   (and tokens with no merchant binding)
+ * - Admin sees every token
+ *
+ * Failure: 401 invalid_client + WWW-Authenticate (RFC 6749 §5.2)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const AUTH_REALM = 'zeropay-token';
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Load token endpoint clients
+ *
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Map<string, string>} merchant_id → client secret
+ * @throws {Error} On a malformed TOKEN_CLIENTS entry
+ */
+function loadTokenClients(env = process.env) {
+  const clients = new Map();
+
+  for (const entry of (env.TOKEN_CLIENTS || '').split(',')) {
+    if (!entry.trim()) continue;
+
+    const separator = entry.indexOf(':');
+    const clientId = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+
+    if (separator === -1 || !CLIENT_ID_PATTERN.test(clientId) || secret.length < 16) {
+      throw new Error(`Invalid TOKEN_CLIENTS entry for '${clientId || entry.trim()}' (expected <merchant_id>:<secret of 16+ chars>)`);
+    }
+
+    clients.set(clientId, secret);
+  }
+
+  return clients;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Constant-time string comparison (hashes first, so lengths may differ)
+ */
+function secretsMatch(presented, expected) {
+  const a = crypto.createHash('sha256').update(String(presented)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Parse HTTP Basic credentials
+ *
+ * @param {string} header - Authorization header
+ * @returns {Object|null} { clientId, secret } or null
+ */
+function parseBasicAuth(header) {
+  const match = /^Basic ([A-Za-z0-9+/=]+)$/i.exec(header || '');
+  if (!match) return null;
+
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return null;
+
+  // RFC 6749 §2.3.1: client_id and secret are form-urlencoded
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      secret: decodeURIComponent(decoded.slice(separator + 1))
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Authenticate the caller
+ *
+ * @param {Object} req - Express request
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object|null} { clientId, admin } or null
+ */
+function authenticateClient(req, env = process.env) {
+  const adminKey = req.headers['x-admin-api-key'];
+
+  if (adminKey) {
+    return env.ADMIN_API_KEY && secretsMatch(adminKey, env.ADMIN_API_KEY)
+      ? { clientId: 'admin', admin: true }
+      : null;
+  }
+
+  const credentials = parseBasicAuth(req.headers.authorization);
+  if (!credentials) return null;
+
+  const secret = loadTokenClients(env).get(credentials.clientId);
+
+  // Compare even for unknown clients (no timing oracle on client_id)
+  const valid = secretsMatch(credentials.secret, secret || '');
+
+  return secret && valid
+    ? { clientId: credentials.clientId, admin: false }
+    : null;
+}
+
+/**
+ * Whether an authenticated client may see a token
+ *
+ * @param {Object} client - req.tokenClient
+ * @param {Object} claims - Verified token claims
+ * @returns {boolean}
+ */
+function canAccessToken(client, claims) {
+  return client.admin || !claims.merchant_id || claims.merchant_id === client.clientId;
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Require merchant or admin credentials (sets req.tokenClient)
+ */
+function requireTokenClient(req, res, next) {
+  let client;
+
+  try {
+    client = authenticateClient(req);
+  } catch (error) {
+    console.error('❌ Token clients misconfigured:', error.message);
+    return res.status(500).json({
+      error: 'server_error'
+    });
+  }
+
+  if (!client) {
+    console.warn(`⚠️  Unauthenticated token endpoint call: ${req.method} ${req.originalUrl} from ${req.ip}`);
+    res.set('WWW-Authenticate', `Basic realm="${AUTH_REALM}"`);
+    return res.status(401).json({
+      error: 'invalid_client',
+      error_description: 'Client authentication required'
+    });
+  }
+
+  req.tokenClient = client;
+  next();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  requireTokenClient,
+  authenticateClient,
+  canAccessToken,
+  loadTokenClients
+};
@@ -0,0 +1,270 @@
+// Path: backend/middleware/idempotency.js
+
+/**
+ * Idempotency Middleware - Safe retries for mutating endpoints
+ *
+ * Purpose: Mobile clients on flaky networks retry requests. A retry
+ * must not enroll twice, bump key_version twice or burn a nonce.
+ *
+ * How it works:
+ * 1. Client sends Idempotency-Key header (optional, 1-255 printable chars)
+ * 2. Server fingerprints the request (method, path, canonical body)
+ * 3. First request: record "in progress" (refreshed while the handler
+ *    runs, so a slow KDF / KMS call cannot let a retry in), run handler,
+ *    cache status + body
+ * 4. Same key, same fingerprint → replay cached response
+ *    (Idempotent-Replayed: true)
+ * 5. Same key, different body → 422 (key reuse)
+ * 6. Same key while first request still running → 409 (retry later)
+ *
+ * Placement: before validateNonce, so a replay does not trip the
+ * single-use nonce check. The `nonce` body field is excluded from
+ * the fingerprint (clients may send a fresh one on retry).
+ *
+ * Not cached (key released for a clean retry):
+ * - 5xx responses
+ * - 429 responses (rate limit / lockout)
+ * - 409 responses (concurrent change, client retries)
+ * - Nonce rejections (a retry after a burnt nonce carries a fresh one)
+ *
+ * Security:
+ * - Keys scoped per endpoint (same key on two endpoints is independent)
+ * - Cached responses encrypted at rest (may contain auth tokens)
+ * - Only a SHA-256 fingerprint of the request is stored
+ *
+ * Redis Keys:
+ * - idempotency:<sha256(scope + key)> → Encrypted record (TTL)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { encrypt, decrypt } = require('../crypto/encryption');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const IDEMPOTENCY_PREFIX = 'idempotency:';
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10) * 60 * 60;
+const IN_PROGRESS_TTL_SECONDS = 60;
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+const EXCLUDED_FIELDS = ['nonce'];
+
+// validateNonce rejections (runs after this middleware)
+const NONCE_ERROR_CODES = new Set(['NONCE_MISSING', 'NONCE_INVALID_FORMAT', 'NONCE_ALREADY_USED']);
+
+const RECORD_STATE = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Stable JSON serialization (sorted object keys)
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint a request
+ *
+ * @param {Object} req - Express request
+ * @returns {string} SHA-256 hex
+ */
+function fingerprintRequest(req) {
+  const body = { ...(req.body || {}) };
+  for (const field of EXCLUDED_FIELDS) {
+    delete body[field];
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${canonicalize(body)}`)
+    .digest('hex');
+}
+
+/**
+ * Redis key for an idempotency key on an endpoint
+ */
+function recordKey(req, idempotencyKey) {
+  const scope = `${req.method}:${req.baseUrl}${req.route ? req.route.path : req.path}`;
+  const digest = crypto.createHash('sha256').update(`${scope}\n${idempotencyKey}`).digest('hex');
+  return IDEMPOTENCY_PREFIX + digest;
+}
+
+/**
+ * Read a record
+ */
+async function readRecord(redisClient, key) {
+  const stored = await redisClient.get(key);
+  return stored ? JSON.parse(await decrypt(stored)) : null;
+}
+
+/**
+ * Whether a response is the handler's final outcome (may be replayed)
+ */
+function isCacheable(status, body) {
+  if (status >= 500 || status === 429 || status === 409) {
+    return false;
+  }
+
+  return !(body && NONCE_ERROR_CODES.has(body.code));
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Express middleware for Idempotency-Key support
+ *
+ * Usage:
+ *   router.post('/store', idempotency(), validateNonce, handler);
+ *
+ * @param {Object} options
+ * @param {number} options.ttlSeconds - How long responses are replayable
+ * @param {number} options.inProgressTtlSeconds - Claim TTL (refreshed while running)
+ * @returns {Function} Express middleware function
+ */
+function idempotency({
+  ttlSeconds = IDEMPOTENCY_TTL_SECONDS,
+  inProgressTtlSeconds = IN_PROGRESS_TTL_SECONDS
+} = {}) {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(idempotencyKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Idempotency-Key (1-255 printable ASCII characters)',
+        code: 'IDEMPOTENCY_KEY_INVALID'
+      });
+    }
+
+    try {
+      const redisClient = req.app.locals.redisClient;
+      const key = recordKey(req, idempotencyKey);
+      const fingerprint = fingerprintRequest(req);
+
+      // Claim the key (only one request may run it)
+      const claim = await encrypt(JSON.stringify({
+        state: RECORD_STATE.IN_PROGRESS,
+        fingerprint,
+        createdAt: Date.now()
+      }));
+      const claimed = await redisClient.set(key, claim, { NX: true, EX: inProgressTtlSeconds });
+
+      if (!claimed) {
+        const record = await readRecord(redisClient, key);
+
+        if (record && record.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key already used with a different request',
+            code: 'IDEMPOTENCY_KEY_REUSED'
+          });
+        }
+
+        // Still running (or expired between SET NX and GET): client retries
+        if (!record || record.state === RECORD_STATE.IN_PROGRESS) {
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still in progress',
+            code: 'IDEMPOTENCY_IN_PROGRESS'
+          });
+        }
+
+        console.log(`🔁 Idempotent replay: ${req.method} ${req.baseUrl}${req.path}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.status).json(record.body);
+      }
+
+      // Keep the claim alive until the handler responds
+      const heartbeat = setInterval(() => {
+        redisClient.expire(key, inProgressTtlSeconds).catch(error => {
+          console.error('❌ Idempotency claim refresh error:', error.message);
+        });
+      }, inProgressTtlSeconds * 1000 / 3);
+      heartbeat.unref();
+
+      // Cache or release once the handler responds (even if the
+      // client has already disconnected)
+      let settled = false;
+      const settle = (status, body) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearInterval(heartbeat);
+
+        const stored = isCacheable(status, body)
+          ? encrypt(JSON.stringify({
+            state: RECORD_STATE.COMPLETED,
+            fingerprint,
+            status,
+            body: body === undefined ? null : body,
+            createdAt: Date.now()
+          })).then(record => redisClient.setEx(key, ttlSeconds, record))
+          : redisClient.del(key);
+
+        stored.catch(error => {
+          console.error('❌ Idempotency store error:', error.message);
+        });
+      };
+
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        settle(res.statusCode, body);
+        return originalJson(body);
+      };
+
+      res.on('finish', () => settle(res.statusCode, undefined));
+
+      next();
+
+    } catch (error) {
+      console.error('❌ Idempotency error:', error.message);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  idempotency,
+  fingerprintRequest,
+  canonicalize,
+  IDEMPOTENCY_TTL_SECONDS
+};
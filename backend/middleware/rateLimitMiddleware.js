@@ -386,6 +386,21 @@ class PenaltyManager {
     }
   }
 
+  /**
+   * Get current violation count (24 hour window)
+   */
+  async getViolationCount(identifier) {
+    const violationKey = `${RATE_LIMIT_PREFIX}violations:${identifier}`;
+    
+    try {
+      const violations = await this.redis.get(violationKey);
+      return parseInt(violations) || 0;
+    } catch (error) {
+      console.error('❌ Violation count error:', error.message);
+      return 0;
+    }
+  }
+
   /**
    * Clear penalties for an identifier (admin action)
    */
@@ -7,9 +7,15 @@
  * 
  * Features:
  * - Rate limit statistics
- * - Fraud detection statistics
+ * - Fraud detection statistics (rate limits + risk engine)
+ * - Fraud reports (device/IP blacklisting)
+ * - Per-factor false-reject report
  * - Blacklist/Whitelist management
  * - Penalty management
+ * - User lockout inspection / clearing
+ * - Auth token signing key rotation
+ * - At-rest encryption key versions, re-encryption progress / rollback
+ * - KMS master key rotation (bulk re-wrap) progress
  * - System health monitoring
  * 
  * Security:
@@ -25,6 +31,13 @@
 const express = require('express');
 const router = express.Router();
 const { getRateLimitStats } = require('../middleware/rateLimitMiddleware');
+const { getFraudEngineStats, reportFraud } = require('../services/fraudDetector');
+const { getFactorTelemetryReport } = require('../services/factorTelemetry');
+const { getLockoutState, clearLockout } = require('../services/userLockout');
+const { rotateSigningKey } = require('../services/authTokenService');
+const { getKeyManager } = require('../crypto/encryption');
+const { startReencryption, getReencryptionStatus } = require('../services/reencryptionJob');
+const { startMasterKeyRotation, getMasterKeyRotationStatus } = require('../services/masterKeyRotationJob');
 
 // ============================================================================
 // ADMIN AUTHENTICATION MIDDLEWARE
@@ -69,6 +82,22 @@ function getClientIP(req) {
          'unknown';
 }
 
+/**
+ * Validate :userId as a UUID (used as a Redis key)
+ */
+function requireUserUUID(req, res, next) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  
+  if (!uuidRegex.test(req.params.userId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid userId format (must be valid UUID v4)'
+    });
+  }
+  
+  next();
+}
+
 // ============================================================================
 // STATISTICS ENDPOINTS
 // ============================================================================
@@ -151,6 +180,41 @@ router.get('/stats/fraud', requireAdminAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/stats/factors
+ * 
+ * Per-factor-type false-reject report (aggregate telemetry)
+ * Query: days (1-90, default 30)
+ */
+router.get('/stats/factors', requireAdminAuth, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+    
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be between 1 and 90'
+      });
+    }
+    
+    const redisClient = req.app.locals.redisClient;
+    const report = await getFactorTelemetryReport(redisClient, days);
+    
+    res.json({
+      success: true,
+      timestamp: Date.now(),
+      report
+    });
+    
+  } catch (error) {
+    console.error('❌ Factor stats error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve factor statistics'
+    });
+  }
+});
+
 /**
  * GET /admin/stats/ratelimit
  * 
@@ -420,6 +484,360 @@ router.delete('/user/:userId/ratelimit', requireAdminAuth, async (req, res) => {
   }
 });
 
+// ============================================================================
+// USER LOCKOUT
+// ============================================================================
+
+/**
+ * GET /admin/user/:userId/lockout
+ * 
+ * Inspect a user's verification lockout state
+ */
+router.get('/user/:userId/lockout', requireAdminAuth, requireUserUUID, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const redisClient = req.app.locals.redisClient;
+    
+    const lockout = await getLockoutState(redisClient, userId);
+    
+    res.json({
+      success: true,
+      userId,
+      lockout
+    });
+    
+  } catch (error) {
+    console.error('❌ Get lockout error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve lockout state'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/user/:userId/lockout
+ * 
+ * Clear a user's lockout (backoff, temporary and permanent lock)
+ */
+router.delete('/user/:userId/lockout', requireAdminAuth, requireUserUUID, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const redisClient = req.app.locals.redisClient;
+    
+    const cleared = await clearLockout(redisClient, userId);
+    
+    console.log(`✅ Admin: Lockout cleared for user: ${userId}`);
+    
+    res.json({
+      success: true,
+      message: `Lockout cleared for user ${userId}`,
+      cleared
+    });
+    
+  } catch (error) {
+    console.error('❌ Clear lockout error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear lockout'
+    });
+  }
+});
+
+// ============================================================================
+// AUTH TOKEN KEYS
+// ============================================================================
+
+/**
+ * POST /admin/tokens/rotate-key
+ * 
+ * Force auth token signing key rotation
+ * (previous key stays in JWKS until its tokens expire)
+ */
+router.post('/tokens/rotate-key', requireAdminAuth, async (req, res) => {
+  try {
+    const redisClient = req.app.locals.redisClient;
+    const key = await rotateSigningKey(redisClient, { force: true });
+    
+    console.log(`✅ Admin: Signing key rotated: ${key.record.kid}`);
+    
+    res.json({
+      success: true,
+      kid: key.record.kid,
+      activeUntil: key.record.activeUntil
+    });
+    
+  } catch (error) {
+    console.error('❌ Rotate signing key error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate signing key'
+    });
+  }
+});
+
+// ============================================================================
+// AT-REST ENCRYPTION KEYS
+// ============================================================================
+
+/**
+ * Parse an optional key version from the request body
+ */
+function parseTargetVersion(value) {
+  if (value === undefined || value === null) {
+    return { version: null };
+  }
+
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1 || version > 65535) {
+    return { error: 'targetVersion must be an integer between 1 and 65535' };
+  }
+
+  return { version };
+}
+
+/**
+ * Start a re-encryption job and answer 202 (or 409 / 400)
+ */
+async function handleReencryptionStart(req, res, rollback) {
+  try {
+    const target = parseTargetVersion(req.body.targetVersion);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        error: target.error
+      });
+    }
+
+    const redisClient = req.app.locals.redisClient;
+    const result = await startReencryption(redisClient, {
+      targetVersion: target.version,
+      rollback
+    });
+
+    if (!result.started) {
+      const status = result.error.includes('already running') ? 409 : 400;
+      return res.status(status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    console.log(`✅ Admin: Re-encryption ${rollback ? 'rollback' : 'job'} started → v${result.job.targetVersion}`);
+
+    res.status(202).json({
+      success: true,
+      job: result.job
+    });
+
+  } catch (error) {
+    console.error('❌ Re-encryption start error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start re-encryption'
+    });
+  }
+}
+
+/**
+ * GET /admin/encryption/keys
+ * 
+ * Loaded key versions (metadata only) and the active version
+ */
+router.get('/encryption/keys', requireAdminAuth, (req, res) => {
+  try {
+    const keyManager = getKeyManager();
+
+    res.json({
+      success: true,
+      activeVersion: keyManager.getActiveVersion(),
+      keys: keyManager.listKeys()
+    });
+
+  } catch (error) {
+    console.error('❌ Encryption keys error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list encryption keys'
+    });
+  }
+});
+
+/**
+ * POST /admin/encryption/reencrypt
+ * 
+ * Move Redis payloads to targetVersion (default: active version)
+ */
+router.post('/encryption/reencrypt', requireAdminAuth, (req, res) => handleReencryptionStart(req, res, false));
+
+/**
+ * POST /admin/encryption/rollback
+ * 
+ * Move payloads on the last job's target version back to its source version
+ */
+router.post('/encryption/rollback', requireAdminAuth, (req, res) => handleReencryptionStart(req, res, true));
+
+/**
+ * GET /admin/encryption/reencrypt
+ * 
+ * Progress of the running (or last) job
+ */
+router.get('/encryption/reencrypt', requireAdminAuth, async (req, res) => {
+  try {
+    const redisClient = req.app.locals.redisClient;
+    const job = await getReencryptionStatus(redisClient);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'No re-encryption job found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    console.error('❌ Re-encryption status error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve re-encryption status'
+    });
+  }
+});
+
+// ============================================================================
+// KMS MASTER KEY ROTATION
+// ============================================================================
+
+/**
+ * POST /admin/kms/rotate
+ * 
+ * Re-wrap every wrapped key under the current KMS key (resumes an
+ * unfinished job for the same key unless restart is set)
+ * 
+ * Body (optional): { restart, force, rowsPerSecond }
+ */
+router.post('/kms/rotate', requireAdminAuth, async (req, res) => {
+  try {
+    const { restart = false, force = false, rowsPerSecond } = req.body;
+
+    if (rowsPerSecond !== undefined &&
+        (!Number.isInteger(rowsPerSecond) || rowsPerSecond < 1 || rowsPerSecond > 1000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'rowsPerSecond must be an integer between 1 and 1000'
+      });
+    }
+
+    const result = await startMasterKeyRotation({
+      resume: restart !== true,
+      force: force === true,
+      rowsPerSecond: rowsPerSecond || null,
+      startedBy: 'admin',
+      ipAddress: req.ip
+    });
+
+    if (!result.started) {
+      return res.status(409).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    console.log(`✅ Admin: Master key rotation ${result.resumed ? 'resumed' : 'started'} → ${result.job.targetKeyId}`);
+
+    res.status(202).json({
+      success: true,
+      resumed: result.resumed,
+      job: result.job
+    });
+
+  } catch (error) {
+    console.error('❌ Master key rotation start error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start master key rotation'
+    });
+  }
+});
+
+/**
+ * GET /admin/kms/rotate
+ * 
+ * Progress, failures and ETA of the running (or last) job
+ */
+router.get('/kms/rotate', requireAdminAuth, async (req, res) => {
+  try {
+    const job = await getMasterKeyRotationStatus();
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'No master key rotation job found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    console.error('❌ Master key rotation status error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve master key rotation status'
+    });
+  }
+});
+
+// ============================================================================
+// FRAUD REPORTS
+// ============================================================================
+
+/**
+ * POST /admin/fraud/report
+ * 
+ * Report fraud: blacklist device and/or IP for the risk engine
+ */
+router.post('/fraud/report', requireAdminAuth, async (req, res) => {
+  try {
+    const { deviceId, ipAddress, reason } = req.body;
+    
+    if (!deviceId && !ipAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'deviceId or ipAddress required'
+      });
+    }
+    
+    const redisClient = req.app.locals.redisClient;
+    
+    await reportFraud(redisClient, {
+      deviceId: deviceId || null,
+      ipAddress: ipAddress || null,
+      reason: reason || 'Fraud reported by admin'
+    });
+    
+    console.log(`✅ Admin: Fraud reported (device: ${deviceId || '-'}, ip: ${ipAddress || '-'})`);
+    
+    res.json({
+      success: true,
+      message: 'Fraud report recorded'
+    });
+    
+  } catch (error) {
+    console.error('❌ Fraud report error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record fraud report'
+    });
+  }
+});
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -430,9 +848,15 @@ router.delete('/user/:userId/ratelimit', requireAdminAuth, async (req, res) => {
 async function getFraudStats(redisClient) {
   try {
     const keys = await scanKeys(redisClient, 'ratelimit:violations:*');
+    const engine = await getFraudEngineStats(redisClient, 1);
     
     return {
       totalViolations: keys.length,
+      riskEngineToday: {
+        checks: engine.totals.checks || 0,
+        blocked: (engine.totals['initiate:HIGH'] || 0) + (engine.totals['verify:HIGH'] || 0),
+        steppedUp: (engine.totals['initiate:MEDIUM'] || 0) + (engine.totals['verify:MEDIUM'] || 0)
+      },
       timestamp: Date.now()
     };
   } catch (error) {
@@ -449,6 +873,7 @@ async function getDetailedFraudStats(redisClient) {
     const violationKeys = await scanKeys(redisClient, 'ratelimit:violations:*');
     const blacklistIPKeys = await scanKeys(redisClient, 'blacklist:*');
     const blacklistDeviceKeys = await scanKeys(redisClient, 'blacklist:device:*');
+    const riskEngine = await getFraudEngineStats(redisClient, 7);
     
     return {
       violations: {
@@ -461,6 +886,7 @@ async function getDetailedFraudStats(redisClient) {
         ips: blacklistIPKeys.length,
         devices: blacklistDeviceKeys.length
       },
+      riskEngine,
       timestamp: Date.now()
     };
   } catch (error) {
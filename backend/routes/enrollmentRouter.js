@@ -4,21 +4,75 @@
  * Enrollment Router - Double Encryption Endpoints
  * 
  * Endpoints:
- * - POST /v1/enrollment/store      - Store enrollment with double encryption
+ * - POST /v1/enrollment/store      - Store enrollment with double encryption (first enrollment)
  * - GET /v1/enrollment/retrieve/:uuid - Retrieve factor digests
  * - PUT /v1/enrollment/update      - Update factors (key rotation)
+ * - POST /v1/enrollment/factors    - Add one factor
+ * - PUT /v1/enrollment/factors/:factorName    - Replace one factor
+ * - DELETE /v1/enrollment/factors/:factorName - Remove one factor
+ * - POST /v1/enrollment/attestation/challenge - Challenge for device attestation
+ * - GET /v1/enrollment/devices/:uuid - List devices
+ * - POST /v1/enrollment/devices    - Enroll another device
+ * - PATCH /v1/enrollment/devices/:deviceId  - Rename a device
+ * - DELETE /v1/enrollment/devices/:deviceId - Revoke a device
  * - DELETE /v1/enrollment/delete/:uuid - GDPR deletion
  * - GET /v1/enrollment/export/:uuid - Export user data (GDPR Article 15)
  * 
  * Double Encryption Flow:
- * 1. Factor digests → Redis (24h TTL, AES-256-GCM encrypted)
- * 2. Derive key from UUID + digests (PBKDF2)
- * 3. Wrap derived key with KMS (AWS KMS)
- * 4. Store wrapped key → PostgreSQL (permanent, for key rotation)
+ * 1. Derive key from UUID + digests (PBKDF2)
+ * 2. Wrap derived key with KMS (AWS KMS)
+ * 3. Seal enrollment record (digests + policy) under the derived key
+ * 4. Store wrapped key + sealed record → PostgreSQL (permanent)
+ * 5. Cache enrollment record → Redis (ttl_seconds, max 24h, AES-256-GCM)
+ * 
+ * Redis is a read-through cache (see services/enrollmentStore.js):
+ * a cache miss rehydrates the record from PostgreSQL.
+ * 
+ * Factor Set Policy (all endpoints that change factors):
+ * - Known factor types only, at least 2 categories (PSD3 SCA)
+ * - Incompatible pairs rejected (e.g. PATTERN_MICRO + PATTERN_NORMAL)
+ * - Policy version stored with the enrollment (factor_policy_version)
+ * 
+ * Factor Policy (optional, /store and /update):
+ * - policy: { threshold, min_categories }
+ * - e.g. { threshold: 3, min_categories: 2 } → any 3 of N from ≥2 categories
+ * - K < N enrollments use the threshold key layer (per-factor key shares)
+ * 
+ * Recovery Codes (/store):
+ * - Single-use codes returned once (recovery_codes), scrypt hashes stored
+ * - Issued on first enrollment only (/store refuses enrolled UUIDs, so
+ *   codes cannot be replaced without a factor or recovery proof)
+ * - Account recovery issues a new set (previous codes stop working)
+ * - Redeemed via /v1/recovery (time-delayed reset, see recoveryRouter.js)
+ * 
+ * Devices (user_devices):
+ * - /store registers the enrolling device (other devices stay active)
+ * - Optional device_public_key (SPKI, P-256 or Ed25519) binds the device:
+ *   it must sign the verification challenge (see crypto/deviceBinding.js)
+ * - /devices changes require proof_factors (like /factors)
+ * - Verification is refused from revoked or unknown devices
+ * 
+ * Device Attestation (/store and /devices, see services/attestationPolicy.js):
+ * - attestation: { format: 'android-key', certificate_chain }
+ *   or { format: 'apple-appattest', attestation_object, key_id }
+ * - Over a single-use challenge from /attestation/challenge
+ * - ATTESTATION_POLICY off | optional | required (403 when required and invalid)
+ * - Verdict stored in enrollment metadata (attestation) and on the device
+ * 
+ * Factor Updates (/update):
+ * - old_factors checked like proof_factors (lockout, failures counted)
+ * 
+ * Single-Factor Changes (/factors):
+ * - Caller proves possession with proof_factors (must satisfy the policy)
+ * - Digests compared first; a wrong proof counts towards the user lockout
+ * - Factor count stays within 2 (PSD3 floor) and 10 (cap)
+ * - Key re-derived and re-wrapped via updateWithDoubleEncryption
+ * - Old wrapped key kept in key_rotation_history (30 days)
  * 
  * Security:
  * - Rate limiting (per IP + per UUID)
  * - Nonce validation (replay protection)
+ * - Idempotency-Key on /store, /update and /factors (safe client retries)
  * - Input validation (UUID, digests, factor count)
  * - Audit logging (GDPR compliance)
  * - Memory wiping
@@ -28,12 +82,54 @@
  */
 
 const express = require('express');
-const redis = require('redis');
-const { encrypt, decrypt } = require('../crypto/encryption');
-const { enrollWithDoubleEncryption, deleteWithDoubleEncryption } = require('../crypto/doubleLayerCrypto');
-const { storeWrappedKey, getWrappedKey, deleteWrappedKey, exportUserData } = require('../database/database');
+const {
+  enrollWithDoubleEncryption,
+  updateWithDoubleEncryption,
+  deleteWithDoubleEncryption
+} = require('../crypto/doubleLayerCrypto');
+const { secureCompare } = require('../crypto/memoryWipe');
+const {
+  storeWrappedKey,
+  getWrappedKey,
+  rotateWrappedKey,
+  deleteWrappedKey,
+  exportUserData,
+  registerDevice,
+  listDevices,
+  renameDevice,
+  revokeDevice
+} = require('../database/database');
 const { validateNonce } = require('../middleware/nonceValidator');
+const { idempotency } = require('../middleware/idempotency');
 const { createEnrollmentRateLimiter, createPerUserRateLimiter } = require('../middleware/rateLimiter');
+const {
+  validateFactorSet,
+  normalizePolicy,
+  checkFactorSubset,
+  isThresholdPolicy,
+  defaultPolicy
+} = require('../services/factorPolicy');
+const { SHARE_VERSION } = require('../crypto/thresholdKey');
+const { deleteFraudHistory } = require('../services/fraudDetector');
+const { forgetDevices } = require('../services/riskAssessment');
+const { issueRecoveryCodes } = require('../services/accountRecovery');
+const { parseDevicePublicKey } = require('../crypto/deviceBinding');
+const { issueAttestationChallenge, evaluateAttestation } = require('../services/attestationPolicy');
+const {
+  getLockoutState,
+  recordFailure,
+  recordSuccess,
+  clearLockout,
+  getLockoutResponse
+} = require('../services/userLockout');
+const {
+  getEnrollment,
+  getCachedEnrollment,
+  cacheEnrollment,
+  invalidateEnrollment,
+  buildEnrollmentRecord,
+  normalizeCacheTTL
+} = require('../services/enrollmentStore');
 
 const router = express.Router();
 
@@ -64,6 +160,509 @@ function sanitizeDeviceId(deviceId) {
   return deviceId.replace(/[^a-zA-Z0-9-]/g, '').slice(0, 128);
 }
 
+/**
+ * Build threshold key metadata for PostgreSQL (null for all-factor policies)
+ */
+function buildThresholdKeyMetadata(result) {
+  if (!result.factorShares) return null;
+  
+  return {
+    version: SHARE_VERSION,
+    threshold: result.threshold,
+    shares: result.factorShares
+  };
+}
+
+/**
+ * Validate a single factor ({ name, digest })
+ *
+ * @param {*} factor - Request input
+ * @returns {string|null} Error message or null if valid
+ */
+function validateFactorInput(factor) {
+  if (!factor || typeof factor !== 'object' || Array.isArray(factor)) {
+    return 'factor must be an object: { name, digest }';
+  }
+  
+  if (typeof factor.name !== 'string' || factor.name.length === 0 || factor.name.length > 64) {
+    return 'Invalid factor.name (1-64 chars)';
+  }
+  
+  if (!isValidDigest(factor.digest)) {
+    return `Invalid digest format for factor '${factor.name}' (must be 64 hex chars)`;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate proof_factors shape ({ name: digest })
+ *
+ * @param {*} proofFactors - Request input
+ * @param {string} field - Request field name (for the error message)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateProofFactors(proofFactors, field = 'proof_factors') {
+  if (!proofFactors || typeof proofFactors !== 'object' || Array.isArray(proofFactors)) {
+    return `${field} must be an object`;
+  }
+  
+  for (const [factorName, digest] of Object.entries(proofFactors)) {
+    if (!isValidDigest(digest)) {
+      return `Invalid digest format for factor '${factorName}'`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate device display name (1-64 printable chars)
+ */
+function isValidDeviceName(name) {
+  return typeof name === 'string' && /^\P{Cc}{1,64}$/u.test(name) && name.trim().length > 0;
+}
+
+/**
+ * Parse optional device binding input (device_name, device_public_key)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} { device: { deviceName, publicKey, keyFingerprint }, error }
+ */
+function parseDeviceInput({ device_name, device_public_key }) {
+  if (device_name !== undefined && !isValidDeviceName(device_name)) {
+    return { error: 'Invalid device_name (1-64 printable chars)' };
+  }
+  
+  const device = {
+    deviceName: device_name === undefined ? null : device_name.trim(),
+    publicKey: null,
+    keyFingerprint: null
+  };
+  
+  if (device_public_key !== undefined) {
+    try {
+      const parsed = parseDevicePublicKey(device_public_key);
+      device.publicKey = parsed.pem;
+      device.keyFingerprint = parsed.fingerprint;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  
+  return { device };
+}
+
+/**
+ * Check factor set against the enrollment policy and send 400 if rejected
+ *
+ * @param {Object} res - Express response
+ * @param {Array<string>} factorNames - Factor names to enroll
+ * @returns {Object|null} Policy result, or null if a response was sent
+ */
+function checkFactorSet(res, factorNames) {
+  const factorSet = validateFactorSet(factorNames);
+  
+  if (!factorSet.valid) {
+    res.status(400).json({
+      success: false,
+      error: factorSet.error,
+      factor_policy_version: factorSet.version
+    });
+    return null;
+  }
+  
+  return factorSet;
+}
+
+/**
+ * Send 409 for /store on an enrolled UUID
+ *
+ * @param {Object} res - Express response
+ * @param {string} uuid - User UUID
+ */
+function sendAlreadyEnrolled(res, uuid) {
+  console.log(`❌ Enrollment refused, already enrolled: ${uuid.slice(0, 8)}...`);
+  
+  res.status(409).json({
+    success: false,
+    error: 'User already enrolled',
+    message: 'Change factors with /update or /factors, or recover access via /v1/recovery'
+  });
+}
+
+// ============================================================================
+// FACTOR CHANGE HELPERS
+// ============================================================================
+
+/**
+ * Send lockout response if user is locked
+ *
+ * @param {Object} res - Express response
+ * @param {Object} lockout - Lockout state
+ * @returns {boolean} True if a response was sent
+ */
+function sendLockoutResponse(res, lockout) {
+  const lockoutResponse = getLockoutResponse(lockout);
+  
+  if (!lockoutResponse) {
+    return false;
+  }
+  
+  if (lockoutResponse.retryAfter) {
+    res.set('Retry-After', String(lockoutResponse.retryAfter));
+  }
+  
+  res.status(lockoutResponse.status).json(lockoutResponse.body);
+  return true;
+}
+
+/**
+ * Policy for a changed factor set
+ *
+ * Explicit policy wins. Otherwise an all-factor policy stays all-factor
+ * (threshold follows the new count) and a K-of-N policy is kept as is.
+ *
+ * @param {Object|undefined} requested - Policy from the request
+ * @param {Object} current - Current enrollment policy
+ * @param {number} currentCount - Current factor count
+ * @param {Array<string>} newFactorNames - Factor names after the change
+ * @returns {Object} { valid, policy, error }
+ */
+function resolveChangedPolicy(requested, current, currentCount, newFactorNames) {
+  if (requested !== undefined) {
+    return normalizePolicy(requested, newFactorNames);
+  }
+  
+  const carried = current.threshold >= currentCount
+    ? { ...current, threshold: newFactorNames.length }
+    : current;
+  
+  const result = normalizePolicy(carried, newFactorNames);
+  if (!result.valid) {
+    result.error = `${result.error}; send a policy for the new factor set`;
+  }
+  
+  return result;
+}
+
+/**
+ * Check proof of possession of enrolled factors
+ *
+ * Proof must satisfy the enrollment policy; digests are compared in
+ * constant time and a wrong proof counts towards the user lockout.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {Object} params.proofFactors - Factor digests presented as proof
+ * @param {string} params.action - Operation name (for logs)
+ * @returns {Promise<Object|null>} { redisClient, wrappedKeyRecord, currentFactors,
+ *   currentPolicy }, or null if a response was sent
+ */
+async function proveFactorPossession(req, res, { uuid, proofFactors, action }) {
+  const redisClient = req.app.locals.redisClient;
+  
+  // Per-user lockout (proof attempts count like verifications)
+  const lockout = await getLockoutState(redisClient, uuid);
+  if (sendLockoutResponse(res, lockout)) {
+    return null;
+  }
+  
+  const wrappedKeyRecord = await getWrappedKey(uuid, req.ip);
+  const enrollmentData = wrappedKeyRecord
+    ? await getEnrollment(redisClient, uuid, { ipAddress: req.ip })
+    : null;
+  
+  if (!enrollmentData) {
+    res.status(404).json({
+      success: false,
+      error: 'Enrollment not found'
+    });
+    return null;
+  }
+  
+  const currentFactors = enrollmentData.factors;
+  const currentNames = Object.keys(currentFactors);
+  const currentPolicy = enrollmentData.policy || defaultPolicy(currentNames.length);
+  
+  // Proof must satisfy the enrollment policy (minimum factor set)
+  const subsetCheck = checkFactorSubset(currentPolicy, currentNames, Object.keys(proofFactors));
+  if (!subsetCheck.valid) {
+    res.status(400).json({
+      success: false,
+      error: subsetCheck.error,
+      required_factors: currentPolicy.threshold
+    });
+    return null;
+  }
+  
+  // Proof of possession: constant-time digest comparison (no early exit)
+  let proofValid = true;
+  for (const [factorName, inputDigest] of Object.entries(proofFactors)) {
+    const inputBuffer = Buffer.from(inputDigest, 'hex');
+    const storedBuffer = Buffer.from(currentFactors[factorName], 'hex');
+    
+    if (!secureCompare(inputBuffer, storedBuffer, true)) {
+      proofValid = false;
+    }
+  }
+  
+  if (!proofValid) {
+    console.log(`❌ ${action} proof failed for ${uuid.slice(0, 8)}...`);
+    
+    const failureLockout = await recordFailure(redisClient, uuid);
+    const response = { success: false, error: 'Invalid factors' };
+    const lockoutResponse = getLockoutResponse(failureLockout);
+    
+    if (lockoutResponse) {
+      Object.assign(response, lockoutResponse.body, { error: 'Invalid factors' });
+      
+      if (lockoutResponse.retryAfter) {
+        res.set('Retry-After', String(lockoutResponse.retryAfter));
+      }
+    }
+    
+    res.status(401).json(response);
+    return null;
+  }
+  
+  return { redisClient, wrappedKeyRecord, currentFactors, currentPolicy };
+}
+
+/**
+ * Prove possession, re-wrap the key for a changed factor set and respond
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} change
+ * @param {string} change.action - 'add' | 'replace' | 'remove'
+ * @param {Function} change.apply - (currentFactors) => { factors, error }
+ */
+async function applyFactorChange(req, res, { action, apply }) {
+  const startTime = Date.now();
+  const { user_uuid, device_id, proof_factors, policy } = req.body;
+  
+  // Validation: Required fields
+  if (!user_uuid || !device_id || !proof_factors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: user_uuid, device_id, proof_factors'
+    });
+  }
+  
+  if (!isValidUUID(user_uuid)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user_uuid format'
+    });
+  }
+  
+  const proofError = validateProofFactors(proof_factors);
+  if (proofError) {
+    return res.status(400).json({
+      success: false,
+      error: proofError
+    });
+  }
+  
+  const deviceId = sanitizeDeviceId(device_id);
+  if (!deviceId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid device_id (must be alphanumeric + hyphens, max 128 chars)'
+    });
+  }
+  
+  const proof = await proveFactorPossession(req, res, {
+    uuid: user_uuid,
+    proofFactors: proof_factors,
+    action: `Factor ${action}`
+  });
+  if (!proof) {
+    return;
+  }
+  
+  const { redisClient, wrappedKeyRecord, currentFactors, currentPolicy } = proof;
+  const currentNames = Object.keys(currentFactors);
+  
+  // Build new factor set
+  const change = apply(currentFactors);
+  if (change.error) {
+    return res.status(400).json({
+      success: false,
+      error: change.error
+    });
+  }
+  
+  const newFactors = change.factors;
+  const newFactorNames = Object.keys(newFactors);
+  
+  if (newFactorNames.length < 2) {
+    return res.status(400).json({
+      success: false,
+      error: 'At least 2 factors required (PSD3 SCA compliance)'
+    });
+  }
+  
+  if (newFactorNames.length > 10) {
+    return res.status(400).json({
+      success: false,
+      error: 'Maximum 10 factors allowed'
+    });
+  }
+  
+  const factorSet = checkFactorSet(res, newFactorNames);
+  if (!factorSet) {
+    return;
+  }
+  
+  const policyResult = resolveChangedPolicy(policy, currentPolicy, currentNames.length, newFactorNames);
+  if (!policyResult.valid) {
+    return res.status(400).json({
+      success: false,
+      error: policyResult.error
+    });
+  }
+  const factorPolicy = policyResult.policy;
+  
+  const enrollmentRecord = buildEnrollmentRecord({
+    uuid: user_uuid,
+    factors: newFactors,
+    deviceId,
+    policy: factorPolicy
+  });
+  
+  // Verify proof (KMS unwrap + derive) and re-wrap for the new factor set
+  const oldThresholdKey = (wrappedKeyRecord.metadata || {}).threshold_key;
+  const updateResult = await updateWithDoubleEncryption({
+    uuid: user_uuid,
+    oldFactorDigests: proof_factors,
+    newFactorDigests: newFactors,
+    oldWrappedKeyHex: wrappedKeyRecord.wrapped_key,
+    oldKdfParams: wrappedKeyRecord.kdf_params,
+    oldKeyVersion: wrappedKeyRecord.key_version,
+    oldFactorShares: oldThresholdKey ? oldThresholdKey.shares : null,
+    oldThreshold: oldThresholdKey ? oldThresholdKey.threshold : null,
+    oldShareVersion: oldThresholdKey ? oldThresholdKey.version : undefined,
+    newThreshold: isThresholdPolicy(factorPolicy, newFactorNames.length) ? factorPolicy.threshold : null,
+    enrollmentRecord: JSON.stringify(enrollmentRecord)
+  });
+  
+  const rotated = await rotateWrappedKey({
+    uuid: user_uuid,
+    expectedKeyVersion: wrappedKeyRecord.key_version,
+    wrappedKey: updateResult.wrappedKey,
+    kmsKeyId: updateResult.kmsKeyId,
+    factorCount: updateResult.newFactorCount,
+    deviceId,
+    metadata: {
+      update_timestamp: Date.now(),
+      old_factor_count: updateResult.oldFactorCount,
+      new_factor_count: updateResult.newFactorCount,
+      factor_types: newFactorNames,
+      factor_policy_version: factorSet.version,
+      policy: factorPolicy,
+      threshold_key: buildThresholdKeyMetadata(updateResult),
+      attestation: (wrappedKeyRecord.metadata || {}).attestation
+    },
+    sealedEnrollment: updateResult.sealedRecord,
+    kdfParams: updateResult.kdfParams,
+    kmsProviders: updateResult.kmsProviders,
+    encryptionContext: updateResult.encryptionContext,
+    rotationReason: `factor_${action}`,
+    auditDetails: { factor_change: action, factor_types: newFactorNames },
+    ipAddress: req.ip
+  });
+  
+  if (!rotated) {
+    return res.status(409).json({
+      success: false,
+      error: 'Enrollment changed concurrently, retry'
+    });
+  }
+  
+  await recordSuccess(redisClient, user_uuid);
+  await cacheEnrollment(redisClient, enrollmentRecord);
+  
+  const duration = Date.now() - startTime;
+  console.log(`✅ Factor ${action} complete for ${user_uuid.slice(0, 8)}... (${duration}ms)`);
+  
+  res.json({
+    success: true,
+    enrollment_id: user_uuid,
+    action,
+    factor_count: newFactorNames.length,
+    factor_types: newFactorNames,
+    key_version: rotated.key_version,
+    policy: factorPolicy,
+    factor_policy_version: factorSet.version,
+    recommended_combination: factorSet.recommended,
+    duration_ms: duration,
+    message: `Factor ${action} complete`
+  });
+}
+
+// ============================================================================
+// DEVICE HELPERS
+// ============================================================================
+
+const MAX_ACTIVE_DEVICES = 10;
+
+/**
+ * Public view of a device record
+ */
+function describeDevice(device) {
+  return {
+    device_id: device.device_id,
+    device_name: device.device_name,
+    key_fingerprint: device.key_fingerprint,
+    attestation: device.attestation
+      ? { format: device.attestation.format || null, valid: device.attestation.valid }
+      : null,
+    status: device.status,
+    created_at: device.created_at,
+    last_used_at: device.last_used_at,
+    revoked_at: device.revoked_at
+  };
+}
+
+/**
+ * Validate user_uuid + proof_factors and prove possession (device changes)
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - Operation name (for logs)
+ * @returns {Promise<Object|null>} Proof result, or null if a response was sent
+ */
+async function proveDeviceRequest(req, res, action) {
+  const { user_uuid, proof_factors } = req.body;
+  
+  if (!isValidUUID(user_uuid)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid user_uuid format'
+    });
+    return null;
+  }
+  
+  const proofError = validateProofFactors(proof_factors);
+  if (proofError) {
+    res.status(400).json({
+      success: false,
+      error: proofError
+    });
+    return null;
+  }
+  
+  return proveFactorPossession(req, res, {
+    uuid: user_uuid,
+    proofFactors: proof_factors,
+    action
+  });
+}
+
 // ============================================================================
 // POST /v1/enrollment/store
 // Store enrollment with double encryption
@@ -72,12 +671,13 @@ function sanitizeDeviceId(deviceId) {
 router.post('/store',
   createEnrollmentRateLimiter,
   createPerUserRateLimiter,
+  idempotency(),
   validateNonce,
   async (req, res) => {
     const startTime = Date.now();
     
     try {
-      const { user_uuid, factors, device_id, ttl_seconds = 86400 } = req.body;
+      const { user_uuid, factors, device_id, policy, ttl_seconds = 86400 } = req.body;
       
       // Validation: Required fields
       if (!user_uuid || !factors || !device_id) {
@@ -131,24 +731,77 @@ router.post('/store',
         });
       }
       
-      // Validation: TTL (cap at 24 hours for security)
-      const ttl = Math.min(Math.max(parseInt(ttl_seconds) || 86400, 60), 86400);
+      // Validation: Device binding (optional name + public key)
+      const deviceInput = parseDeviceInput(req.body);
+      if (deviceInput.error) {
+        return res.status(400).json({
+          success: false,
+          error: deviceInput.error
+        });
+      }
+      
+      // Validation: Factor set (types, categories, combinations)
+      const factorSet = checkFactorSet(res, Object.keys(factors));
+      if (!factorSet) {
+        return;
+      }
+      
+      // Validation: Factor policy (K-of-N)
+      const policyResult = normalizePolicy(policy, Object.keys(factors));
+      if (!policyResult.valid) {
+        return res.status(400).json({
+          success: false,
+          error: policyResult.error
+        });
+      }
+      const factorPolicy = policyResult.policy;
+      
+      // Validation: Cache TTL (cap at 24 hours for security; enrollment itself is durable)
+      const ttl = normalizeCacheTTL(ttl_seconds);
+      
+      // First enrollment only: changing an enrollment needs proof of its
+      // factors (/update, /factors) or a recovery code (/v1/recovery)
+      if (await getWrappedKey(user_uuid, req.ip)) {
+        return sendAlreadyEnrolled(res, user_uuid);
+      }
+      
+      // Device attestation (per ATTESTATION_POLICY, consumes the challenge)
+      const redisClient = req.app.locals.redisClient;
+      const attestation = await evaluateAttestation(redisClient, {
+        uuid: user_uuid,
+        deviceId: sanitizedDeviceId,
+        attestation: req.body.attestation,
+        keyFingerprint: deviceInput.device.keyFingerprint
+      });
+      
+      if (!attestation.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: attestation.error,
+          reason: attestation.verdict.reason
+        });
+      }
+      
+      const enrollmentRecord = buildEnrollmentRecord({
+        uuid: user_uuid,
+        factors,  // Already digests (not raw)
+        deviceId: sanitizedDeviceId,
+        policy: factorPolicy
+      });
       
       // DOUBLE ENCRYPTION
       console.log(`📍 Starting double encryption for UUID: ${user_uuid.slice(0, 8)}...`);
       
-      // Layer 1 + Layer 2: Derive + KMS Wrap
+      // Layer 1 + Layer 2: Derive + KMS Wrap (+ seal enrollment record)
       const doubleEncryptionResult = await enrollWithDoubleEncryption({
         uuid: user_uuid,
         factorDigests: factors,
-        context: {
-          device_id: sanitizedDeviceId,
-          ip_address: req.ip
-        }
+        threshold: isThresholdPolicy(factorPolicy, factorCount) ? factorPolicy.threshold : null,
+        enrollmentRecord: JSON.stringify(enrollmentRecord)
       });
       
-      // Store wrapped key in PostgreSQL
-      await storeWrappedKey({
+      // Store wrapped key in PostgreSQL (insert-only: concurrent /store loses)
+      const stored = await storeWrappedKey({
         uuid: user_uuid,
         wrappedKey: doubleEncryptionResult.wrappedKey,
         kmsKeyId: doubleEncryptionResult.kmsKeyId,
@@ -157,35 +810,42 @@ router.post('/store',
         deviceId: sanitizedDeviceId,
         metadata: {
           enrollment_timestamp: Date.now(),
-          factor_types: Object.keys(factors)
+          factor_types: Object.keys(factors),
+          factor_policy_version: factorSet.version,
+          policy: factorPolicy,
+          threshold_key: buildThresholdKeyMetadata(doubleEncryptionResult),
+          attestation: attestation.verdict
         },
+        sealedEnrollment: doubleEncryptionResult.sealedRecord,
+        kdfParams: doubleEncryptionResult.kdfParams,
+        kmsProviders: doubleEncryptionResult.kmsProviders,
+        encryptionContext: doubleEncryptionResult.encryptionContext,
+        device: { ...deviceInput.device, attestation: attestation.verdict },
         ipAddress: req.ip
       });
       
-      // Create enrollment data for Redis
-      const enrollmentData = {
-        user_uuid,
-        factors,  // Already digests (not raw)
-        created_at: Date.now(),
-        expires_at: Date.now() + (ttl * 1000),
-        device_id: sanitizedDeviceId,
-        factor_count: factorCount
-      };
+      if (!stored) {
+        return sendAlreadyEnrolled(res, user_uuid);
+      }
       
-      // Encrypt enrollment data before storing in Redis (AES-256-GCM)
-      const plaintext = JSON.stringify(enrollmentData);
-      const encrypted = await encrypt(plaintext);
+      // Cache enrollment record in Redis (encrypted, TTL)
+      const enrollmentData = await cacheEnrollment(redisClient, enrollmentRecord, ttl);
       
-      // Store in Redis with TTL
-      const redisClient = req.app.locals.redisClient;
-      const key = `enrollment:${user_uuid}`;
-      await redisClient.setEx(key, ttl, encrypted);
+      // New enrollment starts unlocked (no state left from a deleted one)
+      await clearLockout(redisClient, user_uuid);
+      
+      // Recovery codes (first enrollment; replaced only by account recovery)
+      const recoveryCodes = await issueRecoveryCodes({
+        uuid: user_uuid,
+        reason: 'enrollment',
+        ipAddress: req.ip
+      });
       
       const duration = Date.now() - startTime;
       console.log(`✅ Enrollment complete for ${user_uuid.slice(0, 8)}... (${duration}ms)`);
       console.log(`   - Factor count: ${factorCount}`);
-      console.log(`   - Wrapped key stored in PostgreSQL`);
-      console.log(`   - Factor digests stored in Redis (TTL: ${ttl}s)`);
+      console.log(`   - Wrapped key + sealed enrollment stored in PostgreSQL`);
+      console.log(`   - Factor digests cached in Redis (TTL: ${ttl}s)`);
       
       res.json({
         success: true,
@@ -193,6 +853,17 @@ router.post('/store',
         expires_at: enrollmentData.expires_at,
         ttl_seconds: ttl,
         factor_count: factorCount,
+        policy: factorPolicy,
+        factor_policy_version: factorSet.version,
+        recommended_combination: factorSet.recommended,
+        recovery_codes: recoveryCodes,
+        device: {
+          device_id: sanitizedDeviceId,
+          key_fingerprint: deviceInput.device.keyFingerprint,
+          attestation: attestation.verdict
+            ? { format: attestation.verdict.format || null, valid: attestation.verdict.valid }
+            : null
+        },
         double_encryption: true,
         duration_ms: duration,
         message: 'Enrollment stored successfully with double encryption'
@@ -228,30 +899,17 @@ router.get('/retrieve/:uuid', async (req, res) => {
       });
     }
     
+    // Redis first, rehydrate from PostgreSQL on miss
     const redisClient = req.app.locals.redisClient;
-    const key = `enrollment:${uuid}`;
-    const encrypted = await redisClient.get(key);
+    const enrollmentData = await getEnrollment(redisClient, uuid, { ipAddress: req.ip });
     
-    if (!encrypted) {
+    if (!enrollmentData) {
       return res.status(404).json({
         success: false,
         error: 'Enrollment not found or expired'
       });
     }
     
-    // Decrypt data
-    const decrypted = await decrypt(encrypted);
-    const enrollmentData = JSON.parse(decrypted);
-    
-    // Defensive: Check expiration
-    if (Date.now() > enrollmentData.expires_at) {
-      await redisClient.del(key);
-      return res.status(404).json({
-        success: false,
-        error: 'Enrollment expired'
-      });
-    }
-    
     console.log(`✅ Retrieved enrollment for ${uuid.slice(0, 8)}...`);
     
     res.json({
@@ -277,12 +935,13 @@ router.get('/retrieve/:uuid', async (req, res) => {
 router.put('/update',
   createEnrollmentRateLimiter,
   createPerUserRateLimiter,
+  idempotency(),
   validateNonce,
   async (req, res) => {
     const startTime = Date.now();
     
     try {
-      const { user_uuid, old_factors, new_factors, device_id } = req.body;
+      const { user_uuid, old_factors, new_factors, device_id, policy } = req.body;
       
       // Validation: Required fields
       if (!user_uuid || !old_factors || !new_factors || !device_id) {
@@ -300,59 +959,126 @@ router.put('/update',
         });
       }
       
-      // Retrieve old wrapped key from PostgreSQL
-      const oldWrappedKeyRecord = await getWrappedKey(user_uuid, req.ip);
+      const proofError = validateProofFactors(old_factors, 'old_factors');
+      if (proofError) {
+        return res.status(400).json({
+          success: false,
+          error: proofError
+        });
+      }
       
-      if (!oldWrappedKeyRecord) {
-        return res.status(404).json({
+      // Old factors: lockout check, constant-time comparison, failures counted
+      const proof = await proveFactorPossession(req, res, {
+        uuid: user_uuid,
+        proofFactors: old_factors,
+        action: 'Update'
+      });
+      if (!proof) {
+        return;
+      }
+      
+      const { redisClient, wrappedKeyRecord: oldWrappedKeyRecord } = proof;
+      
+      // Validation: New factor set (count, digests, types, categories)
+      const newFactorNames = Object.keys(new_factors);
+      if (newFactorNames.length < 2 || newFactorNames.length > 10) {
+        return res.status(400).json({
           success: false,
-          error: 'Enrollment not found'
+          error: 'new_factors must contain between 2 and 10 factors'
         });
       }
       
-      // Verify old factors and create new wrapped key
-      const { updateWithDoubleEncryption } = require('../crypto/doubleLayerCrypto');
+      for (const [factorName, digest] of Object.entries(new_factors)) {
+        if (!isValidDigest(digest)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid digest format for factor '${factorName}' (must be 64 hex chars)`
+          });
+        }
+      }
+      
+      const factorSet = checkFactorSet(res, newFactorNames);
+      if (!factorSet) {
+        return;
+      }
+      
+      // Policy for the new factor set (explicit, else keep current if still valid)
+      const oldMetadata = oldWrappedKeyRecord.metadata || {};
+      let policyResult = normalizePolicy(policy, newFactorNames);
+      
+      if (policy === undefined && oldMetadata.policy) {
+        const kept = normalizePolicy(oldMetadata.policy, newFactorNames);
+        if (kept.valid) policyResult = kept;
+      }
+      
+      if (!policyResult.valid) {
+        return res.status(400).json({
+          success: false,
+          error: policyResult.error
+        });
+      }
+      const factorPolicy = policyResult.policy;
+      
+      const enrollmentRecord = buildEnrollmentRecord({
+        uuid: user_uuid,
+        factors: new_factors,
+        deviceId: sanitizeDeviceId(device_id),
+        policy: factorPolicy
+      });
+      
+      // Verify old factors and create new wrapped key (+ sealed record)
+      const oldThresholdKey = oldMetadata.threshold_key;
       
       const updateResult = await updateWithDoubleEncryption({
         uuid: user_uuid,
         oldFactorDigests: old_factors,
         newFactorDigests: new_factors,
         oldWrappedKeyHex: oldWrappedKeyRecord.wrapped_key,
-        context: {
-          device_id: sanitizeDeviceId(device_id),
-          ip_address: req.ip
-        }
+        oldKdfParams: oldWrappedKeyRecord.kdf_params,
+        oldKeyVersion: oldWrappedKeyRecord.key_version,
+        oldFactorShares: oldThresholdKey ? oldThresholdKey.shares : null,
+        oldThreshold: oldThresholdKey ? oldThresholdKey.threshold : null,
+        oldShareVersion: oldThresholdKey ? oldThresholdKey.version : undefined,
+        newThreshold: isThresholdPolicy(factorPolicy, newFactorNames.length) ? factorPolicy.threshold : null,
+        enrollmentRecord: JSON.stringify(enrollmentRecord)
       });
       
-      // Store new wrapped key in PostgreSQL
-      await storeWrappedKey({
+      // Store new wrapped key in PostgreSQL (+ key_rotation_history row)
+      const rotated = await rotateWrappedKey({
         uuid: user_uuid,
+        expectedKeyVersion: oldWrappedKeyRecord.key_version,
         wrappedKey: updateResult.wrappedKey,
-        kmsKeyId: oldWrappedKeyRecord.kms_key_id,
-        keyVersion: oldWrappedKeyRecord.key_version + 1,
+        kmsKeyId: updateResult.kmsKeyId,
         factorCount: updateResult.newFactorCount,
         deviceId: sanitizeDeviceId(device_id),
         metadata: {
           update_timestamp: Date.now(),
           old_factor_count: updateResult.oldFactorCount,
-          new_factor_count: updateResult.newFactorCount
+          new_factor_count: updateResult.newFactorCount,
+          factor_types: newFactorNames,
+          factor_policy_version: factorSet.version,
+          policy: factorPolicy,
+          threshold_key: buildThresholdKeyMetadata(updateResult),
+          attestation: oldMetadata.attestation
         },
+        sealedEnrollment: updateResult.sealedRecord,
+        kdfParams: updateResult.kdfParams,
+        kmsProviders: updateResult.kmsProviders,
+        encryptionContext: updateResult.encryptionContext,
+        rotationReason: 'factor_update',
         ipAddress: req.ip
       });
       
-      // Update Redis enrollment data
-      const enrollmentData = {
-        user_uuid,
-        factors: new_factors,
-        created_at: Date.now(),
-        expires_at: Date.now() + 86400000, // 24h
-        device_id: sanitizeDeviceId(device_id),
-        factor_count: updateResult.newFactorCount
-      };
+      if (!rotated) {
+        return res.status(409).json({
+          success: false,
+          error: 'Enrollment changed concurrently, retry'
+        });
+      }
       
-      const encrypted = await encrypt(JSON.stringify(enrollmentData));
-      const redisClient = req.app.locals.redisClient;
-      await redisClient.setEx(`enrollment:${user_uuid}`, 86400, encrypted);
+      // Refresh Redis cache
+      await recordSuccess(redisClient, user_uuid);
+      await cacheEnrollment(redisClient, enrollmentRecord);
       
       const duration = Date.now() - startTime;
       console.log(`✅ Enrollment updated for ${user_uuid.slice(0, 8)}... (${duration}ms)`);
@@ -362,6 +1088,8 @@ router.put('/update',
         enrollment_id: user_uuid,
         old_factor_count: updateResult.oldFactorCount,
         new_factor_count: updateResult.newFactorCount,
+        policy: factorPolicy,
+        factor_policy_version: factorSet.version,
         duration_ms: duration,
         message: 'Enrollment updated successfully'
       });
@@ -378,6 +1106,421 @@ router.put('/update',
   }
 );
 
+// ============================================================================
+// POST /v1/enrollment/factors
+// Add a single factor
+// ============================================================================
+
+router.post('/factors',
+  createEnrollmentRateLimiter,
+  createPerUserRateLimiter,
+  idempotency(),
+  validateNonce,
+  async (req, res) => {
+    try {
+      const { factor } = req.body;
+      
+      const factorError = validateFactorInput(factor);
+      if (factorError) {
+        return res.status(400).json({
+          success: false,
+          error: factorError
+        });
+      }
+      
+      await applyFactorChange(req, res, {
+        action: 'add',
+        apply: (currentFactors) => {
+          if (Object.prototype.hasOwnProperty.call(currentFactors, factor.name)) {
+            return { error: `Factor '${factor.name}' is already enrolled` };
+          }
+          
+          return { factors: { ...currentFactors, [factor.name]: factor.digest } };
+        }
+      });
+      
+    } catch (error) {
+      console.error('❌ Error adding factor:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// PUT /v1/enrollment/factors/:factorName
+// Replace a single factor (new digest, or a different factor type)
+// ============================================================================
+
+router.put('/factors/:factorName',
+  createEnrollmentRateLimiter,
+  createPerUserRateLimiter,
+  idempotency(),
+  validateNonce,
+  async (req, res) => {
+    try {
+      const { factorName } = req.params;
+      const { factor } = req.body;
+      
+      const factorError = validateFactorInput(factor);
+      if (factorError) {
+        return res.status(400).json({
+          success: false,
+          error: factorError
+        });
+      }
+      
+      await applyFactorChange(req, res, {
+        action: 'replace',
+        apply: (currentFactors) => {
+          if (!Object.prototype.hasOwnProperty.call(currentFactors, factorName)) {
+            return { error: `Factor '${factorName}' is not enrolled` };
+          }
+          
+          if (factor.name !== factorName &&
+              Object.prototype.hasOwnProperty.call(currentFactors, factor.name)) {
+            return { error: `Factor '${factor.name}' is already enrolled` };
+          }
+          
+          const factors = { ...currentFactors };
+          delete factors[factorName];
+          factors[factor.name] = factor.digest;
+          
+          return { factors };
+        }
+      });
+      
+    } catch (error) {
+      console.error('❌ Error replacing factor:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /v1/enrollment/factors/:factorName
+// Remove a single factor
+// ============================================================================
+
+router.delete('/factors/:factorName',
+  createEnrollmentRateLimiter,
+  createPerUserRateLimiter,
+  idempotency(),
+  validateNonce,
+  async (req, res) => {
+    try {
+      const { factorName } = req.params;
+      
+      await applyFactorChange(req, res, {
+        action: 'remove',
+        apply: (currentFactors) => {
+          if (!Object.prototype.hasOwnProperty.call(currentFactors, factorName)) {
+            return { error: `Factor '${factorName}' is not enrolled` };
+          }
+          
+          const factors = { ...currentFactors };
+          delete factors[factorName];
+          
+          return { factors };
+        }
+      });
+      
+    } catch (error) {
+      console.error('❌ Error removing factor:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /v1/enrollment/attestation/challenge
+// Issue a single-use challenge for device attestation
+// ============================================================================
+
+router.post('/attestation/challenge',
+  createEnrollmentRateLimiter,
+  createPerUserRateLimiter,
+  async (req, res) => {
+    try {
+      const { user_uuid, device_id } = req.body;
+      
+      if (!isValidUUID(user_uuid)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user_uuid format'
+        });
+      }
+      
+      const deviceId = sanitizeDeviceId(device_id);
+      if (!deviceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid device_id (must be alphanumeric + hyphens, max 128 chars)'
+        });
+      }
+      
+      const { challenge, expires_in } = await issueAttestationChallenge(req.app.locals.redisClient, {
+        uuid: user_uuid,
+        deviceId
+      });
+      
+      res.json({
+        success: true,
+        challenge,
+        expires_in
+      });
+      
+    } catch (error) {
+      console.error('❌ Error issuing attestation challenge:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /v1/enrollment/devices/:uuid
+// List enrolled devices (no public keys)
+// ============================================================================
+
+router.get('/devices/:uuid', async (req, res) => {
+  try {
+    const { uuid } = req.params;
+    
+    if (!isValidUUID(uuid)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid UUID format'
+      });
+    }
+    
+    const devices = await listDevices(uuid);
+    
+    if (devices.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Enrollment not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      uuid,
+      devices: devices.map(describeDevice)
+    });
+    
+  } catch (error) {
+    console.error('❌ Error listing devices:', error.message);
+    
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// ============================================================================
+// POST /v1/enrollment/devices
+// Enroll another device (proof of factors, optional public key)
+// ============================================================================
+
+router.post('/devices',
+  createEnrollmentRateLimiter,
+  createPerUserRateLimiter,
+  idempotency(),
+  validateNonce,
+  async (req, res) => {
+    try {
+      const { user_uuid, device_id } = req.body;
+      
+      const deviceId = sanitizeDeviceId(device_id);
+      if (!deviceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid device_id (must be alphanumeric + hyphens, max 128 chars)'
+        });
+      }
+      
+      const deviceInput = parseDeviceInput(req.body);
+      if (deviceInput.error) {
+        return res.status(400).json({
+          success: false,
+          error: deviceInput.error
+        });
+      }
+      
+      const proof = await proveDeviceRequest(req, res, 'Device registration');
+      if (!proof) {
+        return;
+      }
+      
+      const devices = await listDevices(user_uuid);
+      const active = devices.filter(d => d.status === 'active' && d.device_id !== deviceId);
+      
+      if (active.length >= MAX_ACTIVE_DEVICES) {
+        return res.status(409).json({
+          success: false,
+          error: `Maximum ${MAX_ACTIVE_DEVICES} active devices, revoke one first`
+        });
+      }
+      
+      const attestation = await evaluateAttestation(proof.redisClient, {
+        uuid: user_uuid,
+        deviceId,
+        attestation: req.body.attestation,
+        keyFingerprint: deviceInput.device.keyFingerprint
+      });
+      
+      if (!attestation.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: attestation.error,
+          reason: attestation.verdict.reason
+        });
+      }
+      
+      const device = await registerDevice({
+        uuid: user_uuid,
+        deviceId,
+        ...deviceInput.device,
+        attestation: attestation.verdict,
+        ipAddress: req.ip
+      });
+      
+      res.status(201).json({
+        success: true,
+        device: describeDevice(device),
+        message: 'Device registered'
+      });
+      
+    } catch (error) {
+      console.error('❌ Error registering device:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// PATCH /v1/enrollment/devices/:deviceId
+// Rename a device
+// ============================================================================
+
+router.patch('/devices/:deviceId',
+  createPerUserRateLimiter,
+  validateNonce,
+  async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const { user_uuid, device_name } = req.body;
+      
+      if (!isValidDeviceName(device_name)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid device_name (1-64 printable chars)'
+        });
+      }
+      
+      const proof = await proveDeviceRequest(req, res, 'Device rename');
+      if (!proof) {
+        return;
+      }
+      
+      const device = await renameDevice({
+        uuid: user_uuid,
+        deviceId,
+        deviceName: device_name.trim(),
+        ipAddress: req.ip
+      });
+      
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        device: describeDevice(device)
+      });
+      
+    } catch (error) {
+      console.error('❌ Error renaming device:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /v1/enrollment/devices/:deviceId
+// Revoke a device (verification from it is refused)
+// ============================================================================
+
+router.delete('/devices/:deviceId',
+  createPerUserRateLimiter,
+  validateNonce,
+  async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const { user_uuid } = req.body;
+      
+      const proof = await proveDeviceRequest(req, res, 'Device revocation');
+      if (!proof) {
+        return;
+      }
+      
+      const device = await revokeDevice({
+        uuid: user_uuid,
+        deviceId,
+        ipAddress: req.ip
+      });
+      
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          error: 'Active device not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        device: describeDevice(device),
+        message: 'Device revoked'
+      });
+      
+    } catch (error) {
+      console.error('❌ Error revoking device:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
 // ============================================================================
 // DELETE /v1/enrollment/delete/:uuid
 // Delete enrollment (GDPR right to erasure)
@@ -398,27 +1541,31 @@ router.delete('/delete/:uuid',
         });
       }
       
-      // Delete from PostgreSQL (wrapped key)
+      // Delete from PostgreSQL (wrapped key + sealed enrollment)
       const deletedFromDB = await deleteWrappedKey(uuid, req.ip, reason);
       
-      // Delete from Redis (factor digests)
+      // Delete from Redis (cached factor digests)
       const redisClient = req.app.locals.redisClient;
-      const key = `enrollment:${uuid}`;
-      const deletedFromRedis = await redisClient.del(key);
+      const deletedFromRedis = await invalidateEnrollment(redisClient, uuid);
+      
+      // Delete risk history (locations, amounts, behavior, known devices)
+      await deleteFraudHistory(redisClient, uuid);
+      await forgetDevices(redisClient, uuid);
+      await clearLockout(redisClient, uuid);
       
       // Cryptographic deletion (wrapped key gone = data unreadable)
       await deleteWithDoubleEncryption({ uuid, reason });
       
       console.log(`✅ GDPR deletion complete for ${uuid.slice(0, 8)}...`);
       console.log(`   - PostgreSQL: ${deletedFromDB ? 'deleted' : 'not found'}`);
-      console.log(`   - Redis: ${deletedFromRedis > 0 ? 'deleted' : 'not found'}`);
+      console.log(`   - Redis: ${deletedFromRedis ? 'deleted' : 'not found'}`);
       console.log(`   - Reason: ${reason}`);
       
       res.json({
         success: true,
         uuid,
         deleted_from_database: deletedFromDB,
-        deleted_from_cache: deletedFromRedis > 0,
+        deleted_from_cache: deletedFromRedis,
         reason,
         message: 'Enrollment deleted successfully (GDPR compliant)'
       });
@@ -454,15 +1601,11 @@ router.get('/export/:uuid', async (req, res) => {
     // Export from PostgreSQL (includes audit log)
     const exportData = await exportUserData(uuid);
     
-    // Get Redis data (if exists)
+    // Get Redis data (if cached; export does not rehydrate)
     const redisClient = req.app.locals.redisClient;
-    const key = `enrollment:${uuid}`;
-    const encrypted = await redisClient.get(key);
+    const enrollmentData = await getCachedEnrollment(redisClient, uuid);
     
-    if (encrypted) {
-      const decrypted = await decrypt(encrypted);
-      const enrollmentData = JSON.parse(decrypted);
-      
+    if (enrollmentData) {
       // Add to export (but redact sensitive data)
       exportData.redis_cache = {
         exists: true,
@@ -0,0 +1,556 @@
+// Path: backend/routes/recoveryRouter.js
+
+/**
+ * Recovery Router - Recovery Codes and Time-Delayed Factor Reset
+ *
+ * Endpoints:
+ * - POST /v1/recovery/redeem   - Redeem a recovery code (opens a reset)
+ * - POST /v1/recovery/cancel   - Cancel a pending reset (cancel token)
+ * - GET /v1/recovery/status/:requestId - Reset status
+ * - POST /v1/recovery/complete - Enroll new factors after the delay
+ *
+ * Flow (see services/accountRecovery.js):
+ * 1. /store issues recovery codes (returned once, stored as scrypt hashes)
+ * 2. /redeem consumes a code → 202 + completion token
+ *    - Notification hooks receive the cancel token
+ * 3. Cancellation window (RECOVERY_DELAY_HOURS, default 48h)
+ * 4. /complete with completion token + new factors
+ *    - Same UUID: wallet links and history are kept
+ *    - Old wrapped key kept in key_rotation_history (reason 'recovery')
+ *    - Completing device registered (optional device_public_key)
+ *    - Lockout cleared, new recovery codes issued
+ *
+ * Security:
+ * - Rate limiting (per IP) + redemption attempts per UUID
+ * - Nonce validation (replay protection)
+ * - Idempotency-Key on /redeem and /complete (safe client retries)
+ * - Every step written to audit_log
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const express = require('express');
+const { enrollWithDoubleEncryption } = require('../crypto/doubleLayerCrypto');
+const { getWrappedKey, rotateWrappedKey, registerDevice } = require('../database/database');
+const { parseDevicePublicKey } = require('../crypto/deviceBinding');
+const { validateNonce } = require('../middleware/nonceValidator');
+const { idempotency } = require('../middleware/idempotency');
+const { createEnrollmentRateLimiter, createRetrievalRateLimiter } = require('../middleware/rateLimiter');
+const {
+  validateFactorSet,
+  normalizePolicy,
+  isThresholdPolicy
+} = require('../services/factorPolicy');
+const { SHARE_VERSION } = require('../crypto/thresholdKey');
+const { clearLockout } = require('../services/userLockout');
+const {
+  cacheEnrollment,
+  buildEnrollmentRecord,
+  normalizeCacheTTL
+} = require('../services/enrollmentStore');
+const {
+  issueRecoveryCodes,
+  redeemRecoveryCode,
+  getRecoveryRequestStatus,
+  cancelRecovery,
+  checkRecoveryCompletion,
+  completeRecovery
+} = require('../services/accountRecovery');
+
+const router = express.Router();
+
+// ============================================================================
+// VALIDATION HELPERS
+// ============================================================================
+
+/**
+ * Validate UUID format (RFC 4122)
+ */
+function isValidUUID(uuid) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return typeof uuid === 'string' && uuidRegex.test(uuid);
+}
+
+/**
+ * Validate digest format (64 hex chars = 32 bytes SHA-256)
+ */
+function isValidDigest(digest) {
+  return typeof digest === 'string' && /^[0-9a-f]{64}$/i.test(digest);
+}
+
+/**
+ * Sanitize device ID (alphanumeric + hyphens only)
+ */
+function sanitizeDeviceId(deviceId) {
+  if (typeof deviceId !== 'string') return null;
+  return deviceId.replace(/[^a-zA-Z0-9-]/g, '').slice(0, 128);
+}
+
+/**
+ * Build threshold key metadata for PostgreSQL (null for all-factor policies)
+ */
+function buildThresholdKeyMetadata(result) {
+  if (!result.factorShares) return null;
+
+  return {
+    version: SHARE_VERSION,
+    threshold: result.threshold,
+    shares: result.factorShares
+  };
+}
+
+// ============================================================================
+// POST /v1/recovery/redeem
+// Redeem a recovery code (starts the cancellation window)
+// ============================================================================
+
+router.post('/redeem',
+  createEnrollmentRateLimiter,
+  idempotency(),
+  validateNonce,
+  async (req, res) => {
+    try {
+      const { user_uuid, recovery_code } = req.body;
+
+      if (!user_uuid || !recovery_code) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: user_uuid, recovery_code'
+        });
+      }
+
+      if (!isValidUUID(user_uuid)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user_uuid format'
+        });
+      }
+
+      const redisClient = req.app.locals.redisClient;
+      const result = await redeemRecoveryCode(redisClient, {
+        uuid: user_uuid,
+        code: recovery_code,
+        ipAddress: req.ip
+      });
+
+      if (result.status === 'rate_limited') {
+        return res.status(429).json({
+          success: false,
+          error: 'Too many recovery attempts, try again later'
+        });
+      }
+
+      if (result.status === 'rejected') {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid recovery code'
+        });
+      }
+
+      if (result.status === 'conflict') {
+        return res.status(409).json({
+          success: false,
+          error: 'A recovery request is already pending'
+        });
+      }
+
+      const request = result.request;
+
+      res.status(202).json({
+        success: true,
+        request_id: request.id,
+        executable_at: new Date(request.executable_at).getTime(),
+        expires_at: new Date(request.expires_at).getTime(),
+        completion_token: result.completionToken,
+        message: 'Recovery requested; complete it after executable_at'
+      });
+
+    } catch (error) {
+      console.error('❌ Error redeeming recovery code:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /v1/recovery/cancel
+// Cancel a pending recovery request
+// ============================================================================
+
+router.post('/cancel',
+  createRetrievalRateLimiter,
+  validateNonce,
+  async (req, res) => {
+    try {
+      const { user_uuid, request_id, cancel_token } = req.body;
+
+      if (!user_uuid || !request_id || !cancel_token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: user_uuid, request_id, cancel_token'
+        });
+      }
+
+      if (!isValidUUID(user_uuid) || !isValidUUID(request_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user_uuid or request_id format'
+        });
+      }
+
+      const result = await cancelRecovery({
+        uuid: user_uuid,
+        requestId: request_id,
+        cancelToken: cancel_token,
+        ipAddress: req.ip
+      });
+
+      if (result.status === 'not_found') {
+        return res.status(404).json({
+          success: false,
+          error: 'Recovery request not found'
+        });
+      }
+
+      if (result.status === 'invalid_token') {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid cancel token'
+        });
+      }
+
+      if (result.status === 'not_pending') {
+        return res.status(409).json({
+          success: false,
+          error: `Recovery request is ${result.request.status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        ...result.request,
+        message: 'Recovery request cancelled'
+      });
+
+    } catch (error) {
+      console.error('❌ Error cancelling recovery:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /v1/recovery/status/:requestId?user_uuid=...
+// Recovery request status
+// ============================================================================
+
+router.get('/status/:requestId',
+  createRetrievalRateLimiter,
+  async (req, res) => {
+    try {
+      const { requestId } = req.params;
+      const { user_uuid } = req.query;
+
+      if (!isValidUUID(user_uuid) || !isValidUUID(requestId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user_uuid or request_id format'
+        });
+      }
+
+      const request = await getRecoveryRequestStatus(user_uuid, requestId);
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recovery request not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        ...request
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting recovery status:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /v1/recovery/complete
+// Enroll new factors once the cancellation window has passed
+// ============================================================================
+
+router.post('/complete',
+  createEnrollmentRateLimiter,
+  idempotency(),
+  validateNonce,
+  async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const {
+        user_uuid,
+        request_id,
+        completion_token,
+        factors,
+        device_id,
+        device_public_key,
+        policy,
+        ttl_seconds
+      } = req.body;
+
+      // Validation: Required fields
+      if (!user_uuid || !request_id || !completion_token || !factors || !device_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: user_uuid, request_id, completion_token, factors, device_id'
+        });
+      }
+
+      if (!isValidUUID(user_uuid) || !isValidUUID(request_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user_uuid or request_id format'
+        });
+      }
+
+      // Validation: New factor set (count, digests, types, categories)
+      const factorNames = Object.keys(factors);
+      if (factorNames.length < 2 || factorNames.length > 10) {
+        return res.status(400).json({
+          success: false,
+          error: 'factors must contain between 2 and 10 factors'
+        });
+      }
+
+      for (const [factorName, digest] of Object.entries(factors)) {
+        if (!isValidDigest(digest)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid digest format for factor '${factorName}' (must be 64 hex chars)`
+          });
+        }
+      }
+
+      const sanitizedDeviceId = sanitizeDeviceId(device_id);
+      if (!sanitizedDeviceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid device_id (must be alphanumeric + hyphens, max 128 chars)'
+        });
+      }
+
+      // Validation: Device binding (optional public key, as in /store)
+      let deviceKey = { pem: null, fingerprint: null };
+      if (device_public_key !== undefined) {
+        try {
+          deviceKey = parseDevicePublicKey(device_public_key);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+      }
+
+      const factorSet = validateFactorSet(factorNames);
+      if (!factorSet.valid) {
+        return res.status(400).json({
+          success: false,
+          error: factorSet.error,
+          factor_policy_version: factorSet.version
+        });
+      }
+
+      const policyResult = normalizePolicy(policy, factorNames);
+      if (!policyResult.valid) {
+        return res.status(400).json({
+          success: false,
+          error: policyResult.error
+        });
+      }
+      const factorPolicy = policyResult.policy;
+
+      // Token, delay and completion window
+      const check = await checkRecoveryCompletion({
+        uuid: user_uuid,
+        requestId: request_id,
+        completionToken: completion_token
+      });
+
+      if (check.status === 'not_found') {
+        return res.status(404).json({
+          success: false,
+          error: 'Recovery request not found'
+        });
+      }
+
+      if (check.status === 'invalid_token') {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid completion token'
+        });
+      }
+
+      if (check.status === 'too_early') {
+        res.set('Retry-After', String(check.retryAfter));
+        return res.status(403).json({
+          success: false,
+          error: 'Recovery is still in its cancellation window',
+          executable_at: check.request.executable_at
+        });
+      }
+
+      if (check.status === 'expired') {
+        return res.status(410).json({
+          success: false,
+          error: 'Recovery request expired, redeem another code'
+        });
+      }
+
+      if (check.status === 'not_pending') {
+        return res.status(409).json({
+          success: false,
+          error: `Recovery request is ${check.request.status}`
+        });
+      }
+
+      const wrappedKeyRecord = await getWrappedKey(user_uuid, req.ip);
+
+      if (!wrappedKeyRecord) {
+        return res.status(404).json({
+          success: false,
+          error: 'Enrollment not found'
+        });
+      }
+
+      const enrollmentRecord = buildEnrollmentRecord({
+        uuid: user_uuid,
+        factors,
+        deviceId: sanitizedDeviceId,
+        policy: factorPolicy
+      });
+
+      // Old factors are unknown: derive a fresh key (not updateWithDoubleEncryption)
+      const enrollResult = await enrollWithDoubleEncryption({
+        uuid: user_uuid,
+        factorDigests: factors,
+        keyVersion: wrappedKeyRecord.key_version + 1, // Stored by rotateWrappedKey below
+        threshold: isThresholdPolicy(factorPolicy, factorNames.length) ? factorPolicy.threshold : null,
+        enrollmentRecord: JSON.stringify(enrollmentRecord)
+      });
+
+      // Claim the request before swapping keys (a concurrent cancel wins)
+      const completed = await completeRecovery({
+        uuid: user_uuid,
+        requestId: request_id,
+        details: { factor_types: factorNames },
+        ipAddress: req.ip
+      });
+
+      if (!completed) {
+        return res.status(409).json({
+          success: false,
+          error: 'Recovery request is no longer pending'
+        });
+      }
+
+      const rotated = await rotateWrappedKey({
+        uuid: user_uuid,
+        expectedKeyVersion: wrappedKeyRecord.key_version,
+        wrappedKey: enrollResult.wrappedKey,
+        kmsKeyId: enrollResult.kmsKeyId,
+        factorCount: enrollResult.factorCount,
+        deviceId: sanitizedDeviceId,
+        metadata: {
+          recovery_timestamp: Date.now(),
+          recovery_request_id: request_id,
+          factor_types: factorNames,
+          factor_policy_version: factorSet.version,
+          policy: factorPolicy,
+          threshold_key: buildThresholdKeyMetadata(enrollResult)
+        },
+        sealedEnrollment: enrollResult.sealedRecord,
+        kdfParams: enrollResult.kdfParams,
+        kmsProviders: enrollResult.kmsProviders,
+        encryptionContext: enrollResult.encryptionContext,
+        rotationReason: 'recovery',
+        rotatedBy: 'recovery',
+        auditDetails: { recovery_request_id: request_id, factor_types: factorNames },
+        ipAddress: req.ip
+      });
+
+      if (!rotated) {
+        return res.status(409).json({
+          success: false,
+          error: 'Enrollment changed during recovery, redeem another code'
+        });
+      }
+
+      // Recovering device becomes an active device (lost device may be revoked separately)
+      await registerDevice({
+        uuid: user_uuid,
+        deviceId: sanitizedDeviceId,
+        publicKey: deviceKey.pem,
+        keyFingerprint: deviceKey.fingerprint,
+        ipAddress: req.ip
+      });
+
+      const redisClient = req.app.locals.redisClient;
+      const enrollmentData = await cacheEnrollment(redisClient, enrollmentRecord, normalizeCacheTTL(ttl_seconds));
+
+      await clearLockout(redisClient, user_uuid);
+
+      // Previous codes were issued for the old factors
+      const recoveryCodes = await issueRecoveryCodes({
+        uuid: user_uuid,
+        reason: 'recovery',
+        ipAddress: req.ip
+      });
+
+      const duration = Date.now() - startTime;
+      console.log(`✅ Recovery re-enrollment for ${user_uuid.slice(0, 8)}... (${duration}ms)`);
+
+      res.json({
+        success: true,
+        enrollment_id: user_uuid,
+        expires_at: enrollmentData.expires_at,
+        factor_count: factorNames.length,
+        key_version: rotated.key_version,
+        policy: factorPolicy,
+        factor_policy_version: factorSet.version,
+        recommended_combination: factorSet.recommended,
+        recovery_codes: recoveryCodes,
+        duration_ms: duration,
+        message: 'Factors reset; store the new recovery codes'
+      });
+
+    } catch (error) {
+      console.error('❌ Error completing recovery:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
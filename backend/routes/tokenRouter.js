@@ -0,0 +1,177 @@
+// Path: backend/routes/tokenRouter.js
+
+/**
+ * Token Router - Auth token introspection & revocation
+ *
+ * Endpoints:
+ * - POST /v1/token/introspect - Token introspection (RFC 7662)
+ * - POST /v1/token/revoke     - Token revocation (RFC 7009)
+ *
+ * Lets merchant backends ask "is this auth_token still valid, for
+ * which user, and for which transaction?" and revoke it after a
+ * refund or dispute.
+ *
+ * Token Lifecycle:
+ * 1. Issued by /v1/verification/verify (active)
+ * 2. Redeemed once by /v1/verification/capture (consumed)
+ *    or revoked here (revoked)
+ * 3. Consumed / revoked / expired tokens introspect as { active: false }
+ *
+ * Request Format:
+ * - application/x-www-form-urlencoded (per RFC) or JSON
+ * - Parameters: token (required), token_type_hint (optional, ignored)
+ *
+ * Client Authentication (middleware/clientAuth.js):
+ * - Merchant: HTTP Basic (merchant_id + secret from TOKEN_CLIENTS)
+ * - Admin: X-Admin-API-Key
+ * - Merchants only see and revoke tokens bound to their merchant_id
+ *
+ * Security:
+ * - Client authentication (401 invalid_client)
+ * - Rate limiting
+ * - Inactive tokens reveal nothing beyond { active: false }
+ * - Revocation of unknown/invalid tokens still returns 200 (RFC 7009 §2.2),
+ *   as does revocation of another merchant's token (left untouched)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const express = require('express');
+const { createRetrievalRateLimiter } = require('../middleware/rateLimiter');
+const { requireTokenClient, canAccessToken } = require('../middleware/clientAuth');
+const {
+  verifyAuthToken,
+  getAuthTokenState,
+  revokeAuthToken,
+  TOKEN_STATE
+} = require('../services/authTokenService');
+
+const router = express.Router();
+
+// RFC 7662 / RFC 7009 clients send form-encoded bodies
+router.use(express.urlencoded({ extended: false, limit: '10kb' }));
+
+// ============================================================================
+// VALIDATION HELPERS
+// ============================================================================
+
+/**
+ * Extract token parameter
+ *
+ * @param {Object} body - Request body
+ * @returns {string|null} Token or null if missing
+ */
+function getTokenParam(body) {
+  const token = body && body.token;
+  return typeof token === 'string' && token.length > 0 ? token : null;
+}
+
+// ============================================================================
+// POST /v1/token/introspect
+// Token introspection (RFC 7662)
+// ============================================================================
+
+router.post('/introspect',
+  createRetrievalRateLimiter,
+  requireTokenClient,
+  async (req, res) => {
+    try {
+      const token = getTokenParam(req.body);
+
+      if (!token) {
+        return res.status(400).json({
+          error: 'invalid_request',
+          error_description: 'Missing token parameter'
+        });
+      }
+
+      const redisClient = req.app.locals.redisClient;
+      const result = await verifyAuthToken(redisClient, token);
+
+      // Another merchant's token looks like an unknown one
+      if (!result.valid || !canAccessToken(req.tokenClient, result.claims)) {
+        return res.json({ active: false });
+      }
+
+      const { claims } = result;
+      const state = await getAuthTokenState(redisClient, claims.jti);
+
+      if (state !== TOKEN_STATE.ACTIVE) {
+        return res.json({ active: false });
+      }
+
+      res.json({
+        active: true,
+        token_type: 'Bearer',
+        iss: claims.iss,
+        sub: claims.sub,
+        jti: claims.jti,
+        iat: claims.iat,
+        exp: claims.exp,
+        sid: claims.sid,
+        factor_count: claims.factor_count,
+        merchant_id: claims.merchant_id || null,
+        txn: claims.txn || null
+      });
+
+    } catch (error) {
+      console.error('❌ Error during token introspection:', error.message);
+
+      res.status(500).json({
+        error: 'server_error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /v1/token/revoke
+// Token revocation (RFC 7009)
+// ============================================================================
+
+router.post('/revoke',
+  createRetrievalRateLimiter,
+  requireTokenClient,
+  async (req, res) => {
+    try {
+      const token = getTokenParam(req.body);
+
+      if (!token) {
+        return res.status(400).json({
+          error: 'invalid_request',
+          error_description: 'Missing token parameter'
+        });
+      }
+
+      const redisClient = req.app.locals.redisClient;
+      const result = await verifyAuthToken(redisClient, token);
+
+      // Invalid or expired tokens are already unusable: nothing to do
+      if (result.valid && canAccessToken(req.tokenClient, result.claims)) {
+        const { changed, state } = await revokeAuthToken(redisClient, result.claims);
+
+        if (changed) {
+          console.log(`✅ Auth token revoked: ${result.claims.jti}`);
+        } else {
+          console.log(`ℹ️  Auth token already ${state}: ${result.claims.jti}`);
+        }
+      }
+
+      res.status(200).json({});
+
+    } catch (error) {
+      console.error('❌ Error during token revocation:', error.message);
+
+      res.status(503).json({
+        error: 'server_error'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = router;
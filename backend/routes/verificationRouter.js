@@ -6,10 +6,58 @@
  * Endpoints:
  * - POST /v1/verification/initiate  - Start verification session
  * - POST /v1/verification/verify    - Verify factors with double decryption
+ * - POST /v1/verification/capture   - Confirm transaction matches authenticated one
  * - GET /v1/verification/status/:session_id - Check verification status
  * 
+ * Factor Policy (K-of-N):
+ * - Enrollment may set { threshold, min_categories }
+ * - /verify accepts any enrolled subset that satisfies it
+ * - Default: all enrolled factors required
+ * 
+ * Risk-Based Step-Up:
+ * - /initiate scores risk (amount, device, IP reputation, velocity)
+ * - Returns the factors to challenge (more factors for higher risk)
+ * - /verify requires every challenged factor
+ * - Decision + inputs recorded on the session
+ * 
+ * Fraud Engine (services/fraudDetector.js):
+ * - Runs in /initiate (optional location) and /verify (optional behavior)
+ * - HIGH → blocked (403), MEDIUM → at least MEDIUM step-up
+ * - A higher level at /verify adds factors to the open session's challenge
+ * 
+ * User Lockout (services/userLockout.js):
+ * - Failed verifications counted per UUID across sessions
+ * - Exponential backoff → 429 + Retry-After
+ * - Permanent lock after N failures → 423, re-enrollment via /v1/recovery
+ * 
+ * Factor Telemetry (services/factorTelemetry.js):
+ * - All presented digests compared, mismatches counted per factor type
+ * - Aggregate only, fire-and-forget; client response unchanged
+ * 
+ * Auth Tokens:
+ * - Signed JWS (EdDSA) issued on successful verification
+ * - Claims: sub, sid, factor_count, merchant_id, txn, iat, exp
+ * - Public keys at /.well-known/jwks.json (offline verification)
+ * 
+ * Device Binding:
+ * - /initiate takes device_id (optional: missing = unknown device for
+ *   risk scoring, so a larger challenge), returns device_challenge
+ * - /verify refuses devices that are not active for the user (403);
+ *   sessions opened without device_id take it from the /verify body
+ * - Devices with a registered public key sign device_challenge
+ *   (device_signature, see crypto/deviceBinding.js)
+ * 
+ * Transaction Binding (PSD3 dynamic linking):
+ * - /initiate may carry a transaction descriptor
+ *   { merchant_id, amount, currency, payee_reference }
+ * - SHA-256 commitment stored in the session and returned with the token
+ * - /capture recomputes the commitment; any change → rejected
+ * - /capture consumes the auth token (single-use, see tokenRouter.js)
+ * - Sessions are single-use: /verify only on 'pending' (one auth token
+ *   per session), 'captured' is terminal
+ * 
  * Double Decryption Flow:
- * 1. Retrieve factor digests from Redis
+ * 1. Retrieve factor digests (Redis cache, PostgreSQL on miss)
  * 2. Constant-time comparison with input digests
  * 3. If match: Retrieve wrapped key from PostgreSQL
  * 4. Unwrap with KMS → get derived key
@@ -17,11 +65,20 @@
  * 6. Constant-time comparison: unwrapped vs derived
  * 7. Success = both layers match
  * 
+ * KDF Upgrade:
+ * - Key derived with the parameters stored alongside it (kdf_params)
+ * - Outdated parameters (see crypto/keyDerivation.js) → key re-derived
+ *   and re-wrapped after a successful verify, stored as 'kdf_upgrade'
+ * - Fire-and-forget; threshold enrollments upgrade on their next factor change
+ * 
  * Security:
  * - Rate limiting (prevent brute force)
  * - Nonce validation (replay protection)
+ * - Idempotency-Key on /verify (safe client retries)
  * - Constant-time comparisons
- * - Session tokens (short-lived)
+ * - Signed auth tokens (short-lived, rotating keys)
+ * - Sessions in Redis (encrypted, shared across instances, TTL expiry)
+ * - Atomic attempt counting
  * - Audit logging
  * 
  * @version 1.0.0
@@ -29,19 +86,60 @@
  */
 
 const express = require('express');
-const crypto = require('crypto');
-const { decrypt } = require('../crypto/encryption');
 const { verifyWithDoubleEncryption } = require('../crypto/doubleLayerCrypto');
-const { getWrappedKey } = require('../database/database');
+const {
+  getWrappedKey,
+  getActiveDevices,
+  touchDevice,
+  rotateWrappedKey
+} = require('../database/database');
+const { buildDeviceChallenge, checkDeviceBinding } = require('../crypto/deviceBinding');
 const { validateNonce } = require('../middleware/nonceValidator');
+const { idempotency } = require('../middleware/idempotency');
 const { createRetrievalRateLimiter } = require('../middleware/rateLimiter');
 const { wipeBuffer, secureCompare } = require('../crypto/memoryWipe');
+const {
+  createVerificationSession,
+  getVerificationSession,
+  updateVerificationSession,
+  recordAttempt,
+  claimVerification,
+  deleteVerificationSession,
+  getRemainingTTL,
+  SESSION_TTL_SECONDS
+} = require('../services/verificationSessionStore');
+const {
+  normalizeTransaction,
+  hashTransaction,
+  matchesTransaction,
+  describeBinding
+} = require('../services/transactionBinding');
+const {
+  issueAuthToken,
+  verifyAuthToken,
+  consumeAuthToken,
+  TOKEN_STATE,
+  AUTH_TOKEN_TTL_SECONDS
+} = require('../services/authTokenService');
+const { checkFactorSubset, defaultPolicy } = require('../services/factorPolicy');
+const { assessVerificationRisk, escalateRisk, rememberDevice, RISK_LEVELS } = require('../services/riskAssessment');
+const {
+  getLockoutState,
+  recordFailure,
+  recordSuccess,
+  getLockoutResponse
+} = require('../services/userLockout');
+const {
+  checkFraud,
+  normalizeLocation,
+  normalizeBehavior
+} = require('../services/fraudDetector');
+const { recordFactorOutcome, recordFalseRejects } = require('../services/factorTelemetry');
+const { getClientId } = require('../middleware/rateLimitMiddleware');
+const { getEnrollment } = require('../services/enrollmentStore');
 
 const router = express.Router();
 
-// Session storage (in production, use Redis)
-const verificationSessions = new Map();
-
 // ============================================================================
 // VALIDATION HELPERS
 // ============================================================================
@@ -62,10 +160,105 @@ function isValidDigest(digest) {
 }
 
 /**
- * Generate session ID
+ * Validate device ID format
+ */
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && /^[a-zA-Z0-9-]{1,128}$/.test(deviceId);
+}
+
+// ============================================================================
+// LOCKOUT HELPERS
+// ============================================================================
+
+/**
+ * Send lockout response if the user is locked
+ *
+ * @param {Object} res - Express response
+ * @param {Object} lockout - Lockout state
+ * @returns {boolean} True if a response was sent
+ */
+function sendLockoutResponse(res, lockout) {
+  const lockoutResponse = getLockoutResponse(lockout);
+  
+  if (!lockoutResponse) {
+    return false;
+  }
+  
+  if (lockoutResponse.retryAfter) {
+    res.set('Retry-After', String(lockoutResponse.retryAfter));
+  }
+  
+  res.status(lockoutResponse.status).json(lockoutResponse.body);
+  return true;
+}
+
+/**
+ * Record failed verification and send 401
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} session - Verification session
+ */
+async function sendVerificationFailure(req, res, session) {
+  const lockout = await recordFailure(req.app.locals.redisClient, session.uuid);
+  const response = {
+    success: false,
+    error: 'Invalid factors',
+    attempts_remaining: session.maxAttempts - session.attempts
+  };
+  
+  const lockoutResponse = getLockoutResponse(lockout);
+  if (lockoutResponse) {
+    Object.assign(response, lockoutResponse.body, { error: 'Invalid factors' });
+    
+    if (lockoutResponse.retryAfter) {
+      res.set('Retry-After', String(lockoutResponse.retryAfter));
+    }
+  }
+  
+  res.status(401).json(response);
+}
+
+// ============================================================================
+// KDF UPGRADE
+// ============================================================================
+
+/**
+ * Store a key re-derived with the current KDF parameters (fire-and-forget)
+ *
+ * Optimistic on key_version: a concurrent factor change wins, and the
+ * next verification retries the upgrade.
+ *
+ * @param {Object} record - Wrapped key record the verification used
+ * @param {Object} upgrade - verificationResult.kdfUpgrade
+ * @param {string} ipAddress - Client IP (audit)
  */
-function generateSessionId() {
-  return crypto.randomUUID();
+function persistKdfUpgrade(record, upgrade, ipAddress) {
+  rotateWrappedKey({
+    uuid: record.uuid,
+    expectedKeyVersion: record.key_version,
+    wrappedKey: upgrade.wrappedKey,
+    kmsKeyId: upgrade.kmsKeyId,
+    factorCount: record.factor_count,
+    deviceId: record.device_id,
+    metadata: record.metadata || {},
+    sealedEnrollment: upgrade.sealedRecord,
+    kdfParams: upgrade.kdfParams,
+    kmsProviders: upgrade.kmsProviders,
+    encryptionContext: upgrade.encryptionContext,
+    rotationReason: 'kdf_upgrade',
+    rotatedBy: 'system',
+    auditDetails: { kdf: upgrade.kdfParams.algorithm },
+    ipAddress
+  })
+    .then(rotated => {
+      if (rotated) {
+        console.log(`✅ KDF parameters upgraded for ${record.uuid.slice(0, 8)}...`);
+      } else {
+        console.warn(`⚠️  KDF upgrade skipped for ${record.uuid.slice(0, 8)}... (key changed concurrently)`);
+      }
+    })
+    .catch(error => console.error('❌ Failed to store KDF upgrade:', error.message));
 }
 
 // ============================================================================
@@ -78,7 +271,7 @@ router.post('/initiate',
   validateNonce,
   async (req, res) => {
     try {
-      const { user_uuid } = req.body;
+      const { user_uuid, transaction, device_id, location } = req.body;
       
       // Validation: UUID
       if (!isValidUUID(user_uuid)) {
@@ -88,47 +281,132 @@ router.post('/initiate',
         });
       }
       
-      // Check if enrollment exists in Redis
+      // Validation: Transaction descriptor (optional, enables dynamic linking)
+      let normalizedTransaction = null;
+      let transactionHash = null;
+      
+      if (transaction !== undefined) {
+        const normalized = normalizeTransaction(transaction);
+        
+        if (!normalized.valid) {
+          return res.status(400).json({
+            success: false,
+            error: normalized.error
+          });
+        }
+        
+        normalizedTransaction = normalized.transaction;
+        transactionHash = hashTransaction(normalizedTransaction);
+      }
+      
+      // Validation: Device ID (optional, risk input; must be an active device at /verify)
+      if (device_id !== undefined && !isValidDeviceId(device_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid device_id (must be alphanumeric + hyphens, max 128 chars)'
+        });
+      }
+      
+      // Validation: Location (optional, fraud engine input)
+      let normalizedLocation = null;
+      
+      if (location !== undefined) {
+        const normalized = normalizeLocation(location);
+        
+        if (!normalized.valid) {
+          return res.status(400).json({
+            success: false,
+            error: normalized.error
+          });
+        }
+        
+        normalizedLocation = normalized.location;
+      }
+      
+      // Check enrollment exists (Redis cache, rehydrated from PostgreSQL on miss)
       const redisClient = req.app.locals.redisClient;
-      const key = `enrollment:${user_uuid}`;
-      const encrypted = await redisClient.get(key);
+      const enrollmentData = await getEnrollment(redisClient, user_uuid, { ipAddress: req.ip });
       
-      if (!encrypted) {
+      if (!enrollmentData) {
         return res.status(404).json({
           success: false,
           error: 'Enrollment not found or expired'
         });
       }
       
-      // Decrypt to get factor count
-      const decrypted = await decrypt(encrypted);
-      const enrollmentData = JSON.parse(decrypted);
+      const policy = enrollmentData.policy || defaultPolicy(enrollmentData.factor_count);
+      const ipAddress = getClientId(req);
+      
+      // Per-user lockout (failures across sessions)
+      const lockout = await getLockoutState(redisClient, user_uuid);
+      if (sendLockoutResponse(res, lockout)) {
+        return;
+      }
       
-      // Generate session
-      const sessionId = generateSessionId();
-      const session = {
-        sessionId,
+      // Fraud engine: block HIGH risk before a session exists
+      const fraud = await checkFraud(redisClient, {
         uuid: user_uuid,
-        factorCount: enrollmentData.factor_count,
-        createdAt: Date.now(),
-        expiresAt: Date.now() + (5 * 60 * 1000), // 5 minutes
-        attempts: 0,
-        maxAttempts: 3,
-        status: 'pending'
-      };
+        deviceId: device_id || null,
+        ipAddress,
+        location: normalizedLocation,
+        amount: normalizedTransaction ? normalizedTransaction.amount : null,
+        currency: normalizedTransaction ? normalizedTransaction.currency : null
+      }, { stage: 'initiate' });
+      
+      if (fraud.level === RISK_LEVELS.HIGH) {
+        return res.status(403).json({
+          success: false,
+          error: 'Verification blocked by risk engine',
+          risk_level: fraud.level
+        });
+      }
       
-      verificationSessions.set(sessionId, session);
+      // Risk-based step-up: choose challenge size from risk score
+      const risk = await assessVerificationRisk(redisClient, {
+        uuid: user_uuid,
+        ipAddress,
+        deviceId: device_id || null,
+        enrollment: enrollmentData,
+        policy,
+        transaction: normalizedTransaction,
+        minLevel: fraud.level
+      });
       
-      console.log(`✅ Verification session initiated: ${sessionId}`);
+      // Generate session (stored encrypted in Redis with TTL)
+      const session = await createVerificationSession(redisClient, {
+        uuid: user_uuid,
+        factorCount: enrollmentData.factor_count,
+        transaction: normalizedTransaction,
+        transactionHash,
+        deviceId: device_id || null,
+        risk,
+        fraudChecks: [fraud]
+      });
       
-      res.json({
+      console.log(`✅ Verification session initiated: ${session.sessionId}`);
+      
+      const response = {
         success: true,
-        session_id: sessionId,
+        session_id: session.sessionId,
         uuid: user_uuid,
         factor_count: enrollmentData.factor_count,
-        expires_in: 300, // 5 minutes
+        policy,
+        risk_level: risk.level,
+        challenge: {
+          factors: risk.challenge.factors,
+          min_categories: risk.challenge.min_categories
+        },
+        device_challenge: buildDeviceChallenge({ uuid: user_uuid, sessionId: session.sessionId }),
+        expires_in: SESSION_TTL_SECONDS,
         message: 'Verification session created'
-      });
+      };
+      
+      if (transactionHash) {
+        response.transaction = normalizedTransaction;
+        response.transaction_binding = describeBinding(transactionHash);
+      }
+      
+      res.json(response);
       
     } catch (error) {
       console.error('❌ Error initiating verification:', error.message);
@@ -148,12 +426,13 @@ router.post('/initiate',
 
 router.post('/verify',
   createRetrievalRateLimiter,
+  idempotency(),
   validateNonce,
   async (req, res) => {
     const startTime = Date.now();
     
     try {
-      const { session_id, user_uuid, factors } = req.body;
+      const { session_id, user_uuid, factors, behavior, device_id, device_signature } = req.body;
       
       // Validation: Required fields
       if (!session_id || !user_uuid || !factors) {
@@ -171,8 +450,17 @@ router.post('/verify',
         });
       }
       
+      // Validation: Session ID (used as Redis key)
+      if (!isValidUUID(session_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid session_id format'
+        });
+      }
+      
       // Validation: Session
-      const session = verificationSessions.get(session_id);
+      const redisClient = req.app.locals.redisClient;
+      const session = await getVerificationSession(redisClient, session_id);
       if (!session) {
         return res.status(404).json({
           success: false,
@@ -180,26 +468,47 @@ router.post('/verify',
         });
       }
       
-      // Check session expiration
+      // Check session expiration (defensive, Redis TTL normally handles this)
       if (Date.now() > session.expiresAt) {
-        verificationSessions.delete(session_id);
+        await deleteVerificationSession(redisClient, session_id);
         return res.status(401).json({
           success: false,
           error: 'Session expired'
         });
       }
       
-      // Check attempts
-      if (session.attempts >= session.maxAttempts) {
-        verificationSessions.delete(session_id);
+      // Blocked by fraud engine: no further attempts
+      if (session.status === 'blocked') {
+        return res.status(403).json({
+          success: false,
+          error: 'Verification blocked by risk engine'
+        });
+      }
+      
+      // Single-use: a verified or captured session cannot be verified again
+      if (session.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: `Session already ${session.status}`
+        });
+      }
+      
+      // Per-user lockout (sessions opened before the lock)
+      const lockout = await getLockoutState(redisClient, session.uuid);
+      if (sendLockoutResponse(res, lockout)) {
+        return;
+      }
+      
+      // Count attempt atomically (shared across instances)
+      const attempts = await recordAttempt(redisClient, session);
+      if (attempts > session.maxAttempts) {
+        await deleteVerificationSession(redisClient, session_id);
         return res.status(429).json({
           success: false,
           error: 'Maximum attempts exceeded'
         });
       }
       
-      session.attempts++;
-      
       // Validate UUID match
       if (session.uuid !== user_uuid) {
         return res.status(400).json({
@@ -208,15 +517,16 @@ router.post('/verify',
         });
       }
       
-      // Validation: Factor count
-      const factorCount = Object.keys(factors).length;
-      if (factorCount !== session.factorCount) {
+      // Validation: Factors object
+      if (typeof factors !== 'object' || Array.isArray(factors)) {
         return res.status(400).json({
           success: false,
-          error: `Factor count mismatch: expected ${session.factorCount}, got ${factorCount}`
+          error: 'factors must be an object'
         });
       }
       
+      const factorCount = Object.keys(factors).length;
+      
       // Validation: Digest format
       for (const [factorName, digest] of Object.entries(factors)) {
         if (!isValidDigest(digest)) {
@@ -227,51 +537,169 @@ router.post('/verify',
         }
       }
       
-      // STEP 1: Retrieve factor digests from Redis
-      console.log(`📍 Step 1: Retrieving factor digests from Redis...`);
-      const redisClient = req.app.locals.redisClient;
-      const key = `enrollment:${user_uuid}`;
-      const encrypted = await redisClient.get(key);
+      // Session opened without a device: the device verifying is bound now
+      // (risk was already scored as an unknown device)
+      if (!session.deviceId && device_id !== undefined) {
+        if (!isValidDeviceId(device_id)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid device_id (must be alphanumeric + hyphens, max 128 chars)'
+          });
+        }
+        session.deviceId = device_id;
+      }
       
-      if (!encrypted) {
+      // Device binding: active device of this user (+ challenge signature)
+      // Checked before any factor comparison, so it is no factor oracle
+      const device = {
+        deviceId: session.deviceId,
+        activeDevices: await getActiveDevices(user_uuid),
+        challenge: buildDeviceChallenge({ uuid: user_uuid, sessionId: session_id }),
+        signature: device_signature
+      };
+      
+      const deviceBinding = checkDeviceBinding(device);
+      if (!deviceBinding.valid) {
+        console.log(`❌ Device rejected for ${user_uuid.slice(0, 8)}... (${deviceBinding.reason})`);
+        return res.status(403).json({
+          success: false,
+          error: 'Device not recognised'
+        });
+      }
+      
+      // STEP 1: Retrieve factor digests (Redis cache, rehydrated from PostgreSQL on miss)
+      console.log(`📍 Step 1: Retrieving factor digests...`);
+      const enrollmentData = await getEnrollment(redisClient, user_uuid, { ipAddress: req.ip });
+      
+      if (!enrollmentData) {
         return res.status(404).json({
           success: false,
           error: 'Enrollment not found or expired'
         });
       }
       
-      const decrypted = await decrypt(encrypted);
-      const enrollmentData = JSON.parse(decrypted);
+      // Validation: Presented subset satisfies the enrollment policy (K-of-N)
+      const policy = enrollmentData.policy || defaultPolicy(enrollmentData.factor_count);
+      const subsetCheck = checkFactorSubset(
+        policy,
+        Object.keys(enrollmentData.factors),
+        Object.keys(factors)
+      );
+      
+      if (!subsetCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          error: subsetCheck.error,
+          attempts_remaining: session.maxAttempts - session.attempts
+        });
+      }
+      
+      // Validation: Behavior (optional, fraud engine input)
+      let normalizedBehavior = null;
+      
+      if (behavior !== undefined) {
+        const normalized = normalizeBehavior(behavior);
+        
+        if (!normalized.valid) {
+          return res.status(400).json({
+            success: false,
+            error: normalized.error
+          });
+        }
+        
+        normalizedBehavior = normalized.behavior;
+      }
+      
+      // Fraud engine: block HIGH, step up the challenge on a higher level
+      const fraud = await checkFraud(redisClient, {
+        uuid: user_uuid,
+        deviceId: session.deviceId || null,
+        ipAddress: getClientId(req),
+        behavior: normalizedBehavior
+      }, { stage: 'verify' });
+      
+      session.fraudChecks = [...(session.fraudChecks || []), fraud];
+      
+      if (fraud.level === RISK_LEVELS.HIGH) {
+        session.status = 'blocked';
+        await updateVerificationSession(redisClient, session);
+        
+        return res.status(403).json({
+          success: false,
+          error: 'Verification blocked by risk engine',
+          risk_level: fraud.level
+        });
+      }
+      
+      let steppedUp = false;
+      
+      if (session.risk) {
+        const escalated = escalateRisk(
+          session.risk,
+          fraud.level,
+          policy,
+          Object.keys(enrollmentData.factors)
+        );
+        
+        if (escalated) {
+          session.risk = escalated;
+          steppedUp = true;
+          await updateVerificationSession(redisClient, session);
+        }
+      }
+      
+      // Validation: Every challenged factor presented (risk-based step-up)
+      const challenged = session.risk ? session.risk.challenge.factors : [];
+      const missing = challenged.filter(name => !(name in factors));
+      
+      if (missing.length > 0) {
+        const response = {
+          success: false,
+          error: `Challenged factors missing: ${missing.join(', ')}`,
+          attempts_remaining: session.maxAttempts - session.attempts
+        };
+        
+        if (steppedUp) {
+          response.step_up_required = true;
+          response.risk_level = session.risk.level;
+          response.challenge = {
+            factors: session.risk.challenge.factors,
+            min_categories: session.risk.challenge.min_categories
+          };
+        }
+        
+        return res.status(400).json(response);
+      }
       
       // STEP 2: Constant-time comparison of factor digests
       console.log(`📍 Step 2: Comparing factor digests (constant-time)...`);
-      let digestMatch = true;
+      // Every factor is compared (no early exit), so timing does not
+      // depend on which factor is wrong
+      const mismatched = [];
       
       for (const [factorName, inputDigest] of Object.entries(factors)) {
-        const storedDigest = enrollmentData.factors[factorName];
-        
-        if (!storedDigest) {
-          digestMatch = false;
-          break;
-        }
+        // Presence already checked by checkFactorSubset
+        const storedDigest = enrollmentData.factors[factorName] || '';
         
         const inputBuffer = Buffer.from(inputDigest, 'hex');
         const storedBuffer = Buffer.from(storedDigest, 'hex');
         
         if (!secureCompare(inputBuffer, storedBuffer, true)) {
-          digestMatch = false;
-          break;
+          mismatched.push(factorName);
         }
       }
       
-      if (!digestMatch) {
+      // Per-factor telemetry (aggregate, fire-and-forget)
+      recordFactorOutcome(redisClient, Object.keys(factors), mismatched);
+      
+      if (mismatched.length > 0) {
         console.log(`❌ Digest comparison failed for ${user_uuid.slice(0, 8)}...`);
         
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid factors',
-          attempts_remaining: session.maxAttempts - session.attempts
-        });
+        // Remembered until success → false-reject telemetry
+        session.mismatchedFactors = [...new Set([...(session.mismatchedFactors || []), ...mismatched])];
+        await updateVerificationSession(redisClient, session);
+        
+        return sendVerificationFailure(req, res, session);
       }
       
       // STEP 3: Retrieve wrapped key from PostgreSQL
@@ -287,45 +715,88 @@ router.post('/verify',
       
       // STEP 4: Double decryption (Unwrap + Derive + Compare)
       console.log(`📍 Step 4: Double decryption (KMS unwrap + derive + compare)...`);
+      const thresholdKey = (wrappedKeyRecord.metadata || {}).threshold_key;
+      
       const verificationResult = await verifyWithDoubleEncryption({
         uuid: user_uuid,
         factorDigests: factors,
         wrappedKeyHex: wrappedKeyRecord.wrapped_key,
-        context: {
-          device_id: enrollmentData.device_id,
-          ip_address: req.ip
-        }
+        keyVersion: wrappedKeyRecord.key_version,
+        kdfParams: wrappedKeyRecord.kdf_params,
+        sealedRecordHex: wrappedKeyRecord.sealed_enrollment,
+        factorShares: thresholdKey ? thresholdKey.shares : null,
+        threshold: thresholdKey ? thresholdKey.threshold : null,
+        shareVersion: thresholdKey ? thresholdKey.version : undefined,
+        device
       });
       
+      if (verificationResult.deviceRejected) {
+        return res.status(403).json({
+          success: false,
+          error: 'Device not recognised'
+        });
+      }
+      
       if (!verificationResult.success) {
         console.log(`❌ Double decryption failed for ${user_uuid.slice(0, 8)}...`);
-        
-        return res.status(401).json({
+        return sendVerificationFailure(req, res, session);
+      }
+      
+      // Concurrent verify of the same session: first success wins
+      if (!(await claimVerification(redisClient, session))) {
+        return res.status(409).json({
           success: false,
-          error: 'Invalid factors',
-          attempts_remaining: session.maxAttempts - session.attempts
+          error: 'Session already verified'
         });
       }
       
-      // SUCCESS: Generate auth token
-      const authToken = crypto.randomBytes(32).toString('hex');
+      // SUCCESS: Issue signed auth token
+      const transactionBinding = session.transactionHash
+        ? describeBinding(session.transactionHash)
+        : null;
       
-      // Update session
+      const { token: authToken, claims } = await issueAuthToken(redisClient, {
+        uuid: user_uuid,
+        sessionId: session_id,
+        factorCount,
+        merchantId: session.transaction ? session.transaction.merchant_id : null,
+        transactionBinding
+      });
+      
+      // Update session (token ID only, token itself is self-contained)
       session.status = 'verified';
-      session.authToken = authToken;
+      session.authTokenId = claims.jti;
       session.verifiedAt = Date.now();
+      await updateVerificationSession(redisClient, session);
+      await rememberDevice(redisClient, user_uuid, session.deviceId);
+      touchDevice(user_uuid, session.deviceId)
+        .catch(error => console.error('❌ Failed to update device last use:', error.message));
+      if (verificationResult.kdfUpgrade) {
+        persistKdfUpgrade(wrappedKeyRecord, verificationResult.kdfUpgrade, req.ip);
+      }
+      await recordSuccess(redisClient, user_uuid);
+      recordFalseRejects(redisClient, session.mismatchedFactors || []);
       
       const duration = Date.now() - startTime;
       console.log(`✅ Verification successful for ${user_uuid.slice(0, 8)}... (${duration}ms)`);
       
-      res.json({
+      const response = {
         success: true,
         auth_token: authToken,
+        token_type: 'Bearer',
+        expires_in: AUTH_TOKEN_TTL_SECONDS,
         session_id: session_id,
         uuid: user_uuid,
         duration_ms: duration,
         message: 'Authentication successful'
-      });
+      };
+      
+      // Token is only valid for the committed transaction
+      if (transactionBinding) {
+        response.transaction_binding = transactionBinding;
+      }
+      
+      res.json(response);
       
     } catch (error) {
       console.error('❌ Error during verification:', error.message);
@@ -338,6 +809,131 @@ router.post('/verify',
   }
 );
 
+// ============================================================================
+// POST /v1/verification/capture
+// Confirm the captured transaction is the one that was authenticated
+// ============================================================================
+
+router.post('/capture',
+  createRetrievalRateLimiter,
+  validateNonce,
+  async (req, res) => {
+    try {
+      const { session_id, auth_token, transaction } = req.body;
+      
+      // Validation: Required fields
+      if (!session_id || !auth_token || !transaction) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: session_id, auth_token, transaction'
+        });
+      }
+      
+      if (!isValidUUID(session_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid session_id format'
+        });
+      }
+      
+      const redisClient = req.app.locals.redisClient;
+      
+      // Token check (signature, issuer, expiry)
+      const tokenResult = await verifyAuthToken(redisClient, auth_token);
+      if (!tokenResult.valid || tokenResult.claims.sid !== session_id) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid auth token'
+        });
+      }
+      
+      const session = await getVerificationSession(redisClient, session_id);
+      
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found or expired'
+        });
+      }
+      
+      // Token must be the one issued for this session
+      // (status may already be 'captured': replay is reported below)
+      if (!['verified', 'captured'].includes(session.status) ||
+          session.authTokenId !== tokenResult.claims.jti ||
+          session.uuid !== tokenResult.claims.sub) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or unverified session'
+        });
+      }
+      
+      if (!session.transactionHash ||
+          !tokenResult.claims.txn ||
+          tokenResult.claims.txn.hash !== session.transactionHash) {
+        return res.status(400).json({
+          success: false,
+          error: 'Session is not bound to a transaction'
+        });
+      }
+      
+      // Dynamic linking: recompute commitment and compare
+      const result = matchesTransaction(session.transactionHash, transaction);
+      
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+      
+      if (!result.match) {
+        console.log(`❌ Transaction mismatch at capture: ${session_id}`);
+        
+        return res.status(409).json({
+          success: false,
+          error: 'Transaction does not match authenticated transaction'
+        });
+      }
+      
+      // Single-use: redeem the token exactly once
+      const redemption = await consumeAuthToken(redisClient, tokenResult.claims);
+      
+      if (!redemption.changed) {
+        const revoked = redemption.state === TOKEN_STATE.REVOKED;
+        console.log(`❌ Auth token ${redemption.state}, capture rejected: ${session_id}`);
+        
+        return res.status(revoked ? 401 : 409).json({
+          success: false,
+          error: revoked ? 'Auth token revoked' : 'Auth token already used'
+        });
+      }
+      
+      session.status = 'captured';
+      session.capturedAt = Date.now();
+      await updateVerificationSession(redisClient, session);
+      
+      console.log(`✅ Transaction binding confirmed: ${session_id}`);
+      
+      res.json({
+        success: true,
+        session_id: session.sessionId,
+        uuid: session.uuid,
+        transaction_binding: describeBinding(session.transactionHash),
+        captured_at: session.capturedAt,
+        message: 'Transaction matches authentication'
+      });
+      
+    } catch (error) {
+      console.error('❌ Error during capture:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
 // ============================================================================
 // GET /v1/verification/status/:session_id
 // Check verification status
@@ -347,7 +943,15 @@ router.get('/status/:session_id', async (req, res) => {
   try {
     const { session_id } = req.params;
     
-    const session = verificationSessions.get(session_id);
+    if (!isValidUUID(session_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session_id format'
+      });
+    }
+    
+    const redisClient = req.app.locals.redisClient;
+    const session = await getVerificationSession(redisClient, session_id);
     
     if (!session) {
       return res.status(404).json({
@@ -358,7 +962,7 @@ router.get('/status/:session_id', async (req, res) => {
     
     // Check expiration
     if (Date.now() > session.expiresAt) {
-      verificationSessions.delete(session_id);
+      await deleteVerificationSession(redisClient, session_id);
       return res.status(401).json({
         success: false,
         error: 'Session expired'
@@ -372,8 +976,12 @@ router.get('/status/:session_id', async (req, res) => {
       status: session.status,
       attempts: session.attempts,
       max_attempts: session.maxAttempts,
-      expires_in: Math.floor((session.expiresAt - Date.now()) / 1000),
-      created_at: session.createdAt
+      expires_in: getRemainingTTL(session),
+      created_at: session.createdAt,
+      risk_level: session.risk ? session.risk.level : null,
+      transaction_binding: session.transactionHash
+        ? describeBinding(session.transactionHash)
+        : null
     });
     
   } catch (error) {
@@ -386,27 +994,6 @@ router.get('/status/:session_id', async (req, res) => {
   }
 });
 
-// ============================================================================
-// CLEANUP (periodic)
-// ============================================================================
-
-// Clean up expired sessions every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  let cleaned = 0;
-  
-  for (const [sessionId, session] of verificationSessions.entries()) {
-    if (now > session.expiresAt) {
-      verificationSessions.delete(sessionId);
-      cleaned++;
-    }
-  }
-  
-  if (cleaned > 0) {
-    console.log(`🧹 Cleaned up ${cleaned} expired verification sessions`);
-  }
-}, 5 * 60 * 1000); // 5 minutes
-
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration Script
+ *
+ * Applies, rolls back and lists the migrations in database/migrations/
+ * (see database/migrator.js).
+ *
+ * Usage:
+ *   npm run db:migrate                         # apply all pending
+ *   npm run db:migrate -- up --to 3            # apply up to version 3
+ *   npm run db:migrate -- down                 # roll back the latest
+ *   npm run db:migrate -- down --steps 2       # roll back the latest two
+ *   npm run db:migrate -- down --to 1          # keep versions <= 1
+ *   npm run db:migrate -- status               # applied / pending
+ *   npm run db:migrate -- create add_x_column  # new empty up/down pair
+ *
+ * Environment Variables:
+ *   DATABASE_URL or DB_HOST, DB_PORT, DB_NAME, DB_USER, DB_PASSWORD
+ *
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+const { loadDatabaseConfig } = require('../database/config');
+const {
+  loadMigrations,
+  formatMigration,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  MIGRATIONS_DIR
+} = require('../database/migrator');
+
+/**
+ * Parse command and flags
+ */
+function parseArgs(argv) {
+  const args = { command: 'up', name: null, to: null, steps: 1 };
+  let i = 0;
+
+  if (argv[0] && !argv[0].startsWith('--')) {
+    args.command = argv[0];
+    i = 1;
+  }
+
+  if (args.command === 'create') {
+    args.name = argv[1];
+    if (!args.name || !/^[a-z0-9_]+$/.test(args.name)) {
+      throw new Error('create needs a name of lowercase letters, digits and underscores');
+    }
+    return args;
+  }
+
+  for (; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = Number(argv[++i]);
+
+    if ((flag !== '--to' && flag !== '--steps') || !Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid option: ${flag} ${argv[i] || ''}`.trim());
+    }
+
+    args[flag.slice(2)] = value;
+  }
+
+  return args;
+}
+
+/**
+ * Write an empty up/down pair after the latest version
+ */
+function createMigration(name) {
+  const migrations = loadMigrations();
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const label = formatMigration({ version, name });
+
+  for (const direction of ['up', 'down']) {
+    const file = path.join(MIGRATIONS_DIR, `${label}.${direction}.sql`);
+    fs.writeFileSync(file, `-- ${label} (${direction})\n`, { flag: 'wx' });
+    console.log(`📄 Created ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.command === 'create') {
+    createMigration(args.name);
+    return;
+  }
+
+  if (!['up', 'down', 'status'].includes(args.command)) {
+    throw new Error(`Unknown command: ${args.command} (up, down, status, create)`);
+  }
+
+  const client = new Client(loadDatabaseConfig());
+  await client.connect();
+
+  try {
+    if (args.command === 'status') {
+      const status = await getMigrationStatus(client);
+
+      for (const migration of status) {
+        let state = '⏳ pending';
+        if (migration.applied) {
+          state = migration.checksumMatch ? `✓ applied ${migration.appliedAt.toISOString()}` : '❌ CHANGED since applied';
+        }
+        console.log(`   ${formatMigration(migration)}  ${state}`);
+      }
+      return;
+    }
+
+    if (args.command === 'up') {
+      const applied = await migrate(client, { to: args.to });
+      console.log(applied.length > 0 ? `\n✅ ${applied.length} migration(s) applied` : '✅ Schema is up to date');
+      return;
+    }
+
+    const rolledBack = await rollback(client, { to: args.to, steps: args.steps });
+    console.log(rolledBack.length > 0 ? `\n✅ ${rolledBack.length} migration(s) rolled back` : 'Nothing to roll back');
+
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
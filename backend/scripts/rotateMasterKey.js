@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * KMS Master Key Rotation Script
+ *
+ * Re-wraps every stored wrapped key under the currently configured KMS key
+ * (see services/masterKeyRotationJob.js). Resumes the last unfinished job
+ * for the same key; the same job can be started from POST /admin/kms/rotate.
+ *
+ * Usage:
+ *   npm run kms:rotate                     # start or resume
+ *   npm run kms:rotate -- --status         # show progress of the last job
+ *   npm run kms:rotate -- --restart        # new job from the first key
+ *   npm run kms:rotate -- --force          # re-wrap keys already on the current key
+ *   npm run kms:rotate -- --rate 50        # rows per second
+ *
+ * Environment Variables:
+ *   DATABASE_URL - PostgreSQL connection string
+ *   KMS_PROVIDER / KMS_PROVIDERS / ... - Target (new) KMS key
+ *   KMS_ROTATION_SOURCE - Provider(s) for the old key (optional)
+ *   KMS_ROTATION_RATE, KMS_ROTATION_BATCH_SIZE - Throttle / batch size
+ *
+ * Exit code: 0 when the job completes without failures, 1 otherwise
+ *
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+
+const database = require('../database/database');
+const { startMasterKeyRotation, getMasterKeyRotationStatus } = require('../services/masterKeyRotationJob');
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+  const args = { status: false, restart: false, force: false, rate: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--status') {
+      args.status = true;
+    } else if (argv[i] === '--restart') {
+      args.restart = true;
+    } else if (argv[i] === '--force') {
+      args.force = true;
+    } else if (argv[i] === '--rate') {
+      args.rate = Number(argv[++i]);
+      if (!Number.isInteger(args.rate) || args.rate < 1) {
+        throw new Error('--rate must be a positive integer');
+      }
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * One-line progress summary
+ */
+function formatProgress(job) {
+  const { progress, counts } = job;
+  const eta = progress.etaSeconds === null ? '-' : `${progress.etaSeconds}s`;
+
+  return `${progress.processed}/${progress.total} (${progress.percent}%) · ` +
+    `re-wrapped ${counts.rewrapped}, current ${counts.current}, changed ${counts.changed}, ` +
+    `failed ${counts.failed} · ${progress.rowsPerSecond}/s · ETA ${eta}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await database.initializeSchema();
+
+  if (args.status) {
+    const job = await getMasterKeyRotationStatus({ db: database });
+    if (!job) {
+      console.log('No master key rotation job found');
+      return 0;
+    }
+
+    console.log(`📋 Job ${job.id} (${job.status}) → ${job.targetKeyId}`);
+    console.log(`   ${formatProgress(job)}`);
+    return 0;
+  }
+
+  const result = await startMasterKeyRotation({
+    db: database,
+    resume: !args.restart,
+    force: args.force,
+    rowsPerSecond: args.rate,
+    startedBy: 'cli',
+    onProgress: job => console.log(`   ${formatProgress(job)}`)
+  });
+
+  if (!result.started) {
+    console.error(`❌ ${result.error}`);
+    return 1;
+  }
+
+  const job = await result.completion;
+
+  for (const failure of job.failures) {
+    console.error(`   ✗ ${failure.uuid}: ${failure.error}`);
+  }
+  if (job.counts.failed > job.failures.length) {
+    console.error(`   ... ${job.counts.failed - job.failures.length} more`);
+  }
+
+  if (job.status !== 'completed') {
+    console.error(`\n❌ Master key rotation ${job.status}: ${job.error}`);
+    return 1;
+  }
+
+  console.log(`\n✅ Master key rotation completed (${job.counts.rewrapped} re-wrapped, ${job.counts.failed} failed)`);
+  return job.counts.failed === 0 ? 0 : 1;
+}
+
+// Run rotation
+console.log('🔑 ZeroPay KMS Master Key Rotation\n');
+
+main()
+  .then(async code => {
+    await database.close();
+    process.exit(code);
+  })
+  .catch(async error => {
+    console.error('❌ Master key rotation failed:', error.message);
+    await database.close().catch(() => {});
+    process.exit(1);
+  });
@@ -18,6 +18,7 @@
  * - Blacklist/Whitelist management
  * - Nonce validation (replay protection)
  * - Session management (encrypted tokens)
+ * - Signed auth tokens (EdDSA JWS, JWKS published)
  * - Cache abstraction layer
  * - Input validation
  * - Security headers (helmet)
@@ -84,6 +85,28 @@ redisClient.on('ready', () => {
   }
 })();
 
+// ============================================================================
+// AT-REST ENCRYPTION KEYS
+// ============================================================================
+
+// Default: ENCRYPTION_KEYS / ENCRYPTION_KEY (loaded on first use)
+// Vault: loaded before the server listens (see SERVER STARTUP), so no
+// request can hit the env-key fallback while Vault is still loading
+const encryptionKeysReady = (async () => {
+  if (process.env.ENCRYPTION_KEY_SOURCE !== 'vault') return;
+
+  const { loadKeysFromVault } = require('./crypto/keyManagement');
+  const { setKeyManager } = require('./crypto/encryption');
+
+  try {
+    setKeyManager(await loadKeysFromVault());
+    console.log('✅ Encryption keys loaded from Vault');
+  } catch (error) {
+    console.error('❌ Failed to load encryption keys from Vault:', error.message);
+    process.exit(1);
+  }
+})();
+
 // ============================================================================
 // DATABASE MODULE
 // ============================================================================
@@ -205,6 +228,8 @@ app.use((req, res, next) => {
 const enrollmentRouter = require('./routes/enrollmentRouter');
 const verificationRouter = require('./routes/verificationRouter');
 const adminRouter = require('./routes/adminRouter');
+const tokenRouter = require('./routes/tokenRouter');
+const recoveryRouter = require('./routes/recoveryRouter');
 
 // NEW: Blockchain router
 const blockchainRouter = require('./routes/blockchainRouter');
@@ -263,6 +288,27 @@ app.get('/v1/nonce', (req, res) => {
   }
 });
 
+// ============================================================================
+// JWKS ENDPOINT (auth token public keys)
+// ============================================================================
+
+const { getJWKS } = require('./services/authTokenService');
+
+app.get('/.well-known/jwks.json', async (req, res) => {
+  try {
+    const jwks = await getJWKS(redisClient);
+    
+    // Short cache: gateways pick up rotated keys quickly
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    console.error('❌ JWKS error:', error.message);
+    res.status(500).json({
+      error: 'Failed to load signing keys'
+    });
+  }
+});
+
 // ============================================================================
 // SESSION ENDPOINT
 // ============================================================================
@@ -348,6 +394,8 @@ app.get('/v1/session/validate',
 
 app.use('/v1/enrollment', userRateLimiter(redisClient), enrollmentRouter);
 app.use('/v1/verification', userRateLimiter(redisClient), verificationRouter);
+app.use('/v1/recovery', userRateLimiter(redisClient), recoveryRouter);
+app.use('/v1/token', tokenRouter);
 app.use('/v1/admin', adminRouter);
 
 // NEW: Blockchain router
@@ -356,6 +404,8 @@ app.use('/v1/blockchain', blockchainRouter);
 console.log('✅ API routers mounted:');
 console.log('   - /v1/enrollment');
 console.log('   - /v1/verification');
+console.log('   - /v1/recovery (recovery codes)');
+console.log('   - /v1/token (introspect/revoke)');
 console.log('   - /v1/admin (protected)');
 console.log('   - /v1/blockchain (NEW)');
 
@@ -451,70 +501,72 @@ process.on('SIGINT', gracefulShutdown);
 // SERVER STARTUP
 // ============================================================================
 
-app.listen(PORT, () => {
-  console.log('');
-  console.log('🚀 ============================================');
-  console.log('   ZeroPay Secure Backend API');
-  console.log('   ============================================');
-  console.log('   Status:     PRODUCTION READY ✅');
-  console.log(`   Port:       ${PORT}`);
-  console.log(`   Environment: ${NODE_ENV}`);
-  console.log('   Version:    5.0.0');
-  console.log('   ');
-  console.log('   Security Features:');
-  console.log('   ✅ TLS 1.3 for Redis');
-  console.log('   ✅ Password + ACL authentication');
-  console.log('   ✅ AES-256-GCM encryption at rest');
-  console.log('   ✅ Double encryption (Derive + KMS)');
-  console.log('   ✅ PostgreSQL for wrapped keys');
-  console.log('   ✅ Token Bucket + Sliding Window rate limiting');
-  console.log('   ✅ IP-based rate limiting with penalties');
-  console.log('   ✅ User-based rate limiting');
-  console.log('   ✅ Fraud detection integration');
-  console.log('   ✅ Nonce-based replay protection');
-  console.log('   ✅ Encrypted session management');
-  console.log('   ✅ Security headers (Helmet)');
-  console.log('   ✅ CORS protection');
-  console.log('   ✅ Input validation');
-  console.log('   ✅ Memory wiping');
-  console.log('   ✅ GDPR compliance (24h TTL)');
-  console.log('   ');
-  console.log('   NEW - Blockchain Features:');
-  console.log('   ✅ Solana RPC integration');
-  console.log('   ✅ Phantom wallet support');
-  console.log('   ✅ Transaction verification');
-  console.log('   ✅ Wallet hash caching');
-  console.log('   ✅ Gas fee estimation');
-  console.log('   ');
-  console.log('   API Endpoints:');
-  console.log('   📍 GET  /health');
-  console.log('   📍 GET  /v1/nonce');
-  console.log('   📍 POST /v1/session/create');
-  console.log('   📍 GET  /v1/session/validate');
-  console.log('   📍 POST /v1/enrollment/store');
-  console.log('   📍 GET  /v1/enrollment/retrieve/:uuid');
-  console.log('   📍 DELETE /v1/enrollment/delete/:uuid');
-  console.log('   📍 POST /v1/verification/verify');
-  console.log('   📍 POST /v1/verification/verify-with-proof');
-  console.log('   📍 GET  /v1/admin/rate-limits');
-  console.log('   📍 POST /v1/blockchain/wallets/link (NEW)');
-  console.log('   📍 DELETE /v1/blockchain/wallets/unlink (NEW)');
-  console.log('   📍 GET  /v1/blockchain/wallets/user/:address (NEW)');
-  console.log('   📍 GET  /v1/blockchain/balance/:address (NEW)');
-  console.log('   📍 POST /v1/blockchain/transactions/estimate (NEW)');
-  console.log('   📍 GET  /v1/blockchain/transactions/:signature (NEW)');
-  console.log('   📍 POST /v1/blockchain/transactions/verify (NEW)');
-  console.log('   📍 GET  /v1/blockchain/health (NEW)');
-  console.log('   ');
-  console.log('   Rate Limits:');
-  console.log('   🛡️  Global: 1000 requests/min');
-  console.log('   🛡️  Per IP: 100 requests/min');
-  console.log('   🛡️  Per User: 50 requests/min');
-  console.log('   🛡️  Blockchain: 20 requests/min');
-  console.log('   ');
-  console.log(`   🌐 Server running at http://localhost:${PORT}`);
-  console.log('   ============================================');
-  console.log('');
+encryptionKeysReady.then(() => {
+  app.listen(PORT, () => {
+    console.log('');
+    console.log('🚀 ============================================');
+    console.log('   ZeroPay Secure Backend API');
+    console.log('   ============================================');
+    console.log('   Status:     PRODUCTION READY ✅');
+    console.log(`   Port:       ${PORT}`);
+    console.log(`   Environment: ${NODE_ENV}`);
+    console.log('   Version:    5.0.0');
+    console.log('   ');
+    console.log('   Security Features:');
+    console.log('   ✅ TLS 1.3 for Redis');
+    console.log('   ✅ Password + ACL authentication');
+    console.log('   ✅ AES-256-GCM encryption at rest');
+    console.log('   ✅ Double encryption (Derive + KMS)');
+    console.log('   ✅ PostgreSQL for wrapped keys');
+    console.log('   ✅ Token Bucket + Sliding Window rate limiting');
+    console.log('   ✅ IP-based rate limiting with penalties');
+    console.log('   ✅ User-based rate limiting');
+    console.log('   ✅ Fraud detection integration');
+    console.log('   ✅ Nonce-based replay protection');
+    console.log('   ✅ Encrypted session management');
+    console.log('   ✅ Security headers (Helmet)');
+    console.log('   ✅ CORS protection');
+    console.log('   ✅ Input validation');
+    console.log('   ✅ Memory wiping');
+    console.log('   ✅ GDPR compliance (24h TTL)');
+    console.log('   ');
+    console.log('   NEW - Blockchain Features:');
+    console.log('   ✅ Solana RPC integration');
+    console.log('   ✅ Phantom wallet support');
+    console.log('   ✅ Transaction verification');
+    console.log('   ✅ Wallet hash caching');
+    console.log('   ✅ Gas fee estimation');
+    console.log('   ');
+    console.log('   API Endpoints:');
+    console.log('   📍 GET  /health');
+    console.log('   📍 GET  /v1/nonce');
+    console.log('   📍 POST /v1/session/create');
+    console.log('   📍 GET  /v1/session/validate');
+    console.log('   📍 POST /v1/enrollment/store');
+    console.log('   📍 GET  /v1/enrollment/retrieve/:uuid');
+    console.log('   📍 DELETE /v1/enrollment/delete/:uuid');
+    console.log('   📍 POST /v1/verification/verify');
+    console.log('   📍 POST /v1/verification/verify-with-proof');
+    console.log('   📍 GET  /v1/admin/rate-limits');
+    console.log('   📍 POST /v1/blockchain/wallets/link (NEW)');
+    console.log('   📍 DELETE /v1/blockchain/wallets/unlink (NEW)');
+    console.log('   📍 GET  /v1/blockchain/wallets/user/:address (NEW)');
+    console.log('   📍 GET  /v1/blockchain/balance/:address (NEW)');
+    console.log('   📍 POST /v1/blockchain/transactions/estimate (NEW)');
+    console.log('   📍 GET  /v1/blockchain/transactions/:signature (NEW)');
+    console.log('   📍 POST /v1/blockchain/transactions/verify (NEW)');
+    console.log('   📍 GET  /v1/blockchain/health (NEW)');
+    console.log('   ');
+    console.log('   Rate Limits:');
+    console.log('   🛡️  Global: 1000 requests/min');
+    console.log('   🛡️  Per IP: 100 requests/min');
+    console.log('   🛡️  Per User: 50 requests/min');
+    console.log('   🛡️  Blockchain: 20 requests/min');
+    console.log('   ');
+    console.log(`   🌐 Server running at http://localhost:${PORT}`);
+    console.log('   ============================================');
+    console.log('');
+  });
 });
 
 // ============================================================================
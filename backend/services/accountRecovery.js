@@ -0,0 +1,445 @@
+// Path: backend/services/accountRecovery.js
+
+/**
+ * Account Recovery - Recovery codes and time-delayed factor reset
+ *
+ * Purpose: A user who forgets a factor can reset their factors without
+ * DELETE + re-enroll (which drops wallet links and history).
+ *
+ * Flow:
+ * 1. Enrollment issues RECOVERY_CODE_COUNT single-use codes (scrypt hashes stored)
+ * 2. User redeems one code → recovery request opens (code consumed)
+ *    - Notification hooks fire with a cancel token (owner's other channels)
+ *    - Caller gets a completion token
+ * 3. Cancellation window: RECOVERY_DELAY_HOURS, anyone holding the cancel
+ *    token can stop the reset
+ * 4. After the delay (and before the completion window ends) the caller
+ *    completes with the completion token + new factors
+ * 5. Factors are re-enrolled under the same UUID, old codes replaced
+ *
+ * Abuse Controls:
+ * - RECOVERY_MAX_ATTEMPTS redemptions per user and client IP per 24h
+ *   (Redis counter; /redeem is unauthenticated, so a third party must
+ *   not be able to use up the owner's budget)
+ * - One open request per user
+ * - Every step written to audit_log
+ *
+ * Notification Hooks:
+ * - In-process listeners: onRecoveryEvent((event, payload) => ...)
+ * - Webhook: RECOVERY_WEBHOOK_URL (JSON POST, HMAC-SHA256 signature in
+ *   X-ZeroPay-Signature when RECOVERY_WEBHOOK_SECRET is set)
+ * - Fire-and-forget: a failing hook never blocks recovery
+ *
+ * Redis Keys:
+ * - recovery:attempts:<uuid>:<ip> → Redemption attempts (24h TTL)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  verifyRecoveryCode,
+  generateRecoveryToken,
+  verifyRecoveryToken,
+  DEFAULT_CODE_COUNT
+} = require('../crypto/recoveryCodes');
+const {
+  replaceRecoveryCodes,
+  getUnusedRecoveryCodes,
+  createRecoveryRequest,
+  getRecoveryRequest,
+  resolveRecoveryRequest,
+  writeAuditLog
+} = require('../database/database');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const RECOVERY_CODE_COUNT = parseInt(process.env.RECOVERY_CODE_COUNT || String(DEFAULT_CODE_COUNT), 10);
+const RECOVERY_DELAY_SECONDS = parseInt(process.env.RECOVERY_DELAY_HOURS || '48', 10) * 60 * 60;
+const COMPLETION_WINDOW_SECONDS = parseInt(process.env.RECOVERY_COMPLETION_WINDOW_HOURS || '72', 10) * 60 * 60;
+const MAX_ATTEMPTS = parseInt(process.env.RECOVERY_MAX_ATTEMPTS || '5', 10);
+const ATTEMPT_WINDOW_SECONDS = 24 * 60 * 60;
+
+const ATTEMPTS_PREFIX = 'recovery:attempts:';
+
+const RECOVERY_STATUS = {
+  PENDING: 'pending',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+  EXPIRED: 'expired'
+};
+
+const RECOVERY_EVENTS = {
+  REQUESTED: 'recovery.requested',
+  CANCELLED: 'recovery.cancelled',
+  COMPLETED: 'recovery.completed'
+};
+
+// ============================================================================
+// NOTIFICATION HOOKS
+// ============================================================================
+
+const listeners = [];
+
+/**
+ * Register a recovery event listener
+ *
+ * @param {Function} listener - (event, payload) => void|Promise
+ * @returns {Function} Unsubscribe function
+ */
+function onRecoveryEvent(listener) {
+  listeners.push(listener);
+
+  return () => {
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+  };
+}
+
+/**
+ * Deliver event to listeners and webhook (fire-and-forget)
+ *
+ * @param {string} event - RECOVERY_EVENTS value
+ * @param {Object} payload - Event payload
+ */
+function notify(event, payload) {
+  for (const listener of listeners) {
+    Promise.resolve()
+      .then(() => listener(event, payload))
+      .catch(error => console.error(`❌ Recovery listener error (${event}):`, error.message));
+  }
+
+  const url = process.env.RECOVERY_WEBHOOK_URL;
+  if (!url) {
+    return;
+  }
+
+  const body = JSON.stringify({ event, ...payload, timestamp: Date.now() });
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (process.env.RECOVERY_WEBHOOK_SECRET) {
+    headers['X-ZeroPay-Signature'] = crypto
+      .createHmac('sha256', process.env.RECOVERY_WEBHOOK_SECRET)
+      .update(body)
+      .digest('hex');
+  }
+
+  axios.post(url, body, { headers, timeout: 5000 })
+    .catch(error => console.error(`❌ Recovery webhook error (${event}):`, error.message));
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Effective status of a request (pending past its window → expired)
+ *
+ * @param {Object} request - Request record
+ * @param {number} now - Epoch ms
+ * @returns {string} RECOVERY_STATUS value
+ */
+function getRecoveryStatus(request, now = Date.now()) {
+  if (request.status === RECOVERY_STATUS.PENDING && new Date(request.expires_at).getTime() <= now) {
+    return RECOVERY_STATUS.EXPIRED;
+  }
+
+  return request.status;
+}
+
+/**
+ * Public view of a request (no token hashes)
+ *
+ * @param {Object} request - Request record
+ * @param {number} now - Epoch ms
+ * @returns {Object} Request description
+ */
+function describeRecoveryRequest(request, now = Date.now()) {
+  return {
+    request_id: request.id,
+    status: getRecoveryStatus(request, now),
+    requested_at: new Date(request.requested_at).getTime(),
+    executable_at: new Date(request.executable_at).getTime(),
+    expires_at: new Date(request.expires_at).getTime(),
+    resolved_at: request.resolved_at ? new Date(request.resolved_at).getTime() : null
+  };
+}
+
+/**
+ * Load a request belonging to a user
+ */
+async function loadUserRequest(uuid, requestId) {
+  const request = await getRecoveryRequest(requestId);
+  return request && request.uuid === uuid ? request : null;
+}
+
+// ============================================================================
+// RECOVERY CODES
+// ============================================================================
+
+/**
+ * Issue a fresh set of recovery codes (replaces previous codes)
+ *
+ * Callers must have authenticated the user first: on a new enrollment
+ * (no codes yet) or after a completed recovery.
+ *
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.reason - 'enrollment' | 'recovery'
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<Array<string>>} Plaintext codes (return to the user once)
+ */
+async function issueRecoveryCodes({ uuid, reason = 'enrollment', ipAddress = null }) {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  const codeHashes = [];
+
+  for (const code of codes) {
+    codeHashes.push(await hashRecoveryCode(code));
+  }
+
+  await replaceRecoveryCodes({ uuid, codeHashes, reason, ipAddress });
+
+  return codes;
+}
+
+/**
+ * Redeem a recovery code (opens a time-delayed reset)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.code - Recovery code as entered
+ * @param {string} params.ipAddress - Client IP
+ * @param {number} params.now - Epoch ms (testing)
+ * @returns {Promise<Object>} { status: 'accepted'|'rejected'|'rate_limited'|'conflict',
+ *   request, completionToken }
+ */
+async function redeemRecoveryCode(redisClient, { uuid, code, ipAddress = null, now = Date.now() }) {
+  const attemptsKey = `${ATTEMPTS_PREFIX}${uuid}:${ipAddress || 'unknown'}`;
+  const attempts = await redisClient.incr(attemptsKey);
+
+  if (attempts === 1) {
+    await redisClient.expire(attemptsKey, ATTEMPT_WINDOW_SECONDS);
+  }
+
+  if (attempts > MAX_ATTEMPTS) {
+    return { status: 'rate_limited' };
+  }
+
+  // Check every unused code (no early exit)
+  const storedCodes = await getUnusedRecoveryCodes(uuid);
+  let matched = null;
+
+  for (const stored of storedCodes) {
+    if (await verifyRecoveryCode(code, stored.code_hash) && !matched) {
+      matched = stored;
+    }
+  }
+
+  if (!matched) {
+    await writeAuditLog({
+      uuid,
+      action: 'RECOVERY_CODE_REJECTED',
+      ipAddress,
+      details: { attempts }
+    });
+
+    console.warn(`⚠️  Recovery code rejected for ${uuid.slice(0, 8)}... (attempt ${attempts})`);
+    return { status: 'rejected' };
+  }
+
+  const completion = generateRecoveryToken();
+  const cancel = generateRecoveryToken();
+  const executableAt = new Date(now + RECOVERY_DELAY_SECONDS * 1000);
+
+  const request = await createRecoveryRequest({
+    uuid,
+    codeId: matched.id,
+    requestId: crypto.randomUUID(),
+    completionTokenHash: completion.tokenHash,
+    cancelTokenHash: cancel.tokenHash,
+    executableAt,
+    expiresAt: new Date(executableAt.getTime() + COMPLETION_WINDOW_SECONDS * 1000),
+    ipAddress
+  });
+
+  if (!request) {
+    return { status: 'conflict' };
+  }
+
+  console.log(`🛟 Recovery requested for ${uuid.slice(0, 8)}... (executable ${executableAt.toISOString()})`);
+
+  notify(RECOVERY_EVENTS.REQUESTED, {
+    uuid,
+    ...describeRecoveryRequest(request, now),
+    cancel_token: cancel.token,
+    ip_address: ipAddress
+  });
+
+  return { status: 'accepted', request, completionToken: completion.token };
+}
+
+// ============================================================================
+// RECOVERY REQUESTS
+// ============================================================================
+
+/**
+ * Get a user's recovery request
+ *
+ * @param {string} uuid - User UUID
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object|null>} Request description or null
+ */
+async function getRecoveryRequestStatus(uuid, requestId) {
+  const request = await loadUserRequest(uuid, requestId);
+  return request ? describeRecoveryRequest(request) : null;
+}
+
+/**
+ * Cancel a pending recovery request
+ *
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.requestId - Request ID
+ * @param {string} params.cancelToken - Cancel token (from the notification)
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<Object>} { status: 'cancelled'|'not_found'|'invalid_token'|'not_pending', request }
+ */
+async function cancelRecovery({ uuid, requestId, cancelToken, ipAddress = null }) {
+  const request = await loadUserRequest(uuid, requestId);
+
+  if (!request) {
+    return { status: 'not_found' };
+  }
+
+  if (!verifyRecoveryToken(cancelToken, request.cancel_token_hash)) {
+    await writeAuditLog({
+      uuid,
+      action: 'RECOVERY_CANCEL_REJECTED',
+      ipAddress,
+      details: { request_id: requestId }
+    });
+    return { status: 'invalid_token' };
+  }
+
+  if (getRecoveryStatus(request) !== RECOVERY_STATUS.PENDING) {
+    return { status: 'not_pending', request: describeRecoveryRequest(request) };
+  }
+
+  const cancelled = await resolveRecoveryRequest({
+    requestId,
+    status: RECOVERY_STATUS.CANCELLED,
+    ipAddress
+  });
+
+  if (!cancelled) {
+    return { status: 'not_pending', request: describeRecoveryRequest(request) };
+  }
+
+  console.log(`🛑 Recovery cancelled for ${uuid.slice(0, 8)}...`);
+  notify(RECOVERY_EVENTS.CANCELLED, { uuid, ...describeRecoveryRequest(cancelled) });
+
+  return { status: 'cancelled', request: describeRecoveryRequest(cancelled) };
+}
+
+/**
+ * Check a completion attempt (token, delay, window)
+ *
+ * Call before re-enrolling; claim with completeRecovery().
+ *
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.requestId - Request ID
+ * @param {string} params.completionToken - Completion token (from redemption)
+ * @param {number} params.now - Epoch ms (testing)
+ * @returns {Promise<Object>} { status: 'ready'|'not_found'|'invalid_token'|'too_early'|
+ *   'expired'|'not_pending', request, retryAfter }
+ */
+async function checkRecoveryCompletion({ uuid, requestId, completionToken, now = Date.now() }) {
+  const request = await loadUserRequest(uuid, requestId);
+
+  if (!request) {
+    return { status: 'not_found' };
+  }
+
+  if (!verifyRecoveryToken(completionToken, request.completion_token_hash)) {
+    return { status: 'invalid_token' };
+  }
+
+  const status = getRecoveryStatus(request, now);
+  const description = describeRecoveryRequest(request, now);
+
+  if (status === RECOVERY_STATUS.EXPIRED) {
+    return { status: 'expired', request: description };
+  }
+
+  if (status !== RECOVERY_STATUS.PENDING) {
+    return { status: 'not_pending', request: description };
+  }
+
+  if (description.executable_at > now) {
+    return {
+      status: 'too_early',
+      request: description,
+      retryAfter: Math.ceil((description.executable_at - now) / 1000)
+    };
+  }
+
+  return { status: 'ready', request: description };
+}
+
+/**
+ * Mark a recovery request completed
+ *
+ * Call once the new key is derived and before it replaces the old one:
+ * only one caller can complete a request, and a cancel that lands
+ * first wins.
+ *
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.requestId - Request ID
+ * @param {Object} params.details - Audit details (no digests)
+ * @param {string} params.ipAddress - Client IP (for audit)
+ * @returns {Promise<boolean>} True if the request was still pending
+ */
+async function completeRecovery({ uuid, requestId, details = {}, ipAddress = null }) {
+  const completed = await resolveRecoveryRequest({
+    requestId,
+    status: RECOVERY_STATUS.COMPLETED,
+    details,
+    ipAddress
+  });
+
+  if (!completed) {
+    return false;
+  }
+
+  console.log(`✅ Recovery completed for ${uuid.slice(0, 8)}...`);
+  notify(RECOVERY_EVENTS.COMPLETED, { uuid, ...describeRecoveryRequest(completed) });
+
+  return true;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  issueRecoveryCodes,
+  redeemRecoveryCode,
+  getRecoveryRequestStatus,
+  cancelRecovery,
+  checkRecoveryCompletion,
+  completeRecovery,
+  onRecoveryEvent,
+  getRecoveryStatus,
+  describeRecoveryRequest,
+  RECOVERY_STATUS,
+  RECOVERY_EVENTS
+};
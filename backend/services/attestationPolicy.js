@@ -0,0 +1,264 @@
+// Path: backend/services/attestationPolicy.js
+
+/**
+ * Attestation Policy - Device attestation at enrollment
+ *
+ * Purpose: Decide whether a device may enroll based on a hardware
+ * attestation (see crypto/deviceAttestation.js), and record the verdict.
+ *
+ * Flow:
+ * 1. Client requests a challenge for (user_uuid, device_id)
+ * 2. Device attests a key over the challenge (KeyStore / App Attest)
+ * 3. Client sends `attestation` with /store or /devices
+ * 4. Challenge consumed (single use), attestation verified offline
+ * 5. Verdict stored with the enrollment and device record
+ *
+ * Modes (ATTESTATION_POLICY):
+ * - off      → Attestations ignored (default, SDK does not attest yet)
+ * - optional → Verified and recorded, failures do not block enrollment
+ * - required → Enrollment refused without a valid attestation
+ *
+ * Configuration (env):
+ * - ATTESTATION_ANDROID_PACKAGES       → Comma-separated package names
+ * - ATTESTATION_ANDROID_MIN_SECURITY   → TEE (default) or STRONG_BOX
+ * - ATTESTATION_APPLE_APP_IDS          → Comma-separated "<TeamID>.<bundleId>"
+ *                                        (required for App Attest)
+ * - ATTESTATION_APPLE_ALLOW_DEVELOPMENT → "true" accepts development builds
+ * - ATTESTATION_EXTRA_ROOTS_PATH       → Extra trust anchors (attestationRoots.js)
+ *
+ * Device key: an Android attestation certifies the KeyStore key itself,
+ * so a device_public_key sent with it must be that key. App Attest keys
+ * can only sign assertions, so the binding key is recorded separately.
+ *
+ * Redis Keys:
+ * - attestation:challenge:<uuid>:<device_id> → Challenge (5 minute TTL)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { verifyAttestation, ATTESTATION_FORMATS } = require('../crypto/deviceAttestation');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ATTESTATION_MODES = {
+  OFF: 'off',
+  OPTIONAL: 'optional',
+  REQUIRED: 'required'
+};
+
+const CHALLENGE_PREFIX = 'attestation:challenge:';
+const CHALLENGE_TTL_SECONDS = 300;
+const CHALLENGE_VERSION = 'zeropay.attestation.v1';
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Split a comma-separated env value
+ */
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load attestation policy from environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} Attestation policy
+ * @throws {Error} If the mode or security level is unknown
+ */
+function loadAttestationPolicy(env = process.env) {
+  const mode = (env.ATTESTATION_POLICY || ATTESTATION_MODES.OFF).trim().toLowerCase();
+  if (!Object.values(ATTESTATION_MODES).includes(mode)) {
+    throw new Error(`Unknown ATTESTATION_POLICY: ${mode}`);
+  }
+
+  const minSecurityLevel = (env.ATTESTATION_ANDROID_MIN_SECURITY || 'TEE').trim().toUpperCase();
+  if (!['TEE', 'STRONG_BOX'].includes(minSecurityLevel)) {
+    throw new Error(`Unknown ATTESTATION_ANDROID_MIN_SECURITY: ${minSecurityLevel}`);
+  }
+
+  return Object.freeze({
+    mode,
+    androidPackages: Object.freeze(splitList(env.ATTESTATION_ANDROID_PACKAGES)),
+    minSecurityLevel,
+    appleAppIds: Object.freeze(splitList(env.ATTESTATION_APPLE_APP_IDS)),
+    allowAppleDevelopment: env.ATTESTATION_APPLE_ALLOW_DEVELOPMENT === 'true'
+  });
+}
+
+const DEFAULT_ATTESTATION_POLICY = loadAttestationPolicy();
+
+// ============================================================================
+// CHALLENGES
+// ============================================================================
+
+/**
+ * Redis key for a device's pending challenge
+ */
+function challengeKey(uuid, deviceId) {
+  return `${CHALLENGE_PREFIX}${uuid}:${deviceId}`;
+}
+
+/**
+ * Issue an attestation challenge (replaces any pending one)
+ *
+ * @param {Object} redisClient - Redis client
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.deviceId - Device ID
+ * @returns {Promise<Object>} { challenge, expires_in }
+ */
+async function issueAttestationChallenge(redisClient, { uuid, deviceId }) {
+  const challenge = `${CHALLENGE_VERSION}:${crypto.randomBytes(32).toString('base64url')}`;
+
+  await redisClient.setEx(challengeKey(uuid, deviceId), CHALLENGE_TTL_SECONDS, challenge);
+
+  return { challenge, expires_in: CHALLENGE_TTL_SECONDS };
+}
+
+/**
+ * Take a pending challenge (single use)
+ *
+ * @param {Object} redisClient - Redis client
+ * @param {Object} params - { uuid, deviceId }
+ * @returns {Promise<string|null>} Challenge, or null if none / expired
+ */
+async function consumeAttestationChallenge(redisClient, { uuid, deviceId }) {
+  return redisClient.getDel(challengeKey(uuid, deviceId));
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * JSON-safe verdict for enrollment metadata
+ *
+ * @param {Object} verdict - Verifier result
+ * @param {string} mode - Policy mode
+ * @returns {Object} Stored verdict
+ */
+function describeVerdict(verdict, mode) {
+  const stored = {
+    format: verdict.format,
+    valid: verdict.valid,
+    reason: verdict.reason,
+    policy_mode: mode,
+    verified_at: new Date().toISOString()
+  };
+
+  if (!verdict.valid) {
+    return stored;
+  }
+
+  if (verdict.format === ATTESTATION_FORMATS.ANDROID_KEY) {
+    Object.assign(stored, {
+      security_level: verdict.securityLevel,
+      attestation_version: verdict.attestationVersion,
+      verified_boot_state: verdict.verifiedBootState,
+      device_locked: verdict.deviceLocked,
+      package_names: verdict.packageNames
+    });
+  } else {
+    Object.assign(stored, {
+      app_id: verdict.appId,
+      environment: verdict.environment,
+      key_id: verdict.keyId
+    });
+  }
+
+  stored.key_fingerprint = verdict.attestedKeyFingerprint;
+  return stored;
+}
+
+/**
+ * Evaluate an enrollment attestation against the policy
+ *
+ * @param {Object} redisClient - Redis client
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.deviceId - Device ID
+ * @param {Object} params.attestation - Request body attestation (optional)
+ * @param {string} params.keyFingerprint - device_public_key fingerprint (optional)
+ * @param {Object} params.policy - Attestation policy (default: from env)
+ * @param {Object} params.verifyOptions - Extra verifier options (trustedRoots, now)
+ * @returns {Promise<Object>} { allowed, error, verdict } (verdict null when off)
+ */
+async function evaluateAttestation(redisClient, {
+  uuid,
+  deviceId,
+  attestation,
+  keyFingerprint = null,
+  policy = DEFAULT_ATTESTATION_POLICY,
+  verifyOptions = {}
+}) {
+  if (policy.mode === ATTESTATION_MODES.OFF) {
+    return { allowed: true, error: null, verdict: null };
+  }
+
+  const required = policy.mode === ATTESTATION_MODES.REQUIRED;
+
+  if (attestation === undefined || attestation === null) {
+    return {
+      allowed: !required,
+      error: required ? 'Device attestation required' : null,
+      verdict: { valid: false, reason: 'not_provided', policy_mode: policy.mode }
+    };
+  }
+
+  let verdict;
+  const challenge = await consumeAttestationChallenge(redisClient, { uuid, deviceId });
+
+  if (!challenge) {
+    verdict = { valid: false, format: attestation.format || null, reason: 'challenge_expired' };
+  } else {
+    verdict = verifyAttestation(attestation, {
+      challenge,
+      allowedPackages: policy.androidPackages,
+      minSecurityLevel: policy.minSecurityLevel,
+      allowedAppIds: policy.appleAppIds,
+      allowDevelopment: policy.allowAppleDevelopment,
+      ...verifyOptions
+    });
+  }
+
+  if (verdict.valid &&
+      verdict.format === ATTESTATION_FORMATS.ANDROID_KEY &&
+      keyFingerprint &&
+      keyFingerprint !== verdict.attestedKeyFingerprint) {
+    verdict = { valid: false, format: verdict.format, reason: 'device_key_mismatch' };
+  }
+
+  const stored = describeVerdict(verdict, policy.mode);
+
+  if (!verdict.valid) {
+    console.warn(`⚠️  Attestation rejected for ${uuid.slice(0, 8)}... (${verdict.reason})`);
+  }
+
+  return {
+    allowed: verdict.valid || !required,
+    error: verdict.valid || !required ? null : 'Device attestation failed',
+    verdict: stored
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadAttestationPolicy,
+  issueAttestationChallenge,
+  consumeAttestationChallenge,
+  evaluateAttestation,
+  ATTESTATION_MODES
+};
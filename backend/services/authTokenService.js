@@ -0,0 +1,551 @@
+// Path: backend/services/authTokenService.js
+
+/**
+ * Auth Token Service - Signed verification tokens (JWS)
+ *
+ * Purpose: Issue auth tokens that merchants and payment gateways
+ * can verify offline, without calling back into ZeroPay.
+ *
+ * Format: JWS Compact Serialization (RFC 7515), JWT claims (RFC 7519)
+ * - Header: { alg: 'EdDSA', typ: 'JWT', kid }
+ * - Signature: Ed25519 (RFC 8037)
+ *
+ * Claims:
+ * - iss          → Token issuer (TOKEN_ISSUER)
+ * - sub          → User UUID
+ * - sid          → Verification session ID
+ * - jti          → Unique token ID
+ * - iat / exp    → Issued-at / expiry (seconds since epoch)
+ * - factor_count → Number of factors verified
+ * - merchant_id  → Merchant the authentication is bound to (if any)
+ * - txn          → Transaction commitment { hash, algorithm, version } (if any)
+ *
+ * Key Rotation:
+ * - Signing keys live in Redis (private key encrypted at rest)
+ * - A new key becomes active every TOKEN_KEY_ROTATION_HOURS (default 24,
+ *   max 167: key record must fit the cache MAX_TTL of 7 days)
+ * - Retired keys stay published until every token they signed has expired
+ * - Public keys published as a JWKS (RFC 7517) at /.well-known/jwks.json
+ * - Rotation is race-safe across instances (SET NX on the active pointer)
+ *
+ * Token State (single-use):
+ * - A token is active until it is consumed (capture) or revoked
+ * - First transition wins (SET NX), so a token is redeemed exactly once
+ * - State entries expire with the token itself
+ *
+ * Keys:
+ * - signing:key:<kid> → encrypted key record (private + public JWK)
+ * - signing:kids      → set of published key IDs
+ * - signing:active    → kid of the current signing key
+ * - token:state:<jti> → 'consumed' | 'revoked'
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { createCacheManager, MAX_TTL } = require('../middleware/cacheManager');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TOKEN_ALGORITHM = 'EdDSA';
+const TOKEN_TYPE = 'JWT';
+const TOKEN_ISSUER = process.env.TOKEN_ISSUER || 'zeropay';
+const AUTH_TOKEN_TTL_SECONDS = 300; // 5 minutes
+const CLOCK_SKEW_SECONDS = 30;
+const DEFAULT_KEY_ROTATION_HOURS = 24;
+
+// Key record TTL = rotation + token TTL + skew, capped by the cache
+const MAX_KEY_ROTATION_HOURS = Math.floor((MAX_TTL - AUTH_TOKEN_TTL_SECONDS - CLOCK_SKEW_SECONDS) / 3600);
+
+const TOKEN_STATE = {
+  ACTIVE: 'active',
+  CONSUMED: 'consumed',
+  REVOKED: 'revoked'
+};
+
+const SIGNING_NAMESPACE = 'signing:';
+const TOKEN_STATE_PREFIX = 'token:state:';
+const KEY_PREFIX = 'key:';
+const KIDS_KEY = 'kids';
+const ACTIVE_KEY = 'active';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Load signing key rotation period
+ *
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {number} Rotation period in seconds
+ * @throws {Error} If TOKEN_KEY_ROTATION_HOURS is not 1-167
+ */
+function loadKeyRotationSeconds(env = process.env) {
+  const raw = env.TOKEN_KEY_ROTATION_HOURS;
+
+  if (raw === undefined || raw === '') {
+    return DEFAULT_KEY_ROTATION_HOURS * 3600;
+  }
+
+  const hours = Number(raw);
+
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_KEY_ROTATION_HOURS) {
+    throw new Error(`TOKEN_KEY_ROTATION_HOURS must be an integer from 1 to ${MAX_KEY_ROTATION_HOURS} (got '${raw}')`);
+  }
+
+  return hours * 3600;
+}
+
+// Rejected at startup rather than on the first rotation
+const KEY_ROTATION_SECONDS = loadKeyRotationSeconds();
+
+// Local cache of imported keys (kid → { privateKey, publicKey, record })
+const keyCache = new Map();
+
+// ============================================================================
+// CACHE HELPERS
+// ============================================================================
+
+/**
+ * Get cache manager for key records (encrypted)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @returns {CacheManager} Cache manager
+ */
+function getKeyCache(redisClient) {
+  return createCacheManager(redisClient, SIGNING_NAMESPACE, {
+    defaultTTL: KEY_ROTATION_SECONDS
+  });
+}
+
+/**
+ * Get cache manager for key pointers (plain)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @returns {CacheManager} Cache manager
+ */
+function getPointerCache(redisClient) {
+  return createCacheManager(redisClient, SIGNING_NAMESPACE, {
+    defaultTTL: KEY_ROTATION_SECONDS,
+    autoEncrypt: false
+  });
+}
+
+// ============================================================================
+// KEY MANAGEMENT
+// ============================================================================
+
+/**
+ * Import a stored key record into KeyObjects
+ *
+ * @param {Object} record - Stored key record
+ * @returns {Object} { privateKey, publicKey, record }
+ */
+function importKeyRecord(record) {
+  return {
+    privateKey: crypto.createPrivateKey(record.privateKey),
+    publicKey: crypto.createPublicKey({ key: record.publicJwk, format: 'jwk' }),
+    record
+  };
+}
+
+/**
+ * Load signing key by kid (local cache, then Redis)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} kid - Key ID
+ * @returns {Promise<Object|null>} Imported key or null if unknown/retired
+ */
+async function loadSigningKey(redisClient, kid) {
+  const cached = keyCache.get(kid);
+  if (cached && cached.record.retireAt > Date.now()) {
+    return cached;
+  }
+  keyCache.delete(kid);
+
+  const record = await getKeyCache(redisClient).get(KEY_PREFIX + kid);
+  if (!record || typeof record !== 'object') {
+    return null;
+  }
+
+  const imported = importKeyRecord(record);
+  keyCache.set(kid, imported);
+  return imported;
+}
+
+/**
+ * Generate and store a new signing key
+ *
+ * Key record TTL covers its active period plus the lifetime of
+ * the last token it can sign, so verifiers never see a gap.
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @returns {Promise<Object>} Imported key
+ */
+async function generateSigningKey(redisClient) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const kid = crypto.randomUUID();
+  const now = Date.now();
+  const ttl = KEY_ROTATION_SECONDS + AUTH_TOKEN_TTL_SECONDS + CLOCK_SKEW_SECONDS;
+
+  const record = {
+    kid,
+    alg: TOKEN_ALGORITHM,
+    createdAt: now,
+    activeUntil: now + (KEY_ROTATION_SECONDS * 1000),
+    retireAt: now + (ttl * 1000),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicJwk: publicKey.export({ format: 'jwk' })
+  };
+
+  await getKeyCache(redisClient).set(KEY_PREFIX + kid, record, ttl);
+  await getPointerCache(redisClient).sAdd(KIDS_KEY, kid);
+
+  return importKeyRecord(record);
+}
+
+/**
+ * Get the active signing key, rotating if the current one has expired
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @returns {Promise<Object>} Imported key
+ */
+async function getActiveSigningKey(redisClient) {
+  const pointerCache = getPointerCache(redisClient);
+  const activeKid = await pointerCache.get(ACTIVE_KEY, { parse: false });
+
+  if (activeKid) {
+    const key = await loadSigningKey(redisClient, activeKid);
+    if (key) {
+      return key;
+    }
+  }
+
+  return await rotateSigningKey(redisClient);
+}
+
+/**
+ * Rotate signing key
+ *
+ * Race-safe: concurrent instances try to claim the active pointer
+ * with SET NX; the loser discards its key and uses the winner's.
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} options
+ * @param {boolean} options.force - Replace the active key even if still valid
+ * @returns {Promise<Object>} Imported active key
+ */
+async function rotateSigningKey(redisClient, { force = false } = {}) {
+  const candidate = await generateSigningKey(redisClient);
+  const pointer = SIGNING_NAMESPACE + ACTIVE_KEY;
+
+  if (force) {
+    await redisClient.setEx(pointer, KEY_ROTATION_SECONDS, candidate.record.kid);
+  } else {
+    const claimed = await redisClient.set(pointer, candidate.record.kid, {
+      NX: true,
+      EX: KEY_ROTATION_SECONDS
+    });
+
+    if (!claimed) {
+      // Another instance rotated first
+      await getKeyCache(redisClient).delete(KEY_PREFIX + candidate.record.kid);
+      await getPointerCache(redisClient).sRem(KIDS_KEY, candidate.record.kid);
+
+      const winnerKid = await redisClient.get(pointer);
+      const winner = winnerKid ? await loadSigningKey(redisClient, winnerKid) : null;
+      if (!winner) {
+        throw new Error('Signing key rotation failed');
+      }
+      return winner;
+    }
+  }
+
+  keyCache.set(candidate.record.kid, candidate);
+  console.log(`🔑 Auth token signing key rotated: ${candidate.record.kid}`);
+
+  return candidate;
+}
+
+/**
+ * Get JSON Web Key Set (public keys only)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @returns {Promise<Object>} JWKS { keys: [...] }
+ */
+async function getJWKS(redisClient) {
+  // Make sure there is always at least one key to publish
+  await getActiveSigningKey(redisClient);
+
+  const pointerCache = getPointerCache(redisClient);
+  const kids = await pointerCache.sMembers(KIDS_KEY);
+  const keys = [];
+
+  for (const kid of kids) {
+    const key = await loadSigningKey(redisClient, kid);
+
+    if (!key) {
+      // Retired: drop from published set
+      await pointerCache.sRem(KIDS_KEY, kid);
+      continue;
+    }
+
+    keys.push({
+      ...key.record.publicJwk,
+      kid,
+      alg: TOKEN_ALGORITHM,
+      use: 'sig'
+    });
+  }
+
+  return { keys };
+}
+
+// ============================================================================
+// TOKEN OPERATIONS
+// ============================================================================
+
+/**
+ * Base64url-encode JSON
+ *
+ * @param {Object} value - Value to encode
+ * @returns {string} Base64url string
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode base64url JSON segment
+ *
+ * @param {string} segment - Base64url string
+ * @returns {Object|null} Decoded value or null if malformed
+ */
+function decodeSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Issue signed auth token
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID (sub)
+ * @param {string} params.sessionId - Verification session ID (sid)
+ * @param {number} params.factorCount - Number of factors verified
+ * @param {string} params.merchantId - Bound merchant (optional)
+ * @param {Object} params.transactionBinding - Transaction commitment (optional)
+ * @returns {Promise<Object>} { token, claims }
+ */
+async function issueAuthToken(redisClient, {
+  uuid,
+  sessionId,
+  factorCount,
+  merchantId = null,
+  transactionBinding = null
+}) {
+  const key = await getActiveSigningKey(redisClient);
+  const iat = Math.floor(Date.now() / 1000);
+
+  const header = {
+    alg: TOKEN_ALGORITHM,
+    typ: TOKEN_TYPE,
+    kid: key.record.kid
+  };
+
+  const claims = {
+    iss: TOKEN_ISSUER,
+    sub: uuid,
+    sid: sessionId,
+    jti: crypto.randomUUID(),
+    iat,
+    exp: iat + AUTH_TOKEN_TTL_SECONDS,
+    factor_count: factorCount
+  };
+
+  if (merchantId) {
+    claims.merchant_id = merchantId;
+  }
+
+  if (transactionBinding) {
+    claims.txn = transactionBinding;
+  }
+
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), key.privateKey);
+
+  return {
+    token: `${signingInput}.${signature.toString('base64url')}`,
+    claims
+  };
+}
+
+/**
+ * Verify signed auth token
+ *
+ * Never throws; returns { valid: false, error } on any failure.
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} token - JWS compact token
+ * @returns {Promise<Object>} { valid, claims, error }
+ */
+async function verifyAuthToken(redisClient, token) {
+  try {
+    if (typeof token !== 'string' || token.length > 4096) {
+      return { valid: false, error: 'Malformed token' };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return { valid: false, error: 'Malformed token' };
+    }
+
+    const [encodedHeader, encodedClaims, encodedSignature] = parts;
+    const header = decodeSegment(encodedHeader);
+    const claims = decodeSegment(encodedClaims);
+
+    if (!header || !claims) {
+      return { valid: false, error: 'Malformed token' };
+    }
+
+    // Only accept our algorithm (no 'none', no alg confusion)
+    if (header.alg !== TOKEN_ALGORITHM || typeof header.kid !== 'string') {
+      return { valid: false, error: 'Unsupported token algorithm' };
+    }
+
+    const key = await loadSigningKey(redisClient, header.kid);
+    if (!key) {
+      return { valid: false, error: 'Unknown signing key' };
+    }
+
+    const signatureValid = crypto.verify(
+      null,
+      Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      key.publicKey,
+      Buffer.from(encodedSignature, 'base64url')
+    );
+
+    if (!signatureValid) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.iss !== TOKEN_ISSUER) {
+      return { valid: false, error: 'Invalid issuer' };
+    }
+
+    if (typeof claims.exp !== 'number' || now > claims.exp + CLOCK_SKEW_SECONDS) {
+      return { valid: false, error: 'Token expired' };
+    }
+
+    if (typeof claims.iat !== 'number' || claims.iat > now + CLOCK_SKEW_SECONDS) {
+      return { valid: false, error: 'Token not yet valid' };
+    }
+
+    return { valid: true, claims };
+
+  } catch (error) {
+    console.error('❌ Auth token verification error:', error.message);
+    return { valid: false, error: 'Token verification failed' };
+  }
+}
+
+// ============================================================================
+// TOKEN STATE (single-use / revocation)
+// ============================================================================
+
+/**
+ * Seconds until a token's state entry can be dropped
+ *
+ * @param {Object} claims - Verified token claims
+ * @returns {number} TTL in seconds (min 1)
+ */
+function stateTTL(claims) {
+  const now = Math.floor(Date.now() / 1000);
+  return Math.max(1, claims.exp + CLOCK_SKEW_SECONDS - now);
+}
+
+/**
+ * Get token state
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} jti - Token ID
+ * @returns {Promise<string>} TOKEN_STATE value
+ */
+async function getAuthTokenState(redisClient, jti) {
+  const state = await redisClient.get(TOKEN_STATE_PREFIX + jti);
+  return state || TOKEN_STATE.ACTIVE;
+}
+
+/**
+ * Transition token out of the active state (atomic, first wins)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} claims - Verified token claims
+ * @param {string} state - TOKEN_STATE.CONSUMED or TOKEN_STATE.REVOKED
+ * @returns {Promise<Object>} { changed, state } (state after the call)
+ */
+async function transitionAuthToken(redisClient, claims, state) {
+  const key = TOKEN_STATE_PREFIX + claims.jti;
+
+  const set = await redisClient.set(key, state, {
+    NX: true,
+    EX: stateTTL(claims)
+  });
+
+  if (set) {
+    return { changed: true, state };
+  }
+
+  return { changed: false, state: await getAuthTokenState(redisClient, claims.jti) };
+}
+
+/**
+ * Consume token (single-use redemption at capture)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} claims - Verified token claims
+ * @returns {Promise<Object>} { changed, state }
+ */
+async function consumeAuthToken(redisClient, claims) {
+  return await transitionAuthToken(redisClient, claims, TOKEN_STATE.CONSUMED);
+}
+
+/**
+ * Revoke token (refund, dispute, logout)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} claims - Verified token claims
+ * @returns {Promise<Object>} { changed, state }
+ */
+async function revokeAuthToken(redisClient, claims) {
+  return await transitionAuthToken(redisClient, claims, TOKEN_STATE.REVOKED);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  issueAuthToken,
+  verifyAuthToken,
+  getJWKS,
+  rotateSigningKey,
+  getAuthTokenState,
+  consumeAuthToken,
+  revokeAuthToken,
+  loadKeyRotationSeconds,
+  TOKEN_STATE,
+  AUTH_TOKEN_TTL_SECONDS,
+  TOKEN_ALGORITHM,
+  TOKEN_ISSUER
+};
@@ -0,0 +1,219 @@
+// Path: backend/services/enrollmentStore.js
+
+/**
+ * Enrollment Store - Durable enrollments with a Redis read-through cache
+ *
+ * Purpose: Factor digests used to live only in Redis (24h TTL) while the
+ * wrapped key lived on in PostgreSQL, so every user became unverifiable
+ * after a day. PostgreSQL now holds the durable copy; Redis is a cache.
+ *
+ * Architecture:
+ * - PostgreSQL: enrollment record sealed under the user's derived key
+ *   (wrapped_keys.sealed_enrollment, written with the wrapped key)
+ * - Redis: same record encrypted with the server key (TTL = cache lifetime)
+ *
+ * Read path:
+ * 1. Redis hit (not past expires_at) → return
+ * 2. Miss → load wrapped key + sealed record from PostgreSQL
+ * 3. KMS unwrap → open sealed record (see unsealEnrollmentRecord)
+ * 4. Re-cache in Redis → return
+ *
+ * Enrollments stored before sealed records existed have no durable copy:
+ * a cache miss for them still means re-enrollment.
+ *
+ * Redis Keys:
+ * - enrollment:<uuid> → Encrypted enrollment record (TTL)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { encrypt, decrypt } = require('../crypto/encryption');
+const { unsealEnrollmentRecord } = require('../crypto/doubleLayerCrypto');
+const { getWrappedKey } = require('../database/database');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ENROLLMENT_PREFIX = 'enrollment:';
+const MIN_CACHE_TTL_SECONDS = 60;
+const MAX_CACHE_TTL_SECONDS = 86400; // Digests stay in Redis at most 24h
+const DEFAULT_CACHE_TTL_SECONDS = MAX_CACHE_TTL_SECONDS;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Redis key for an enrollment
+ */
+function enrollmentKey(uuid) {
+  return ENROLLMENT_PREFIX + uuid;
+}
+
+/**
+ * Clamp requested cache TTL to the allowed range
+ *
+ * @param {*} ttlSeconds - Requested TTL (any input)
+ * @returns {number} TTL in seconds
+ */
+function normalizeCacheTTL(ttlSeconds) {
+  const ttl = parseInt(ttlSeconds) || DEFAULT_CACHE_TTL_SECONDS;
+  return Math.min(Math.max(ttl, MIN_CACHE_TTL_SECONDS), MAX_CACHE_TTL_SECONDS);
+}
+
+/**
+ * Build the durable part of an enrollment record
+ *
+ * Only these fields are sealed in PostgreSQL; cache bookkeeping
+ * (expires_at) is added when the record is cached.
+ *
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {Object} params.factors - Factor digests
+ * @param {string} params.deviceId - Device ID
+ * @param {Object} params.policy - Factor policy
+ * @returns {Object} Enrollment record
+ */
+function buildEnrollmentRecord({ uuid, factors, deviceId, policy }) {
+  return {
+    user_uuid: uuid,
+    factors,
+    created_at: Date.now(),
+    device_id: deviceId,
+    factor_count: Object.keys(factors).length,
+    policy
+  };
+}
+
+// ============================================================================
+// CACHE OPERATIONS
+// ============================================================================
+
+/**
+ * Write enrollment record to the Redis cache
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} record - Enrollment record
+ * @param {number} ttlSeconds - Cache TTL
+ * @returns {Promise<Object>} Cached enrollment data (with expires_at)
+ */
+async function cacheEnrollment(redisClient, record, ttlSeconds = DEFAULT_CACHE_TTL_SECONDS) {
+  const enrollmentData = {
+    ...record,
+    expires_at: Date.now() + (ttlSeconds * 1000)
+  };
+
+  const encrypted = await encrypt(JSON.stringify(enrollmentData));
+  await redisClient.setEx(enrollmentKey(record.user_uuid), ttlSeconds, encrypted);
+
+  return enrollmentData;
+}
+
+/**
+ * Read enrollment record from the Redis cache only
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ * @returns {Promise<Object|null>} Enrollment data or null on miss
+ */
+async function getCachedEnrollment(redisClient, uuid) {
+  const key = enrollmentKey(uuid);
+  const encrypted = await redisClient.get(key);
+
+  if (!encrypted) {
+    return null;
+  }
+
+  const enrollmentData = JSON.parse(await decrypt(encrypted));
+
+  // Defensive: Redis TTL should have removed it already
+  if (enrollmentData.expires_at && Date.now() > enrollmentData.expires_at) {
+    await redisClient.del(key);
+    return null;
+  }
+
+  return enrollmentData;
+}
+
+/**
+ * Drop enrollment record from the Redis cache
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ * @returns {Promise<boolean>} True if a cached copy was deleted
+ */
+async function invalidateEnrollment(redisClient, uuid) {
+  return (await redisClient.del(enrollmentKey(uuid))) > 0;
+}
+
+// ============================================================================
+// READ-THROUGH
+// ============================================================================
+
+/**
+ * Rehydrate enrollment record from PostgreSQL
+ *
+ * @param {string} uuid - User UUID
+ * @param {string} ipAddress - Client IP (for audit)
+ * @returns {Promise<Object|null>} Enrollment record or null if no durable copy
+ */
+async function loadDurableEnrollment(uuid, ipAddress) {
+  const wrappedKeyRecord = await getWrappedKey(uuid, ipAddress);
+
+  if (!wrappedKeyRecord || !wrappedKeyRecord.sealed_enrollment) {
+    return null;
+  }
+
+  const plaintext = await unsealEnrollmentRecord({
+    uuid,
+    wrappedKeyHex: wrappedKeyRecord.wrapped_key,
+    sealedRecordHex: wrappedKeyRecord.sealed_enrollment,
+    keyVersion: wrappedKeyRecord.key_version
+  });
+
+  return JSON.parse(plaintext);
+}
+
+/**
+ * Get enrollment (Redis first, PostgreSQL on miss)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ * @param {Object} options
+ * @param {string} options.ipAddress - Client IP (for audit on rehydration)
+ * @param {number} options.ttlSeconds - Cache TTL for a rehydrated record
+ * @returns {Promise<Object|null>} Enrollment data or null if not enrolled
+ */
+async function getEnrollment(redisClient, uuid, { ipAddress = null, ttlSeconds = DEFAULT_CACHE_TTL_SECONDS } = {}) {
+  const cached = await getCachedEnrollment(redisClient, uuid);
+
+  if (cached) {
+    return cached;
+  }
+
+  const record = await loadDurableEnrollment(uuid, ipAddress);
+
+  if (!record) {
+    return null;
+  }
+
+  console.log(`♻️  Enrollment rehydrated from PostgreSQL: ${uuid.slice(0, 8)}...`);
+
+  return cacheEnrollment(redisClient, record, ttlSeconds);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  getEnrollment,
+  getCachedEnrollment,
+  cacheEnrollment,
+  invalidateEnrollment,
+  buildEnrollmentRecord,
+  normalizeCacheTTL,
+  MAX_CACHE_TTL_SECONDS
+};
@@ -0,0 +1,398 @@
+// Path: backend/services/factorPolicy.js
+
+/**
+ * Factor Policy - Enrollment factor-set rules + per-enrollment verification policy
+ *
+ * Purpose:
+ * - Decide which factor sets may be enrolled (enrollment policy)
+ * - Decide which subsets of enrolled factors may authenticate (verification policy)
+ *
+ * Enrollment Policy (mirrors sdk/.../Factor.kt FactorSet + isCompatibleWith):
+ * - Factor names must be known factor types (and not disabled)
+ * - At least FACTOR_POLICY_MIN_CATEGORIES distinct categories (default 2, PSD3 SCA)
+ * - Incompatible pairs rejected (PATTERN_MICRO + PATTERN_NORMAL: too similar)
+ * - Reports POLICY_VERSION (stored with each enrollment) and whether the
+ *   set is one of the SDK's recommended combinations
+ *
+ * Configuration (env):
+ * - FACTOR_POLICY_MIN_CATEGORIES → Distinct categories required (1-3)
+ * - FACTOR_POLICY_DISABLED       → Comma-separated factor types not accepted
+ *
+ * Verification Policy:
+ * - threshold      → Factors required at verification (K of N)
+ * - min_categories → Distinct PSD3 categories required among them
+ *
+ * Default (no policy at enrollment):
+ * - threshold = N (all enrolled factors), min_categories = 1
+ * - Same behaviour as exact factor-count matching
+ *
+ * Categories (mirrors sdk/.../Factor.kt):
+ * - KNOWLEDGE  → Something you know
+ * - POSSESSION → Something you have
+ * - INHERENCE  → Something you are
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CATEGORIES = {
+  KNOWLEDGE: 'KNOWLEDGE',
+  POSSESSION: 'POSSESSION',
+  INHERENCE: 'INHERENCE'
+};
+
+// Factor → category (keep in sync with SDK Factor.kt)
+const FACTOR_CATEGORIES = {
+  PIN: CATEGORIES.KNOWLEDGE,
+  COLOUR: CATEGORIES.KNOWLEDGE,
+  EMOJI: CATEGORIES.KNOWLEDGE,
+  WORDS: CATEGORIES.KNOWLEDGE,
+  PATTERN_MICRO: CATEGORIES.INHERENCE,
+  PATTERN_NORMAL: CATEGORIES.INHERENCE,
+  MOUSE_DRAW: CATEGORIES.INHERENCE,
+  STYLUS_DRAW: CATEGORIES.INHERENCE,
+  VOICE: CATEGORIES.INHERENCE,
+  IMAGE_TAP: CATEGORIES.INHERENCE,
+  BALANCE: CATEGORIES.INHERENCE,
+  RHYTHM_TAP: CATEGORIES.INHERENCE,
+  NFC: CATEGORIES.POSSESSION,
+  FINGERPRINT: CATEGORIES.INHERENCE,
+  FACE: CATEGORIES.INHERENCE
+};
+
+const MIN_THRESHOLD = 2; // PSD3 SCA: at least 2 factors
+
+// Bump when enrollment rules change (stored with each enrollment)
+const POLICY_VERSION = 'zeropay.factor-policy.v1';
+
+// Pairs too similar to count as two factors (Factor.isCompatibleWith)
+const INCOMPATIBLE_PAIRS = [
+  ['PATTERN_MICRO', 'PATTERN_NORMAL']
+];
+
+// Factor.getRecommendedCombinations (high security + balanced)
+const RECOMMENDED_COMBINATIONS = [
+  ['FINGERPRINT', 'PIN'],
+  ['FACE', 'PIN'],
+  ['VOICE', 'PIN'],
+  ['PATTERN_MICRO', 'FINGERPRINT'],
+  ['WORDS', 'FACE'],
+  ['FINGERPRINT', 'PIN', 'PATTERN_MICRO'],
+  ['FACE', 'WORDS', 'VOICE'],
+  ['NFC', 'PIN', 'FINGERPRINT'],
+  ['PIN', 'COLOUR'],
+  ['EMOJI', 'PATTERN_NORMAL'],
+  ['FACE', 'COLOUR'],
+  ['FINGERPRINT', 'EMOJI']
+];
+
+// ============================================================================
+// CATEGORY HELPERS
+// ============================================================================
+
+/**
+ * Get category for a factor name
+ *
+ * @param {string} factorName - Factor name
+ * @returns {string|null} Category or null if unknown
+ */
+function getFactorCategory(factorName) {
+  return Object.prototype.hasOwnProperty.call(FACTOR_CATEGORIES, factorName)
+    ? FACTOR_CATEGORIES[factorName]
+    : null;
+}
+
+/**
+ * Count distinct categories in a factor set
+ *
+ * @param {Array<string>} factorNames - Factor names
+ * @returns {number} Distinct known categories
+ */
+function countCategories(factorNames) {
+  const categories = new Set();
+
+  for (const name of factorNames) {
+    const category = getFactorCategory(name);
+    if (category) {
+      categories.add(category);
+    }
+  }
+
+  return categories.size;
+}
+
+// ============================================================================
+// ENROLLMENT POLICY
+// ============================================================================
+
+/**
+ * Create enrollment policy configuration
+ *
+ * @param {Object} options
+ * @param {number} options.minCategories - Distinct categories required (default: 2)
+ * @param {Array<string>} options.disabledFactors - Factor types not accepted
+ * @param {Array<Array<string>>} options.incompatiblePairs - Forbidden combinations
+ * @param {string} options.version - Policy version reported with enrollments
+ * @returns {Object} Frozen enrollment policy
+ */
+function createEnrollmentPolicy({
+  minCategories = 2,
+  disabledFactors = [],
+  incompatiblePairs = INCOMPATIBLE_PAIRS,
+  version = POLICY_VERSION
+} = {}) {
+  const categoryCount = Object.keys(CATEGORIES).length;
+
+  if (!Number.isInteger(minCategories) || minCategories < 1 || minCategories > categoryCount) {
+    throw new Error(`minCategories must be an integer between 1 and ${categoryCount}`);
+  }
+
+  for (const name of [...disabledFactors, ...incompatiblePairs.flat()]) {
+    if (!getFactorCategory(name)) {
+      throw new Error(`Unknown factor type in enrollment policy: ${name}`);
+    }
+  }
+
+  return Object.freeze({
+    version,
+    minCategories,
+    disabledFactors: Object.freeze([...disabledFactors]),
+    incompatiblePairs: Object.freeze(incompatiblePairs.map(pair => Object.freeze([...pair])))
+  });
+}
+
+/**
+ * Load enrollment policy from environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} Enrollment policy
+ */
+function loadEnrollmentPolicy(env = process.env) {
+  const disabled = (env.FACTOR_POLICY_DISABLED || '')
+    .split(',')
+    .map(name => name.trim().toUpperCase())
+    .filter(Boolean);
+
+  return createEnrollmentPolicy({
+    minCategories: parseInt(env.FACTOR_POLICY_MIN_CATEGORIES || '2', 10),
+    disabledFactors: disabled
+  });
+}
+
+const DEFAULT_ENROLLMENT_POLICY = loadEnrollmentPolicy();
+
+/**
+ * Whether a factor set is a recommended SDK combination
+ *
+ * @param {Array<string>} factorNames - Factor names
+ * @returns {boolean} True if the set matches a recommended combination
+ */
+function isRecommendedCombination(factorNames) {
+  const names = new Set(factorNames);
+
+  return RECOMMENDED_COMBINATIONS.some(combo =>
+    combo.length === names.size && combo.every(name => names.has(name))
+  );
+}
+
+/**
+ * Validate a factor set against the enrollment policy
+ *
+ * @param {Array<string>} factorNames - Factor names to enroll
+ * @param {Object} enrollmentPolicy - Enrollment policy (default: from env)
+ * @returns {Object} { valid, error, version, categories, recommended }
+ */
+function validateFactorSet(factorNames, enrollmentPolicy = DEFAULT_ENROLLMENT_POLICY) {
+  const result = { valid: false, version: enrollmentPolicy.version };
+
+  const unknown = factorNames.filter(name => !getFactorCategory(name));
+  if (unknown.length > 0) {
+    return { ...result, error: `Unknown factor type(s): ${unknown.join(', ')}` };
+  }
+
+  const disabled = factorNames.filter(name => enrollmentPolicy.disabledFactors.includes(name));
+  if (disabled.length > 0) {
+    return { ...result, error: `Factor type(s) not accepted: ${disabled.join(', ')}` };
+  }
+
+  const names = new Set(factorNames);
+  for (const [a, b] of enrollmentPolicy.incompatiblePairs) {
+    if (names.has(a) && names.has(b)) {
+      return { ...result, error: `Factors ${a} and ${b} cannot be combined (too similar)` };
+    }
+  }
+
+  const categories = {};
+  for (const name of factorNames) {
+    const category = getFactorCategory(name);
+    categories[category] = (categories[category] || 0) + 1;
+  }
+
+  if (Object.keys(categories).length < enrollmentPolicy.minCategories) {
+    return {
+      ...result,
+      error: `Factors must be from at least ${enrollmentPolicy.minCategories} different categories (PSD3 SCA)`
+    };
+  }
+
+  return {
+    valid: true,
+    version: enrollmentPolicy.version,
+    categories,
+    recommended: isRecommendedCombination(factorNames)
+  };
+}
+
+// ============================================================================
+// VERIFICATION POLICY
+// ============================================================================
+
+/**
+ * Build default policy (all factors required)
+ *
+ * @param {number} factorCount - Enrolled factor count
+ * @returns {Object} Policy
+ */
+function defaultPolicy(factorCount) {
+  return {
+    threshold: factorCount,
+    min_categories: 1
+  };
+}
+
+/**
+ * Validate and normalize a threshold policy against an enrolled factor set
+ *
+ * @param {Object|undefined} policy - { threshold, min_categories }
+ * @param {Array<string>} factorNames - Enrolled factor names
+ * @returns {Object} { valid, policy, error }
+ */
+function normalizePolicy(policy, factorNames) {
+  const factorCount = factorNames.length;
+
+  if (policy === undefined || policy === null) {
+    return { valid: true, policy: defaultPolicy(factorCount) };
+  }
+
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { valid: false, error: 'Policy must be an object' };
+  }
+
+  const threshold = policy.threshold === undefined ? factorCount : policy.threshold;
+  const minCategories = policy.min_categories === undefined ? 1 : policy.min_categories;
+
+  if (!Number.isInteger(threshold) || threshold < MIN_THRESHOLD || threshold > factorCount) {
+    return {
+      valid: false,
+      error: `Invalid policy.threshold (integer between ${MIN_THRESHOLD} and ${factorCount})`
+    };
+  }
+
+  const categoryCount = Object.keys(CATEGORIES).length;
+  if (!Number.isInteger(minCategories) || minCategories < 1 || minCategories > categoryCount) {
+    return {
+      valid: false,
+      error: `Invalid policy.min_categories (integer between 1 and ${categoryCount})`
+    };
+  }
+
+  if (minCategories > threshold) {
+    return { valid: false, error: 'policy.min_categories cannot exceed policy.threshold' };
+  }
+
+  if (countCategories(factorNames) < minCategories) {
+    return {
+      valid: false,
+      error: `Enrolled factors span fewer than ${minCategories} categories`
+    };
+  }
+
+  return {
+    valid: true,
+    policy: {
+      threshold,
+      min_categories: minCategories
+    }
+  };
+}
+
+/**
+ * Check whether a presented factor subset satisfies the policy
+ *
+ * @param {Object} policy - Normalized policy
+ * @param {Array<string>} enrolledNames - Enrolled factor names
+ * @param {Array<string>} presentedNames - Presented factor names
+ * @returns {Object} { valid, error }
+ */
+function checkFactorSubset(policy, enrolledNames, presentedNames) {
+  const enrolled = new Set(enrolledNames);
+
+  if (presentedNames.length < policy.threshold) {
+    return {
+      valid: false,
+      error: `At least ${policy.threshold} factors required, got ${presentedNames.length}`
+    };
+  }
+
+  if (presentedNames.length > enrolled.size) {
+    return {
+      valid: false,
+      error: `At most ${enrolled.size} factors accepted, got ${presentedNames.length}`
+    };
+  }
+
+  for (const name of presentedNames) {
+    if (!enrolled.has(name)) {
+      return { valid: false, error: `Factor '${name}' is not enrolled` };
+    }
+  }
+
+  if (countCategories(presentedNames) < policy.min_categories) {
+    return {
+      valid: false,
+      error: `Factors from at least ${policy.min_categories} categories required`
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Whether a policy needs the threshold key layer
+ *
+ * @param {Object} policy - Normalized policy
+ * @param {number} factorCount - Enrolled factor count
+ * @returns {boolean} True if K < N
+ */
+function isThresholdPolicy(policy, factorCount) {
+  return policy.threshold < factorCount;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Enrollment policy
+  validateFactorSet,
+  createEnrollmentPolicy,
+  loadEnrollmentPolicy,
+  isRecommendedCombination,
+  POLICY_VERSION,
+  INCOMPATIBLE_PAIRS,
+  RECOMMENDED_COMBINATIONS,
+
+  // Verification policy
+  normalizePolicy,
+  checkFactorSubset,
+  isThresholdPolicy,
+  defaultPolicy,
+  getFactorCategory,
+  countCategories,
+  CATEGORIES,
+  FACTOR_CATEGORIES
+};
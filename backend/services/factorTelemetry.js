@@ -0,0 +1,208 @@
+// Path: backend/services/factorTelemetry.js
+
+/**
+ * Factor Telemetry - Per-factor-type mismatch statistics
+ *
+ * Purpose: Learn which factor types users keep getting wrong
+ * (e.g. RHYTHM_TAP vs PIN) to tune enrollment guidance.
+ *
+ * Counters (per factor type, per UTC day):
+ * - presented     → Factor presented at /verify (digest compared)
+ * - mismatched    → Digest did not match
+ * - false_rejects → Mismatched, then verified in the same session
+ *                   (a legitimate user got it wrong, not an attacker)
+ *
+ * Privacy:
+ * - Aggregate only: no UUID, session, device or IP in the store
+ * - Day granularity, 90-day retention
+ * - Report suppresses factor types with fewer than MIN_REPORT_SAMPLE
+ *   presentations in the period (small-count protection)
+ *
+ * Side Channels:
+ * - Recording is fire-and-forget (never awaited by the request)
+ * - Same counter writes for every presented factor, match or not
+ * - Never changes the client response
+ *
+ * Redis Keys:
+ * - telemetry:factors:<YYYY-MM-DD> → Hash "<FACTOR>:<counter>" → count
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { FACTOR_CATEGORIES } = require('./factorPolicy');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TELEMETRY_PREFIX = 'telemetry:factors:';
+const TELEMETRY_TTL_SECONDS = 90 * 24 * 60 * 60;
+const MIN_REPORT_SAMPLE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COUNTERS = {
+  PRESENTED: 'presented',
+  MISMATCHED: 'mismatched',
+  FALSE_REJECTS: 'false_rejects'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Day bucket key
+ */
+function dayKey(timestamp) {
+  return TELEMETRY_PREFIX + new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Keep known factor types only (bounded field set)
+ */
+function knownFactors(names) {
+  return names.filter(name => Object.prototype.hasOwnProperty.call(FACTOR_CATEGORIES, name));
+}
+
+/**
+ * Increment counters in one bucket
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Array<Object>} increments - [{ field, by }]
+ */
+async function incrementCounters(redisClient, increments) {
+  const key = dayKey(Date.now());
+
+  for (const { field, by } of increments) {
+    await redisClient.hIncrBy(key, field, by);
+  }
+
+  await redisClient.expire(key, TELEMETRY_TTL_SECONDS);
+}
+
+/**
+ * Run a telemetry write without blocking or failing the request
+ */
+function fireAndForget(promise) {
+  promise.catch(error => {
+    console.error('❌ Factor telemetry error:', error.message);
+  });
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Record digest comparison outcome (fire-and-forget)
+ *
+ * Writes presented + mismatched (by 0 or 1) for every presented
+ * factor, so the write pattern is the same for a match and a mismatch.
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Array<string>} presented - Presented factor names
+ * @param {Array<string>} mismatched - Mismatched factor names
+ */
+function recordFactorOutcome(redisClient, presented, mismatched) {
+  const mismatchSet = new Set(mismatched);
+  const increments = [];
+
+  for (const name of knownFactors(presented)) {
+    increments.push({ field: `${name}:${COUNTERS.PRESENTED}`, by: 1 });
+    increments.push({ field: `${name}:${COUNTERS.MISMATCHED}`, by: mismatchSet.has(name) ? 1 : 0 });
+  }
+
+  fireAndForget(incrementCounters(redisClient, increments));
+}
+
+/**
+ * Record false rejects after a successful verification (fire-and-forget)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Array<string>} factorNames - Factors mismatched earlier in the session
+ */
+function recordFalseRejects(redisClient, factorNames) {
+  const names = knownFactors(factorNames);
+
+  if (names.length === 0) {
+    return;
+  }
+
+  fireAndForget(incrementCounters(
+    redisClient,
+    names.map(name => ({ field: `${name}:${COUNTERS.FALSE_REJECTS}`, by: 1 }))
+  ));
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * Build per-factor false-reject report
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {number} days - Days to include (default: 30)
+ * @param {number} now - Epoch ms (testing)
+ * @returns {Promise<Object>} { period, min_sample, factors, suppressed }
+ */
+async function getFactorTelemetryReport(redisClient, days = 30, now = Date.now()) {
+  const totals = {};
+
+  for (let i = 0; i < days; i++) {
+    const raw = await redisClient.hGetAll(dayKey(now - i * DAY_MS)) || {};
+
+    for (const [field, value] of Object.entries(raw)) {
+      const [name, counter] = field.split(':');
+      totals[name] = totals[name] || {
+        [COUNTERS.PRESENTED]: 0,
+        [COUNTERS.MISMATCHED]: 0,
+        [COUNTERS.FALSE_REJECTS]: 0
+      };
+      totals[name][counter] = (totals[name][counter] || 0) + parseInt(value, 10);
+    }
+  }
+
+  const factors = {};
+  const suppressed = [];
+
+  for (const [name, counts] of Object.entries(totals).sort(([a], [b]) => a.localeCompare(b))) {
+    const presented = counts[COUNTERS.PRESENTED];
+
+    if (presented < MIN_REPORT_SAMPLE) {
+      suppressed.push(name);
+      continue;
+    }
+
+    factors[name] = {
+      presented,
+      mismatched: counts[COUNTERS.MISMATCHED],
+      false_rejects: counts[COUNTERS.FALSE_REJECTS],
+      mismatch_rate: counts[COUNTERS.MISMATCHED] / presented,
+      false_reject_rate: counts[COUNTERS.FALSE_REJECTS] / presented
+    };
+  }
+
+  return {
+    period: {
+      days,
+      from: new Date(now - (days - 1) * DAY_MS).toISOString().slice(0, 10),
+      to: new Date(now).toISOString().slice(0, 10)
+    },
+    min_sample: MIN_REPORT_SAMPLE,
+    factors,
+    suppressed
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  recordFactorOutcome,
+  recordFalseRejects,
+  getFactorTelemetryReport,
+  MIN_REPORT_SAMPLE
+};
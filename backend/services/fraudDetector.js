@@ -0,0 +1,947 @@
+// Path: backend/services/fraudDetector.js
+
+/**
+ * Fraud Detector - Server-side risk engine
+ *
+ * Port of merchant/.../fraud/FraudDetector.kt with history in Redis,
+ * so every backend instance sees the same attempts.
+ *
+ * Detection Strategies:
+ * 1. Velocity (attempts per minute / hour / day)
+ * 2. Geolocation (haversine distance → impossible travel, country change)
+ * 3. Device fingerprint (blacklist, new device, velocity, shared device)
+ * 4. Behavioral patterns (completion time, typing speed, deviation)
+ * 5. IP reputation (blacklist, velocity, shared IP)
+ * 6. Time-of-day (local hour when timezone offset is known)
+ * 7. Transaction amount anomalies (vs 30-day average, in EUR so
+ *    payments in different currencies compare)
+ *
+ * Risk Levels (same thresholds as the merchant module):
+ * - LOW    (0-29)   → Allow
+ * - MEDIUM (30-69)  → Step-up (extra factor)
+ * - HIGH   (70-100) → Block
+ *
+ * Differences from the Kotlin version:
+ * - No private-range "proxy" heuristic: server-side that is our load balancer
+ * - Unusual-hours check only runs with a client timezone offset (no UTC false positives)
+ * - Historical hour check uses circular distance (23:00 is close to 01:00)
+ *
+ * Redis Keys (history entries encrypted, lists capped, TTL bound):
+ * - fraud:attempts:user:<uuid>     → Attempts (24h)
+ * - fraud:attempts:device:<device> → Attempts (24h)
+ * - fraud:attempts:ip:<ip>         → Attempts (24h)
+ * - fraud:locations:<uuid>         → Last 50 locations (30 days)
+ * - fraud:transactions:<uuid>      → Last 100 amounts in EUR (30 days)
+ * - fraud:behavior:<uuid>          → Last 50 completion times (30 days)
+ * - fraud:stats:<YYYY-MM-DD>       → Daily counters (levels, reasons)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { encrypt, decrypt } = require('../crypto/encryption');
+const { AccessListManager } = require('../middleware/rateLimitMiddleware');
+const { RISK_LEVELS, amountInEur } = require('./riskAssessment');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Risk thresholds
+const RISK_THRESHOLD_LOW = 30;
+const RISK_THRESHOLD_MEDIUM = 70;
+
+// Velocity limits
+const MAX_ATTEMPTS_PER_MINUTE = 5;
+const MAX_ATTEMPTS_PER_HOUR = 20;
+const MAX_ATTEMPTS_PER_DAY = 50;
+
+// Location limits (km/h)
+const MAX_TRAVEL_SPEED_KMH = 500;         // Reasonable by plane
+const SUSPICIOUS_TRAVEL_SPEED_KMH = 1000; // Impossible
+const COUNTRY_CHANGE_WINDOW_HOURS = 4;
+
+// Behavioral limits
+const MIN_FACTOR_COMPLETION_MS = 500;     // Too fast = bot
+const MAX_FACTOR_COMPLETION_MS = 300000;  // 5 min = too slow
+const NORMAL_TYPING_SPEED_MS_PER_CHAR = 200;
+const MIN_BEHAVIOR_HISTORY = 5;
+
+// Transaction limits
+const SUSPICIOUS_AMOUNT_MULTIPLIER = 5;
+const HIGH_RISK_AMOUNT_MULTIPLIER = 10;
+
+// Sharing limits
+const MAX_USERS_PER_DEVICE = 5;
+const MAX_USERS_PER_IP = 10;
+
+// Time windows
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Earth radius for distance calculation (km)
+const EARTH_RADIUS_KM = 6371;
+
+// History storage
+const FRAUD_PREFIX = 'fraud:';
+const ATTEMPT_HISTORY_LIMIT = 100;
+const LOCATION_HISTORY_LIMIT = 50;
+const TRANSACTION_HISTORY_LIMIT = 100;
+const BEHAVIOR_HISTORY_LIMIT = 50;
+const ATTEMPT_TTL_SECONDS = 24 * 60 * 60;
+const PROFILE_TTL_SECONDS = 30 * 24 * 60 * 60;
+const STATS_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Reason codes (stable identifiers for stats and audit)
+const REASONS = {
+  VELOCITY_MINUTE: 'VELOCITY_MINUTE',
+  VELOCITY_HOUR: 'VELOCITY_HOUR',
+  VELOCITY_DAY: 'VELOCITY_DAY',
+  IMPOSSIBLE_TRAVEL: 'IMPOSSIBLE_TRAVEL',
+  SUSPICIOUS_TRAVEL: 'SUSPICIOUS_TRAVEL',
+  COUNTRY_CHANGE: 'COUNTRY_CHANGE',
+  BLACKLISTED_DEVICE: 'BLACKLISTED_DEVICE',
+  NEW_DEVICE: 'NEW_DEVICE',
+  DEVICE_VELOCITY: 'DEVICE_VELOCITY',
+  SHARED_DEVICE: 'SHARED_DEVICE',
+  TOO_FAST: 'TOO_FAST',
+  TOO_SLOW: 'TOO_SLOW',
+  FAST_TYPING: 'FAST_TYPING',
+  BEHAVIOR_ANOMALY: 'BEHAVIOR_ANOMALY',
+  BEHAVIOR_UNUSUAL: 'BEHAVIOR_UNUSUAL',
+  BLACKLISTED_IP: 'BLACKLISTED_IP',
+  IP_VELOCITY: 'IP_VELOCITY',
+  SHARED_IP: 'SHARED_IP',
+  UNUSUAL_HOURS: 'UNUSUAL_HOURS',
+  UNUSUAL_TIME: 'UNUSUAL_TIME',
+  AMOUNT_EXTREME: 'AMOUNT_EXTREME',
+  AMOUNT_HIGH: 'AMOUNT_HIGH',
+  HIGH_VALUE_BURST: 'HIGH_VALUE_BURST'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Build a risk result
+ */
+function riskResult(score = 0, reasons = []) {
+  return { score, reasons };
+}
+
+/**
+ * Build a reason entry
+ */
+function reason(code, message) {
+  return { code, message };
+}
+
+/**
+ * Round to decimals
+ */
+function round(value, decimals = 2) {
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+/**
+ * Hour of day (0-23), local if an offset is known
+ *
+ * @param {number} timestamp - Epoch ms
+ * @param {number|null} offsetMinutes - Minutes east of UTC
+ * @returns {number} Hour
+ */
+function hourOfDay(timestamp, offsetMinutes = null) {
+  const shifted = timestamp + (offsetMinutes || 0) * MINUTE_MS;
+  return new Date(shifted).getUTCHours();
+}
+
+/**
+ * Circular distance between two hours (0-12)
+ */
+function hourDistance(a, b) {
+  const diff = Math.abs(a - b) % 24;
+  return Math.min(diff, 24 - diff);
+}
+
+/**
+ * Map score to risk level
+ *
+ * @param {number} score - Risk score (0-100)
+ * @returns {string} RISK_LEVELS value
+ */
+function getRiskLevel(score) {
+  if (score >= RISK_THRESHOLD_MEDIUM) return RISK_LEVELS.HIGH;
+  if (score >= RISK_THRESHOLD_LOW) return RISK_LEVELS.MEDIUM;
+  return RISK_LEVELS.LOW;
+}
+
+/**
+ * Calculate distance between two points (Haversine formula)
+ *
+ * @param {number} lat1 - Latitude of first point (degrees)
+ * @param {number} lon1 - Longitude of first point (degrees)
+ * @param {number} lat2 - Latitude of second point (degrees)
+ * @param {number} lon2 - Longitude of second point (degrees)
+ * @returns {number} Distance in kilometers
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const toRadians = deg => deg * Math.PI / 180;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return EARTH_RADIUS_KM * 2 * Math.asin(Math.sqrt(a));
+}
+
+// ============================================================================
+// INPUT VALIDATION
+// ============================================================================
+
+/**
+ * Validate and normalize a client location
+ *
+ * Input: { latitude, longitude, country?, timezone_offset? }
+ * - country: ISO 3166-1 alpha-2
+ * - timezone_offset: minutes east of UTC (-720 to 840)
+ *
+ * @param {Object} input - Location from request body
+ * @returns {Object} { valid, location, error }
+ */
+function normalizeLocation(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { valid: false, error: 'location must be an object' };
+  }
+
+  const { latitude, longitude, country, timezone_offset: offset } = input;
+
+  if (typeof latitude !== 'number' || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return { valid: false, error: 'Invalid location.latitude (-90 to 90)' };
+  }
+
+  if (typeof longitude !== 'number' || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return { valid: false, error: 'Invalid location.longitude (-180 to 180)' };
+  }
+
+  if (country !== undefined && (typeof country !== 'string' || !/^[A-Za-z]{2}$/.test(country))) {
+    return { valid: false, error: 'Invalid location.country (ISO 3166-1 alpha-2)' };
+  }
+
+  if (offset !== undefined && (!Number.isInteger(offset) || offset < -720 || offset > 840)) {
+    return { valid: false, error: 'Invalid location.timezone_offset (minutes, -720 to 840)' };
+  }
+
+  return {
+    valid: true,
+    location: {
+      latitude,
+      longitude,
+      country: country ? country.toUpperCase() : null,
+      timezoneOffset: offset === undefined ? null : offset
+    }
+  };
+}
+
+/**
+ * Validate and normalize client behavioral timing
+ *
+ * Input: { completion_time_ms, typing_ms_per_char? }
+ *
+ * @param {Object} input - Behavior from request body
+ * @returns {Object} { valid, behavior, error }
+ */
+function normalizeBehavior(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { valid: false, error: 'behavior must be an object' };
+  }
+
+  const { completion_time_ms: completion, typing_ms_per_char: typing } = input;
+
+  if (!Number.isInteger(completion) || completion < 0 || completion > 24 * HOUR_MS) {
+    return { valid: false, error: 'Invalid behavior.completion_time_ms' };
+  }
+
+  if (typing !== undefined && (!Number.isInteger(typing) || typing < 0 || typing > MINUTE_MS)) {
+    return { valid: false, error: 'Invalid behavior.typing_ms_per_char' };
+  }
+
+  return {
+    valid: true,
+    behavior: {
+      completionTimeMs: completion,
+      typingSpeedMsPerChar: typing === undefined ? null : typing
+    }
+  };
+}
+
+// ============================================================================
+// DETECTION STRATEGIES (pure, history passed in)
+// ============================================================================
+
+/**
+ * Strategy 1: Velocity (attempt frequency)
+ *
+ * @param {Array<Object>} userAttempts - User attempts (last 24h)
+ * @param {number} now - Epoch ms
+ * @returns {Object} { score, reasons }
+ */
+function checkVelocity(userAttempts, now) {
+  const result = riskResult();
+
+  const lastMinute = userAttempts.filter(a => now - a.timestamp < MINUTE_MS).length;
+  const lastHour = userAttempts.filter(a => now - a.timestamp < HOUR_MS).length;
+  const lastDay = userAttempts.filter(a => now - a.timestamp < DAY_MS).length;
+
+  if (lastMinute > MAX_ATTEMPTS_PER_MINUTE) {
+    result.score += 30;
+    result.reasons.push(reason(REASONS.VELOCITY_MINUTE, `Excessive velocity: ${lastMinute} attempts/min`));
+  }
+
+  if (lastHour > MAX_ATTEMPTS_PER_HOUR) {
+    result.score += 20;
+    result.reasons.push(reason(REASONS.VELOCITY_HOUR, `High hourly attempts: ${lastHour}/hour`));
+  }
+
+  if (lastDay > MAX_ATTEMPTS_PER_DAY) {
+    result.score += 15;
+    result.reasons.push(reason(REASONS.VELOCITY_DAY, `High daily attempts: ${lastDay}/day`));
+  }
+
+  return result;
+}
+
+/**
+ * Strategy 2: Geolocation anomalies (impossible travel)
+ *
+ * @param {Object|null} lastLocation - Previous location record
+ * @param {Object} location - Current location { latitude, longitude, country }
+ * @param {number} now - Epoch ms
+ * @returns {Object} { score, reasons }
+ */
+function checkGeolocation(lastLocation, location, now) {
+  const result = riskResult();
+
+  if (!lastLocation) {
+    return result;
+  }
+
+  const hours = (now - lastLocation.timestamp) / HOUR_MS;
+  const distanceKm = haversineDistance(
+    lastLocation.latitude,
+    lastLocation.longitude,
+    location.latitude,
+    location.longitude
+  );
+  const speedKmH = hours > 0 ? distanceKm / hours : 0;
+
+  if (speedKmH > SUSPICIOUS_TRAVEL_SPEED_KMH) {
+    result.score += 50;
+    result.reasons.push(reason(
+      REASONS.IMPOSSIBLE_TRAVEL,
+      `Impossible travel: ${Math.round(speedKmH)} km/h (${Math.round(distanceKm)} km)`
+    ));
+  } else if (speedKmH > MAX_TRAVEL_SPEED_KMH) {
+    result.score += 25;
+    result.reasons.push(reason(REASONS.SUSPICIOUS_TRAVEL, `Suspicious travel speed: ${Math.round(speedKmH)} km/h`));
+  }
+
+  if (lastLocation.country && location.country &&
+      lastLocation.country !== location.country &&
+      hours < COUNTRY_CHANGE_WINDOW_HOURS) {
+    result.score += 15;
+    result.reasons.push(reason(REASONS.COUNTRY_CHANGE, `Country change in ${round(hours)} hours`));
+  }
+
+  return result;
+}
+
+/**
+ * Strategy 3: Device fingerprint
+ *
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.deviceId - Device fingerprint
+ * @param {Object} params.blacklist - { blacklisted, reason }
+ * @param {Array<Object>} params.userAttempts - User attempts (last 24h)
+ * @param {Array<Object>} params.deviceAttempts - Device attempts (last 24h)
+ * @param {number} now - Epoch ms
+ * @returns {Object} { score, reasons }
+ */
+function checkDeviceFingerprint({ uuid, deviceId, blacklist, userAttempts, deviceAttempts }, now) {
+  const result = riskResult();
+
+  if (blacklist.blacklisted) {
+    result.score += 100;
+    result.reasons.push(reason(REASONS.BLACKLISTED_DEVICE, `Blacklisted device: ${blacklist.reason}`));
+    return result;
+  }
+
+  const userDevices = new Set(userAttempts.map(a => a.deviceId).filter(Boolean));
+  if (userDevices.size > 0 && !userDevices.has(deviceId)) {
+    result.score += 15;
+    result.reasons.push(reason(REASONS.NEW_DEVICE, 'New device detected'));
+  }
+
+  const lastHour = deviceAttempts.filter(a => now - a.timestamp < HOUR_MS).length;
+  if (lastHour > MAX_ATTEMPTS_PER_HOUR) {
+    result.score += 20;
+    result.reasons.push(reason(REASONS.DEVICE_VELOCITY, `Device high velocity: ${lastHour} attempts`));
+  }
+
+  const users = new Set(deviceAttempts.map(a => a.uuid).concat(uuid));
+  if (users.size > MAX_USERS_PER_DEVICE) {
+    result.score += 15;
+    result.reasons.push(reason(REASONS.SHARED_DEVICE, `Shared device: ${users.size} users`));
+  }
+
+  return result;
+}
+
+/**
+ * Strategy 4: Behavioral patterns
+ *
+ * @param {Object} behavior - { completionTimeMs, typingSpeedMsPerChar }
+ * @param {Array<number>} completionHistory - Previous completion times
+ * @returns {Object} { score, reasons }
+ */
+function checkBehavior(behavior, completionHistory) {
+  const result = riskResult();
+  const { completionTimeMs, typingSpeedMsPerChar } = behavior;
+
+  if (completionTimeMs < MIN_FACTOR_COMPLETION_MS) {
+    result.score += 30;
+    result.reasons.push(reason(REASONS.TOO_FAST, `Too fast: ${completionTimeMs}ms (bot-like)`));
+  }
+
+  if (completionTimeMs > MAX_FACTOR_COMPLETION_MS) {
+    result.score += 10;
+    result.reasons.push(reason(REASONS.TOO_SLOW, `Unusually slow: ${completionTimeMs}ms`));
+  }
+
+  if (typingSpeedMsPerChar !== null && typingSpeedMsPerChar !== undefined &&
+      typingSpeedMsPerChar < NORMAL_TYPING_SPEED_MS_PER_CHAR / 4) {
+    result.score += 20;
+    result.reasons.push(reason(REASONS.FAST_TYPING, `Abnormally fast typing: ${typingSpeedMsPerChar}ms/char`));
+  }
+
+  if (completionHistory.length >= MIN_BEHAVIOR_HISTORY) {
+    const avgTime = completionHistory.reduce((sum, t) => sum + t, 0) / completionHistory.length;
+    const deviation = avgTime > 0 ? Math.abs(completionTimeMs - avgTime) / avgTime : 0;
+
+    if (deviation > 0.7) {
+      result.score += 25;
+      result.reasons.push(reason(REASONS.BEHAVIOR_ANOMALY, `Behavioral anomaly: ${Math.round(deviation * 100)}% deviation`));
+    } else if (deviation > 0.5) {
+      result.score += 10;
+      result.reasons.push(reason(REASONS.BEHAVIOR_UNUSUAL, 'Unusual behavior pattern'));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Strategy 5: IP reputation
+ *
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {Object} params.blacklist - { blacklisted, reason }
+ * @param {Array<Object>} params.ipAttempts - IP attempts (last 24h)
+ * @param {number} now - Epoch ms
+ * @returns {Object} { score, reasons }
+ */
+function checkIPReputation({ uuid, blacklist, ipAttempts }, now) {
+  const result = riskResult();
+
+  if (blacklist.blacklisted) {
+    result.score += 100;
+    result.reasons.push(reason(REASONS.BLACKLISTED_IP, `Blacklisted IP: ${blacklist.reason}`));
+    return result;
+  }
+
+  const lastHour = ipAttempts.filter(a => now - a.timestamp < HOUR_MS).length;
+  if (lastHour > MAX_ATTEMPTS_PER_HOUR) {
+    result.score += 25;
+    result.reasons.push(reason(REASONS.IP_VELOCITY, `IP high velocity: ${lastHour} attempts`));
+  }
+
+  const users = new Set(ipAttempts.map(a => a.uuid).concat(uuid));
+  if (users.size > MAX_USERS_PER_IP) {
+    result.score += 20;
+    result.reasons.push(reason(REASONS.SHARED_IP, `Shared IP: ${users.size} users`));
+  }
+
+  return result;
+}
+
+/**
+ * Strategy 6: Time-of-day patterns
+ *
+ * Absolute "unusual hours" (2-5 AM) only with a client timezone offset;
+ * the historical comparison works on the user's own pattern.
+ *
+ * @param {Array<Object>} userAttempts - User attempts (with hour)
+ * @param {number} now - Epoch ms
+ * @param {number|null} offsetMinutes - Client timezone offset
+ * @returns {Object} { score, reasons }
+ */
+function checkTimeOfDay(userAttempts, now, offsetMinutes) {
+  const result = riskResult();
+  const hour = hourOfDay(now, offsetMinutes);
+
+  if (offsetMinutes !== null && offsetMinutes !== undefined && hour >= 2 && hour <= 5) {
+    result.score += 5;
+    result.reasons.push(reason(REASONS.UNUSUAL_HOURS, `Unusual time: ${hour}:00 local`));
+  }
+
+  if (userAttempts.length > 10) {
+    const nearby = userAttempts.filter(a => hourDistance(a.hour, hour) <= 3).length;
+
+    if (nearby === 0) {
+      result.score += 10;
+      result.reasons.push(reason(REASONS.UNUSUAL_TIME, 'Unusual time for this user'));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Strategy 7: Transaction amount anomalies
+ *
+ * @param {number} amount - Transaction amount (EUR)
+ * @param {Array<Object>} transactions - Previous { amount, timestamp } (30 days)
+ * @param {number} now - Epoch ms
+ * @returns {Object} { score, reasons }
+ */
+function checkTransactionAnomalies(amount, transactions, now) {
+  const result = riskResult();
+
+  if (transactions.length === 0) {
+    return result;
+  }
+
+  const avgAmount = transactions.reduce((sum, t) => sum + t.amount, 0) / transactions.length;
+
+  if (amount > avgAmount * HIGH_RISK_AMOUNT_MULTIPLIER) {
+    result.score += 30;
+    result.reasons.push(reason(
+      REASONS.AMOUNT_EXTREME,
+      `Extremely high amount: ${round(amount)} vs avg ${round(avgAmount)}`
+    ));
+  } else if (amount > avgAmount * SUSPICIOUS_AMOUNT_MULTIPLIER) {
+    result.score += 15;
+    result.reasons.push(reason(
+      REASONS.AMOUNT_HIGH,
+      `Unusually high amount: ${round(amount)} vs avg ${round(avgAmount)}`
+    ));
+  }
+
+  const recentHighValue = transactions.filter(t =>
+    now - t.timestamp < HOUR_MS && t.amount > avgAmount * 2
+  ).length;
+
+  if (recentHighValue >= 3) {
+    result.score += 20;
+    result.reasons.push(reason(
+      REASONS.HIGH_VALUE_BURST,
+      `Multiple high-value transactions: ${recentHighValue} in last hour`
+    ));
+  }
+
+  return result;
+}
+
+/**
+ * Evaluate all strategies against loaded history
+ *
+ * @param {Object} context - Check context (see checkFraud; amount in EUR)
+ * @param {Object} history - Loaded history (see loadHistory)
+ * @param {number} now - Epoch ms
+ * @returns {Object} { score, level, reasons, details }
+ */
+function evaluateFraud(context, history, now) {
+  const { uuid, deviceId, location, amount, behavior } = context;
+  const details = {
+    velocity: 0,
+    geolocation: 0,
+    device: 0,
+    behavioral: 0,
+    ip: 0,
+    timeOfDay: 0,
+    transaction: 0
+  };
+  const reasons = [];
+
+  const apply = (name, result) => {
+    details[name] = result.score;
+    reasons.push(...result.reasons);
+  };
+
+  apply('velocity', checkVelocity(history.userAttempts, now));
+
+  if (location) {
+    apply('geolocation', checkGeolocation(history.lastLocation, location, now));
+  }
+
+  if (deviceId) {
+    apply('device', checkDeviceFingerprint({
+      uuid,
+      deviceId,
+      blacklist: history.deviceBlacklist,
+      userAttempts: history.userAttempts,
+      deviceAttempts: history.deviceAttempts
+    }, now));
+  }
+
+  if (behavior) {
+    apply('behavioral', checkBehavior(behavior, history.completionTimes));
+  }
+
+  if (context.ipAddress) {
+    apply('ip', checkIPReputation({
+      uuid,
+      blacklist: history.ipBlacklist,
+      ipAttempts: history.ipAttempts
+    }, now));
+  }
+
+  apply('timeOfDay', checkTimeOfDay(
+    history.userAttempts,
+    now,
+    location ? location.timezoneOffset : null
+  ));
+
+  if (amount !== null && amount !== undefined) {
+    apply('transaction', checkTransactionAnomalies(amount, history.transactions, now));
+  }
+
+  const total = Object.values(details).reduce((sum, s) => sum + s, 0);
+  const score = Math.max(0, Math.min(100, total));
+
+  return {
+    score,
+    level: getRiskLevel(score),
+    reasons,
+    details
+  };
+}
+
+// ============================================================================
+// REDIS HISTORY
+// ============================================================================
+
+/**
+ * Read an encrypted history list (newest first)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} key - List key
+ * @returns {Promise<Array<Object>>} Entries
+ */
+async function readList(redisClient, key) {
+  const raw = await redisClient.lRange(key, 0, -1);
+  const entries = [];
+
+  for (const item of raw) {
+    try {
+      entries.push(JSON.parse(await decrypt(item)));
+    } catch {
+      // Skip unreadable entries (e.g. after key rotation)
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Prepend an encrypted entry to a capped history list
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} key - List key
+ * @param {Object} entry - Entry
+ * @param {number} limit - Max entries
+ * @param {number} ttl - TTL in seconds
+ */
+async function pushList(redisClient, key, entry, limit, ttl) {
+  await redisClient.lPush(key, await encrypt(JSON.stringify(entry)));
+  await redisClient.lTrim(key, 0, limit - 1);
+  await redisClient.expire(key, ttl);
+}
+
+/**
+ * Key helpers
+ */
+const keys = {
+  userAttempts: uuid => `${FRAUD_PREFIX}attempts:user:${uuid}`,
+  deviceAttempts: deviceId => `${FRAUD_PREFIX}attempts:device:${deviceId}`,
+  ipAttempts: ip => `${FRAUD_PREFIX}attempts:ip:${ip}`,
+  locations: uuid => `${FRAUD_PREFIX}locations:${uuid}`,
+  transactions: uuid => `${FRAUD_PREFIX}transactions:${uuid}`,
+  behavior: uuid => `${FRAUD_PREFIX}behavior:${uuid}`,
+  stats: day => `${FRAUD_PREFIX}stats:${day}`
+};
+
+/**
+ * Load history needed for a check
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} context - Check context
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object>} History
+ */
+async function loadHistory(redisClient, { uuid, deviceId, ipAddress }, now) {
+  const accessListManager = new AccessListManager(redisClient);
+  const notBlacklisted = { blacklisted: false };
+  const recent = list => list.filter(a => now - a.timestamp < DAY_MS);
+
+  const [
+    userAttempts,
+    deviceAttempts,
+    ipAttempts,
+    locations,
+    transactions,
+    behavior,
+    deviceBlacklist,
+    ipBlacklist
+  ] = await Promise.all([
+    readList(redisClient, keys.userAttempts(uuid)),
+    deviceId ? readList(redisClient, keys.deviceAttempts(deviceId)) : [],
+    ipAddress ? readList(redisClient, keys.ipAttempts(ipAddress)) : [],
+    readList(redisClient, keys.locations(uuid)),
+    readList(redisClient, keys.transactions(uuid)),
+    readList(redisClient, keys.behavior(uuid)),
+    deviceId ? accessListManager.isBlacklisted(`device:${deviceId}`) : notBlacklisted,
+    ipAddress ? accessListManager.isBlacklisted(ipAddress) : notBlacklisted
+  ]);
+
+  return {
+    userAttempts: recent(userAttempts),
+    deviceAttempts: recent(deviceAttempts),
+    ipAttempts: recent(ipAttempts),
+    lastLocation: locations[0] || null,
+    transactions: transactions.filter(t => now - t.timestamp < 30 * DAY_MS),
+    completionTimes: behavior.map(b => b.completionTimeMs),
+    deviceBlacklist,
+    ipBlacklist
+  };
+}
+
+/**
+ * Record attempt, location and transaction for future checks
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} context - Check context
+ * @param {number} now - Epoch ms
+ */
+async function recordHistory(redisClient, context, now) {
+  const { uuid, deviceId, ipAddress, location, amount } = context;
+  const attempt = {
+    uuid,
+    deviceId: deviceId || null,
+    hour: hourOfDay(now, location ? location.timezoneOffset : null),
+    timestamp: now
+  };
+
+  await pushList(redisClient, keys.userAttempts(uuid), attempt, ATTEMPT_HISTORY_LIMIT, ATTEMPT_TTL_SECONDS);
+
+  if (deviceId) {
+    await pushList(redisClient, keys.deviceAttempts(deviceId), attempt, ATTEMPT_HISTORY_LIMIT, ATTEMPT_TTL_SECONDS);
+  }
+
+  if (ipAddress) {
+    await pushList(redisClient, keys.ipAttempts(ipAddress), attempt, ATTEMPT_HISTORY_LIMIT, ATTEMPT_TTL_SECONDS);
+  }
+
+  if (location) {
+    await pushList(redisClient, keys.locations(uuid), {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      country: location.country || null,
+      timestamp: now
+    }, LOCATION_HISTORY_LIMIT, PROFILE_TTL_SECONDS);
+  }
+
+  if (amount !== null && amount !== undefined) {
+    await pushList(redisClient, keys.transactions(uuid), {
+      amount,
+      timestamp: now
+    }, TRANSACTION_HISTORY_LIMIT, PROFILE_TTL_SECONDS);
+  }
+}
+
+/**
+ * Record fraud check outcome in daily counters
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} result - Check result
+ * @param {string} stage - 'initiate' | 'verify'
+ * @param {number} now - Epoch ms
+ */
+async function recordStats(redisClient, result, stage, now) {
+  const key = keys.stats(new Date(now).toISOString().slice(0, 10));
+
+  try {
+    await redisClient.hIncrBy(key, 'checks', 1);
+    await redisClient.hIncrBy(key, `${stage}:${result.level}`, 1);
+
+    for (const r of result.reasons) {
+      await redisClient.hIncrBy(key, `reason:${r.code}`, 1);
+    }
+
+    await redisClient.expire(key, STATS_TTL_SECONDS);
+  } catch (error) {
+    console.error('❌ Fraud stats error:', error.message);
+  }
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Run fraud check
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} context
+ * @param {string} context.uuid - User UUID
+ * @param {string|null} context.deviceId - Device fingerprint
+ * @param {string|null} context.ipAddress - Client IP
+ * @param {Object|null} context.location - { latitude, longitude, country, timezoneOffset }
+ * @param {string|null} context.amount - Transaction amount (major units)
+ * @param {string|null} context.currency - ISO 4217 alpha-3 code (amount
+ *   converted to EUR; unknown currencies skip the amount check)
+ * @param {Object|null} context.behavior - { completionTimeMs, typingSpeedMsPerChar }
+ * @param {Object} options
+ * @param {string} options.stage - 'initiate' (records attempt) | 'verify'
+ * @param {number} options.now - Epoch ms (testing)
+ * @returns {Promise<Object>} { score, level, reasons, details, checkedAt }
+ */
+async function checkFraud(redisClient, context, { stage = 'initiate', now = Date.now() } = {}) {
+  if (context.amount !== null && context.amount !== undefined) {
+    context = { ...context, amount: amountInEur(context.amount, context.currency) };
+  }
+
+  const history = await loadHistory(redisClient, context, now);
+  const result = evaluateFraud(context, history, now);
+
+  if (stage === 'initiate') {
+    await recordHistory(redisClient, context, now);
+  }
+
+  if (context.behavior) {
+    await pushList(redisClient, keys.behavior(context.uuid), {
+      completionTimeMs: context.behavior.completionTimeMs,
+      timestamp: now
+    }, BEHAVIOR_HISTORY_LIMIT, PROFILE_TTL_SECONDS);
+  }
+
+  await recordStats(redisClient, result, stage, now);
+
+  console.log(`🕵️  Fraud check (${stage}) for ${context.uuid.slice(0, 8)}...: ${result.level} (${result.score})`);
+  if (result.reasons.length > 0) {
+    console.log(`   Reasons: ${result.reasons.map(r => r.code).join(', ')}`);
+  }
+
+  return {
+    ...result,
+    checkedAt: now
+  };
+}
+
+/**
+ * Report fraud (blacklist device and/or IP)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} params
+ * @param {string|null} params.deviceId - Device fingerprint
+ * @param {string|null} params.ipAddress - IP address
+ * @param {string} params.reason - Reason
+ * @returns {Promise<boolean>} True if anything was blacklisted
+ */
+async function reportFraud(redisClient, { deviceId = null, ipAddress = null, reason: why }) {
+  const accessListManager = new AccessListManager(redisClient);
+  let reported = false;
+
+  if (deviceId) {
+    reported = await accessListManager.addToBlacklist(`device:${deviceId}`, why) || reported;
+  }
+
+  if (ipAddress) {
+    reported = await accessListManager.addToBlacklist(ipAddress, why) || reported;
+  }
+
+  return reported;
+}
+
+/**
+ * Get risk engine statistics for the last N days
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {number} days - Days to include (default: 7)
+ * @param {number} now - Epoch ms (testing)
+ * @returns {Promise<Object>} { days: [{ date, counters }], totals }
+ */
+async function getFraudEngineStats(redisClient, days = 7, now = Date.now()) {
+  const result = { days: [], totals: {} };
+
+  for (let i = 0; i < days; i++) {
+    const date = new Date(now - i * DAY_MS).toISOString().slice(0, 10);
+    const raw = await redisClient.hGetAll(keys.stats(date)) || {};
+    const counters = {};
+
+    for (const [field, value] of Object.entries(raw)) {
+      counters[field] = parseInt(value, 10);
+      result.totals[field] = (result.totals[field] || 0) + counters[field];
+    }
+
+    result.days.push({ date, counters });
+  }
+
+  return result;
+}
+
+/**
+ * Delete a user's fraud history (GDPR erasure)
+ *
+ * Device and IP attempt lists are shared and expire within 24h.
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ */
+async function deleteFraudHistory(redisClient, uuid) {
+  await redisClient.del([
+    keys.userAttempts(uuid),
+    keys.locations(uuid),
+    keys.transactions(uuid),
+    keys.behavior(uuid)
+  ]);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Risk engine
+  checkFraud,
+  reportFraud,
+  getFraudEngineStats,
+  deleteFraudHistory,
+
+  // Input validation
+  normalizeLocation,
+  normalizeBehavior,
+
+  // Pure scoring (for testing)
+  evaluateFraud,
+  haversineDistance,
+  getRiskLevel,
+
+  // Constants
+  REASONS
+};
@@ -0,0 +1,458 @@
+// Path: backend/services/masterKeyRotationJob.js
+
+/**
+ * Master Key Rotation Job - Re-wrap every stored key under the current KMS key
+ *
+ * Purpose: Rotate the KMS master key across the fleet. Wrapped keys
+ * (wrapped_keys) are unwrapped under the key they were made with and
+ * wrapped under the current provider, without user factors: the Layer 1
+ * key does not change, so sealed enrollment records stay readable.
+ *
+ * Rotation:
+ * 1. Point the KMS configuration at the new key on every instance
+ *    (KMS_KEY_ID, VAULT_TRANSIT_KEY, KMS_PROVIDERS, ...), or rotate the
+ *    key in place (Vault Transit rotate, masterKeyStore.js rotate)
+ * 2. If the old key needs its own provider to unwrap (another Vault key,
+ *    another key store), set KMS_ROTATION_SOURCE to it (KMS_PROVIDERS syntax)
+ * 3. Run the job: node scripts/rotateMasterKey.js, or
+ *    POST /admin/kms/rotate
+ * 4. Retire the old key once the job reports no failures
+ *
+ * Per row (UUID order, batches):
+ * - Already under the current key (kms_key_id, provider copies and key
+ *   version) → counted as current, no KMS call
+ * - Otherwise unwrap + wrap for the next key version, stored with
+ *   rotateWrappedKey (key_rotation_history row, audit log); a concurrent
+ *   factor change wins (counted as changed, it re-wrapped anyway)
+ * - KMS calls throttled to rowsPerSecond
+ *
+ * Resuming:
+ * - Job record (cursor, counts, failures) saved after every batch in
+ *   kms_rotation_jobs; an interrupted or failed job for the same target
+ *   key resumes after its cursor
+ * - Rows that failed stay on the old key: a fresh job (restart) retries
+ *   them, rows already moved are only counted
+ *
+ * One job at a time across instances and the CLI (PostgreSQL advisory lock).
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { getKMSProvider, rewrapWithDoubleEncryption } = require('../crypto/doubleLayerCrypto');
+const { CompositeKMSProvider, createProviderFromSpec, loadBreakerConfig } = require('../crypto/kmsProvider');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_ROWS_PER_SECOND = 20;
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_RECORDED_FAILURES = 100;
+const ROTATION_REASON = 'master_key_rotation';
+
+const JOB_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted'
+};
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Parse a positive integer setting
+ */
+function parsePositiveInt(env, name, fallback) {
+  if (env[name] === undefined || env[name] === '') {
+    return fallback;
+  }
+
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+
+  return value;
+}
+
+/**
+ * Load rotation settings
+ *
+ * - KMS_ROTATION_SOURCE: provider(s) for the old key (KMS_PROVIDERS syntax,
+ *   default: the current provider unwraps)
+ * - KMS_ROTATION_RATE: rows re-wrapped per second (default 20)
+ * - KMS_ROTATION_BATCH_SIZE: rows per page / progress save (default 50)
+ *
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} Frozen { source, rowsPerSecond, batchSize }
+ */
+function loadRotationConfig(env = process.env) {
+  return Object.freeze({
+    source: env.KMS_ROTATION_SOURCE || null,
+    rowsPerSecond: parsePositiveInt(env, 'KMS_ROTATION_RATE', DEFAULT_ROWS_PER_SECOND),
+    batchSize: parsePositiveInt(env, 'KMS_ROTATION_BATCH_SIZE', DEFAULT_BATCH_SIZE)
+  });
+}
+
+/**
+ * Provider for the old key from a KMS_ROTATION_SOURCE value
+ *
+ * @param {string|null} spec - Provider entries (comma-separated)
+ * @returns {KMSProvider|null} Provider, or null to unwrap with the target
+ */
+function createSourceProvider(spec) {
+  if (!spec) {
+    return null;
+  }
+
+  const providers = spec.split(',').map(entry => entry.trim()).filter(Boolean).map(createProviderFromSpec);
+
+  return providers.length === 1
+    ? providers[0]
+    : new CompositeKMSProvider(providers, loadBreakerConfig());
+}
+
+// ============================================================================
+// PROGRESS
+// ============================================================================
+
+/**
+ * Job record with progress and ETA
+ *
+ * @param {Object} job - Job record
+ * @param {number} now - Current time (ms)
+ * @returns {Object} Job record + progress { processed, total, percent, rowsPerSecond, etaSeconds }
+ */
+function withProgress(job, now = Date.now()) {
+  const processed = job.counts.scanned;
+  const elapsedSeconds = ((job.finishedAt || now) - job.run.startedAt) / 1000;
+  const rate = elapsedSeconds > 0 ? (processed - job.run.scannedAtStart) / elapsedSeconds : 0;
+  const remaining = Math.max(job.total - processed, 0);
+
+  let etaSeconds = null;
+  if (job.status === JOB_STATUS.COMPLETED) {
+    etaSeconds = 0;
+  } else if (job.status === JOB_STATUS.RUNNING && rate > 0) {
+    etaSeconds = Math.ceil(remaining / rate);
+  }
+
+  return {
+    ...job,
+    progress: {
+      processed,
+      total: job.total,
+      percent: job.total > 0 ? Math.min(100, Math.round((processed / job.total) * 1000) / 10) : 100,
+      rowsPerSecond: Math.round(rate * 10) / 10,
+      etaSeconds
+    }
+  };
+}
+
+/**
+ * Get master key rotation progress
+ *
+ * A running job without the lock (instance or CLI stopped) is reported
+ * as interrupted; the next start resumes it.
+ *
+ * @param {Object} options
+ * @param {Object} options.db - Database module (default: database/database.js)
+ * @returns {Promise<Object|null>} Job record with progress, or null if none ran
+ */
+async function getMasterKeyRotationStatus({ db = null } = {}) {
+  const database = db || require('../database/database');
+  const job = await database.getLastKmsRotationJob();
+
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === JOB_STATUS.RUNNING && !(await database.isKmsRotationLocked())) {
+    job.status = JOB_STATUS.INTERRUPTED;
+  }
+
+  return withProgress(job);
+}
+
+// ============================================================================
+// PER-ROW RE-WRAP
+// ============================================================================
+
+/**
+ * Target key version new wraps use (null if the provider has none)
+ *
+ * @param {KMSProvider} kms - Target provider
+ * @returns {Promise<number|null>} Active / latest version
+ */
+async function getTargetKeyVersion(kms) {
+  if (typeof kms.getKeyVersion !== 'function' || typeof kms.getKeyMetadata !== 'function') {
+    return null;
+  }
+
+  const metadata = await kms.getKeyMetadata();
+  return metadata.activeVersion || metadata.latestVersion || null;
+}
+
+/**
+ * Whether a row is already wrapped under the target key
+ *
+ * @param {Object} row - wrapped_keys row
+ * @param {KMSProvider} target - Target provider
+ * @param {number|null} targetVersion - Target key version (null = any)
+ * @returns {boolean} True if nothing to do
+ */
+function isCurrent(row, target, targetVersion) {
+  if (row.kms_key_id !== (target.keyId || 'local')) {
+    return false;
+  }
+
+  const wrapped = Buffer.from(row.wrapped_key, 'hex');
+
+  // Composite: every configured provider must hold a copy
+  const holders = target.getHolders(wrapped);
+  if (target.getHolders().some(id => !holders.includes(id))) {
+    return false;
+  }
+
+  return targetVersion === null || target.getKeyVersion(wrapped) === targetVersion;
+}
+
+/**
+ * Re-wrap one row under the target key
+ *
+ * @param {Object} row - wrapped_keys row
+ * @param {Object} context
+ * @param {Object} context.job - Job record
+ * @param {Object} context.db - Database module
+ * @param {KMSProvider} context.target - Target provider
+ * @param {KMSProvider|null} context.source - Provider for the old key
+ * @param {string} context.ipAddress - Client IP (audit)
+ * @returns {Promise<Object>} { outcome, error } (outcome: rewrapped, changed, failed)
+ */
+async function rewrapRow(row, { job, db, target, source, ipAddress }) {
+  try {
+    const rewrapped = await rewrapWithDoubleEncryption({
+      uuid: row.uuid,
+      wrappedKeyHex: row.wrapped_key,
+      keyVersion: row.key_version,
+      sourceKms: row.kms_key_id === (target.keyId || 'local') ? target : (source || target),
+      targetKms: target
+    });
+
+    const rotated = await db.rotateWrappedKey({
+      uuid: row.uuid,
+      expectedKeyVersion: row.key_version,
+      wrappedKey: rewrapped.wrappedKey,
+      kmsKeyId: rewrapped.kmsKeyId,
+      factorCount: row.factor_count,
+      deviceId: row.device_id,
+      metadata: row.metadata || {},
+      sealedEnrollment: row.sealed_enrollment,
+      kdfParams: row.kdf_params,
+      kmsProviders: rewrapped.kmsProviders,
+      encryptionContext: rewrapped.encryptionContext,
+      rotationReason: ROTATION_REASON,
+      rotatedBy: job.startedBy,
+      auditDetails: { job_id: job.id, old_kms_key_id: row.kms_key_id },
+      ipAddress
+    });
+
+    return { outcome: rotated ? 'rewrapped' : 'changed', error: null };
+
+  } catch (error) {
+    return { outcome: 'failed', error: error.message };
+  }
+}
+
+// ============================================================================
+// JOB
+// ============================================================================
+
+/**
+ * Walk wrapped_keys from the job cursor and re-wrap
+ *
+ * @param {Object} job - Job record (updated in place)
+ * @param {Object} context - { db, lock, target, source, ipAddress, onProgress }
+ * @returns {Promise<Object>} Final job record
+ */
+async function runJob(job, context) {
+  const { db, lock, target, onProgress } = context;
+  const intervalMs = 1000 / job.rowsPerSecond;
+  let lastCallAt = 0;
+
+  try {
+    const targetVersion = await getTargetKeyVersion(target);
+    let rows;
+
+    do {
+      rows = await db.listWrappedKeysAfter(job.cursor, job.batchSize);
+
+      for (const row of rows) {
+        if (!job.force && isCurrent(row, target, targetVersion)) {
+          job.counts.current++;
+        } else {
+          // Throttle KMS calls
+          const waitMs = lastCallAt + intervalMs - Date.now();
+          if (waitMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+          }
+          lastCallAt = Date.now();
+
+          const { outcome, error } = await rewrapRow(row, { ...context, job });
+          job.counts[outcome]++;
+
+          if (error) {
+            console.warn(`⚠️  Master key re-wrap failed for ${row.uuid.slice(0, 8)}... (${error})`);
+            if (job.failures.length < MAX_RECORDED_FAILURES) {
+              job.failures.push({ uuid: row.uuid, error });
+            }
+          }
+        }
+
+        job.counts.scanned++;
+        job.cursor = row.uuid;
+      }
+
+      job.updatedAt = Date.now();
+      await db.saveKmsRotationJob(job);
+
+      if (onProgress) {
+        onProgress(withProgress(job));
+      }
+    } while (rows.length === job.batchSize);
+
+    job.status = JOB_STATUS.COMPLETED;
+    console.log(`✅ Master key rotation ${job.id} completed: ${job.counts.rewrapped} re-wrapped under ` +
+      `${job.targetKeyId}, ${job.counts.failed} failed`);
+
+  } catch (error) {
+    job.status = JOB_STATUS.FAILED;
+    job.error = error.message;
+    console.error('❌ Master key rotation job failed:', error.message);
+  }
+
+  job.finishedAt = Date.now();
+  job.updatedAt = job.finishedAt;
+
+  try {
+    await db.saveKmsRotationJob(job);
+  } finally {
+    await lock.release();
+  }
+
+  return job;
+}
+
+/**
+ * Start (or resume) a master key rotation job in the background
+ *
+ * @param {Object} options
+ * @param {Object} options.db - Database module (default: database/database.js)
+ * @param {KMSProvider} options.targetKms - Provider to wrap under (default: current)
+ * @param {KMSProvider} options.sourceKms - Provider for the old key (default: KMS_ROTATION_SOURCE)
+ * @param {boolean} options.resume - Continue the last unfinished job for this key (default: true)
+ * @param {boolean} options.force - Re-wrap rows already under the target key
+ * @param {number} options.rowsPerSecond - Throttle (default: KMS_ROTATION_RATE)
+ * @param {number} options.batchSize - Rows per page (default: KMS_ROTATION_BATCH_SIZE)
+ * @param {string} options.startedBy - Actor for history rows (e.g. 'admin', 'cli')
+ * @param {string} options.ipAddress - Client IP (audit)
+ * @param {Function} options.onProgress - Called with the job (+ progress) after each batch
+ * @returns {Promise<Object>} { started, resumed, error, job, completion }
+ *   (completion resolves with the final job record)
+ */
+async function startMasterKeyRotation({
+  db = null,
+  targetKms = null,
+  sourceKms = undefined,
+  resume = true,
+  force = false,
+  rowsPerSecond = null,
+  batchSize = null,
+  startedBy = 'system',
+  ipAddress = null,
+  onProgress = null
+} = {}) {
+  const database = db || require('../database/database');
+  const config = loadRotationConfig();
+  const target = targetKms || getKMSProvider();
+  const source = sourceKms !== undefined ? sourceKms : createSourceProvider(config.source);
+  const targetKeyId = target.keyId || 'local';
+
+  const lock = await database.acquireKmsRotationLock();
+  if (!lock) {
+    return { started: false, resumed: false, error: 'A master key rotation job is already running' };
+  }
+
+  let job;
+  let resumed = false;
+
+  try {
+    const lastJob = await database.getLastKmsRotationJob();
+    const now = Date.now();
+
+    if (resume && lastJob && lastJob.status !== JOB_STATUS.COMPLETED && lastJob.targetKeyId === targetKeyId) {
+      // Lock held here: a "running" record is left over from a stopped run
+      job = lastJob;
+      job.status = JOB_STATUS.RUNNING;
+      job.error = null;
+      job.finishedAt = null;
+      job.resumes++;
+      resumed = true;
+    } else {
+      job = {
+        id: crypto.randomUUID(),
+        status: JOB_STATUS.RUNNING,
+        targetKeyId,
+        sourceKeyId: source ? (source.keyId || source.getName()) : null,
+        force,
+        cursor: null,
+        total: 0,
+        counts: { scanned: 0, rewrapped: 0, current: 0, changed: 0, failed: 0 },
+        failures: [],
+        resumes: 0,
+        startedBy,
+        startedAt: now,
+        finishedAt: null,
+        error: null
+      };
+    }
+
+    job.rowsPerSecond = rowsPerSecond || config.rowsPerSecond;
+    job.batchSize = batchSize || config.batchSize;
+    job.total = await database.countWrappedKeys();
+    job.run = { startedAt: now, scannedAtStart: job.counts.scanned };
+    job.updatedAt = now;
+
+    await database.saveKmsRotationJob(job);
+
+  } catch (error) {
+    await lock.release();
+    throw error;
+  }
+
+  console.log(`📍 Master key rotation ${job.id} ${resumed ? 'resumed' : 'started'} → ${targetKeyId} ` +
+    `(${job.total} keys, ${job.rowsPerSecond}/s)`);
+
+  const completion = runJob(job, { db: database, lock, target, source, ipAddress, onProgress })
+    .catch(error => {
+      console.error('❌ Master key rotation job error:', error.message);
+      return job;
+    });
+
+  return { started: true, resumed, error: null, job: withProgress(job), completion };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  startMasterKeyRotation,
+  getMasterKeyRotationStatus,
+  loadRotationConfig,
+  ROTATION_REASON,
+  JOB_STATUS
+};
@@ -0,0 +1,382 @@
+// Path: backend/services/reencryptionJob.js
+
+/**
+ * Re-encryption Job - Move Redis payloads to another key version
+ *
+ * Purpose: Online rotation of the at-rest encryption key (Encryption.js).
+ * Ciphertexts carry their key version, so old and new versions decrypt
+ * side by side; this job rewrites payloads under the target version so
+ * the old key can be dropped.
+ *
+ * Rotation:
+ * 1. Add the new version to ENCRYPTION_KEYS on every instance
+ * 2. Switch ENCRYPTION_KEY_VERSION (new writes use it)
+ * 3. POST /admin/encryption/reencrypt → this job
+ * 4. Drop the old version once the job reports nothing left on it
+ *
+ * Rollback:
+ * - Moves payloads on the last job's target version back to the version
+ *   that job moved them from (while that version is still loaded)
+ * - New writes keep following ENCRYPTION_KEY_VERSION: set it back too
+ *
+ * Scope: enrollment:*, session:*, cache:* (SCAN, batches of 100).
+ * Other encrypted keys (idempotency:*, fraud:*) are short-lived and
+ * age out under their TTL.
+ *
+ * Per key:
+ * - Non-string or non-ciphertext values (counters, plain JSON) skipped
+ * - Already on the target version → counted as current
+ * - Decrypt + re-encrypt, written only if unchanged (Lua compare-and-set),
+ *   remaining TTL kept; a concurrent write wins (counted as changed)
+ *
+ * Redis Keys:
+ * - encryption:reencrypt:job  → Last job (JSON: status, counts, versions)
+ * - encryption:reencrypt:lock → One job at a time across instances
+ *                               (60 s TTL, refreshed per batch)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const {
+  decrypt,
+  encryptWithVersion,
+  getCiphertextVersion,
+  getKeyManager
+} = require('../crypto/encryption');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const REENCRYPT_PATTERNS = ['enrollment:*', 'session:*', 'cache:*'];
+const JOB_KEY = 'encryption:reencrypt:job';
+const LOCK_KEY = 'encryption:reencrypt:lock';
+const LOCK_TTL_SECONDS = 60;
+const SCAN_COUNT = 100;
+const DEFAULT_BATCH_DELAY_MS = 50;
+const LEGACY_SOURCE = 'legacy';
+
+const JOB_TYPES = {
+  REENCRYPT: 'reencrypt',
+  ROLLBACK: 'rollback'
+};
+
+const JOB_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted'
+};
+
+// Replace only if the value is unchanged, keep the remaining TTL
+const COMPARE_AND_SET_SCRIPT = `
+  if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+    return 0
+  end
+  local ttl = redis.call('PTTL', KEYS[1])
+  if ttl > 0 then
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ttl)
+  else
+    redis.call('SET', KEYS[1], ARGV[2])
+  end
+  return 1
+`;
+
+// ============================================================================
+// JOB RECORD
+// ============================================================================
+
+/**
+ * Read the last job record
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @returns {Promise<Object|null>} Job record
+ */
+async function readJob(redisClient) {
+  const stored = await redisClient.get(JOB_KEY);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Persist job progress
+ */
+async function saveJob(redisClient, job) {
+  job.updatedAt = Date.now();
+  await redisClient.set(JOB_KEY, JSON.stringify(job));
+}
+
+/**
+ * Get re-encryption progress
+ *
+ * A running job whose lock expired (instance stopped) is reported as
+ * interrupted; starting a new job resumes nothing, it re-scans (cheap:
+ * payloads already on the target version are only counted).
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @returns {Promise<Object|null>} Job record with progress, or null if none ran
+ */
+async function getReencryptionStatus(redisClient) {
+  const job = await readJob(redisClient);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === JOB_STATUS.RUNNING && !(await redisClient.exists(LOCK_KEY))) {
+    job.status = JOB_STATUS.INTERRUPTED;
+  }
+
+  return {
+    ...job,
+    progress: {
+      patternsCompleted: job.patternsCompleted.length,
+      patternsTotal: job.patterns.length,
+      activeKeyVersion: getKeyManager().getActiveVersion()
+    }
+  };
+}
+
+// ============================================================================
+// PER-KEY RE-ENCRYPTION
+// ============================================================================
+
+/**
+ * Whether a stored value looks like an Encryption.js ciphertext
+ */
+function isCiphertext(value) {
+  return typeof value === 'string' &&
+    value.length >= 58 &&
+    value.length % 2 === 0 &&
+    /^[0-9a-f]+$/i.test(value);
+}
+
+/**
+ * Re-encrypt one key under the target version
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} key - Redis key
+ * @param {Object} params
+ * @param {number} params.targetVersion - Version to write
+ * @param {number|null} params.onlyVersion - Only move payloads on this version (rollback)
+ * @returns {Promise<Object>} { outcome, source } (outcome: reencrypted, current, skipped, changed, failed)
+ */
+async function reencryptKey(redisClient, key, { targetVersion, onlyVersion = null }) {
+  let value;
+  try {
+    value = await redisClient.get(key);
+  } catch (error) {
+    // WRONGTYPE: hashes, sets, lists share the prefixes
+    return { outcome: 'skipped', source: null };
+  }
+
+  if (!isCiphertext(value)) {
+    return { outcome: 'skipped', source: null };
+  }
+
+  const version = getCiphertextVersion(value);
+  const source = version === null ? LEGACY_SOURCE : String(version);
+
+  if (version === targetVersion) {
+    return { outcome: 'current', source };
+  }
+
+  if (onlyVersion !== null && version !== onlyVersion) {
+    return { outcome: 'skipped', source };
+  }
+
+  let reencrypted;
+  try {
+    reencrypted = await encryptWithVersion(await decrypt(value), targetVersion);
+  } catch (error) {
+    console.warn(`⚠️  Re-encryption failed for ${key.split(':')[0]}:... (${error.message})`);
+    return { outcome: 'failed', source };
+  }
+
+  const written = await redisClient.eval(COMPARE_AND_SET_SCRIPT, {
+    keys: [key],
+    arguments: [value, reencrypted]
+  });
+
+  return { outcome: written === 1 ? 'reencrypted' : 'changed', source };
+}
+
+// ============================================================================
+// JOB
+// ============================================================================
+
+/**
+ * Walk all patterns and re-encrypt
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} job - Job record (updated in place)
+ * @param {number} batchDelayMs - Pause between SCAN batches (throttle)
+ * @returns {Promise<Object>} Final job record
+ */
+async function runJob(redisClient, job, batchDelayMs) {
+  try {
+    for (const pattern of job.patterns) {
+      job.currentPattern = pattern;
+      let cursor = 0;
+
+      do {
+        const result = await redisClient.scan(cursor, { MATCH: pattern, COUNT: SCAN_COUNT });
+        cursor = Number(result.cursor);
+
+        for (const key of result.keys) {
+          const { outcome, source } = await reencryptKey(redisClient, key, job);
+
+          job.counts.scanned++;
+          job.counts[outcome]++;
+
+          if (outcome === 'reencrypted') {
+            job.sourceVersions[source] = (job.sourceVersions[source] || 0) + 1;
+          }
+        }
+
+        await saveJob(redisClient, job);
+        await redisClient.expire(LOCK_KEY, LOCK_TTL_SECONDS);
+
+        if (cursor !== 0 && batchDelayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, batchDelayMs));
+        }
+      } while (cursor !== 0);
+
+      job.patternsCompleted.push(pattern);
+    }
+
+    job.status = JOB_STATUS.COMPLETED;
+    job.currentPattern = null;
+    console.log(`✅ Re-encryption ${job.id} completed: ${job.counts.reencrypted} moved to v${job.targetVersion}, ` +
+      `${job.counts.failed} failed`);
+
+  } catch (error) {
+    job.status = JOB_STATUS.FAILED;
+    job.error = error.message;
+    console.error('❌ Re-encryption job failed:', error.message);
+  }
+
+  job.finishedAt = Date.now();
+
+  try {
+    await saveJob(redisClient, job);
+  } finally {
+    await redisClient.del(LOCK_KEY);
+  }
+
+  return job;
+}
+
+/**
+ * Pick the rollback target from the last re-encryption job
+ *
+ * @param {Object|null} lastJob - Last job record
+ * @returns {Object} { targetVersion, onlyVersion, error }
+ */
+function rollbackTarget(lastJob) {
+  if (!lastJob || lastJob.type !== JOB_TYPES.REENCRYPT || lastJob.status !== JOB_STATUS.COMPLETED) {
+    return { error: 'No completed re-encryption job to roll back' };
+  }
+
+  const sources = Object.keys(lastJob.sourceVersions);
+  if (sources.length !== 1) {
+    return { error: 'Last job moved payloads from several versions, targetVersion required' };
+  }
+
+  return {
+    targetVersion: sources[0] === LEGACY_SOURCE ? 1 : parseInt(sources[0], 10),
+    onlyVersion: lastJob.targetVersion
+  };
+}
+
+/**
+ * Start a re-encryption (or rollback) job in the background
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} options
+ * @param {number} options.targetVersion - Version to move payloads to
+ *   (default: active version; rollback: the last job's source version)
+ * @param {boolean} options.rollback - Undo the last completed job
+ * @param {number} options.batchDelayMs - Pause between batches (throttle)
+ * @returns {Promise<Object>} { started, error, job, completion }
+ *   (completion resolves with the final job record)
+ */
+async function startReencryption(redisClient, {
+  targetVersion = null,
+  rollback = false,
+  batchDelayMs = DEFAULT_BATCH_DELAY_MS
+} = {}) {
+  const keyManager = getKeyManager();
+  let onlyVersion = null;
+
+  if (rollback) {
+    const lastJob = await readJob(redisClient);
+    const target = rollbackTarget(lastJob);
+
+    if (target.error && targetVersion === null) {
+      return { started: false, error: target.error };
+    }
+
+    targetVersion = targetVersion !== null ? targetVersion : target.targetVersion;
+    onlyVersion = lastJob && lastJob.type === JOB_TYPES.REENCRYPT ? lastJob.targetVersion : null;
+  }
+
+  if (targetVersion === null) {
+    targetVersion = keyManager.getActiveVersion();
+  }
+
+  if (!keyManager.hasKey(targetVersion)) {
+    return { started: false, error: `Key version ${targetVersion} not loaded` };
+  }
+
+  const locked = await redisClient.set(LOCK_KEY, '1', { NX: true, EX: LOCK_TTL_SECONDS });
+  if (!locked) {
+    return { started: false, error: 'A re-encryption job is already running' };
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type: rollback ? JOB_TYPES.ROLLBACK : JOB_TYPES.REENCRYPT,
+    status: JOB_STATUS.RUNNING,
+    targetVersion,
+    onlyVersion,
+    patterns: REENCRYPT_PATTERNS,
+    patternsCompleted: [],
+    currentPattern: null,
+    counts: { scanned: 0, reencrypted: 0, current: 0, skipped: 0, changed: 0, failed: 0 },
+    sourceVersions: {},
+    startedAt: Date.now(),
+    finishedAt: null,
+    error: null
+  };
+
+  try {
+    await saveJob(redisClient, job);
+  } catch (error) {
+    await redisClient.del(LOCK_KEY);
+    throw error;
+  }
+
+  console.log(`📍 Re-encryption ${job.id} started (${job.type} → v${targetVersion})`);
+
+  const completion = runJob(redisClient, job, batchDelayMs)
+    .catch(error => {
+      console.error('❌ Re-encryption job error:', error.message);
+      return job;
+    });
+
+  return { started: true, error: null, job: { ...job }, completion };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  startReencryption,
+  getReencryptionStatus,
+  reencryptKey,
+  REENCRYPT_PATTERNS,
+  JOB_TYPES,
+  JOB_STATUS
+};
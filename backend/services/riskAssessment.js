@@ -0,0 +1,462 @@
+// Path: backend/services/riskAssessment.js
+
+/**
+ * Risk Assessment - Risk-based step-up for verification
+ *
+ * Purpose: Let the server decide how many factors to challenge.
+ * Low-risk payments need fewer factors, high-risk ones more.
+ *
+ * Risk Inputs (score 0-100):
+ * - Transaction amount (bands in EUR, PSD2 low-value threshold = 30 EUR;
+ *   other currencies converted with reference rates, unknown currencies
+ *   scored as the top band)
+ * - Device seen before (enrollment device or previous success)
+ * - IP reputation (blacklist / whitelist / violations)
+ * - Velocity (rate-limit violations + active penalties, IP and user)
+ *
+ * Decision:
+ * - LOW    (score < 30)  → enrollment threshold (minimum allowed)
+ * - MEDIUM (score < 60)  → threshold + 1
+ * - HIGH   (score >= 60) → all enrolled factors, ≥2 categories if possible
+ *
+ * The fraud engine (fraudDetector.js) can raise the level, both at
+ * initiate and at verify (step-up of an open session).
+ *
+ * The challenge can never go below the enrollment policy: with
+ * an all-factor policy every risk level challenges all factors.
+ *
+ * The decision and its inputs are recorded on the verification
+ * session for audit.
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { PenaltyManager, AccessListManager } = require('../middleware/rateLimitMiddleware');
+const { getFactorCategory, countCategories } = require('./factorPolicy');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const RISK_LEVELS = {
+  LOW: 'LOW',
+  MEDIUM: 'MEDIUM',
+  HIGH: 'HIGH'
+};
+
+const RISK_THRESHOLDS = {
+  medium: 30,
+  high: 60
+};
+
+// Amount bands (EUR) → score
+const AMOUNT_BANDS = [
+  { max: 30, score: 0 },      // PSD2 low-value exemption
+  { max: 250, score: 10 },
+  { max: 1000, score: 20 },
+  { max: Infinity, score: 35 }
+];
+
+// EUR per major unit, for banding only (approximate, not for pricing)
+const EUR_REFERENCE_RATES = {
+  EUR: 1,
+  USD: 0.9,
+  GBP: 1.17,
+  CHF: 1.05,
+  JPY: 0.006,
+  CAD: 0.65,
+  AUD: 0.58,
+  SEK: 0.088,
+  NOK: 0.085,
+  DKK: 0.134,
+  PLN: 0.23,
+  CZK: 0.04,
+  HUF: 0.0025,
+  RON: 0.2,
+  BGN: 0.51
+};
+
+const RISK_WEIGHTS = {
+  noTransaction: 10,     // Amount unknown
+  unknownDevice: 25,
+  noDevice: 15,
+  blacklistedIP: 100,
+  whitelistedIP: -10,
+  violation: 5,          // Per violation (IP + user)
+  maxViolations: 20,
+  penaltyLevel: 10       // Per active penalty level
+};
+
+const KNOWN_DEVICES_PREFIX = 'risk:devices:';
+const KNOWN_DEVICES_TTL = 90 * 24 * 60 * 60; // 90 days
+
+// ============================================================================
+// RISK INPUTS
+// ============================================================================
+
+/**
+ * Convert an amount to EUR with the reference rates
+ *
+ * @param {string|number} amount - Amount (major units)
+ * @param {string} currency - ISO 4217 alpha-3 code
+ * @returns {number|null} EUR amount, or null for an unknown currency
+ */
+function amountInEur(amount, currency) {
+  const rate = EUR_REFERENCE_RATES[currency];
+  return rate ? parseFloat(amount) * rate : null;
+}
+
+/**
+ * Score transaction amount (converted to EUR)
+ *
+ * @param {Object|null} transaction - Normalized transaction
+ * @returns {number} Score
+ */
+function scoreAmount(transaction) {
+  if (!transaction) {
+    return RISK_WEIGHTS.noTransaction;
+  }
+
+  const amount = amountInEur(transaction.amount, transaction.currency);
+  if (amount === null) {
+    return AMOUNT_BANDS[AMOUNT_BANDS.length - 1].score;
+  }
+
+  const band = AMOUNT_BANDS.find(b => amount < b.max);
+  return band ? band.score : AMOUNT_BANDS[AMOUNT_BANDS.length - 1].score;
+}
+
+/**
+ * Check whether a device has been seen for this user
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ * @param {string|null} deviceId - Presented device ID
+ * @param {string|null} enrolledDeviceId - Device used at enrollment
+ * @returns {Promise<boolean>} True if known
+ */
+async function isKnownDevice(redisClient, uuid, deviceId, enrolledDeviceId) {
+  if (!deviceId) {
+    return false;
+  }
+
+  if (deviceId === enrolledDeviceId) {
+    return true;
+  }
+
+  try {
+    return Boolean(await redisClient.sIsMember(KNOWN_DEVICES_PREFIX + uuid, deviceId));
+  } catch (error) {
+    console.error('❌ Known device check error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Remember a device after successful verification
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ * @param {string} deviceId - Device ID
+ */
+async function rememberDevice(redisClient, uuid, deviceId) {
+  if (!deviceId) return;
+
+  const key = KNOWN_DEVICES_PREFIX + uuid;
+
+  try {
+    await redisClient.sAdd(key, deviceId);
+    await redisClient.expire(key, KNOWN_DEVICES_TTL);
+  } catch (error) {
+    console.error('❌ Remember device error:', error.message);
+  }
+}
+
+/**
+ * Collect risk inputs
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.ipAddress - Client IP
+ * @param {string|null} params.deviceId - Presented device ID
+ * @param {string|null} params.enrolledDeviceId - Enrollment device ID
+ * @param {Object|null} params.transaction - Normalized transaction
+ * @returns {Promise<Object>} Risk inputs
+ */
+async function collectRiskInputs(redisClient, { uuid, ipAddress, deviceId, enrolledDeviceId, transaction }) {
+  const penaltyManager = new PenaltyManager(redisClient);
+  const accessListManager = new AccessListManager(redisClient);
+  const userIdentifier = `user:${uuid}`;
+
+  const [
+    deviceKnown,
+    blacklist,
+    whitelisted,
+    ipViolations,
+    userViolations,
+    ipPenalty,
+    userPenalty
+  ] = await Promise.all([
+    isKnownDevice(redisClient, uuid, deviceId, enrolledDeviceId),
+    accessListManager.isBlacklisted(ipAddress),
+    accessListManager.isWhitelisted(ipAddress),
+    penaltyManager.getViolationCount(ipAddress),
+    penaltyManager.getViolationCount(userIdentifier),
+    penaltyManager.isPenalized(ipAddress),
+    penaltyManager.isPenalized(userIdentifier)
+  ]);
+
+  return {
+    amount: transaction ? transaction.amount : null,
+    currency: transaction ? transaction.currency : null,
+    device_present: Boolean(deviceId),
+    device_known: deviceKnown,
+    ip_blacklisted: blacklist.blacklisted,
+    ip_whitelisted: whitelisted,
+    ip_violations: ipViolations,
+    user_violations: userViolations,
+    ip_penalty_level: ipPenalty.penalized ? ipPenalty.level : 0,
+    user_penalty_level: userPenalty.penalized ? userPenalty.level : 0
+  };
+}
+
+/**
+ * Compute risk score from inputs
+ *
+ * @param {Object} inputs - Risk inputs
+ * @param {Object|null} transaction - Normalized transaction
+ * @returns {number} Score (0-100)
+ */
+function computeRiskScore(inputs, transaction) {
+  let score = scoreAmount(transaction);
+
+  if (!inputs.device_present) {
+    score += RISK_WEIGHTS.noDevice;
+  } else if (!inputs.device_known) {
+    score += RISK_WEIGHTS.unknownDevice;
+  }
+
+  if (inputs.ip_blacklisted) {
+    score += RISK_WEIGHTS.blacklistedIP;
+  } else if (inputs.ip_whitelisted) {
+    score += RISK_WEIGHTS.whitelistedIP;
+  }
+
+  const violations = inputs.ip_violations + inputs.user_violations;
+  score += Math.min(violations * RISK_WEIGHTS.violation, RISK_WEIGHTS.maxViolations);
+
+  score += (inputs.ip_penalty_level + inputs.user_penalty_level) * RISK_WEIGHTS.penaltyLevel;
+
+  return Math.max(0, Math.min(100, score));
+}
+
+/**
+ * Map score to risk level
+ *
+ * @param {number} score - Risk score
+ * @returns {string} RISK_LEVELS value
+ */
+function getRiskLevel(score) {
+  if (score >= RISK_THRESHOLDS.high) return RISK_LEVELS.HIGH;
+  if (score >= RISK_THRESHOLDS.medium) return RISK_LEVELS.MEDIUM;
+  return RISK_LEVELS.LOW;
+}
+
+/**
+ * Higher of two risk levels
+ *
+ * @param {string} a - RISK_LEVELS value
+ * @param {string|null} b - RISK_LEVELS value
+ * @returns {string} Higher level
+ */
+function maxRiskLevel(a, b) {
+  const order = [RISK_LEVELS.LOW, RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH];
+  return order.indexOf(b) > order.indexOf(a) ? b : a;
+}
+
+// ============================================================================
+// CHALLENGE SELECTION
+// ============================================================================
+
+/**
+ * Random shuffle (Fisher-Yates, crypto RNG)
+ */
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Pick challenge factors
+ *
+ * Keeps already required factors, covers as many categories as
+ * required (one factor per category), then fills up randomly.
+ *
+ * @param {Array<string>} factorNames - Enrolled factor names
+ * @param {number} size - Number of factors to challenge
+ * @param {number} minCategories - Categories that must be covered
+ * @param {Array<string>} required - Factors that must stay challenged
+ * @returns {Array<string>} Challenged factor names (sorted)
+ */
+function selectChallengeFactors(factorNames, size, minCategories, required = []) {
+  const shuffled = shuffle(factorNames);
+  const selected = [...required];
+  const covered = new Set(required.map(getFactorCategory).filter(Boolean));
+
+  for (const name of shuffled) {
+    const category = getFactorCategory(name);
+    if (covered.size < minCategories && category && !covered.has(category)) {
+      covered.add(category);
+      selected.push(name);
+    }
+  }
+
+  for (const name of shuffled) {
+    if (selected.length >= size) break;
+    if (!selected.includes(name)) {
+      selected.push(name);
+    }
+  }
+
+  return selected.sort();
+}
+
+/**
+ * Build challenge for a risk level
+ *
+ * @param {string} level - RISK_LEVELS value
+ * @param {Object} policy - Enrollment policy { threshold, min_categories }
+ * @param {Array<string>} factorNames - Enrolled factor names
+ * @param {Array<string>} required - Factors already challenged (step-up)
+ * @returns {Object} { size, min_categories, factors }
+ */
+function buildChallenge(level, policy, factorNames, required = []) {
+  const total = factorNames.length;
+  let size = policy.threshold;
+  let minCategories = policy.min_categories;
+
+  if (level === RISK_LEVELS.MEDIUM) {
+    size = Math.min(total, policy.threshold + 1);
+  } else if (level === RISK_LEVELS.HIGH) {
+    size = total;
+    minCategories = Math.max(minCategories, Math.min(2, countCategories(factorNames)));
+  }
+
+  const factors = selectChallengeFactors(factorNames, size, minCategories, required);
+
+  return {
+    size: factors.length,
+    min_categories: minCategories,
+    factors
+  };
+}
+
+// ============================================================================
+// ASSESSMENT
+// ============================================================================
+
+/**
+ * Assess risk and choose challenge for a verification session
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {string} params.ipAddress - Client IP
+ * @param {string|null} params.deviceId - Presented device ID
+ * @param {Object} params.enrollment - Decrypted enrollment data
+ * @param {Object} params.policy - Enrollment policy
+ * @param {Object|null} params.transaction - Normalized transaction
+ * @param {string|null} params.minLevel - Floor from the fraud engine (optional)
+ * @returns {Promise<Object>} { score, level, inputs, challenge, assessedAt }
+ */
+async function assessVerificationRisk(redisClient, {
+  uuid,
+  ipAddress,
+  deviceId = null,
+  enrollment,
+  policy,
+  transaction = null,
+  minLevel = null
+}) {
+  const inputs = await collectRiskInputs(redisClient, {
+    uuid,
+    ipAddress,
+    deviceId,
+    enrolledDeviceId: enrollment.device_id,
+    transaction
+  });
+
+  const score = computeRiskScore(inputs, transaction);
+  const level = maxRiskLevel(getRiskLevel(score), minLevel);
+  const challenge = buildChallenge(level, policy, Object.keys(enrollment.factors));
+
+  console.log(`🎯 Risk assessed for ${uuid.slice(0, 8)}...: ${level} (${score}) → ${challenge.size} factors`);
+
+  return {
+    score,
+    level,
+    inputs,
+    challenge,
+    assessedAt: Date.now()
+  };
+}
+
+/**
+ * Step up an existing challenge to a higher risk level
+ *
+ * Already challenged factors stay in the challenge, so a client
+ * only has to add factors.
+ *
+ * @param {Object} risk - Session risk decision
+ * @param {string} level - New RISK_LEVELS value
+ * @param {Object} policy - Enrollment policy
+ * @param {Array<string>} factorNames - Enrolled factor names
+ * @returns {Object|null} Updated risk decision, or null if not higher
+ */
+function escalateRisk(risk, level, policy, factorNames) {
+  if (maxRiskLevel(risk.level, level) === risk.level) {
+    return null;
+  }
+
+  return {
+    ...risk,
+    level,
+    challenge: buildChallenge(level, policy, factorNames, risk.challenge.factors),
+    escalatedAt: Date.now()
+  };
+}
+
+/**
+ * Forget known devices (GDPR erasure)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ */
+async function forgetDevices(redisClient, uuid) {
+  await redisClient.del(KNOWN_DEVICES_PREFIX + uuid);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  assessVerificationRisk,
+  computeRiskScore,
+  getRiskLevel,
+  buildChallenge,
+  escalateRisk,
+  maxRiskLevel,
+  rememberDevice,
+  forgetDevices,
+  amountInEur,
+  RISK_LEVELS,
+  RISK_THRESHOLDS
+};
@@ -0,0 +1,192 @@
+// Path: backend/services/transactionBinding.js
+
+/**
+ * Transaction Binding - PSD3/PSD2 SCA Dynamic Linking
+ *
+ * Purpose: Bind an authentication result to one specific payment
+ *
+ * RTS on SCA (Article 5) requires the authentication code to be
+ * specific to the amount and the payee. Any change to either must
+ * invalidate the code.
+ *
+ * How it works:
+ * 1. Merchant sends a transaction descriptor with /initiate
+ * 2. Descriptor is validated and normalized (canonical form)
+ * 3. SHA-256 commitment computed over the canonical form
+ * 4. Commitment stored in the verification session
+ * 5. At capture, merchant re-sends the descriptor
+ * 6. Commitment recomputed and compared (constant-time)
+ * 7. Any mismatch → capture rejected
+ *
+ * Canonical Form:
+ * - Fixed field set: merchant_id, amount, currency, payee_reference
+ * - Amount as decimal string, trailing fractional zeros stripped
+ *   ("10.50", 10.5 and "10.500" all commit to "10.5")
+ * - Currency upper-cased (ISO 4217 alpha-3)
+ * - Keys sorted, domain-separated with BINDING_VERSION
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { secureCompare } = require('../crypto/memoryWipe');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const BINDING_VERSION = 'zeropay.txn.v1';
+const BINDING_ALGORITHM = 'SHA-256';
+const MAX_MERCHANT_ID_LENGTH = 128;
+const MAX_PAYEE_REFERENCE_LENGTH = 256;
+
+// ============================================================================
+// VALIDATION & NORMALIZATION
+// ============================================================================
+
+/**
+ * Normalize amount to canonical decimal string
+ *
+ * @param {string|number} amount - Amount (major units, e.g. "12.50")
+ * @returns {string|null} Canonical amount or null if invalid
+ */
+function normalizeAmount(amount) {
+  if (typeof amount !== 'string' && typeof amount !== 'number') {
+    return null;
+  }
+
+  const str = String(amount).trim();
+
+  // Non-negative decimal, max 3 fractional digits (ISO 4217 exponent)
+  if (!/^\d{1,15}(\.\d{1,3})?$/.test(str)) {
+    return null;
+  }
+
+  let [whole, fraction = ''] = str.split('.');
+  whole = whole.replace(/^0+(?=\d)/, '');
+  fraction = fraction.replace(/0+$/, '');
+
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * Validate and normalize transaction descriptor
+ *
+ * @param {Object} transaction - Transaction descriptor
+ * @param {string} transaction.merchant_id - Merchant identifier
+ * @param {string|number} transaction.amount - Amount in major units
+ * @param {string} transaction.currency - ISO 4217 currency code
+ * @param {string} transaction.payee_reference - Payee reference (IBAN, account, order ref)
+ * @returns {Object} { valid, transaction, error }
+ */
+function normalizeTransaction(transaction) {
+  if (!transaction || typeof transaction !== 'object' || Array.isArray(transaction)) {
+    return { valid: false, error: 'Transaction descriptor must be an object' };
+  }
+
+  const { merchant_id, amount, currency, payee_reference } = transaction;
+
+  if (typeof merchant_id !== 'string' ||
+      !/^[A-Za-z0-9._:-]+$/.test(merchant_id) ||
+      merchant_id.length > MAX_MERCHANT_ID_LENGTH) {
+    return { valid: false, error: 'Invalid transaction.merchant_id' };
+  }
+
+  const normalizedAmount = normalizeAmount(amount);
+  if (normalizedAmount === null) {
+    return { valid: false, error: 'Invalid transaction.amount (non-negative decimal, max 3 decimals)' };
+  }
+
+  if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency)) {
+    return { valid: false, error: 'Invalid transaction.currency (ISO 4217 alpha-3)' };
+  }
+
+  if (typeof payee_reference !== 'string' ||
+      payee_reference.trim().length === 0 ||
+      payee_reference.length > MAX_PAYEE_REFERENCE_LENGTH) {
+    return { valid: false, error: 'Invalid transaction.payee_reference' };
+  }
+
+  return {
+    valid: true,
+    transaction: {
+      merchant_id,
+      amount: normalizedAmount,
+      currency: currency.toUpperCase(),
+      payee_reference: payee_reference.trim()
+    }
+  };
+}
+
+// ============================================================================
+// COMMITMENT
+// ============================================================================
+
+/**
+ * Compute transaction commitment
+ *
+ * @param {Object} transaction - Normalized transaction descriptor
+ * @returns {string} Hex-encoded SHA-256 commitment
+ */
+function hashTransaction(transaction) {
+  const canonical = JSON.stringify({
+    amount: transaction.amount,
+    currency: transaction.currency,
+    merchant_id: transaction.merchant_id,
+    payee_reference: transaction.payee_reference
+  });
+
+  return crypto
+    .createHash('sha256')
+    .update(`${BINDING_VERSION}:${canonical}`, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Check that a transaction matches a stored commitment (constant-time)
+ *
+ * @param {string} expectedHash - Commitment stored at initiate
+ * @param {Object} transaction - Raw transaction descriptor presented at capture
+ * @returns {Object} { match, error }
+ */
+function matchesTransaction(expectedHash, transaction) {
+  const normalized = normalizeTransaction(transaction);
+
+  if (!normalized.valid) {
+    return { match: false, error: normalized.error };
+  }
+
+  const actual = Buffer.from(hashTransaction(normalized.transaction), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+
+  return { match: secureCompare(actual, expected, true) };
+}
+
+/**
+ * Describe binding for API responses
+ *
+ * @param {string} transactionHash - Commitment
+ * @returns {Object} Binding descriptor
+ */
+function describeBinding(transactionHash) {
+  return {
+    hash: transactionHash,
+    algorithm: BINDING_ALGORITHM,
+    version: BINDING_VERSION
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  normalizeTransaction,
+  normalizeAmount,
+  hashTransaction,
+  matchesTransaction,
+  describeBinding,
+  BINDING_VERSION,
+  BINDING_ALGORITHM
+};
@@ -0,0 +1,233 @@
+// Path: backend/services/userLockout.js
+
+/**
+ * User Lockout - Per-UUID failure tracking across sessions
+ *
+ * Purpose: Session maxAttempts only limits one session; without a
+ * per-user counter an attacker can open fresh sessions and keep guessing.
+ *
+ * Policy (env overridable):
+ * - First LOCKOUT_FREE_FAILURES failures → no delay
+ * - Then exponential backoff: BASE_DELAY * 2^(failures - free), capped at MAX_DELAY
+ *   (user is temporarily locked until the delay has passed)
+ * - LOCKOUT_PERMANENT_FAILURES failures → permanently locked, re-enrollment
+ *   required (account recovery, or an admin clears the lock)
+ * - Successful verification resets the counter
+ * - Failures older than the window (no new failure) are forgotten
+ *
+ * Default Schedule (3 free, 30s base, 1h cap, 10 permanent):
+ * - Failure 3 → 30s, 4 → 1m, 5 → 2m, 6 → 4m, 7 → 8m, 8 → 16m, 9 → 32m
+ * - Failure 10 → permanent lock
+ *
+ * Redis Keys:
+ * - lockout:failures:<uuid>  → Consecutive failures (atomic INCR, window TTL)
+ * - lockout:until:<uuid>     → Locked-until timestamp (TTL = delay)
+ * - lockout:permanent:<uuid> → Permanent lock record (no TTL)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const FREE_FAILURES = parseInt(process.env.LOCKOUT_FREE_FAILURES || '3', 10);
+const BASE_DELAY_SECONDS = parseInt(process.env.LOCKOUT_BASE_DELAY_SECONDS || '30', 10);
+const MAX_DELAY_SECONDS = parseInt(process.env.LOCKOUT_MAX_DELAY_SECONDS || '3600', 10);
+const PERMANENT_FAILURES = parseInt(process.env.LOCKOUT_PERMANENT_FAILURES || '10', 10);
+const FAILURE_WINDOW_SECONDS = parseInt(process.env.LOCKOUT_FAILURE_WINDOW_HOURS || '24', 10) * 60 * 60;
+
+const LOCKOUT_PREFIX = 'lockout:';
+
+const LOCKOUT_STATE = {
+  OK: 'ok',
+  LOCKED: 'locked',
+  PERMANENTLY_LOCKED: 'permanently_locked'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const keys = {
+  failures: uuid => `${LOCKOUT_PREFIX}failures:${uuid}`,
+  until: uuid => `${LOCKOUT_PREFIX}until:${uuid}`,
+  permanent: uuid => `${LOCKOUT_PREFIX}permanent:${uuid}`
+};
+
+/**
+ * Backoff delay after a given number of consecutive failures
+ *
+ * @param {number} failures - Consecutive failures
+ * @returns {number} Delay in seconds (0 = no delay)
+ */
+function getBackoffDelay(failures) {
+  if (failures < FREE_FAILURES) {
+    return 0;
+  }
+
+  const delay = BASE_DELAY_SECONDS * Math.pow(2, failures - FREE_FAILURES);
+  return Math.min(delay, MAX_DELAY_SECONDS);
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Get lockout state for a user
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ * @returns {Promise<Object>} { state, failures, lockedUntil, retryAfter, permanent }
+ */
+async function getLockoutState(redisClient, uuid) {
+  const [failuresRaw, untilRaw, permanentRaw] = await Promise.all([
+    redisClient.get(keys.failures(uuid)),
+    redisClient.get(keys.until(uuid)),
+    redisClient.get(keys.permanent(uuid))
+  ]);
+
+  const failures = parseInt(failuresRaw || '0', 10);
+
+  if (permanentRaw) {
+    return {
+      state: LOCKOUT_STATE.PERMANENTLY_LOCKED,
+      failures,
+      lockedUntil: null,
+      retryAfter: null,
+      permanent: JSON.parse(permanentRaw)
+    };
+  }
+
+  const lockedUntil = untilRaw ? parseInt(untilRaw, 10) : null;
+  const now = Date.now();
+
+  if (lockedUntil && lockedUntil > now) {
+    return {
+      state: LOCKOUT_STATE.LOCKED,
+      failures,
+      lockedUntil,
+      retryAfter: Math.ceil((lockedUntil - now) / 1000),
+      permanent: null
+    };
+  }
+
+  return {
+    state: LOCKOUT_STATE.OK,
+    failures,
+    lockedUntil: null,
+    retryAfter: null,
+    permanent: null
+  };
+}
+
+/**
+ * Record a failed verification
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ * @returns {Promise<Object>} Lockout state after this failure
+ */
+async function recordFailure(redisClient, uuid) {
+  const failures = await redisClient.incr(keys.failures(uuid));
+  await redisClient.expire(keys.failures(uuid), FAILURE_WINDOW_SECONDS);
+
+  if (failures >= PERMANENT_FAILURES) {
+    // NX: keep the original lock time on concurrent failures
+    await redisClient.set(keys.permanent(uuid), JSON.stringify({
+      lockedAt: Date.now(),
+      failures,
+      reason: 'TOO_MANY_FAILURES'
+    }), { NX: true });
+
+    console.warn(`🔒 User permanently locked: ${uuid.slice(0, 8)}... (${failures} failures)`);
+
+  } else {
+    const delay = getBackoffDelay(failures);
+
+    if (delay > 0) {
+      await redisClient.setEx(keys.until(uuid), delay, String(Date.now() + delay * 1000));
+      console.warn(`⏳ User locked for ${delay}s: ${uuid.slice(0, 8)}... (${failures} failures)`);
+    }
+  }
+
+  return getLockoutState(redisClient, uuid);
+}
+
+/**
+ * Record a successful verification (resets backoff)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ */
+async function recordSuccess(redisClient, uuid) {
+  await redisClient.del([keys.failures(uuid), keys.until(uuid)]);
+}
+
+/**
+ * Clear all lockout state (admin action, account recovery or new enrollment)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} uuid - User UUID
+ * @returns {Promise<boolean>} True if any state was cleared
+ */
+async function clearLockout(redisClient, uuid) {
+  const deleted = await redisClient.del([
+    keys.failures(uuid),
+    keys.until(uuid),
+    keys.permanent(uuid)
+  ]);
+
+  return deleted > 0;
+}
+
+/**
+ * Build HTTP error response for a locked user
+ *
+ * @param {Object} lockout - Lockout state
+ * @returns {Object|null} { status, body, retryAfter } or null if not locked
+ */
+function getLockoutResponse(lockout) {
+  if (lockout.state === LOCKOUT_STATE.PERMANENTLY_LOCKED) {
+    return {
+      status: 423,
+      body: {
+        success: false,
+        error: 'Account locked, re-enrollment required',
+        reenrollment_required: true
+      },
+      retryAfter: null
+    };
+  }
+
+  if (lockout.state === LOCKOUT_STATE.LOCKED) {
+    return {
+      status: 429,
+      body: {
+        success: false,
+        error: 'Too many failed verifications, try again later',
+        retry_after: lockout.retryAfter
+      },
+      retryAfter: lockout.retryAfter
+    };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  getLockoutState,
+  recordFailure,
+  recordSuccess,
+  clearLockout,
+  getLockoutResponse,
+  getBackoffDelay,
+  LOCKOUT_STATE,
+  PERMANENT_FAILURES
+};
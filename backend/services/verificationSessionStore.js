@@ -0,0 +1,275 @@
+// Path: backend/services/verificationSessionStore.js
+
+/**
+ * Verification Session Store - Redis-backed verification sessions
+ *
+ * Purpose: Share verification sessions across API instances
+ *
+ * Architecture:
+ * - Sessions stored via CacheManager (SESSION namespace)
+ * - Session payload encrypted at rest (AES-256-GCM)
+ * - Attempt counter stored separately (plain integer, atomic INCR)
+ * - Expiry handled by Redis TTL (no in-process sweeper)
+ *
+ * Keys:
+ * - session:verification:<session_id>          → encrypted session JSON
+ * - session:verification:<session_id>:attempts → attempt counter
+ * - session:verification:<session_id>:verified → verification claim (first INCR wins)
+ *
+ * Why a separate counter?
+ * - Read-modify-write on the encrypted payload is not atomic
+ * - Two pods handling concurrent /verify calls could both
+ *   see "2 of 3 attempts" and both proceed
+ * - INCR is atomic, so every attempt is counted exactly once
+ * - The same holds for success: only the first verify of a session
+ *   claims it and gets an auth token (single-use sessions)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { createCacheManager } = require('../middleware/cacheManager');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SESSION_TTL_SECONDS = 300; // 5 minutes
+const MAX_ATTEMPTS = 3;
+const SESSION_KEY_PREFIX = 'verification:';
+const ATTEMPTS_SUFFIX = ':attempts';
+const VERIFIED_SUFFIX = ':verified';
+
+// ============================================================================
+// CACHE HELPERS
+// ============================================================================
+
+/**
+ * Get cache manager for session payloads (encrypted)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @returns {CacheManager} Cache manager
+ */
+function getSessionCache(redisClient) {
+  return createCacheManager(redisClient, 'SESSION', {
+    defaultTTL: SESSION_TTL_SECONDS
+  });
+}
+
+/**
+ * Get cache manager for attempt counters (plain integers)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @returns {CacheManager} Cache manager
+ */
+function getCounterCache(redisClient) {
+  return createCacheManager(redisClient, 'SESSION', {
+    defaultTTL: SESSION_TTL_SECONDS,
+    autoEncrypt: false
+  });
+}
+
+/**
+ * Build session key (relative to SESSION namespace)
+ *
+ * @param {string} sessionId - Session ID
+ * @returns {string} Session key
+ */
+function sessionKey(sessionId) {
+  return SESSION_KEY_PREFIX + sessionId;
+}
+
+/**
+ * Build attempt counter key (relative to SESSION namespace)
+ *
+ * @param {string} sessionId - Session ID
+ * @returns {string} Counter key
+ */
+function attemptsKey(sessionId) {
+  return SESSION_KEY_PREFIX + sessionId + ATTEMPTS_SUFFIX;
+}
+
+/**
+ * Build verification claim key (relative to SESSION namespace)
+ *
+ * @param {string} sessionId - Session ID
+ * @returns {string} Claim key
+ */
+function verifiedKey(sessionId) {
+  return SESSION_KEY_PREFIX + sessionId + VERIFIED_SUFFIX;
+}
+
+/**
+ * Get remaining session lifetime in seconds
+ *
+ * @param {Object} session - Session object
+ * @returns {number} Remaining seconds (0 if expired)
+ */
+function getRemainingTTL(session) {
+  return Math.max(0, Math.ceil((session.expiresAt - Date.now()) / 1000));
+}
+
+// ============================================================================
+// SESSION OPERATIONS
+// ============================================================================
+
+/**
+ * Create verification session
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} params
+ * @param {string} params.uuid - User UUID
+ * @param {number} params.factorCount - Enrolled factor count
+ * @param {Object} params.transaction - Normalized transaction descriptor (optional)
+ * @param {string} params.transactionHash - Transaction commitment (optional)
+ * @param {string} params.deviceId - Device presented at initiate (optional)
+ * @param {Object} params.risk - Risk decision and inputs, for audit (optional)
+ * @param {Array<Object>} params.fraudChecks - Fraud engine results, for audit (optional)
+ * @returns {Promise<Object>} Created session
+ */
+async function createVerificationSession(redisClient, {
+  uuid,
+  factorCount,
+  transaction = null,
+  transactionHash = null,
+  deviceId = null,
+  risk = null,
+  fraudChecks = []
+}) {
+  const now = Date.now();
+
+  const session = {
+    sessionId: crypto.randomUUID(),
+    uuid,
+    factorCount,
+    transaction,
+    transactionHash,
+    deviceId,
+    risk,
+    fraudChecks,
+    createdAt: now,
+    expiresAt: now + (SESSION_TTL_SECONDS * 1000),
+    maxAttempts: MAX_ATTEMPTS,
+    status: 'pending'
+  };
+
+  await getSessionCache(redisClient).set(sessionKey(session.sessionId), session, SESSION_TTL_SECONDS);
+
+  return session;
+}
+
+/**
+ * Get verification session
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session (with current attempt count) or null
+ */
+async function getVerificationSession(redisClient, sessionId) {
+  const session = await getSessionCache(redisClient).get(sessionKey(sessionId));
+
+  if (!session || typeof session !== 'object') {
+    return null;
+  }
+
+  const attempts = await getCounterCache(redisClient).get(attemptsKey(sessionId));
+  session.attempts = parseInt(attempts) || 0;
+
+  return session;
+}
+
+/**
+ * Persist session changes (keeps original expiry)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} session - Session to store
+ * @returns {Promise<boolean>} False if the session has already expired
+ */
+async function updateVerificationSession(redisClient, session) {
+  const ttl = getRemainingTTL(session);
+
+  if (ttl === 0) {
+    return false;
+  }
+
+  // Attempt count lives in its own key
+  const payload = { ...session };
+  delete payload.attempts;
+
+  await getSessionCache(redisClient).set(sessionKey(session.sessionId), payload, ttl);
+
+  return true;
+}
+
+/**
+ * Record a verification attempt (atomic)
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} session - Session object
+ * @returns {Promise<number>} Attempt count including this attempt
+ */
+async function recordAttempt(redisClient, session) {
+  const counterCache = getCounterCache(redisClient);
+  const key = attemptsKey(session.sessionId);
+
+  const attempts = await counterCache.increment(key);
+
+  // Counter must never outlive its session
+  await counterCache.extendTTL(key, Math.max(1, getRemainingTTL(session)));
+
+  session.attempts = attempts;
+  return attempts;
+}
+
+/**
+ * Claim a session for successful verification (atomic, once per session)
+ *
+ * Concurrent /verify calls can all pass the 'pending' check before
+ * either stores 'verified'; only the first INCR wins the claim.
+ * The claim lives until the session expires.
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {Object} session - Session object
+ * @returns {Promise<boolean>} True if this call claimed the session
+ */
+async function claimVerification(redisClient, session) {
+  const counterCache = getCounterCache(redisClient);
+  const key = verifiedKey(session.sessionId);
+
+  const claims = await counterCache.increment(key);
+  await counterCache.extendTTL(key, Math.max(1, getRemainingTTL(session)));
+
+  return claims === 1;
+}
+
+/**
+ * Delete verification session
+ *
+ * @param {RedisClient} redisClient - Redis client instance
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} Number of keys deleted
+ */
+async function deleteVerificationSession(redisClient, sessionId) {
+  return await getCounterCache(redisClient).mdel([
+    sessionKey(sessionId),
+    attemptsKey(sessionId),
+    verifiedKey(sessionId)
+  ]);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  createVerificationSession,
+  getVerificationSession,
+  updateVerificationSession,
+  recordAttempt,
+  claimVerification,
+  deleteVerificationSession,
+  getRemainingTTL,
+  SESSION_TTL_SECONDS,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,64 @@
+// Path: backend/tests/accountRecovery.test.js
+
+/**
+ * Account Recovery Test Suite
+ *
+ * Tests for:
+ * - Redemption attempt limit per user and client IP
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { FakeRedis, fakeDatabase, loadModule } = require('./helpers/routeHarness');
+
+const { issueRecoveryCodes, redeemRecoveryCode } = loadModule('services/accountRecovery');
+
+describe('Account Recovery', function() {
+
+  this.timeout(30000); // scrypt per stored code
+
+  const MAX_ATTEMPTS = 5;
+  const WRONG_CODE = '0000-0000-0000-0000';
+
+  let redisClient;
+  let uuid;
+  let codes;
+
+  function redeem(code, ipAddress) {
+    return redeemRecoveryCode(redisClient, { uuid, code, ipAddress });
+  }
+
+  beforeEach(async function() {
+    fakeDatabase.reset();
+    redisClient = new FakeRedis();
+    uuid = crypto.randomUUID();
+    codes = await issueRecoveryCodes({ uuid });
+  });
+
+  describe('Attempt Limit', function() {
+
+    it('should rate limit a client after too many wrong codes', async function() {
+      for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        expect((await redeem(WRONG_CODE, '203.0.113.7')).status).to.equal('rejected');
+      }
+
+      expect((await redeem(codes[0], '203.0.113.7')).status).to.equal('rate_limited');
+    });
+
+    it('should not let another client use up the owner\'s attempts', async function() {
+      for (let i = 0; i <= MAX_ATTEMPTS; i++) {
+        await redeem(WRONG_CODE, '203.0.113.7');
+      }
+
+      const result = await redeem(codes[0], '198.51.100.2');
+
+      expect(result.status).to.equal('accepted');
+      expect(result.completionToken).to.be.a('string');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+// Path: backend/tests/authTokenFlow.test.js
+
+/**
+ * Auth Token Flow Test Suite
+ *
+ * Tests for:
+ * - Single-use sessions: one auth token per session, re-verify refused
+ * - Single-use capture (replay → 409, revoked → 401)
+ * - Token introspection / revocation (RFC 7662 / RFC 7009)
+ *   with merchant or admin client authentication
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { describe, it, before, after, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { createApp, fakeDatabase, loadModule } = require('./helpers/routeHarness');
+
+const { setKeyManager } = loadModule('crypto/encryption');
+const { loadKeysFromEnv } = loadModule('crypto/keyManagement');
+
+/**
+ * HTTP Basic credentials
+ */
+function basicAuth(clientId, secret) {
+  return `Basic ${Buffer.from(`${clientId}:${secret}`).toString('base64')}`;
+}
+
+describe('Auth Token Flow', function() {
+
+  this.timeout(30000); // KDF per enrollment / verification
+
+  const MERCHANT_SECRET = 'merchant-secret-0123456789';
+  const OTHER_SECRET = 'other-secret-0123456789ab';
+  const ADMIN_KEY = 'admin-key-0123456789abcdef';
+  const FACTORS = { PIN: 'a'.repeat(64), FACE: 'e'.repeat(64) };
+  const TRANSACTION = {
+    merchant_id: 'merchant-001',
+    amount: '25.00',
+    currency: 'EUR',
+    payee_reference: 'order-42'
+  };
+
+  const savedEnv = {};
+  let app;
+  let uuid;
+
+  /**
+   * Open a session and verify it
+   */
+  async function verifiedSession() {
+    const initiated = await request(app)
+      .post('/v1/verification/initiate')
+      .send({ user_uuid: uuid, device_id: 'device-1', transaction: TRANSACTION });
+    expect(initiated.status).to.equal(200);
+
+    const verified = await verify(initiated.body.session_id);
+    expect(verified.status).to.equal(200);
+
+    return { sessionId: initiated.body.session_id, token: verified.body.auth_token };
+  }
+
+  function verify(sessionId) {
+    return request(app)
+      .post('/v1/verification/verify')
+      .send({ session_id: sessionId, user_uuid: uuid, factors: FACTORS });
+  }
+
+  function capture({ sessionId, token }) {
+    return request(app)
+      .post('/v1/verification/capture')
+      .send({ session_id: sessionId, auth_token: token, transaction: TRANSACTION });
+  }
+
+  before(function() {
+    setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEY: '1'.repeat(64) }));
+
+    for (const name of ['TOKEN_CLIENTS', 'ADMIN_API_KEY']) {
+      savedEnv[name] = process.env[name];
+    }
+    process.env.TOKEN_CLIENTS = `merchant-001:${MERCHANT_SECRET},merchant-002:${OTHER_SECRET}`;
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+  });
+
+  after(function() {
+    setKeyManager(null);
+
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  beforeEach(async function() {
+    fakeDatabase.reset();
+    ({ app } = createApp({
+      '/v1/enrollment': 'routes/enrollmentRouter',
+      '/v1/verification': 'routes/verificationRouter',
+      '/v1/token': 'routes/tokenRouter'
+    }));
+
+    uuid = crypto.randomUUID();
+    const enrolled = await request(app)
+      .post('/v1/enrollment/store')
+      .send({ user_uuid: uuid, factors: FACTORS, device_id: 'device-1' });
+    expect(enrolled.status).to.equal(200);
+  });
+
+  describe('Single-Use Sessions', function() {
+
+    it('should refuse to verify a verified session again', async function() {
+      const session = await verifiedSession();
+
+      const again = await verify(session.sessionId);
+      const captured = await capture(session);
+
+      expect(again.status).to.equal(409);
+      expect(again.body.error).to.equal('Session already verified');
+      expect(captured.status).to.equal(200);
+    });
+
+    it('should issue one token for concurrent verifications', async function() {
+      const initiated = await request(app)
+        .post('/v1/verification/initiate')
+        .send({ user_uuid: uuid, device_id: 'device-1', transaction: TRANSACTION });
+
+      const results = await Promise.all([verify(initiated.body.session_id), verify(initiated.body.session_id)]);
+
+      expect(results.map(result => result.status).sort()).to.deep.equal([200, 409]);
+    });
+
+    it('should keep a captured session terminal', async function() {
+      const session = await verifiedSession();
+      expect((await capture(session)).status).to.equal(200);
+
+      const replay = await capture(session);
+      const reverify = await verify(session.sessionId);
+      const status = await request(app).get(`/v1/verification/status/${session.sessionId}`);
+
+      expect(replay.status).to.equal(409);
+      expect(replay.body.error).to.equal('Auth token already used');
+      expect(reverify.status).to.equal(409);
+      expect(reverify.body.error).to.equal('Session already captured');
+      expect(status.body.status).to.equal('captured');
+    });
+  });
+
+  describe('Client Authentication', function() {
+
+    it('should refuse unauthenticated introspection and revocation', async function() {
+      const { token } = await verifiedSession();
+
+      for (const endpoint of ['introspect', 'revoke']) {
+        const response = await request(app).post(`/v1/token/${endpoint}`).type('form').send({ token });
+
+        expect(response.status).to.equal(401);
+        expect(response.body.error).to.equal('invalid_client');
+        expect(response.headers['www-authenticate']).to.match(/^Basic realm=/);
+      }
+
+      const wrongSecret = await request(app)
+        .post('/v1/token/introspect')
+        .set('Authorization', basicAuth('merchant-001', OTHER_SECRET))
+        .send({ token });
+      const wrongAdminKey = await request(app)
+        .post('/v1/token/introspect')
+        .set('X-Admin-API-Key', 'not-the-admin-key')
+        .send({ token });
+
+      expect(wrongSecret.status).to.equal(401);
+      expect(wrongAdminKey.status).to.equal(401);
+    });
+
+    it('should introspect for the bound merchant and admin only', async function() {
+      const { token } = await verifiedSession();
+
+      const merchant = await request(app)
+        .post('/v1/token/introspect')
+        .set('Authorization', basicAuth('merchant-001', MERCHANT_SECRET))
+        .type('form')
+        .send({ token });
+      const other = await request(app)
+        .post('/v1/token/introspect')
+        .set('Authorization', basicAuth('merchant-002', OTHER_SECRET))
+        .send({ token });
+      const admin = await request(app)
+        .post('/v1/token/introspect')
+        .set('X-Admin-API-Key', ADMIN_KEY)
+        .send({ token });
+
+      expect(merchant.body).to.include({ active: true, sub: uuid, merchant_id: 'merchant-001' });
+      expect(other.body).to.deep.equal({ active: false });
+      expect(admin.body.active).to.be.true;
+    });
+  });
+
+  describe('Revocation', function() {
+
+    it('should leave another merchant\'s token active', async function() {
+      const session = await verifiedSession();
+
+      const revoked = await request(app)
+        .post('/v1/token/revoke')
+        .set('Authorization', basicAuth('merchant-002', OTHER_SECRET))
+        .send({ token: session.token });
+
+      expect(revoked.status).to.equal(200);
+      expect((await capture(session)).status).to.equal(200);
+    });
+
+    it('should deactivate the token and refuse its capture', async function() {
+      const session = await verifiedSession();
+      const auth = basicAuth('merchant-001', MERCHANT_SECRET);
+
+      const revoked = await request(app).post('/v1/token/revoke').set('Authorization', auth).send({ token: session.token });
+      const introspected = await request(app).post('/v1/token/introspect').set('Authorization', auth).send({ token: session.token });
+      const captured = await capture(session);
+
+      expect(revoked.status).to.equal(200);
+      expect(introspected.body).to.deep.equal({ active: false });
+      expect(captured.status).to.equal(401);
+      expect(captured.body.error).to.equal('Auth token revoked');
+    });
+
+    it('should report a captured token as inactive', async function() {
+      const session = await verifiedSession();
+      await capture(session);
+
+      const introspected = await request(app)
+        .post('/v1/token/introspect')
+        .set('X-Admin-API-Key', ADMIN_KEY)
+        .send({ token: session.token });
+
+      expect(introspected.body).to.deep.equal({ active: false });
+    });
+  });
+});
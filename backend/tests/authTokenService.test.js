@@ -0,0 +1,204 @@
+// Path: backend/tests/authTokenService.test.js
+
+/**
+ * Auth Token Service Test Suite
+ *
+ * Tests for:
+ * - EdDSA token issue / offline verification
+ * - Rejected tokens (tampered, alg confusion, unknown kid, expired)
+ * - Signing key rotation and JWKS publication
+ * - Single-use token state
+ * - Rotation period configuration
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { describe, it, before, after, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { FakeRedis } = require('./helpers/routeHarness');
+const { setKeyManager } = require('../crypto/encryption');
+const { loadKeysFromEnv } = require('../crypto/keyManagement');
+const {
+  issueAuthToken,
+  verifyAuthToken,
+  getJWKS,
+  rotateSigningKey,
+  consumeAuthToken,
+  revokeAuthToken,
+  loadKeyRotationSeconds,
+  TOKEN_STATE,
+  AUTH_TOKEN_TTL_SECONDS
+} = require('../services/authTokenService');
+
+/**
+ * Split a JWS into decoded header / claims and raw segments
+ */
+function decodeToken(token) {
+  const [header, claims, signature] = token.split('.');
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+    claims: JSON.parse(Buffer.from(claims, 'base64url').toString('utf8')),
+    segments: { header, claims, signature }
+  };
+}
+
+/**
+ * Base64url-encode JSON
+ */
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+describe('Auth Token Service', function() {
+
+  const UUID = '550e8400-e29b-41d4-a716-446655440000';
+
+  let redisClient;
+
+  function issue(overrides = {}) {
+    return issueAuthToken(redisClient, {
+      uuid: UUID,
+      sessionId: crypto.randomUUID(),
+      factorCount: 2,
+      merchantId: 'merchant-001',
+      ...overrides
+    });
+  }
+
+  before(function() {
+    setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEY: '1'.repeat(64) }));
+  });
+
+  after(function() {
+    setKeyManager(null);
+  });
+
+  beforeEach(function() {
+    redisClient = new FakeRedis();
+  });
+
+  describe('Issue / Verify', function() {
+
+    it('should issue an EdDSA token that verifies offline', async function() {
+      const { token, claims } = await issue();
+      const { header, segments } = decodeToken(token);
+      const result = await verifyAuthToken(redisClient, token);
+
+      expect(header).to.include({ alg: 'EdDSA', typ: 'JWT' });
+      expect(claims).to.include({ sub: UUID, factor_count: 2, merchant_id: 'merchant-001' });
+      expect(claims.exp - claims.iat).to.equal(AUTH_TOKEN_TTL_SECONDS);
+      expect(result.valid).to.be.true;
+      expect(result.claims).to.deep.equal(claims);
+
+      // Verifiable with the published key alone
+      const jwk = (await getJWKS(redisClient)).keys.find(key => key.kid === header.kid);
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      const signingInput = Buffer.from(`${segments.header}.${segments.claims}`);
+
+      expect(crypto.verify(null, signingInput, publicKey, Buffer.from(segments.signature, 'base64url'))).to.be.true;
+    });
+
+    it('should reject tampered claims', async function() {
+      const { token } = await issue();
+      const { claims, segments } = decodeToken(token);
+      const forged = `${segments.header}.${encode({ ...claims, sub: crypto.randomUUID() })}.${segments.signature}`;
+
+      expect(await verifyAuthToken(redisClient, forged)).to.deep.equal({ valid: false, error: 'Invalid signature' });
+    });
+
+    it('should reject other algorithms and unknown keys', async function() {
+      const { token } = await issue();
+      const { header, segments } = decodeToken(token);
+
+      const none = `${encode({ ...header, alg: 'none' })}.${segments.claims}.`;
+      const unknownKid = `${encode({ ...header, kid: crypto.randomUUID() })}.${segments.claims}.${segments.signature}`;
+
+      expect((await verifyAuthToken(redisClient, none)).error).to.equal('Unsupported token algorithm');
+      expect((await verifyAuthToken(redisClient, unknownKid)).error).to.equal('Unknown signing key');
+      expect((await verifyAuthToken(redisClient, 'not-a-token')).error).to.equal('Malformed token');
+    });
+
+    it('should reject expired tokens', async function() {
+      const realNow = Date.now;
+      const issuedAt = realNow() - (AUTH_TOKEN_TTL_SECONDS + 60) * 1000;
+      let token;
+
+      Date.now = () => issuedAt;
+      try {
+        ({ token } = await issue());
+      } finally {
+        Date.now = realNow;
+      }
+
+      expect((await verifyAuthToken(redisClient, token)).error).to.equal('Token expired');
+    });
+  });
+
+  describe('Key Rotation', function() {
+
+    it('should keep verifying tokens signed before a rotation', async function() {
+      const before = await issue();
+      const rotated = await rotateSigningKey(redisClient, { force: true });
+      const after = await issue();
+
+      const oldKid = decodeToken(before.token).header.kid;
+      const newKid = decodeToken(after.token).header.kid;
+
+      expect(newKid).to.equal(rotated.record.kid);
+      expect(newKid).to.not.equal(oldKid);
+      expect((await verifyAuthToken(redisClient, before.token)).valid).to.be.true;
+      expect((await verifyAuthToken(redisClient, after.token)).valid).to.be.true;
+    });
+
+    it('should publish every live key without private material', async function() {
+      await issue();
+      await rotateSigningKey(redisClient, { force: true });
+
+      const { keys } = await getJWKS(redisClient);
+
+      expect(keys).to.have.lengthOf(2);
+      for (const key of keys) {
+        expect(key).to.include({ kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA', use: 'sig' });
+        expect(key).to.not.have.property('d');
+      }
+    });
+
+    it('should agree on one active key when instances rotate concurrently', async function() {
+      const issued = await Promise.all([issue(), issue(), issue()]);
+      const kids = new Set(issued.map(({ token }) => decodeToken(token).header.kid));
+
+      expect(kids.size).to.equal(1);
+      expect((await getJWKS(redisClient)).keys).to.have.lengthOf(1);
+    });
+  });
+
+  describe('Token State', function() {
+
+    it('should let only the first transition win', async function() {
+      const { claims } = await issue();
+
+      const consumed = await consumeAuthToken(redisClient, claims);
+      const revoked = await revokeAuthToken(redisClient, claims);
+
+      expect(consumed).to.deep.equal({ changed: true, state: TOKEN_STATE.CONSUMED });
+      expect(revoked).to.deep.equal({ changed: false, state: TOKEN_STATE.CONSUMED });
+    });
+  });
+
+  describe('Configuration', function() {
+
+    it('should default to a 24 hour rotation', function() {
+      expect(loadKeyRotationSeconds({})).to.equal(24 * 3600);
+      expect(loadKeyRotationSeconds({ TOKEN_KEY_ROTATION_HOURS: '167' })).to.equal(167 * 3600);
+    });
+
+    it('should reject rotation periods the key cache cannot hold', function() {
+      for (const hours of ['168', '720', '0', '-1', '1.5', 'daily']) {
+        expect(() => loadKeyRotationSeconds({ TOKEN_KEY_ROTATION_HOURS: hours })).to.throw(/TOKEN_KEY_ROTATION_HOURS/);
+      }
+    });
+  });
+});
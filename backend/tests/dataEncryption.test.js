@@ -0,0 +1,212 @@
+// Path: backend/tests/dataEncryption.test.js
+
+/**
+ * Factor-Derived Data Encryption Test Suite
+ *
+ * Tests for:
+ * - Explicit-key, AAD-aware AES-256-GCM (crypto/Encryption.js)
+ * - encryptDataWithFactors / decryptDataWithFactors
+ * - KDF parameters stored in the data envelope
+ * - Isolation under concurrent requests (process.env untouched)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  encrypt,
+  decrypt,
+  encryptWithKey,
+  decryptWithKey,
+  setKeyManager
+} = require('../crypto/encryption');
+const { loadKeysFromEnv } = require('../crypto/keyManagement');
+const {
+  encryptDataWithFactors,
+  decryptDataWithFactors
+} = require('../crypto/doubleLayerCrypto');
+
+const CRYPTO_MODULES = [
+  '../crypto/keyDerivation',
+  '../crypto/thresholdKey',
+  '../crypto/doubleLayerCrypto'
+].map(name => require.resolve(name));
+
+/**
+ * Load a fresh doubleLayerCrypto under a different KDF configuration
+ * (current parameters are read once, at module load)
+ */
+function loadCryptoWithEnv(env) {
+  const savedModules = CRYPTO_MODULES.map(name => require.cache[name]);
+  const savedEnv = { ...process.env };
+
+  try {
+    CRYPTO_MODULES.forEach(name => delete require.cache[name]);
+    Object.assign(process.env, env);
+
+    return require('../crypto/doubleLayerCrypto');
+  } finally {
+    Object.keys(env).forEach(name => {
+      if (savedEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = savedEnv[name];
+      }
+    });
+    CRYPTO_MODULES.forEach((name, i) => {
+      require.cache[name] = savedModules[i];
+    });
+  }
+}
+
+/**
+ * Await a promise expected to reject, return its error
+ */
+async function rejectionOf(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  return null;
+}
+
+describe('Data Encryption', function() {
+
+  this.timeout(30000); // PBKDF2
+
+  before(function() {
+    setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEY: '1'.repeat(64) }));
+  });
+
+  after(function() {
+    setKeyManager(null); // Back to ENCRYPTION_KEY
+  });
+
+  describe('Explicit Key', function() {
+
+    it('should round-trip with a caller-owned key and AAD', async function() {
+      const key = crypto.randomBytes(32);
+      const copy = Buffer.from(key);
+
+      const ciphertext = await encryptWithKey('payment-token', key, 'zeropay.data.v1:user-a');
+
+      expect(await decryptWithKey(ciphertext, key, 'zeropay.data.v1:user-a')).to.equal('payment-token');
+      expect(key.equals(copy)).to.be.true; // Not wiped
+    });
+
+    it('should reject a different AAD or key', async function() {
+      const key = crypto.randomBytes(32);
+      const ciphertext = await encryptWithKey('payment-token', key, 'user-a');
+
+      const wrongAAD = await rejectionOf(decryptWithKey(ciphertext, key, 'user-b'));
+      const missingAAD = await rejectionOf(decryptWithKey(ciphertext, key));
+      const wrongKey = await rejectionOf(decryptWithKey(ciphertext, crypto.randomBytes(32), 'user-a'));
+
+      expect(wrongAAD.message).to.include('Authentication failed');
+      expect(missingAAD.message).to.include('Authentication failed');
+      expect(wrongKey.message).to.include('Authentication failed');
+    });
+
+    it('should reject keys that are not 32-byte Buffers', async function() {
+      const hexKey = await rejectionOf(encryptWithKey('data', 'a'.repeat(64)));
+      const shortKey = await rejectionOf(encryptWithKey('data', crypto.randomBytes(16)));
+
+      expect(hexKey.message).to.include('32-byte Buffer');
+      expect(shortKey.message).to.include('32-byte Buffer');
+    });
+  });
+
+  describe('Factor-Derived Keys', function() {
+
+    const users = ['a', 'b', 'c', 'd'].map((letter, i) => ({
+      uuid: `550e8400-e29b-41d4-a716-44665544000${i}`,
+      factorDigests: { PIN: letter.repeat(64), FACE: 'f'.repeat(64) },
+      plaintext: `payment-token-${letter}`
+    }));
+
+    it('should bind ciphertexts to the UUID', async function() {
+      const [alice, bob] = users;
+      const ciphertext = await encryptDataWithFactors(alice);
+
+      const moved = await rejectionOf(decryptDataWithFactors({
+        uuid: bob.uuid,
+        factorDigests: alice.factorDigests,
+        ciphertext
+      }));
+
+      expect(await decryptDataWithFactors({ ...alice, ciphertext })).to.equal(alice.plaintext);
+      expect(moved.message).to.include('Authentication failed');
+    });
+
+    it('should isolate concurrent requests and leave ENCRYPTION_KEY alone', async function() {
+      const envKey = process.env.ENCRYPTION_KEY;
+
+      // Interleave factor-derived and ENCRYPTION_KEY encryptions
+      const results = await Promise.all(users.flatMap(user => [
+        encryptDataWithFactors(user),
+        encrypt(`cache-${user.plaintext}`)
+      ]));
+
+      expect(process.env.ENCRYPTION_KEY).to.equal(envKey);
+
+      for (let i = 0; i < users.length; i++) {
+        const user = users[i];
+        const userCiphertext = results[i * 2];
+        const cacheCiphertext = results[i * 2 + 1];
+
+        expect(await decryptDataWithFactors({ ...user, ciphertext: userCiphertext })).to.equal(user.plaintext);
+        expect(await decrypt(cacheCiphertext)).to.equal(`cache-${user.plaintext}`);
+
+        // No other user's factors open it
+        const other = users[(i + 1) % users.length];
+        const crossed = await rejectionOf(decryptDataWithFactors({
+          uuid: user.uuid,
+          factorDigests: other.factorDigests,
+          ciphertext: userCiphertext
+        }));
+        expect(crossed).to.be.an('error');
+      }
+    });
+
+    it('should decrypt with the KDF parameters it was encrypted with', async function() {
+      const scryptCrypto = loadCryptoWithEnv({ KDF_ALGORITHM: 'scrypt', KDF_SCRYPT_N: '16384' });
+      const [alice] = users;
+
+      const ciphertext = await scryptCrypto.encryptDataWithFactors(alice);
+      const [version, params] = ciphertext.split('$');
+
+      expect(version).to.equal('zeropay.data.v2');
+      expect(JSON.parse(Buffer.from(params, 'base64url').toString())).to.include({ algorithm: 'scrypt', N: 16384 });
+      expect(await decryptDataWithFactors({ ...alice, ciphertext })).to.equal(alice.plaintext);
+    });
+
+    it('should reject swapped KDF parameters', async function() {
+      const [alice] = users;
+      const ciphertext = await encryptDataWithFactors(alice);
+      const [version, params, body] = ciphertext.split('$');
+
+      const kdfParams = JSON.parse(Buffer.from(params, 'base64url').toString());
+      const swapped = Buffer.from(JSON.stringify({ ...kdfParams, iterations: kdfParams.iterations + 1 })).toString('base64url');
+
+      const error = await rejectionOf(decryptDataWithFactors({ ...alice, ciphertext: [version, swapped, body].join('$') }));
+      const unknown = await rejectionOf(decryptDataWithFactors({ ...alice, ciphertext: `zeropay.data.v9$${params}$${body}` }));
+
+      expect(error.message).to.include('Authentication failed');
+      expect(unknown.message).to.equal('Unsupported data envelope');
+    });
+
+    it('should leave ENCRYPTION_KEY alone when decryption fails', async function() {
+      const envKey = process.env.ENCRYPTION_KEY;
+
+      const error = await rejectionOf(decryptDataWithFactors({ ...users[0], ciphertext: '00'.repeat(40) }));
+
+      expect(error).to.be.an('error');
+      expect(process.env.ENCRYPTION_KEY).to.equal(envKey);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+// Path: backend/tests/deviceBinding.test.js
+
+/**
+ * Device Binding Test Suite
+ *
+ * Tests for:
+ * - Device public key parsing (PEM / DER, supported curves)
+ * - Challenge signatures (ECDSA DER + raw, Ed25519)
+ * - Active device check in verifyWithDoubleEncryption
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  parseDevicePublicKey,
+  buildDeviceChallenge,
+  verifyDeviceSignature,
+  checkDeviceBinding
+} = require('../crypto/deviceBinding');
+const {
+  enrollWithDoubleEncryption,
+  verifyWithDoubleEncryption
+} = require('../crypto/doubleLayerCrypto');
+
+describe('Device Binding', function() {
+
+  this.timeout(30000); // PBKDF2
+
+  const uuid = '550e8400-e29b-41d4-a716-446655440000';
+  const sessionId = '6ba7b810-9dad-41d1-80b4-00c04fd430c8';
+  const challenge = buildDeviceChallenge({ uuid, sessionId });
+
+  const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const edKeys = crypto.generateKeyPairSync('ed25519');
+  const ecPem = parseDevicePublicKey(ecKeys.publicKey.export({ format: 'pem', type: 'spki' })).pem;
+
+  it('should parse PEM and base64 DER keys to the same fingerprint', function() {
+    const der = ecKeys.publicKey.export({ format: 'der', type: 'spki' });
+    const fromPem = parseDevicePublicKey(ecKeys.publicKey.export({ format: 'pem', type: 'spki' }));
+    const fromDer = parseDevicePublicKey(der.toString('base64url'));
+
+    expect(fromPem.keyType).to.equal('ec');
+    expect(fromPem.fingerprint).to.match(/^[0-9a-f]{64}$/);
+    expect(fromDer.fingerprint).to.equal(fromPem.fingerprint);
+  });
+
+  it('should reject malformed keys and unsupported curves', function() {
+    const secp384 = crypto.generateKeyPairSync('ec', { namedCurve: 'secp384r1' });
+
+    expect(() => parseDevicePublicKey('not a key')).to.throw('Invalid device public key');
+    expect(() => parseDevicePublicKey(secp384.publicKey.export({ format: 'pem', type: 'spki' })))
+      .to.throw('Unsupported device key type');
+  });
+
+  it('should verify ECDSA signatures in DER and raw encoding', function() {
+    const der = crypto.sign('sha256', Buffer.from(challenge), ecKeys.privateKey).toString('base64');
+    const raw = crypto.sign('sha256', Buffer.from(challenge), {
+      key: ecKeys.privateKey,
+      dsaEncoding: 'ieee-p1363'
+    }).toString('base64url');
+
+    expect(verifyDeviceSignature({ publicKey: ecPem, challenge, signature: der })).to.be.true;
+    expect(verifyDeviceSignature({ publicKey: ecPem, challenge, signature: raw })).to.be.true;
+    expect(verifyDeviceSignature({ publicKey: ecPem, challenge: challenge + 'x', signature: der })).to.be.false;
+  });
+
+  it('should verify Ed25519 signatures', function() {
+    const pem = parseDevicePublicKey(edKeys.publicKey.export({ format: 'pem', type: 'spki' })).pem;
+    const signature = crypto.sign(null, Buffer.from(challenge), edKeys.privateKey).toString('base64');
+
+    expect(verifyDeviceSignature({ publicKey: pem, challenge, signature })).to.be.true;
+    expect(verifyDeviceSignature({ publicKey: pem, challenge, signature: undefined })).to.be.false;
+  });
+
+  it('should require an active device and a signature when a key is bound', function() {
+    const signature = crypto.sign('sha256', Buffer.from(challenge), ecKeys.privateKey).toString('base64');
+    const activeDevices = [
+      { device_id: 'phone-1', public_key: ecPem },
+      { device_id: 'legacy-1', public_key: null }
+    ];
+
+    expect(checkDeviceBinding({ deviceId: 'phone-1', activeDevices, challenge, signature }).valid).to.be.true;
+    expect(checkDeviceBinding({ deviceId: 'legacy-1', activeDevices, challenge }).valid).to.be.true;
+    expect(checkDeviceBinding({ deviceId: 'phone-1', activeDevices, challenge }).reason)
+      .to.equal('invalid_device_signature');
+    expect(checkDeviceBinding({ deviceId: 'phone-2', activeDevices, challenge, signature }).reason)
+      .to.equal('device_not_active');
+  });
+
+  it('should refuse verification from a device that is not active', async function() {
+    const factorDigests = { PIN: 'a'.repeat(64), FACE: 'c'.repeat(64) };
+    const { wrappedKey } = await enrollWithDoubleEncryption({ uuid, factorDigests });
+
+    const rejected = await verifyWithDoubleEncryption({
+      uuid,
+      factorDigests,
+      wrappedKeyHex: wrappedKey,
+      device: { deviceId: 'revoked-1', activeDevices: [{ device_id: 'phone-1', public_key: null }], challenge }
+    });
+
+    expect(rejected.success).to.be.false;
+    expect(rejected.deviceRejected).to.be.true;
+
+    const accepted = await verifyWithDoubleEncryption({
+      uuid,
+      factorDigests,
+      wrappedKeyHex: wrappedKey,
+      device: { deviceId: 'phone-1', activeDevices: [{ device_id: 'phone-1', public_key: null }], challenge }
+    });
+
+    expect(accepted.success).to.be.true;
+  });
+});
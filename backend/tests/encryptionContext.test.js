@@ -0,0 +1,189 @@
+// Path: backend/tests/encryptionContext.test.js
+
+/**
+ * KMS Encryption Context Test Suite
+ *
+ * Tests for:
+ * - Context validation (uuid, key_version, purpose required, nothing else)
+ * - Binding in every self-contained provider (Local, key store, composite)
+ * - Row-swap attacks: a wrapped key moved to another user's row, or an
+ *   older wrapped key replayed under a newer key version, fails closed
+ *
+ * Vault Transit binding: see vaultTransit.test.js
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  LocalKMSProvider,
+  KeyStoreKMSProvider,
+  CompositeKMSProvider,
+  normalizeEncryptionContext
+} = require('../crypto/kmsProvider');
+const { SealedFileKeyStore, createKeyStoreFile } = require('../crypto/masterKeyStore');
+const {
+  enrollWithDoubleEncryption,
+  verifyWithDoubleEncryption,
+  updateWithDoubleEncryption,
+  unsealEnrollmentRecord,
+  buildEncryptionContext
+} = require('../crypto/doubleLayerCrypto');
+
+const USER_A = '550e8400-e29b-41d4-a716-446655440000';
+const USER_B = '6ba7b810-9dad-41d1-80b4-00c04fd430c8';
+
+/**
+ * Await a promise expected to reject, return its error
+ */
+async function rejectionOf(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  return null;
+}
+
+describe('KMS Encryption Context', function() {
+
+  this.timeout(30000); // PBKDF2
+
+  describe('Validation', function() {
+
+    it('should require uuid, key_version and purpose only', function() {
+      const context = normalizeEncryptionContext({ uuid: USER_A, key_version: 3, purpose: 'key-wrapping' });
+
+      expect(Object.keys(context)).to.deep.equal(['application', 'key_version', 'purpose', 'uuid', 'version']);
+      expect(context.key_version).to.equal('3');
+      expect(() => normalizeEncryptionContext()).to.throw('Encryption context required');
+      expect(() => normalizeEncryptionContext({ uuid: USER_A, purpose: 'key-wrapping' })).to.throw('key_version');
+      expect(() => normalizeEncryptionContext({ uuid: '', key_version: '1', purpose: 'key-wrapping' })).to.throw('uuid');
+      expect(() => normalizeEncryptionContext({ ...buildEncryptionContext(USER_A, 1), device_id: 'd' }))
+        .to.throw('Unexpected encryption context field(s): device_id');
+      expect(() => buildEncryptionContext(USER_A, 0)).to.throw('positive integer');
+    });
+  });
+
+  describe('Providers', function() {
+
+    let dir;
+    const providers = {};
+
+    before(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeropay-context-'));
+      const keystorePath = path.join(dir, 'master.keystore.json');
+      createKeyStoreFile(keystorePath, 'passphrase', { scrypt: { N: 1024, r: 8, p: 1 } });
+
+      providers.local = new LocalKMSProvider();
+      providers.keystore = new KeyStoreKMSProvider(new SealedFileKeyStore(keystorePath, 'passphrase'));
+      providers.composite = new CompositeKMSProvider([new LocalKMSProvider(), providers.keystore]);
+    });
+
+    after(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    for (const name of ['local', 'keystore', 'composite']) {
+      it(`should bind ${name} wraps to user and key version`, async function() {
+        const kms = providers[name];
+        const derivedKey = crypto.randomBytes(32);
+        const wrapped = await kms.wrap(Buffer.from(derivedKey), buildEncryptionContext(USER_A, 1));
+
+        const swapped = await rejectionOf(kms.unwrap(wrapped, buildEncryptionContext(USER_B, 1)));
+        const replayed = await rejectionOf(kms.unwrap(wrapped, buildEncryptionContext(USER_A, 2)));
+        const missing = await rejectionOf(kms.unwrap(wrapped));
+
+        expect((await kms.unwrap(wrapped, buildEncryptionContext(USER_A, 1))).equals(derivedKey)).to.be.true;
+        expect(swapped).to.be.an('error');
+        expect(replayed).to.be.an('error');
+        expect(missing.message).to.include('Encryption context required');
+        expect(await rejectionOf(kms.wrap(crypto.randomBytes(32), { uuid: USER_A }))).to.be.an('error');
+      });
+    }
+
+    it('should not count a missing context against composite providers', async function() {
+      const kms = new CompositeKMSProvider([new LocalKMSProvider(), new LocalKMSProvider()].map((provider, i) => {
+        provider.keyId = `local-${i}`;
+        return provider;
+      }), { failureThreshold: 1 });
+
+      await rejectionOf(kms.wrap(crypto.randomBytes(32), {}));
+      await rejectionOf(kms.unwrap(Buffer.from('{}'), { uuid: USER_A }));
+
+      expect(kms.getHealth().map(entry => entry.state)).to.deep.equal(['closed', 'closed']);
+    });
+  });
+
+  describe('Row Swap', function() {
+
+    const factorDigests = {
+      PIN: 'a'.repeat(64),
+      PATTERN_NORMAL: 'b'.repeat(64)
+    };
+    const record = JSON.stringify({ user_uuid: USER_A, factors: factorDigests });
+
+    it('should return the context to persist with the wrapped key', async function() {
+      const result = await enrollWithDoubleEncryption({ uuid: USER_A, factorDigests, keyVersion: 4 });
+
+      expect(result.keyVersion).to.equal(4);
+      expect(result.encryptionContext).to.deep.equal({ uuid: USER_A, key_version: '4', purpose: 'key-wrapping' });
+    });
+
+    it('should reject a wrapped key copied onto another user row', async function() {
+      const userA = await enrollWithDoubleEncryption({ uuid: USER_A, factorDigests, enrollmentRecord: record });
+
+      // Row of user B now holds user A's wrapped key and sealed record
+      const verification = await verifyWithDoubleEncryption({
+        uuid: USER_B,
+        factorDigests,
+        wrappedKeyHex: userA.wrappedKey
+      });
+      const unseal = await rejectionOf(unsealEnrollmentRecord({
+        uuid: USER_B,
+        wrappedKeyHex: userA.wrappedKey,
+        sealedRecordHex: userA.sealedRecord
+      }));
+
+      expect(verification.success).to.be.false;
+      expect(unseal.message).to.include('unwrap failed');
+    });
+
+    it('should reject an old wrapped key replayed after a factor change', async function() {
+      const v1 = await enrollWithDoubleEncryption({ uuid: USER_A, factorDigests });
+      const newFactors = { ...factorDigests, PIN: 'c'.repeat(64) };
+      const v2 = await updateWithDoubleEncryption({
+        uuid: USER_A,
+        oldFactorDigests: factorDigests,
+        newFactorDigests: newFactors,
+        oldWrappedKeyHex: v1.wrappedKey,
+        oldKeyVersion: 1
+      });
+
+      // Attacker restores the v1 key (old factors) on the row, now at v2
+      const replayed = await verifyWithDoubleEncryption({
+        uuid: USER_A,
+        factorDigests,
+        wrappedKeyHex: v1.wrappedKey,
+        keyVersion: 2
+      });
+      const current = await verifyWithDoubleEncryption({
+        uuid: USER_A,
+        factorDigests: newFactors,
+        wrappedKeyHex: v2.wrappedKey,
+        keyVersion: 2
+      });
+
+      expect(v2.keyVersion).to.equal(2);
+      expect(replayed.success).to.be.false;
+      expect(current.success).to.be.true;
+    });
+  });
+});
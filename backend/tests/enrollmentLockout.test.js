@@ -0,0 +1,166 @@
+// Path: backend/tests/enrollmentLockout.test.js
+
+/**
+ * Enrollment Lockout Test Suite
+ *
+ * Tests for:
+ * - /store only for new enrollments (no overwrite, lockout and
+ *   recovery codes kept)
+ * - /update old_factors: lockout checked, failures counted
+ * - Admin lockout endpoints: userId must be a UUID
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { describe, it, before, after, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { createApp, fakeDatabase, loadModule } = require('./helpers/routeHarness');
+
+const { setKeyManager } = loadModule('crypto/encryption');
+const { loadKeysFromEnv } = loadModule('crypto/keyManagement');
+const { recordFailure, getLockoutState, LOCKOUT_STATE } = loadModule('services/userLockout');
+
+describe('Enrollment Lockout', function() {
+
+  this.timeout(30000); // KDF per enrollment / update
+
+  const FACTORS = { PIN: 'a'.repeat(64), FACE: 'e'.repeat(64) };
+  const NEW_FACTORS = { PIN: 'b'.repeat(64), FACE: 'f'.repeat(64) };
+  const WRONG_FACTORS = { PIN: 'c'.repeat(64), FACE: 'e'.repeat(64) };
+  const ADMIN_KEY = 'admin-key-0123456789abcdef';
+
+  let savedAdminKey;
+  let app;
+  let redisClient;
+  let uuid;
+
+  /**
+   * Lock the user permanently
+   */
+  async function lockPermanently() {
+    let lockout;
+    do {
+      lockout = await recordFailure(redisClient, uuid);
+    } while (lockout.state !== LOCKOUT_STATE.PERMANENTLY_LOCKED);
+  }
+
+  function update(oldFactors) {
+    return request(app)
+      .put('/v1/enrollment/update')
+      .send({ user_uuid: uuid, old_factors: oldFactors, new_factors: NEW_FACTORS, device_id: 'device-1' });
+  }
+
+  before(function() {
+    setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEY: '1'.repeat(64) }));
+    savedAdminKey = process.env.ADMIN_API_KEY;
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+  });
+
+  after(function() {
+    setKeyManager(null);
+    if (savedAdminKey === undefined) {
+      delete process.env.ADMIN_API_KEY;
+    } else {
+      process.env.ADMIN_API_KEY = savedAdminKey;
+    }
+  });
+
+  beforeEach(async function() {
+    fakeDatabase.reset();
+    ({ app, redisClient } = createApp({
+      '/v1/enrollment': 'routes/enrollmentRouter',
+      '/admin': 'routes/adminRouter'
+    }));
+
+    uuid = crypto.randomUUID();
+    const enrolled = await request(app)
+      .post('/v1/enrollment/store')
+      .send({ user_uuid: uuid, factors: FACTORS, device_id: 'device-1' });
+    expect(enrolled.status).to.equal(200);
+  });
+
+  describe('Store', function() {
+
+    it('should refuse to overwrite an enrollment or lift its lockout', async function() {
+      const before = fakeDatabase.tables.wrappedKeys.get(uuid).wrapped_key;
+      await lockPermanently();
+
+      const response = await request(app)
+        .post('/v1/enrollment/store')
+        .send({ user_uuid: uuid, factors: NEW_FACTORS, device_id: 'device-2' });
+
+      expect(response.status).to.equal(409);
+      expect(response.body.error).to.equal('User already enrolled');
+      expect(fakeDatabase.tables.wrappedKeys.get(uuid).wrapped_key).to.equal(before);
+      expect((await getLockoutState(redisClient, uuid)).state).to.equal(LOCKOUT_STATE.PERMANENTLY_LOCKED);
+    });
+  });
+
+  describe('Recovery Codes', function() {
+
+    it('should not let a repeated /store replace recovery codes', async function() {
+      const codes = await fakeDatabase.getUnusedRecoveryCodes(uuid);
+
+      const response = await request(app)
+        .post('/v1/enrollment/store')
+        .send({ user_uuid: uuid, factors: NEW_FACTORS, device_id: 'device-2' });
+
+      expect(response.status).to.equal(409);
+      expect(response.body).to.not.have.property('recovery_codes');
+      expect(codes).to.not.be.empty;
+      expect(await fakeDatabase.getUnusedRecoveryCodes(uuid)).to.deep.equal(codes);
+    });
+  });
+
+  describe('Update', function() {
+
+    it('should count wrong old factors towards the lockout', async function() {
+      const response = await update(WRONG_FACTORS);
+      const lockout = await getLockoutState(redisClient, uuid);
+
+      expect(response.status).to.equal(401);
+      expect(response.body.error).to.equal('Invalid factors');
+      expect(lockout.failures).to.equal(1);
+      expect(fakeDatabase.tables.history).to.be.empty;
+    });
+
+    it('should refuse locked users even with the right factors', async function() {
+      await lockPermanently();
+
+      const response = await update(FACTORS);
+
+      expect(response.status).to.equal(423);
+      expect(fakeDatabase.tables.history).to.be.empty;
+    });
+
+    it('should update with the right factors and reset failures', async function() {
+      await update(WRONG_FACTORS);
+
+      const response = await update(FACTORS);
+      const lockout = await getLockoutState(redisClient, uuid);
+
+      expect(response.status).to.equal(200);
+      expect(lockout.failures).to.equal(0);
+      expect(fakeDatabase.tables.history).to.have.length(1);
+    });
+  });
+
+  describe('Admin', function() {
+
+    it('should reject a userId that is not a UUID', async function() {
+      for (const method of ['get', 'delete']) {
+        const response = await request(app)[method]('/admin/user/not-a-uuid*/lockout')
+          .set('X-Admin-API-Key', ADMIN_KEY);
+
+        expect(response.status).to.equal(400);
+      }
+
+      const valid = await request(app).get(`/admin/user/${uuid}/lockout`).set('X-Admin-API-Key', ADMIN_KEY);
+      expect(valid.status).to.equal(200);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// Path: backend/tests/enrollmentRecord.test.js
+
+/**
+ * Sealed Enrollment Record Test Suite
+ *
+ * Tests for:
+ * - Sealing the enrollment record under the Layer 1 key
+ * - Opening it with KMS unwrap only (cache rehydration)
+ * - UUID binding (record cannot be moved to another user)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  enrollWithDoubleEncryption,
+  verifyWithDoubleEncryption,
+  unsealEnrollmentRecord
+} = require('../crypto/doubleLayerCrypto');
+
+describe('Sealed Enrollment Record', function() {
+
+  this.timeout(30000); // PBKDF2
+
+  const uuid = '550e8400-e29b-41d4-a716-446655440000';
+  const otherUuid = '6ba7b810-9dad-41d1-80b4-00c04fd430c8';
+  const factorDigests = {
+    PIN: 'a'.repeat(64),
+    PATTERN_NORMAL: 'b'.repeat(64),
+    FACE: 'c'.repeat(64)
+  };
+  const record = JSON.stringify({ user_uuid: uuid, factors: factorDigests });
+
+  it('should open the sealed record with the wrapped key only', async function() {
+    const result = await enrollWithDoubleEncryption({ uuid, factorDigests, enrollmentRecord: record });
+
+    const opened = await unsealEnrollmentRecord({
+      uuid,
+      wrappedKeyHex: result.wrappedKey,
+      sealedRecordHex: result.sealedRecord
+    });
+
+    expect(opened).to.equal(record);
+
+    // Sealing must not disturb the wrapped key
+    const verification = await verifyWithDoubleEncryption({
+      uuid,
+      factorDigests,
+      wrappedKeyHex: result.wrappedKey
+    });
+    expect(verification.success).to.be.true;
+  });
+
+  it('should seal under the threshold secret for K-of-N enrollments', async function() {
+    const result = await enrollWithDoubleEncryption({
+      uuid,
+      factorDigests,
+      threshold: 2,
+      enrollmentRecord: record
+    });
+
+    const opened = await unsealEnrollmentRecord({
+      uuid,
+      wrappedKeyHex: result.wrappedKey,
+      sealedRecordHex: result.sealedRecord
+    });
+
+    expect(opened).to.equal(record);
+  });
+
+  it('should reject a record moved to another UUID', async function() {
+    const result = await enrollWithDoubleEncryption({ uuid, factorDigests, enrollmentRecord: record });
+
+    let error = null;
+    try {
+      await unsealEnrollmentRecord({
+        uuid: otherUuid,
+        wrappedKeyHex: result.wrappedKey,
+        sealedRecordHex: result.sealedRecord
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an('error');
+  });
+
+  it('should not seal anything without a record', async function() {
+    const result = await enrollWithDoubleEncryption({ uuid, factorDigests });
+
+    expect(result.sealedRecord).to.be.null;
+  });
+});
@@ -0,0 +1,177 @@
+// Path: backend/tests/factorManagement.test.js
+
+/**
+ * Factor Management Test Suite
+ *
+ * Tests for:
+ * - POST /factors: add a factor
+ * - PUT /factors/:name: replace a factor (new digest or new type)
+ * - DELETE /factors/:name: remove a factor (PSD3 minimum kept)
+ * - Proof of possession before any change; key re-wrapped after it
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { describe, it, before, after, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { createApp, fakeDatabase, loadModule } = require('./helpers/routeHarness');
+
+const { setKeyManager } = loadModule('crypto/encryption');
+const { loadKeysFromEnv } = loadModule('crypto/keyManagement');
+const { verifyWithDoubleEncryption } = loadModule('crypto/doubleLayerCrypto');
+
+describe('Factor Management', function() {
+
+  this.timeout(30000); // KDF per enrollment / change
+
+  const FACTORS = { PIN: 'a'.repeat(64), FACE: 'e'.repeat(64) };
+  const NFC = 'd'.repeat(64);
+
+  let app;
+  let uuid;
+
+  function addFactor(factor, proofFactors = FACTORS) {
+    return request(app)
+      .post('/v1/enrollment/factors')
+      .send({ user_uuid: uuid, device_id: 'device-1', proof_factors: proofFactors, factor });
+  }
+
+  function replaceFactor(name, factor, proofFactors = FACTORS) {
+    return request(app)
+      .put(`/v1/enrollment/factors/${name}`)
+      .send({ user_uuid: uuid, device_id: 'device-1', proof_factors: proofFactors, factor });
+  }
+
+  function removeFactor(name, proofFactors) {
+    return request(app)
+      .delete(`/v1/enrollment/factors/${name}`)
+      .send({ user_uuid: uuid, device_id: 'device-1', proof_factors: proofFactors });
+  }
+
+  /**
+   * Whether a factor set unlocks the stored wrapped key
+   */
+  async function unlocks(factorDigests) {
+    const row = fakeDatabase.tables.wrappedKeys.get(uuid);
+    const thresholdKey = (row.metadata || {}).threshold_key;
+
+    const result = await verifyWithDoubleEncryption({
+      uuid,
+      factorDigests,
+      wrappedKeyHex: row.wrapped_key,
+      keyVersion: row.key_version,
+      kdfParams: row.kdf_params,
+      factorShares: thresholdKey ? thresholdKey.shares : null,
+      threshold: thresholdKey ? thresholdKey.threshold : null
+    });
+
+    return result.success;
+  }
+
+  before(function() {
+    setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEY: '1'.repeat(64) }));
+  });
+
+  after(function() {
+    setKeyManager(null);
+  });
+
+  beforeEach(async function() {
+    fakeDatabase.reset();
+    ({ app } = createApp({ '/v1/enrollment': 'routes/enrollmentRouter' }));
+
+    uuid = crypto.randomUUID();
+    const enrolled = await request(app)
+      .post('/v1/enrollment/store')
+      .send({ user_uuid: uuid, factors: FACTORS, device_id: 'device-1' });
+    expect(enrolled.status).to.equal(200);
+  });
+
+  describe('Add', function() {
+
+    it('should add a factor and re-wrap the key for the new set', async function() {
+      const response = await addFactor({ name: 'NFC', digest: NFC });
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.include({ action: 'add', factor_count: 3, key_version: 2 });
+      expect(response.body.factor_types).to.have.members(['PIN', 'FACE', 'NFC']);
+      expect(fakeDatabase.tables.history).to.deep.equal([{ uuid, keyVersion: 1, reason: 'factor_add' }]);
+      expect(await unlocks({ ...FACTORS, NFC })).to.be.true;
+      expect(await unlocks(FACTORS)).to.be.false;
+    });
+
+    it('should refuse an already enrolled factor', async function() {
+      const response = await addFactor({ name: 'PIN', digest: 'b'.repeat(64) });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.equal("Factor 'PIN' is already enrolled");
+      expect(fakeDatabase.tables.history).to.be.empty;
+    });
+
+    it('should refuse a change without proof of possession', async function() {
+      const response = await addFactor({ name: 'NFC', digest: NFC }, { PIN: 'c'.repeat(64), FACE: FACTORS.FACE });
+
+      expect(response.status).to.equal(401);
+      expect(response.body.error).to.equal('Invalid factors');
+      expect(fakeDatabase.tables.history).to.be.empty;
+    });
+  });
+
+  describe('Replace', function() {
+
+    it('should replace a factor digest', async function() {
+      const newPin = 'b'.repeat(64);
+
+      const response = await replaceFactor('PIN', { name: 'PIN', digest: newPin });
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.include({ action: 'replace', factor_count: 2, key_version: 2 });
+      expect(await unlocks({ ...FACTORS, PIN: newPin })).to.be.true;
+
+      // Old digest no longer proves possession
+      const stale = await replaceFactor('PIN', { name: 'PIN', digest: 'c'.repeat(64) });
+      expect(stale.status).to.equal(401);
+    });
+
+    it('should replace a factor with another factor type', async function() {
+      const response = await replaceFactor('FACE', { name: 'NFC', digest: NFC });
+
+      expect(response.status).to.equal(200);
+      expect(response.body.factor_types).to.have.members(['PIN', 'NFC']);
+      expect(await unlocks({ PIN: FACTORS.PIN, NFC })).to.be.true;
+    });
+
+    it('should refuse to replace a factor that is not enrolled', async function() {
+      const response = await replaceFactor('NFC', { name: 'NFC', digest: NFC });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.equal("Factor 'NFC' is not enrolled");
+    });
+  });
+
+  describe('Remove', function() {
+
+    it('should remove a factor', async function() {
+      await addFactor({ name: 'NFC', digest: NFC });
+
+      const response = await removeFactor('NFC', { ...FACTORS, NFC });
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.include({ action: 'remove', factor_count: 2, key_version: 3 });
+      expect(response.body.factor_types).to.have.members(['PIN', 'FACE']);
+      expect(await unlocks(FACTORS)).to.be.true;
+    });
+
+    it('should keep at least 2 factors', async function() {
+      const response = await removeFactor('FACE', FACTORS);
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.equal('At least 2 factors required (PSD3 SCA compliance)');
+      expect(fakeDatabase.tables.history).to.be.empty;
+    });
+  });
+});
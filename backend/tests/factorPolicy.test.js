@@ -0,0 +1,88 @@
+// Path: backend/tests/factorPolicy.test.js
+
+/**
+ * Factor Set Policy Test Suite
+ *
+ * Tests for:
+ * - Factor type validation
+ * - Category requirement (PSD3 SCA)
+ * - Incompatible pairs and recommended combinations
+ * - Configurable policy
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  validateFactorSet,
+  createEnrollmentPolicy,
+  loadEnrollmentPolicy,
+  POLICY_VERSION
+} = require('../services/factorPolicy');
+
+describe('Factor Set Policy', function() {
+
+  it('should accept factors from two categories and report the version', function() {
+    const result = validateFactorSet(['PIN', 'FACE']);
+
+    expect(result.valid).to.be.true;
+    expect(result.version).to.equal(POLICY_VERSION);
+    expect(result.categories).to.deep.equal({ KNOWLEDGE: 1, INHERENCE: 1 });
+    expect(result.recommended).to.be.true;
+  });
+
+  it('should reject unknown factor types', function() {
+    const result = validateFactorSet(['a', 'b']);
+
+    expect(result.valid).to.be.false;
+    expect(result.error).to.include('Unknown factor type(s): a, b');
+    expect(result.version).to.equal(POLICY_VERSION);
+  });
+
+  it('should not treat object prototype keys as factor types', function() {
+    expect(validateFactorSet(['PIN', 'constructor']).valid).to.be.false;
+  });
+
+  it('should reject two knowledge factors posing as SCA', function() {
+    const result = validateFactorSet(['PIN', 'WORDS']);
+
+    expect(result.valid).to.be.false;
+    expect(result.error).to.include('at least 2 different categories');
+  });
+
+  it('should reject incompatible pairs', function() {
+    const result = validateFactorSet(['PIN', 'PATTERN_MICRO', 'PATTERN_NORMAL']);
+
+    expect(result.valid).to.be.false;
+    expect(result.error).to.include('PATTERN_MICRO and PATTERN_NORMAL');
+  });
+
+  it('should flag combinations outside the recommended list', function() {
+    const result = validateFactorSet(['PIN', 'NFC', 'VOICE']);
+
+    expect(result.valid).to.be.true;
+    expect(result.recommended).to.be.false;
+  });
+
+  it('should apply a custom policy', function() {
+    const strict = createEnrollmentPolicy({ minCategories: 3, disabledFactors: ['COLOUR'] });
+
+    expect(validateFactorSet(['PIN', 'FACE'], strict).valid).to.be.false;
+    expect(validateFactorSet(['PIN', 'FACE', 'NFC'], strict).valid).to.be.true;
+    expect(validateFactorSet(['COLOUR', 'FACE', 'NFC'], strict).error).to.include('not accepted');
+  });
+
+  it('should load policy from environment', function() {
+    const policy = loadEnrollmentPolicy({
+      FACTOR_POLICY_MIN_CATEGORIES: '1',
+      FACTOR_POLICY_DISABLED: 'voice, emoji'
+    });
+
+    expect(policy.minCategories).to.equal(1);
+    expect(policy.disabledFactors).to.deep.equal(['VOICE', 'EMOJI']);
+    expect(() => loadEnrollmentPolicy({ FACTOR_POLICY_DISABLED: 'BOGUS' })).to.throw('Unknown factor type');
+  });
+});
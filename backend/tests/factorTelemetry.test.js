@@ -0,0 +1,103 @@
+// Path: backend/tests/factorTelemetry.test.js
+
+/**
+ * Factor Telemetry Test Suite
+ * 
+ * Tests for:
+ * - Aggregate counters (same writes for match and mismatch)
+ * - False-reject report and small-count suppression
+ * 
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  recordFactorOutcome,
+  recordFalseRejects,
+  getFactorTelemetryReport,
+  MIN_REPORT_SAMPLE
+} = require('../services/factorTelemetry');
+
+/**
+ * Minimal hash store (hIncrBy / hGetAll / expire)
+ */
+function createHashStore() {
+  const hashes = new Map();
+  const writes = [];
+  
+  return {
+    writes,
+    async hIncrBy(key, field, by) {
+      writes.push(field);
+      const hash = hashes.get(key) || {};
+      hash[field] = (hash[field] || 0) + by;
+      hashes.set(key, hash);
+      return hash[field];
+    },
+    async hGetAll(key) {
+      const hash = hashes.get(key) || {};
+      return Object.fromEntries(Object.entries(hash).map(([k, v]) => [k, String(v)]));
+    },
+    async expire() {
+      return true;
+    }
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Factor Telemetry', function() {
+  
+  let store;
+  
+  beforeEach(function() {
+    store = createHashStore();
+  });
+  
+  it('should write the same counters for a match and a mismatch', async function() {
+    recordFactorOutcome(store, ['PIN', 'RHYTHM_TAP'], []);
+    await flush();
+    const matchWrites = [...store.writes];
+    
+    store.writes.length = 0;
+    recordFactorOutcome(store, ['PIN', 'RHYTHM_TAP'], ['RHYTHM_TAP']);
+    await flush();
+    
+    expect(store.writes).to.deep.equal(matchWrites);
+  });
+  
+  it('should ignore unknown factor names', async function() {
+    recordFactorOutcome(store, ['PIN', '__proto__'], ['__proto__']);
+    await flush();
+    
+    expect(store.writes.every(field => field.startsWith('PIN:'))).to.be.true;
+  });
+  
+  it('should report mismatch and false-reject rates', async function() {
+    for (let i = 0; i < MIN_REPORT_SAMPLE; i++) {
+      recordFactorOutcome(store, ['PIN', 'RHYTHM_TAP'], i % 4 === 0 ? ['RHYTHM_TAP'] : []);
+    }
+    recordFalseRejects(store, ['RHYTHM_TAP']);
+    await flush();
+    
+    const report = await getFactorTelemetryReport(store, 1);
+    
+    expect(report.factors.PIN.mismatch_rate).to.equal(0);
+    expect(report.factors.RHYTHM_TAP.mismatched).to.equal(5);
+    expect(report.factors.RHYTHM_TAP.mismatch_rate).to.equal(0.25);
+    expect(report.factors.RHYTHM_TAP.false_reject_rate).to.equal(1 / MIN_REPORT_SAMPLE);
+  });
+  
+  it('should suppress factor types below the minimum sample', async function() {
+    recordFactorOutcome(store, ['VOICE'], ['VOICE']);
+    await flush();
+    
+    const report = await getFactorTelemetryReport(store, 1);
+    
+    expect(report.factors).to.not.have.property('VOICE');
+    expect(report.suppressed).to.include('VOICE');
+  });
+});
@@ -0,0 +1,203 @@
+// Path: backend/tests/fraudDetector.test.js
+
+/**
+ * Fraud Detector Test Suite
+ * 
+ * Tests for:
+ * - Haversine distance
+ * - Detection strategies (velocity, travel, device, behavior, IP, amount)
+ * - Amount history across currencies (compared in EUR)
+ * - Input validation
+ * 
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it, before, after } = require('mocha');
+const { expect } = require('chai');
+
+const { FakeRedis } = require('./helpers/routeHarness');
+const { setKeyManager } = require('../crypto/encryption');
+const { loadKeysFromEnv } = require('../crypto/keyManagement');
+const {
+  checkFraud,
+  evaluateFraud,
+  haversineDistance,
+  normalizeLocation,
+  normalizeBehavior,
+  REASONS
+} = require('../services/fraudDetector');
+const { RISK_LEVELS } = require('../services/riskAssessment');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+const NOW = Date.UTC(2025, 9, 19, 12, 0, 0);
+const MINUTE = 60 * 1000;
+
+function emptyHistory() {
+  return {
+    userAttempts: [],
+    deviceAttempts: [],
+    ipAttempts: [],
+    lastLocation: null,
+    transactions: [],
+    completionTimes: [],
+    deviceBlacklist: { blacklisted: false },
+    ipBlacklist: { blacklisted: false }
+  };
+}
+
+function codes(result) {
+  return result.reasons.map(r => r.code);
+}
+
+describe('Fraud Detector', function() {
+  
+  describe('Haversine Distance', function() {
+    
+    it('should compute Berlin → New York (~6385 km)', function() {
+      const km = haversineDistance(52.52, 13.405, 40.7128, -74.006);
+      expect(km).to.be.closeTo(6385, 15);
+    });
+    
+    it('should be zero for the same point', function() {
+      expect(haversineDistance(10, 20, 10, 20)).to.equal(0);
+    });
+  });
+  
+  describe('Strategies', function() {
+    
+    it('should score a clean first attempt as LOW', function() {
+      const result = evaluateFraud({ uuid: UUID, ipAddress: '203.0.113.7' }, emptyHistory(), NOW);
+      expect(result.level).to.equal(RISK_LEVELS.LOW);
+      expect(result.reasons).to.be.empty;
+    });
+    
+    it('should flag excessive velocity', function() {
+      const history = emptyHistory();
+      for (let i = 0; i < 6; i++) {
+        history.userAttempts.push({ uuid: UUID, timestamp: NOW - i * 1000, hour: 12 });
+      }
+      
+      const result = evaluateFraud({ uuid: UUID }, history, NOW);
+      expect(codes(result)).to.include(REASONS.VELOCITY_MINUTE);
+      expect(result.level).to.equal(RISK_LEVELS.MEDIUM);
+    });
+    
+    it('should flag impossible travel and country change', function() {
+      const history = emptyHistory();
+      history.lastLocation = { latitude: 52.52, longitude: 13.405, country: 'DE', timestamp: NOW - 30 * MINUTE };
+      
+      const result = evaluateFraud({
+        uuid: UUID,
+        location: { latitude: 40.7128, longitude: -74.006, country: 'US', timezoneOffset: null }
+      }, history, NOW);
+      
+      expect(codes(result)).to.include.members([REASONS.IMPOSSIBLE_TRAVEL, REASONS.COUNTRY_CHANGE]);
+      expect(result.level).to.equal(RISK_LEVELS.MEDIUM);
+    });
+    
+    it('should block blacklisted devices', function() {
+      const history = emptyHistory();
+      history.deviceBlacklist = { blacklisted: true, reason: 'chargeback' };
+      
+      const result = evaluateFraud({ uuid: UUID, deviceId: 'dev-1' }, history, NOW);
+      expect(codes(result)).to.include(REASONS.BLACKLISTED_DEVICE);
+      expect(result.level).to.equal(RISK_LEVELS.HIGH);
+    });
+    
+    it('should flag a new device when the user has used others', function() {
+      const history = emptyHistory();
+      history.userAttempts.push({ uuid: UUID, deviceId: 'dev-1', timestamp: NOW - 10 * MINUTE, hour: 12 });
+      
+      const result = evaluateFraud({ uuid: UUID, deviceId: 'dev-2' }, history, NOW);
+      expect(codes(result)).to.include(REASONS.NEW_DEVICE);
+    });
+    
+    it('should flag bot-like completion time', function() {
+      const result = evaluateFraud({
+        uuid: UUID,
+        behavior: { completionTimeMs: 100, typingSpeedMsPerChar: null }
+      }, emptyHistory(), NOW);
+      
+      expect(codes(result)).to.include(REASONS.TOO_FAST);
+    });
+    
+    it('should flag amounts far above the user average', function() {
+      const history = emptyHistory();
+      history.transactions = [
+        { amount: 20, timestamp: NOW - 3 * 24 * 60 * MINUTE },
+        { amount: 30, timestamp: NOW - 2 * 24 * 60 * MINUTE }
+      ];
+      
+      const result = evaluateFraud({ uuid: UUID, amount: 1000 }, history, NOW);
+      expect(codes(result)).to.include(REASONS.AMOUNT_EXTREME);
+    });
+    
+    it('should only flag unusual hours with a timezone offset', function() {
+      const at3amUTC = Date.UTC(2025, 9, 19, 3, 0, 0);
+      const location = { latitude: 0, longitude: 0, country: null, timezoneOffset: null };
+      
+      const utc = evaluateFraud({ uuid: UUID, location }, emptyHistory(), at3amUTC);
+      expect(codes(utc)).to.not.include(REASONS.UNUSUAL_HOURS);
+      
+      const local = evaluateFraud({ uuid: UUID, location: { ...location, timezoneOffset: 0 } }, emptyHistory(), at3amUTC);
+      expect(codes(local)).to.include(REASONS.UNUSUAL_HOURS);
+    });
+  });
+  
+  describe('Currencies', function() {
+    
+    const DAY = 24 * 60 * MINUTE;
+    
+    before(function() {
+      setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEY: '1'.repeat(64) }));
+    });
+    
+    after(function() {
+      setKeyManager(null);
+    });
+    
+    it('should compare amounts in different currencies in EUR', async function() {
+      const redisClient = new FakeRedis();
+      for (let day = 5; day > 0; day--) {
+        await checkFraud(redisClient, { uuid: UUID, amount: '10.00', currency: 'EUR' }, { now: NOW - day * DAY });
+      }
+      
+      const yen = await checkFraud(redisClient, { uuid: UUID, amount: '1500', currency: 'JPY' }, { now: NOW });
+      const euros = await checkFraud(redisClient, { uuid: UUID, amount: '1500.00', currency: 'EUR' }, { now: NOW + MINUTE });
+      
+      expect(yen.level).to.equal(RISK_LEVELS.LOW);
+      expect(codes(yen)).to.not.include(REASONS.AMOUNT_EXTREME).and.not.include(REASONS.AMOUNT_HIGH);
+      expect(codes(euros)).to.include(REASONS.AMOUNT_EXTREME);
+    });
+    
+    it('should skip the amount check for unknown currencies', async function() {
+      const redisClient = new FakeRedis();
+      await checkFraud(redisClient, { uuid: UUID, amount: '10.00', currency: 'EUR' }, { now: NOW - DAY });
+      
+      const result = await checkFraud(redisClient, { uuid: UUID, amount: '5000', currency: 'XYZ' }, { now: NOW });
+      
+      expect(codes(result)).to.not.include(REASONS.AMOUNT_EXTREME).and.not.include(REASONS.AMOUNT_HIGH);
+    });
+  });
+  
+  describe('Input Validation', function() {
+    
+    it('should normalize a valid location', function() {
+      const result = normalizeLocation({ latitude: 48.85, longitude: 2.35, country: 'fr', timezone_offset: 60 });
+      expect(result.valid).to.be.true;
+      expect(result.location.country).to.equal('FR');
+      expect(result.location.timezoneOffset).to.equal(60);
+    });
+    
+    it('should reject out-of-range coordinates', function() {
+      expect(normalizeLocation({ latitude: 91, longitude: 0 }).valid).to.be.false;
+      expect(normalizeLocation({ latitude: 0, longitude: '1' }).valid).to.be.false;
+    });
+    
+    it('should reject invalid behavior timing', function() {
+      expect(normalizeBehavior({ completion_time_ms: -1 }).valid).to.be.false;
+      expect(normalizeBehavior({ completion_time_ms: 1500 }).valid).to.be.true;
+    });
+  });
+});
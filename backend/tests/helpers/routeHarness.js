@@ -0,0 +1,489 @@
+// Path: backend/tests/helpers/routeHarness.js
+
+/**
+ * Route Test Harness - Routers against in-memory Redis and PostgreSQL
+ *
+ * Route tests exercise the real routers, crypto and services. Only the
+ * I/O edges are replaced (in require.cache, before any router loads):
+ * - database/database.js     → in-memory tables (fakeDatabase)
+ * - middleware/rateLimiter.js → pass-through (limits need real Redis)
+ * - middleware/nonceValidator.js → pass-through
+ * - app.locals.redisClient   → FakeRedis (node-redis v4 subset)
+ *
+ * Not a test file itself (mocha only picks up *.test.js).
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const path = require('path');
+const Module = require('module');
+const express = require('express');
+
+const BACKEND_DIR = path.join(__dirname, '..', '..');
+
+// ============================================================================
+// FAKE REDIS
+// ============================================================================
+
+/**
+ * In-memory subset of the node-redis v4 client (strings, hashes, sets,
+ * lists, expiry) - enough for the session, token, lockout, fraud and
+ * cache services
+ */
+class FakeRedis {
+  constructor() {
+    this.values = new Map();
+    this.expiry = new Map();
+  }
+
+  _live(key) {
+    const expiresAt = this.expiry.get(key);
+    if (expiresAt !== undefined && Date.now() >= expiresAt) {
+      this.values.delete(key);
+      this.expiry.delete(key);
+    }
+    return this.values.get(key);
+  }
+
+  _typed(key, Type) {
+    let value = this._live(key);
+    if (!(value instanceof Type)) {
+      value = new Type();
+      this.values.set(key, value);
+    }
+    return value;
+  }
+
+  async get(key) {
+    const value = this._live(key);
+    return typeof value === 'string' ? value : null;
+  }
+
+  async set(key, value, options = {}) {
+    if (options.NX && this._live(key) !== undefined) {
+      return null;
+    }
+    this.values.set(key, String(value));
+    this.expiry.delete(key);
+    if (options.EX) this.expiry.set(key, Date.now() + options.EX * 1000);
+    if (options.PX) this.expiry.set(key, Date.now() + options.PX);
+    return 'OK';
+  }
+
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds });
+  }
+
+  async getDel(key) {
+    const value = await this.get(key);
+    await this.del(key);
+    return value;
+  }
+
+  async del(keys) {
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (this._live(key) !== undefined) deleted++;
+      this.values.delete(key);
+      this.expiry.delete(key);
+    }
+    return deleted;
+  }
+
+  async exists(key) {
+    return this._live(key) === undefined ? 0 : 1;
+  }
+
+  async incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  async incrBy(key, amount) {
+    const value = (parseInt(this._live(key), 10) || 0) + amount;
+    this.values.set(key, String(value));
+    return value;
+  }
+
+  async decrBy(key, amount) {
+    return this.incrBy(key, -amount);
+  }
+
+  async expire(key, seconds) {
+    if (this._live(key) === undefined) return 0;
+    this.expiry.set(key, Date.now() + seconds * 1000);
+    return 1;
+  }
+
+  async ttl(key) {
+    if (this._live(key) === undefined) return -2;
+    const expiresAt = this.expiry.get(key);
+    return expiresAt === undefined ? -1 : Math.ceil((expiresAt - Date.now()) / 1000);
+  }
+
+  async mGet(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async hIncrBy(key, field, amount) {
+    const hash = this._typed(key, Map);
+    const value = (parseInt(hash.get(field), 10) || 0) + amount;
+    hash.set(field, String(value));
+    return value;
+  }
+
+  async hGetAll(key) {
+    const hash = this._live(key);
+    return hash instanceof Map ? Object.fromEntries(hash) : {};
+  }
+
+  async sAdd(key, members) {
+    const set = this._typed(key, Set);
+    const before = set.size;
+    [].concat(members).forEach(member => set.add(String(member)));
+    return set.size - before;
+  }
+
+  async sMembers(key) {
+    const set = this._live(key);
+    return set instanceof Set ? [...set] : [];
+  }
+
+  async sIsMember(key, member) {
+    const set = this._live(key);
+    return set instanceof Set && set.has(String(member));
+  }
+
+  async sRem(key, members) {
+    const set = this._live(key);
+    if (!(set instanceof Set)) return 0;
+    return [].concat(members).filter(member => set.delete(String(member))).length;
+  }
+
+  async lPush(key, values) {
+    const list = this._typed(key, Array);
+    [].concat(values).forEach(value => list.unshift(String(value)));
+    return list.length;
+  }
+
+  async lRange(key, start, stop) {
+    const list = this._live(key);
+    return Array.isArray(list) ? list.slice(start, stop === -1 ? undefined : stop + 1) : [];
+  }
+
+  async lTrim(key, start, stop) {
+    const list = this._live(key);
+    if (Array.isArray(list)) {
+      this.values.set(key, list.slice(start, stop === -1 ? undefined : stop + 1));
+    }
+    return 'OK';
+  }
+
+  async scan(cursor, { MATCH }) {
+    const pattern = new RegExp('^' + MATCH.split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*') + '$');
+    const keys = [...this.values.keys()].filter(key => this._live(key) !== undefined && pattern.test(key));
+    return { cursor: 0, keys };
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+}
+
+// ============================================================================
+// FAKE DATABASE
+// ============================================================================
+
+/**
+ * Copy a row (callers must not share state with the "table")
+ */
+function copyRow(row) {
+  return row ? JSON.parse(JSON.stringify(row)) : null;
+}
+
+/**
+ * In-memory stand-in for the queries of database.js used by the
+ * enrollment, verification and recovery routes (one instance, reset
+ * between tests; callers destructure the functions, so no `this`)
+ */
+const tables = {};
+
+/**
+ * Insert or re-activate a device
+ */
+function upsertDevice(uuid, deviceId, { deviceName = null, publicKey = null, keyFingerprint = null, attestation = null } = {}) {
+  const key = `${uuid}:${deviceId}`;
+  const existing = tables.devices.get(key) || {};
+  const device = {
+    uuid,
+    device_id: deviceId,
+    device_name: deviceName || existing.device_name || null,
+    public_key: publicKey || existing.public_key || null,
+    key_fingerprint: keyFingerprint || existing.key_fingerprint || null,
+    attestation: attestation || existing.attestation || null,
+    status: 'active',
+    revoked_at: null
+  };
+  tables.devices.set(key, device);
+  return copyRow(device);
+}
+
+const fakeDatabase = {
+  tables,
+
+  reset() {
+    tables.wrappedKeys = new Map();
+    tables.devices = new Map();
+    tables.recoveryCodes = [];
+    tables.recoveryRequests = [];
+    tables.history = [];
+    tables.audit = [];
+  },
+
+  async storeWrappedKey({ uuid, wrappedKey, kmsKeyId, keyVersion = 1, factorCount, deviceId,
+    metadata = {}, sealedEnrollment = null, kdfParams = null, kmsProviders = null,
+    encryptionContext, device = {} }) {
+    if (tables.wrappedKeys.has(uuid)) {
+      return null; // Insert-only, like ON CONFLICT DO NOTHING
+    }
+    const row = {
+      uuid,
+      wrapped_key: wrappedKey,
+      kms_key_id: kmsKeyId,
+      key_version: keyVersion,
+      factor_count: factorCount,
+      device_id: deviceId,
+      metadata,
+      sealed_enrollment: sealedEnrollment,
+      kdf_params: kdfParams,
+      kms_providers: kmsProviders,
+      encryption_context: encryptionContext
+    };
+    tables.wrappedKeys.set(uuid, copyRow(row));
+    if (deviceId) {
+      upsertDevice(uuid, deviceId, device);
+    }
+    tables.audit.push({ uuid, action: 'STORE_WRAPPED_KEY' });
+    return copyRow(row);
+  },
+
+  async getWrappedKey(uuid) {
+    return copyRow(tables.wrappedKeys.get(uuid));
+  },
+
+  async rotateWrappedKey({ uuid, expectedKeyVersion, wrappedKey, kmsKeyId, factorCount, deviceId,
+    metadata, sealedEnrollment, kdfParams, kmsProviders, encryptionContext, rotationReason }) {
+    const row = tables.wrappedKeys.get(uuid);
+    if (!row || row.key_version !== expectedKeyVersion) {
+      return null;
+    }
+    tables.history.push({ uuid, keyVersion: row.key_version, reason: rotationReason });
+    Object.assign(row, copyRow({
+      wrapped_key: wrappedKey,
+      kms_key_id: kmsKeyId,
+      key_version: row.key_version + 1,
+      factor_count: factorCount,
+      device_id: deviceId,
+      metadata,
+      sealed_enrollment: sealedEnrollment,
+      kdf_params: kdfParams,
+      kms_providers: kmsProviders,
+      encryption_context: encryptionContext
+    }));
+    return copyRow(row);
+  },
+
+  async deleteWrappedKey(uuid) {
+    return tables.wrappedKeys.delete(uuid);
+  },
+
+  async exportUserData(uuid) {
+    return { wrapped_key: copyRow(tables.wrappedKeys.get(uuid)) };
+  },
+
+  async registerDevice({ uuid, deviceId, ...device }) {
+    return upsertDevice(uuid, deviceId, device);
+  },
+
+  async listDevices(uuid) {
+    return [...tables.devices.values()].filter(device => device.uuid === uuid).map(copyRow);
+  },
+
+  async getActiveDevices(uuid) {
+    return [...tables.devices.values()]
+      .filter(device => device.uuid === uuid && device.status === 'active')
+      .map(device => ({ device_id: device.device_id, public_key: device.public_key }));
+  },
+
+  async renameDevice({ uuid, deviceId, deviceName }) {
+    const device = tables.devices.get(`${uuid}:${deviceId}`);
+    if (!device) return null;
+    device.device_name = deviceName;
+    return copyRow(device);
+  },
+
+  async revokeDevice({ uuid, deviceId }) {
+    const device = tables.devices.get(`${uuid}:${deviceId}`);
+    if (!device || device.status !== 'active') return null;
+    device.status = 'revoked';
+    device.revoked_at = new Date().toISOString();
+    return copyRow(device);
+  },
+
+  async touchDevice() {},
+
+  async replaceRecoveryCodes({ uuid, codeHashes, reason }) {
+    tables.recoveryCodes.filter(code => code.uuid === uuid).forEach(code => { code.used = true; });
+    codeHashes.forEach(codeHash => tables.recoveryCodes.push({
+      id: tables.recoveryCodes.length + 1, uuid, code_hash: codeHash, used: false
+    }));
+    tables.audit.push({ uuid, action: 'RECOVERY_CODES_ISSUED', reason });
+    return codeHashes.length;
+  },
+
+  async getUnusedRecoveryCodes(uuid) {
+    return tables.recoveryCodes
+      .filter(code => code.uuid === uuid && !code.used)
+      .map(({ id, code_hash }) => ({ id, code_hash }));
+  },
+
+  async createRecoveryRequest({ uuid, codeId, requestId, completionTokenHash, cancelTokenHash,
+    executableAt, expiresAt, ipAddress }) {
+    const open = tables.recoveryRequests.some(request => request.uuid === uuid && request.status === 'pending' &&
+      new Date(request.expires_at) > new Date());
+    const code = tables.recoveryCodes.find(stored => stored.id === codeId && stored.uuid === uuid && !stored.used);
+    if (open || !code) {
+      return null;
+    }
+    code.used = true;
+    const request = {
+      id: requestId,
+      uuid,
+      completion_token_hash: completionTokenHash,
+      cancel_token_hash: cancelTokenHash,
+      status: 'pending',
+      requested_at: new Date().toISOString(),
+      executable_at: executableAt.toISOString(),
+      expires_at: expiresAt.toISOString(),
+      resolved_at: null,
+      ip_address: ipAddress
+    };
+    tables.recoveryRequests.push(request);
+    tables.audit.push({ uuid, action: 'RECOVERY_REQUESTED' });
+    return copyRow(request);
+  },
+
+  async writeAuditLog({ uuid, action }) {
+    tables.audit.push({ uuid, action });
+  }
+};
+
+fakeDatabase.reset();
+
+// ============================================================================
+// MODULE SUBSTITUTION
+// ============================================================================
+
+/**
+ * Pass-through Express middleware
+ */
+function passThrough(req, res, next) {
+  next();
+}
+
+const SUBSTITUTES = {
+  'database/database.js': fakeDatabase,
+  'middleware/rateLimiter.js': {
+    createGeneralRateLimiter: passThrough,
+    createPerUserRateLimiter: passThrough,
+    createNonceRateLimiter: passThrough,
+    createEnrollmentRateLimiter: passThrough,
+    createRetrievalRateLimiter: passThrough,
+    createDeletionRateLimiter: passThrough
+  },
+  'middleware/nonceValidator.js': { validateNonce: passThrough }
+};
+
+/**
+ * Put the substitutes in require.cache (idempotent)
+ */
+function installSubstitutes() {
+  for (const [relativePath, exports] of Object.entries(SUBSTITUTES)) {
+    const filename = path.join(BACKEND_DIR, relativePath);
+    if (require.cache[filename] && require.cache[filename].exports === exports) {
+      continue;
+    }
+
+    const substitute = new Module(filename);
+    substitute.filename = filename;
+    substitute.loaded = true;
+    substitute.exports = exports;
+    require.cache[filename] = substitute;
+  }
+}
+
+// ============================================================================
+// APP
+// ============================================================================
+
+/**
+ * Load a backend module with the substitutes in place
+ *
+ * @param {string} relativePath - e.g. 'routes/verificationRouter'
+ * @returns {*} Module exports
+ */
+function loadModule(relativePath) {
+  installSubstitutes();
+  return require(path.join(BACKEND_DIR, relativePath));
+}
+
+/**
+ * Load a fresh copy of the real module behind a substitute (e.g. to
+ * test a route with the real nonceValidator), without touching
+ * require.cache
+ *
+ * @param {string} relativePath - e.g. 'middleware/nonceValidator'
+ * @returns {*} Module exports
+ */
+function loadOriginal(relativePath) {
+  const filename = require.resolve(path.join(BACKEND_DIR, relativePath));
+  const original = new Module(filename, module);
+  original.filename = filename;
+  original.paths = Module._nodeModulePaths(path.dirname(filename));
+  original.load(filename);
+  return original.exports;
+}
+
+/**
+ * Express app with routers mounted and a fresh FakeRedis
+ *
+ * @param {Object} routes - Mount path → router module (e.g. { '/v1/token': 'routes/tokenRouter' })
+ * @returns {Object} { app, redisClient }
+ */
+function createApp(routes) {
+  const app = express();
+  const redisClient = new FakeRedis();
+
+  app.use(express.json());
+  app.locals.redisClient = redisClient;
+
+  for (const [mountPath, relativePath] of Object.entries(routes)) {
+    app.use(mountPath, loadModule(relativePath));
+  }
+
+  return { app, redisClient };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  FakeRedis,
+  fakeDatabase,
+  loadModule,
+  loadOriginal,
+  createApp
+};
@@ -0,0 +1,208 @@
+// Path: backend/tests/idempotency.test.js
+
+/**
+ * Idempotency Middleware Test Suite
+ * 
+ * Tests for:
+ * - Canonical request fingerprints
+ * - Idempotency-Key on routes: replay, key reuse, in-progress claim,
+ *   keys released after 5xx / 429 / 409 / nonce rejections
+ * 
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { describe, it, before, after, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { createApp, fakeDatabase, loadModule, loadOriginal } = require('./helpers/routeHarness');
+
+const { idempotency, fingerprintRequest, canonicalize } = loadModule('middleware/idempotency');
+const { setKeyManager } = loadModule('crypto/encryption');
+const { loadKeysFromEnv } = loadModule('crypto/keyManagement');
+const { validateNonce } = loadOriginal('middleware/nonceValidator');
+
+function fakeRequest(body, path = '/store') {
+  return { method: 'POST', baseUrl: '/v1/enrollment', path, body };
+}
+
+describe('Idempotency', function() {
+  
+  it('should canonicalize object keys in sorted order', function() {
+    expect(canonicalize({ b: 1, a: { d: [2, 1], c: null } }))
+      .to.equal('{"a":{"c":null,"d":[2,1]},"b":1}');
+  });
+  
+  it('should fingerprint equal bodies equally regardless of key order', function() {
+    const a = fingerprintRequest(fakeRequest({ user_uuid: 'u', factors: { PIN: 'x', FACE: 'y' } }));
+    const b = fingerprintRequest(fakeRequest({ factors: { FACE: 'y', PIN: 'x' }, user_uuid: 'u' }));
+    expect(a).to.equal(b);
+  });
+  
+  it('should ignore the nonce field', function() {
+    const a = fingerprintRequest(fakeRequest({ user_uuid: 'u', nonce: 'n1' }));
+    const b = fingerprintRequest(fakeRequest({ user_uuid: 'u', nonce: 'n2' }));
+    expect(a).to.equal(b);
+  });
+  
+  it('should differ for different bodies or endpoints', function() {
+    const base = fingerprintRequest(fakeRequest({ user_uuid: 'u' }));
+    expect(fingerprintRequest(fakeRequest({ user_uuid: 'v' }))).to.not.equal(base);
+    expect(fingerprintRequest(fakeRequest({ user_uuid: 'u' }, '/update'))).to.not.equal(base);
+  });
+});
+
+describe('Idempotency-Key Routes', function() {
+  
+  this.timeout(30000); // KDF per enrollment
+  
+  const FACTORS = { PIN: 'a'.repeat(64), FACE: 'e'.repeat(64) };
+  
+  let app;
+  let calls;
+  let outcomes;
+  
+  /**
+   * Test endpoint: idempotency → real nonce check → next queued outcome
+   */
+  function change(idempotencyKey, nonce = crypto.randomUUID(), body = { user_uuid: 'u' }) {
+    return request(app)
+      .post('/v1/test/change')
+      .set('Idempotency-Key', idempotencyKey)
+      .send({ ...body, nonce });
+  }
+  
+  function store(idempotencyKey, body) {
+    return request(app)
+      .post('/v1/enrollment/store')
+      .set('Idempotency-Key', idempotencyKey)
+      .send(body);
+  }
+  
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  before(function() {
+    setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEY: '1'.repeat(64) }));
+  });
+  
+  after(function() {
+    setKeyManager(null);
+  });
+  
+  beforeEach(function() {
+    let redisClient;
+    fakeDatabase.reset();
+    ({ app, redisClient } = createApp({ '/v1/enrollment': 'routes/enrollmentRouter' }));
+    
+    calls = 0;
+    outcomes = [];
+    app.post('/v1/test/change',
+      idempotency({ inProgressTtlSeconds: 1 }),
+      validateNonce(redisClient),
+      async (req, res) => {
+        calls++;
+        const outcome = outcomes.shift() || { status: 200 };
+        await outcome.wait;
+        res.status(outcome.status).json({ success: outcome.status === 200, call: calls });
+      });
+  });
+  
+  describe('Replay', function() {
+    
+    it('should replay the cached status and body', async function() {
+      const body = { user_uuid: crypto.randomUUID(), factors: FACTORS, device_id: 'device-1' };
+      
+      const first = await store('enroll-1', body);
+      const retry = await store('enroll-1', body);
+      
+      expect(first.status).to.equal(200);
+      expect(first.headers).to.not.have.property('idempotent-replayed');
+      expect(retry.status).to.equal(200);
+      expect(retry.headers['idempotent-replayed']).to.equal('true');
+      expect(retry.body).to.deep.equal(first.body);
+      expect(fakeDatabase.tables.audit.filter(entry => entry.action === 'STORE_WRAPPED_KEY')).to.have.lengthOf(1);
+    });
+    
+    it('should refuse the same key with a different body', async function() {
+      const body = { user_uuid: crypto.randomUUID(), factors: FACTORS, device_id: 'device-1' };
+      await store('enroll-1', body);
+      
+      const response = await store('enroll-1', { ...body, device_id: 'device-2' });
+      
+      expect(response.status).to.equal(422);
+      expect(response.body.code).to.equal('IDEMPOTENCY_KEY_REUSED');
+    });
+  });
+  
+  describe('In Progress', function() {
+    
+    it('should answer 409 while the first request runs', async function() {
+      let release;
+      outcomes.push({ status: 200, wait: new Promise(resolve => { release = resolve; }) });
+      
+      const first = change('key-1').then(response => response);
+      await sleep(100);
+      const concurrent = await change('key-1');
+      release();
+      
+      expect(concurrent.status).to.equal(409);
+      expect(concurrent.body.code).to.equal('IDEMPOTENCY_IN_PROGRESS');
+      expect(concurrent.headers['retry-after']).to.equal('1');
+      expect((await first).status).to.equal(200);
+      expect(calls).to.equal(1);
+    });
+    
+    it('should hold the claim past its TTL while a slow handler runs', async function() {
+      outcomes.push({ status: 200, wait: sleep(1600) });
+      
+      const first = change('key-1').then(response => response);
+      await sleep(1300);
+      const retry = await change('key-1');
+      
+      expect(retry.status).to.equal(409);
+      expect((await first).status).to.equal(200);
+      expect(calls).to.equal(1);
+    });
+  });
+  
+  describe('Released Keys', function() {
+    
+    it('should let a retry run again after a 5xx, 429 or 409', async function() {
+      for (const status of [500, 429, 409]) {
+        calls = 0;
+        outcomes.push({ status });
+        
+        const failed = await change(`key-${status}`);
+        const retry = await change(`key-${status}`);
+        
+        expect(failed.status).to.equal(status);
+        expect(retry.status).to.equal(200);
+        expect(retry.headers).to.not.have.property('idempotent-replayed');
+        expect(calls).to.equal(2);
+      }
+    });
+    
+    it('should not replay a nonce rejection to a retry with a fresh nonce', async function() {
+      const nonce = crypto.randomUUID();
+      outcomes.push({ status: 500 });
+      
+      const failed = await change('key-1', nonce);
+      const burnt = await change('key-1', nonce);
+      const fresh = await change('key-1');
+      const replayed = await change('key-1');
+      
+      expect(failed.status).to.equal(500);
+      expect(burnt.status).to.equal(403);
+      expect(burnt.body.code).to.equal('NONCE_ALREADY_USED');
+      expect(fresh.status).to.equal(200);
+      expect(fresh.headers).to.not.have.property('idempotent-replayed');
+      expect(replayed.headers['idempotent-replayed']).to.equal('true');
+      expect(replayed.body).to.deep.equal(fresh.body);
+      expect(calls).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+// Path: backend/tests/keyDerivation.test.js
+
+/**
+ * Versioned KDF Test Suite
+ *
+ * Tests for:
+ * - KDF parameter registry (PBKDF2, scrypt, Argon2id) and bounds
+ * - Rehash detection against the current parameters
+ * - Transparent upgrade on successful verification (re-wrap + re-seal)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  deriveKey,
+  normalizeKdfParams,
+  loadKdfParams,
+  needsRehash,
+  isArgon2Supported,
+  LEGACY_KDF_PARAMS
+} = require('../crypto/keyDerivation');
+const { enrollWithDoubleEncryption } = require('../crypto/doubleLayerCrypto');
+
+const CRYPTO_MODULES = [
+  '../crypto/keyDerivation',
+  '../crypto/thresholdKey',
+  '../crypto/doubleLayerCrypto'
+].map(name => require.resolve(name));
+
+/**
+ * Load fresh crypto modules under a different KDF configuration
+ * (current parameters are read once, at module load)
+ */
+function loadCryptoWithEnv(env) {
+  const savedModules = CRYPTO_MODULES.map(name => require.cache[name]);
+  const savedEnv = { ...process.env };
+
+  try {
+    CRYPTO_MODULES.forEach(name => delete require.cache[name]);
+    Object.assign(process.env, env);
+
+    return {
+      keyDerivation: require('../crypto/keyDerivation'),
+      doubleLayerCrypto: require('../crypto/doubleLayerCrypto')
+    };
+  } finally {
+    Object.keys(env).forEach(name => {
+      if (savedEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = savedEnv[name];
+      }
+    });
+    CRYPTO_MODULES.forEach((name, i) => {
+      require.cache[name] = savedModules[i];
+    });
+  }
+}
+
+describe('Versioned KDF', function() {
+
+  this.timeout(30000); // PBKDF2 / scrypt
+
+  const uuid = '550e8400-e29b-41d4-a716-446655440000';
+  const factorDigests = {
+    PIN: 'a'.repeat(64),
+    PATTERN_NORMAL: 'b'.repeat(64),
+    FACE: 'c'.repeat(64)
+  };
+  const scryptParams = { algorithm: 'scrypt', N: 16384, r: 8, p: 1 };
+
+  describe('Parameters', function() {
+
+    it('should treat missing parameters as legacy PBKDF2', function() {
+      expect(normalizeKdfParams(null)).to.equal(LEGACY_KDF_PARAMS);
+      expect(loadKdfParams({})).to.deep.equal(LEGACY_KDF_PARAMS);
+      expect(needsRehash(null, LEGACY_KDF_PARAMS)).to.be.false;
+    });
+
+    it('should load scrypt parameters from environment', function() {
+      const params = loadKdfParams({ KDF_ALGORITHM: 'scrypt', KDF_SCRYPT_N: '16384' });
+
+      expect(params).to.deep.equal(scryptParams);
+      expect(Object.isFrozen(params)).to.be.true;
+    });
+
+    it('should reject unknown algorithms and out-of-bounds costs', function() {
+      expect(() => normalizeKdfParams({ algorithm: 'md5' })).to.throw('Unknown KDF algorithm');
+      expect(() => normalizeKdfParams({ algorithm: 'pbkdf2', iterations: 1000 })).to.throw('iterations');
+      expect(() => normalizeKdfParams({ ...scryptParams, N: 20000 })).to.throw('power of 2');
+      expect(() => normalizeKdfParams({ algorithm: 'argon2id', memory: 1024, passes: 3, parallelism: 1 }))
+        .to.throw('memory');
+    });
+
+    it('should flag any difference from the current parameters', function() {
+      const stronger = { ...LEGACY_KDF_PARAMS, iterations: 600000 };
+
+      expect(needsRehash(null, normalizeKdfParams(scryptParams))).to.be.true;
+      expect(needsRehash(scryptParams, normalizeKdfParams(scryptParams))).to.be.false;
+      expect(needsRehash(LEGACY_KDF_PARAMS, normalizeKdfParams(stronger))).to.be.true;
+      expect(needsRehash({ algorithm: 'md5' }, LEGACY_KDF_PARAMS)).to.be.true;
+    });
+  });
+
+  describe('Derivation', function() {
+
+    it('should derive distinct, deterministic keys per algorithm', async function() {
+      const legacy = await deriveKey(uuid, factorDigests, LEGACY_KDF_PARAMS);
+      const scrypt = await deriveKey(uuid, factorDigests, normalizeKdfParams(scryptParams));
+      const scryptAgain = await deriveKey(uuid, factorDigests, normalizeKdfParams(scryptParams));
+
+      expect(scrypt).to.have.lengthOf(32);
+      expect(scrypt.equals(scryptAgain)).to.be.true;
+      expect(scrypt.equals(legacy)).to.be.false;
+    });
+
+    it('should derive with Argon2id where supported', async function() {
+      const params = normalizeKdfParams({ algorithm: 'argon2id', memory: 8192, passes: 1, parallelism: 1 });
+
+      if (!isArgon2Supported()) {
+        let error = null;
+        try {
+          await deriveKey(uuid, factorDigests, params);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.include('crypto.argon2');
+        expect(() => loadKdfParams({ KDF_ALGORITHM: 'argon2id' })).to.throw('crypto.argon2');
+        return;
+      }
+
+      const key = await deriveKey(uuid, factorDigests, params);
+      expect(key).to.have.lengthOf(32);
+    });
+  });
+
+  describe('Upgrade on Verification', function() {
+
+    const record = JSON.stringify({ user_uuid: uuid, factors: factorDigests });
+
+    it('should re-derive a legacy key with the current parameters', async function() {
+      // Enrolled before the upgrade: legacy parameters, nothing stored
+      const legacy = await enrollWithDoubleEncryption({ uuid, factorDigests, enrollmentRecord: record });
+      expect(legacy.kdfParams).to.deep.equal(LEGACY_KDF_PARAMS);
+
+      // Operator switches to scrypt (fresh modules, own KMS instance)
+      const { keyDerivation, doubleLayerCrypto } = loadCryptoWithEnv({
+        KDF_ALGORITHM: 'scrypt',
+        KDF_SCRYPT_N: '16384'
+      });
+      const kms = doubleLayerCrypto.getKMSProvider();
+      const legacyKey = await keyDerivation.deriveKey(uuid, factorDigests, LEGACY_KDF_PARAMS);
+      const wrappedKeyHex = (await kms.wrap(legacyKey, doubleLayerCrypto.buildEncryptionContext(uuid, 1))).toString('hex');
+
+      const result = await doubleLayerCrypto.verifyWithDoubleEncryption({
+        uuid,
+        factorDigests,
+        wrappedKeyHex,
+        kdfParams: null,
+        sealedRecordHex: legacy.sealedRecord
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.kdfUpgrade.kdfParams).to.deep.equal(scryptParams);
+      expect(result.kdfUpgrade.keyVersion).to.equal(2); // Stored as the next row version
+
+      // Upgraded key verifies with its stored parameters, no further upgrade
+      const upgraded = await doubleLayerCrypto.verifyWithDoubleEncryption({
+        uuid,
+        factorDigests,
+        wrappedKeyHex: result.kdfUpgrade.wrappedKey,
+        keyVersion: result.kdfUpgrade.keyVersion,
+        kdfParams: result.kdfUpgrade.kdfParams
+      });
+
+      expect(upgraded.success).to.be.true;
+      expect(upgraded.kdfUpgrade).to.be.null;
+
+      // Sealed record follows the key
+      const opened = await doubleLayerCrypto.unsealEnrollmentRecord({
+        uuid,
+        wrappedKeyHex: result.kdfUpgrade.wrappedKey,
+        keyVersion: result.kdfUpgrade.keyVersion,
+        sealedRecordHex: result.kdfUpgrade.sealedRecord
+      });
+      expect(opened).to.equal(record);
+    });
+
+    it('should not upgrade on failure or when told not to', async function() {
+      const { keyDerivation, doubleLayerCrypto } = loadCryptoWithEnv({
+        KDF_ALGORITHM: 'scrypt',
+        KDF_SCRYPT_N: '16384'
+      });
+      const kms = doubleLayerCrypto.getKMSProvider();
+      const legacyKey = await keyDerivation.deriveKey(uuid, factorDigests, LEGACY_KDF_PARAMS);
+      const wrappedKeyHex = (await kms.wrap(legacyKey, doubleLayerCrypto.buildEncryptionContext(uuid, 1))).toString('hex');
+
+      const wrong = await doubleLayerCrypto.verifyWithDoubleEncryption({
+        uuid,
+        factorDigests: { ...factorDigests, PIN: 'd'.repeat(64) },
+        wrappedKeyHex
+      });
+      const skipped = await doubleLayerCrypto.verifyWithDoubleEncryption({
+        uuid,
+        factorDigests,
+        wrappedKeyHex,
+        upgradeKdf: false
+      });
+
+      expect(wrong.success).to.be.false;
+      expect(wrong.kdfUpgrade).to.be.null;
+      expect(skipped.success).to.be.true;
+      expect(skipped.kdfUpgrade).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,249 @@
+// Path: backend/tests/keyRotation.test.js
+
+/**
+ * At-Rest Key Rotation Test Suite
+ *
+ * Tests for:
+ * - Key version header on ciphertexts, decryption by version
+ * - Reading headerless (pre-versioning) ciphertexts
+ * - Multi-version key loading from env
+ * - Re-encryption job over enrollment:*, session:*, cache:* and rollback
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it, before, after, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  encrypt,
+  decrypt,
+  encryptWithKey,
+  encryptWithVersion,
+  getCiphertextVersion,
+  setKeyManager
+} = require('../crypto/encryption');
+const { loadKeysFromEnv } = require('../crypto/keyManagement');
+const {
+  startReencryption,
+  getReencryptionStatus,
+  reencryptKey
+} = require('../services/reencryptionJob');
+
+const KEY_V1 = '1'.repeat(64);
+const KEY_V2 = '2'.repeat(64);
+
+/**
+ * Minimal string store (get / set / scan / eval compare-and-set)
+ */
+function createStringStore() {
+  const values = new Map();
+  const expiries = new Map();
+  const hooks = { beforeEval: null };
+
+  return {
+    values,
+    expiries,
+    hooks,
+    wrongType: new Set(),
+    async get(key) {
+      if (this.wrongType.has(key)) {
+        throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+      }
+      return values.has(key) ? values.get(key) : null;
+    },
+    async set(key, value, options = {}) {
+      if (options.NX && values.has(key)) {
+        return null;
+      }
+      values.set(key, value);
+      return 'OK';
+    },
+    async exists(key) {
+      return values.has(key) ? 1 : 0;
+    },
+    async expire() {
+      return 1;
+    },
+    async del(key) {
+      return values.delete(key) ? 1 : 0;
+    },
+    async scan(cursor, { MATCH }) {
+      const prefix = MATCH.replace('*', '');
+      const keys = [...values.keys(), ...this.wrongType].filter(key => key.startsWith(prefix));
+      return { cursor: 0, keys };
+    },
+    async eval(script, { keys: [key], arguments: [expected, replacement] }) {
+      if (hooks.beforeEval) {
+        hooks.beforeEval(key);
+      }
+      if (values.get(key) !== expected) {
+        return 0;
+      }
+      values.set(key, replacement);
+      return 1;
+    }
+  };
+}
+
+describe('At-Rest Key Rotation', function() {
+
+  before(function() {
+    setKeyManager(loadKeysFromEnv({
+      ENCRYPTION_KEYS: `1:${KEY_V1},2:${KEY_V2}`,
+      ENCRYPTION_KEY_VERSION: '2'
+    }));
+  });
+
+  after(function() {
+    setKeyManager(null); // Back to ENCRYPTION_KEY
+  });
+
+  describe('Key Versions', function() {
+
+    it('should load several versions with one active', function() {
+      const keyManager = loadKeysFromEnv({ ENCRYPTION_KEYS: `1:${KEY_V1}, 2:${KEY_V2}`, ENCRYPTION_KEY_VERSION: '1' });
+
+      expect(keyManager.getActiveVersion()).to.equal(1);
+      expect(keyManager.listKeys().map(key => key.status)).to.deep.equal(['active', 'deprecated']);
+      expect(loadKeysFromEnv({ ENCRYPTION_KEY: KEY_V1 }).getActiveVersion()).to.equal(1);
+      expect(JSON.stringify(keyManager.listKeys())).to.not.include(KEY_V1);
+    });
+
+    it('should reject malformed key configuration', function() {
+      expect(() => loadKeysFromEnv({})).to.throw('ENCRYPTION_KEY not set');
+      expect(() => loadKeysFromEnv({ ENCRYPTION_KEYS: '1:abcd' })).to.throw('64 hex characters');
+      expect(() => loadKeysFromEnv({ ENCRYPTION_KEYS: `1:${KEY_V1},1:${KEY_V2}` })).to.throw('Duplicate');
+      expect(() => loadKeysFromEnv({ ENCRYPTION_KEYS: `1:${KEY_V1}`, ENCRYPTION_KEY_VERSION: '3' }))
+        .to.throw('not in ENCRYPTION_KEYS');
+    });
+  });
+
+  describe('Ciphertext Header', function() {
+
+    it('should encrypt with the active version and decrypt any loaded one', async function() {
+      const current = await encrypt('payload');
+      const previous = await encryptWithVersion('payload', 1);
+
+      expect(getCiphertextVersion(current)).to.equal(2);
+      expect(getCiphertextVersion(previous)).to.equal(1);
+      expect(await decrypt(current)).to.equal('payload');
+      expect(await decrypt(previous)).to.equal('payload');
+    });
+
+    it('should read headerless ciphertexts with version 1', async function() {
+      const legacy = await encryptWithKey('payload', Buffer.from(KEY_V1, 'hex'));
+
+      expect(getCiphertextVersion(legacy)).to.be.null;
+      expect(await decrypt(legacy)).to.equal('payload');
+    });
+
+    it('should authenticate the header and stay hex', async function() {
+      const ciphertext = await encrypt('payload');
+      const relabelled = ciphertext.slice(0, 6) + '0001' + ciphertext.slice(10);
+      const reencoded = Buffer.from(Buffer.from(ciphertext, 'hex').toString('base64url'), 'base64url').toString('hex');
+
+      let error = null;
+      try {
+        await decrypt(relabelled);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.include('Authentication failed');
+      expect(await decrypt(reencoded)).to.equal('payload');
+    });
+
+    it('should name a version that is not loaded', async function() {
+      const ciphertext = await encrypt('payload');
+      setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEYS: `3:${'3'.repeat(64)}` }));
+
+      let error = null;
+      try {
+        await decrypt(ciphertext);
+      } catch (e) {
+        error = e;
+      } finally {
+        setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEYS: `1:${KEY_V1},2:${KEY_V2}`, ENCRYPTION_KEY_VERSION: '2' }));
+      }
+
+      expect(error.message).to.include('Key version 2 not loaded');
+    });
+  });
+
+  describe('Re-encryption Job', function() {
+
+    let store;
+
+    beforeEach(async function() {
+      store = createStringStore();
+      store.values.set('enrollment:user-a', await encryptWithKey('enrollment-a', Buffer.from(KEY_V1, 'hex')));
+      store.values.set('session:verification:s1', await encryptWithVersion('session-1', 1));
+      store.values.set('session:verification:s1:attempts', '3');
+      store.values.set('session:tokenhash', JSON.stringify({ userId: 'user-a' }));
+      store.values.set('cache:item', await encryptWithVersion('cache-item', 2));
+      store.values.set('idempotency:req', await encryptWithVersion('idempotent', 1));
+      store.wrongType.add('session:user:user-a');
+    });
+
+    it('should move payloads to the active version and report progress', async function() {
+      const { started, job, completion } = await startReencryption(store, { batchDelayMs: 0 });
+      expect(started).to.be.true;
+      expect(job.targetVersion).to.equal(2);
+
+      await completion;
+      const status = await getReencryptionStatus(store);
+
+      expect(status.status).to.equal('completed');
+      expect(status.counts).to.include({ reencrypted: 2, current: 1, skipped: 3, failed: 0 });
+      expect(status.sourceVersions).to.deep.equal({ legacy: 1, 1: 1 });
+      expect(status.progress).to.include({ patternsCompleted: 3, patternsTotal: 3 });
+
+      expect(getCiphertextVersion(store.values.get('enrollment:user-a'))).to.equal(2);
+      expect(await decrypt(store.values.get('enrollment:user-a'))).to.equal('enrollment-a');
+      expect(await decrypt(store.values.get('session:verification:s1'))).to.equal('session-1');
+      expect(store.values.get('session:verification:s1:attempts')).to.equal('3');
+      expect(getCiphertextVersion(store.values.get('idempotency:req'))).to.equal(1); // Out of scope
+    });
+
+    it('should run one job at a time', async function() {
+      const first = await startReencryption(store, { batchDelayMs: 0 });
+      const second = await startReencryption(store, { batchDelayMs: 0 });
+      await first.completion;
+
+      expect(second.started).to.be.false;
+      expect(second.error).to.include('already running');
+    });
+
+    it('should roll back to the version the last job moved payloads from', async function() {
+      store.values.delete('enrollment:user-a'); // Single source version (1)
+      await (await startReencryption(store, { batchDelayMs: 0 })).completion;
+
+      store.values.set('cache:new', await encrypt('written-after')); // v2, not moved by the job
+      const rollback = await startReencryption(store, { rollback: true, batchDelayMs: 0 });
+      await rollback.completion;
+
+      expect(rollback.job).to.include({ type: 'rollback', targetVersion: 1 });
+      expect(getCiphertextVersion(store.values.get('session:verification:s1'))).to.equal(1);
+      expect(getCiphertextVersion(store.values.get('cache:item'))).to.equal(1);
+      expect(await decrypt(store.values.get('cache:new'))).to.equal('written-after');
+    });
+
+    it('should refuse a rollback without a completed job', async function() {
+      const result = await startReencryption(store, { rollback: true });
+
+      expect(result.started).to.be.false;
+      expect(result.error).to.include('No completed re-encryption job');
+    });
+
+    it('should leave a value written concurrently alone', async function() {
+      store.hooks.beforeEval = key => store.values.set(key, 'written-by-request');
+
+      const { outcome } = await reencryptKey(store, 'session:verification:s1', { targetVersion: 2 });
+
+      expect(outcome).to.equal('changed');
+      expect(store.values.get('session:verification:s1')).to.equal('written-by-request');
+    });
+  });
+});
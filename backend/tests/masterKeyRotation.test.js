@@ -0,0 +1,267 @@
+// Path: backend/tests/masterKeyRotation.test.js
+
+/**
+ * KMS Master Key Rotation Test Suite
+ *
+ * Tests for:
+ * - Bulk re-wrap of wrapped_keys under the new KMS key (no user factors)
+ * - History rows, skipped current rows, per-row failures
+ * - One job at a time, resume after interruption, throttling
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { LocalKMSProvider } = require('../crypto/kmsProvider');
+const { buildEncryptionContext } = require('../crypto/doubleLayerCrypto');
+const {
+  startMasterKeyRotation,
+  getMasterKeyRotationStatus,
+  ROTATION_REASON
+} = require('../services/masterKeyRotationJob');
+
+/**
+ * In-memory stand-in for the rotation queries of database.js
+ */
+function createFakeDatabase() {
+  const rows = new Map();
+  const jobs = [];
+  const hooks = { beforeList: null, beforeRotate: null };
+  let locked = false;
+
+  return {
+    rows,
+    jobs,
+    hooks,
+    history: [],
+    async countWrappedKeys() {
+      return rows.size;
+    },
+    async listWrappedKeysAfter(afterUuid, limit) {
+      if (hooks.beforeList) {
+        hooks.beforeList(afterUuid);
+      }
+      return [...rows.keys()].sort()
+        .filter(uuid => afterUuid === null || uuid > afterUuid)
+        .slice(0, limit)
+        .map(uuid => ({ ...rows.get(uuid) }));
+    },
+    async rotateWrappedKey(params) {
+      if (hooks.beforeRotate) {
+        hooks.beforeRotate(params.uuid);
+      }
+      const row = rows.get(params.uuid);
+      if (!row || row.key_version !== params.expectedKeyVersion) {
+        return null;
+      }
+      this.history.push({ uuid: params.uuid, reason: params.rotationReason, rotatedBy: params.rotatedBy });
+      Object.assign(row, {
+        wrapped_key: params.wrappedKey,
+        kms_key_id: params.kmsKeyId,
+        key_version: row.key_version + 1,
+        kms_providers: params.kmsProviders,
+        encryption_context: params.encryptionContext
+      });
+      return row;
+    },
+    async saveKmsRotationJob(job) {
+      const index = jobs.findIndex(entry => entry.id === job.id);
+      const copy = JSON.parse(JSON.stringify(job));
+      if (index === -1) {
+        jobs.push(copy);
+      } else {
+        jobs[index] = copy;
+      }
+    },
+    async getLastKmsRotationJob() {
+      return jobs.length > 0 ? JSON.parse(JSON.stringify(jobs[jobs.length - 1])) : null;
+    },
+    async acquireKmsRotationLock() {
+      if (locked) {
+        return null;
+      }
+      locked = true;
+      return { release: async () => { locked = false; } };
+    },
+    async isKmsRotationLocked() {
+      return locked;
+    }
+  };
+}
+
+/**
+ * Local provider with its own key ID
+ */
+function createProvider(keyId) {
+  const provider = new LocalKMSProvider();
+  provider.keyId = keyId;
+  return provider;
+}
+
+describe('KMS Master Key Rotation', function() {
+
+  const UUIDS = [1, 2, 3, 4, 5].map(i => `00000000-0000-4000-8000-00000000000${i}`);
+  let db;
+  let oldKms;
+  let newKms;
+  let derivedKeys;
+
+  /**
+   * Start a job against the fake database and wait for it
+   */
+  async function rotate(options = {}) {
+    const result = await startMasterKeyRotation({
+      db,
+      sourceKms: oldKms,
+      targetKms: newKms,
+      rowsPerSecond: 1000,
+      batchSize: 2,
+      startedBy: 'cli',
+      ...options
+    });
+    return result.started ? await result.completion : result;
+  }
+
+  beforeEach(async function() {
+    db = createFakeDatabase();
+    oldKms = createProvider('old-key');
+    newKms = createProvider('new-key');
+    derivedKeys = new Map();
+
+    for (const uuid of UUIDS) {
+      const derivedKey = crypto.randomBytes(32);
+      const wrapped = await oldKms.wrap(Buffer.from(derivedKey), buildEncryptionContext(uuid, 1));
+      derivedKeys.set(uuid, derivedKey);
+      db.rows.set(uuid, {
+        uuid,
+        wrapped_key: wrapped.toString('hex'),
+        kms_key_id: 'old-key',
+        key_version: 1,
+        factor_count: 2,
+        device_id: null,
+        metadata: {},
+        sealed_enrollment: null,
+        kdf_params: null,
+        kms_providers: null
+      });
+    }
+  });
+
+  it('should re-wrap every key under the new master key', async function() {
+    const job = await rotate();
+
+    expect(job.status).to.equal('completed');
+    expect(job.counts).to.deep.equal({ scanned: 5, rewrapped: 5, current: 0, changed: 0, failed: 0 });
+    expect(db.history.every(entry => entry.reason === ROTATION_REASON && entry.rotatedBy === 'cli')).to.be.true;
+
+    for (const uuid of UUIDS) {
+      const row = db.rows.get(uuid);
+      const unwrapped = await newKms.unwrap(Buffer.from(row.wrapped_key, 'hex'), buildEncryptionContext(uuid, 2));
+
+      expect(row.kms_key_id).to.equal('new-key');
+      expect(row.key_version).to.equal(2);
+      expect(unwrapped.equals(derivedKeys.get(uuid))).to.be.true;
+    }
+
+    const status = await getMasterKeyRotationStatus({ db });
+    expect(status.progress).to.include({ processed: 5, total: 5, percent: 100, etaSeconds: 0 });
+  });
+
+  it('should skip keys already under the new master key unless forced', async function() {
+    await rotate();
+    const again = await rotate({ resume: false });
+    const forced = await rotate({ resume: false, force: true });
+
+    expect(again.counts).to.include({ current: 5, rewrapped: 0 });
+    expect(forced.counts).to.include({ current: 0, rewrapped: 5 });
+    expect(db.rows.get(UUIDS[0]).key_version).to.equal(3);
+  });
+
+  it('should record failed rows and carry on', async function() {
+    db.rows.get(UUIDS[1]).wrapped_key = 'ab'.repeat(40);
+
+    const job = await rotate();
+
+    expect(job.status).to.equal('completed');
+    expect(job.counts).to.include({ rewrapped: 4, failed: 1 });
+    expect(job.failures).to.have.length(1);
+    expect(job.failures[0].uuid).to.equal(UUIDS[1]);
+    expect(db.rows.get(UUIDS[1]).kms_key_id).to.equal('old-key');
+  });
+
+  it('should leave a key changed during the job to the user rotation', async function() {
+    db.hooks.beforeRotate = uuid => {
+      if (uuid === UUIDS[2]) {
+        db.rows.get(uuid).key_version = 2;
+      }
+    };
+
+    const job = await rotate();
+
+    expect(job.counts).to.include({ rewrapped: 4, changed: 1 });
+    expect(db.history).to.have.length(4);
+  });
+
+  it('should run one job at a time', async function() {
+    const lock = await db.acquireKmsRotationLock();
+
+    const result = await rotate();
+    await lock.release();
+
+    expect(result.started).to.be.false;
+    expect(result.error).to.include('already running');
+  });
+
+  it('should resume an interrupted job after its cursor', async function() {
+    db.hooks.beforeList = afterUuid => {
+      if (afterUuid === UUIDS[1]) {
+        throw new Error('connection terminated');
+      }
+    };
+
+    const failed = await rotate();
+    expect(failed.status).to.equal('failed');
+    expect(failed.cursor).to.equal(UUIDS[1]);
+    expect(failed.counts.rewrapped).to.equal(2);
+
+    db.hooks.beforeList = null;
+    const result = await startMasterKeyRotation({
+      db, sourceKms: oldKms, targetKms: newKms, rowsPerSecond: 1000, batchSize: 2
+    });
+    const job = await result.completion;
+
+    expect(result.resumed).to.be.true;
+    expect(job.id).to.equal(failed.id);
+    expect(job.status).to.equal('completed');
+    expect(job.counts).to.include({ scanned: 5, rewrapped: 5 });
+    expect(db.history).to.have.length(5);
+  });
+
+  it('should report a running job without the lock as interrupted', async function() {
+    await db.saveKmsRotationJob({
+      id: 'job-1',
+      status: 'running',
+      total: 5,
+      counts: { scanned: 2, rewrapped: 2, current: 0, changed: 0, failed: 0 },
+      run: { startedAt: Date.now() - 1000, scannedAtStart: 0 },
+      finishedAt: null
+    });
+
+    const status = await getMasterKeyRotationStatus({ db });
+
+    expect(status.status).to.equal('interrupted');
+    expect(status.progress).to.include({ processed: 2, total: 5, percent: 40, etaSeconds: null });
+  });
+
+  it('should throttle KMS calls', async function() {
+    const startedAt = Date.now();
+    const job = await rotate({ rowsPerSecond: 20 });
+
+    expect(job.counts.rewrapped).to.equal(5);
+    expect(Date.now() - startedAt).to.be.at.least(190);
+  });
+});
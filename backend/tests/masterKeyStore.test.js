@@ -0,0 +1,200 @@
+// Path: backend/tests/masterKeyStore.test.js
+
+/**
+ * Self-Hosted KMS Test Suite
+ *
+ * Tests for:
+ * - Passphrase-sealed keystore file (create, unseal, tampering)
+ * - KeyStoreKMSProvider wrap / unwrap across restarts and instances
+ * - Master key rotation (older versions keep unwrapping)
+ * - PKCS#11 key store (SoftHSM; skipped unless SOFTHSM2_MODULE is set)
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { KeyStoreKMSProvider } = require('../crypto/kmsProvider');
+const {
+  SealedFileKeyStore,
+  createKeyStoreFile,
+  rotateKeyStoreFile,
+  loadMasterKeyStore
+} = require('../crypto/masterKeyStore');
+
+const PASSPHRASE = 'correct horse battery staple';
+const FAST_SCRYPT = { N: 1024, r: 8, p: 1 }; // Test speed only
+const CONTEXT = { uuid: 'user-a', key_version: '1', purpose: 'key-wrapping' };
+
+/**
+ * Await a promise expected to reject, return its error
+ */
+async function rejectionOf(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  return null;
+}
+
+describe('Self-Hosted KMS', function() {
+
+  let dir;
+  let keystorePath;
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeropay-keystore-'));
+  });
+
+  after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(function() {
+    keystorePath = path.join(dir, `${crypto.randomUUID()}.json`);
+    createKeyStoreFile(keystorePath, PASSPHRASE, { scrypt: FAST_SCRYPT });
+  });
+
+  describe('Sealed Keystore File', function() {
+
+    it('should hold no usable key material and be private to the owner', function() {
+      const data = JSON.parse(fs.readFileSync(keystorePath, 'utf8'));
+      const store = new SealedFileKeyStore(keystorePath, PASSPHRASE);
+
+      expect(data.keys).to.have.lengthOf(1);
+      expect(data.keys[0].sealed).to.not.include(store.getKey(1).toString('base64'));
+      expect(fs.statSync(keystorePath).mode & 0o777).to.equal(0o600);
+      expect(() => createKeyStoreFile(keystorePath, PASSPHRASE)).to.throw('already exists');
+    });
+
+    it('should refuse a wrong passphrase or a relabelled key', function() {
+      rotateKeyStoreFile(keystorePath, PASSPHRASE);
+      const data = JSON.parse(fs.readFileSync(keystorePath, 'utf8'));
+      [data.keys[0].version, data.keys[1].version] = [2, 1];
+      const swappedPath = path.join(dir, 'swapped.json');
+      fs.writeFileSync(swappedPath, JSON.stringify(data));
+
+      expect(() => new SealedFileKeyStore(keystorePath, 'wrong passphrase')).to.throw('Cannot unseal master key v1');
+      expect(() => new SealedFileKeyStore(swappedPath, PASSPHRASE)).to.throw('Cannot unseal');
+      expect(() => rotateKeyStoreFile(keystorePath, 'wrong passphrase')).to.throw('Cannot unseal');
+    });
+
+    it('should load from env with the passphrase in a file', function() {
+      const passphraseFile = path.join(dir, 'passphrase');
+      fs.writeFileSync(passphraseFile, `${PASSPHRASE}\n`);
+
+      const store = loadMasterKeyStore({ LOCAL_KMS_KEYSTORE: keystorePath, LOCAL_KMS_PASSPHRASE_FILE: passphraseFile });
+
+      expect(store.getName()).to.equal('file');
+      expect(loadMasterKeyStore({})).to.be.null;
+      expect(() => loadMasterKeyStore({ LOCAL_KMS_KEYSTORE: keystorePath })).to.throw('passphrase required');
+    });
+  });
+
+  describe('KeyStoreKMSProvider', function() {
+
+    it('should unwrap after a restart', async function() {
+      const derivedKey = crypto.randomBytes(32);
+      const copy = Buffer.from(derivedKey);
+
+      const wrapped = await new KeyStoreKMSProvider(new SealedFileKeyStore(keystorePath, PASSPHRASE)).wrap(derivedKey, CONTEXT);
+      const restarted = new KeyStoreKMSProvider(new SealedFileKeyStore(keystorePath, PASSPHRASE));
+
+      expect(derivedKey.equals(Buffer.alloc(32))).to.be.true; // Wiped
+      expect(restarted.getKeyVersion(wrapped)).to.equal(1);
+      expect((await restarted.unwrap(wrapped, CONTEXT)).equals(copy)).to.be.true;
+    });
+
+    it('should keep unwrapping older versions after rotation', async function() {
+      const kms = new KeyStoreKMSProvider(new SealedFileKeyStore(keystorePath, PASSPHRASE));
+      const otherInstance = new KeyStoreKMSProvider(new SealedFileKeyStore(keystorePath, PASSPHRASE));
+      const derivedKey = crypto.randomBytes(32);
+      const wrappedV1 = await kms.wrap(Buffer.from(derivedKey), CONTEXT);
+
+      rotateKeyStoreFile(keystorePath, PASSPHRASE);
+      kms.keyStore.load();
+      const wrappedV2 = await kms.wrap(Buffer.from(derivedKey), CONTEXT);
+      const rewrapped = await kms.rewrap(Buffer.from(wrappedV1), CONTEXT);
+
+      expect(kms.getKeyVersion(wrappedV2)).to.equal(2);
+      expect(kms.getKeyVersion(rewrapped)).to.equal(2);
+      expect((await kms.unwrap(wrappedV1, CONTEXT)).equals(derivedKey)).to.be.true;
+      expect((await otherInstance.unwrap(wrappedV2, CONTEXT)).equals(derivedKey)).to.be.true; // Reloads v2
+      expect((await kms.getKeyMetadata()).versions.map(v => v.active)).to.deep.equal([false, true]);
+    });
+
+    it('should authenticate the version header', async function() {
+      rotateKeyStoreFile(keystorePath, PASSPHRASE);
+      const kms = new KeyStoreKMSProvider(new SealedFileKeyStore(keystorePath, PASSPHRASE));
+      const wrapped = await kms.wrap(crypto.randomBytes(32), CONTEXT);
+
+      const relabelled = Buffer.from(wrapped);
+      relabelled.writeUInt16BE(1, 3);
+
+      const tampered = await rejectionOf(kms.unwrap(relabelled, CONTEXT));
+      const unknown = await rejectionOf(kms.unwrap(Buffer.concat([Buffer.from('ZKM'), Buffer.from([0, 9]), wrapped.subarray(5)]), CONTEXT));
+      const foreign = await rejectionOf(kms.unwrap(crypto.randomBytes(60), CONTEXT));
+
+      expect(tampered.message).to.include('Key store unwrap failed');
+      expect(unknown.message).to.include('Master key version 9 not available');
+      expect(foreign.message).to.include('not a key store wrapped key');
+    });
+  });
+
+  describe('PKCS#11 (SoftHSM)', function() {
+
+    // softhsm2-util --init-token --free --label zeropay --pin 1234 --so-pin 5678
+    // SOFTHSM2_MODULE=/usr/lib/softhsm/libsofthsm2.so SOFTHSM2_PIN=1234 npm test
+
+    it('should wrap inside the token across versions', async function() {
+      let pkcs11Available = Boolean(process.env.SOFTHSM2_MODULE);
+      try {
+        require.resolve('pkcs11js');
+      } catch (e) {
+        pkcs11Available = false;
+      }
+      if (!pkcs11Available) {
+        console.log('   ⚠️  SoftHSM / pkcs11js not available, skipping');
+        this.skip();
+      }
+
+      const env = {
+        LOCAL_KMS_PKCS11_MODULE: process.env.SOFTHSM2_MODULE,
+        LOCAL_KMS_PKCS11_PIN: process.env.SOFTHSM2_PIN || '1234',
+        LOCAL_KMS_PKCS11_KEY_LABEL: `zeropay-test-${crypto.randomUUID()}`
+      };
+      const { Pkcs11KeyStore } = require('../crypto/masterKeyStore');
+      const setup = new Pkcs11KeyStore({
+        modulePath: env.LOCAL_KMS_PKCS11_MODULE,
+        pin: env.LOCAL_KMS_PKCS11_PIN,
+        keyLabel: env.LOCAL_KMS_PKCS11_KEY_LABEL,
+        requireKey: false
+      });
+      setup.generateVersion();
+      setup.close();
+
+      const store = loadMasterKeyStore(env);
+      const kms = new KeyStoreKMSProvider(store);
+      const derivedKey = crypto.randomBytes(32);
+
+      try {
+        const wrappedV1 = await kms.wrap(Buffer.from(derivedKey), CONTEXT);
+        store.generateVersion();
+        const wrappedV2 = await kms.wrap(Buffer.from(derivedKey), CONTEXT);
+
+        expect(kms.getKeyVersion(wrappedV2)).to.equal(2);
+        expect((await kms.unwrap(wrappedV1, CONTEXT)).equals(derivedKey)).to.be.true;
+        expect((await kms.unwrap(wrappedV2, CONTEXT)).equals(derivedKey)).to.be.true;
+      } finally {
+        store.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,213 @@
+// Path: backend/tests/migrations.test.js
+
+/**
+ * Database Migrations Test Suite
+ *
+ * Tests for:
+ * - Migration files: ordering, up/down pairs, checksums
+ * - Baseline covers every table database.js queries
+ * - Applying / rolling back with schema_migrations bookkeeping
+ * - Refusing edited or unknown applied migrations
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback
+} = require('../database/migrator');
+
+/**
+ * Await a promise expected to reject, return its error
+ */
+async function rejectionOf(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  return null;
+}
+
+/**
+ * pg client stand-in: keeps schema_migrations rows, records other statements
+ */
+function createFakeClient({ failOn = null } = {}) {
+  const rows = new Map();
+  let pending = null;
+
+  return {
+    rows,
+    executed: [],
+    async query(sql, params = []) {
+      const text = sql.trim();
+
+      if (text === 'BEGIN') {
+        pending = new Map(rows);
+      } else if (text === 'ROLLBACK') {
+        rows.clear();
+        pending.forEach((row, version) => rows.set(version, row));
+      } else if (text.startsWith('SELECT version, name, checksum')) {
+        return { rows: [...rows.values()].sort((a, b) => a.version - b.version) };
+      } else if (text.startsWith('INSERT INTO schema_migrations')) {
+        rows.set(params[0], { version: params[0], name: params[1], checksum: params[2], applied_at: new Date() });
+      } else if (text.startsWith('DELETE FROM schema_migrations')) {
+        rows.delete(params[0]);
+      } else if (!/^(COMMIT|SELECT pg_advisory|CREATE TABLE IF NOT EXISTS schema_migrations)/.test(text)) {
+        if (failOn && text.includes(failOn)) {
+          throw new Error('syntax error');
+        }
+        this.executed.push(text);
+      }
+
+      return { rows: [] };
+    }
+  };
+}
+
+describe('Database Migrations', function() {
+
+  let dir;
+
+  /**
+   * Write migration files into the temp directory
+   */
+  function writeMigrations(files) {
+    for (const [file, sql] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, file), sql);
+    }
+    return loadMigrations(dir);
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeropay-migrations-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('Files', function() {
+
+    it('should load the repository migrations in order with checksums', function() {
+      const migrations = loadMigrations();
+
+      expect(migrations[0]).to.include({ version: 1, name: 'baseline' });
+      expect(migrations.map(m => m.version)).to.deep.equal([...migrations.map(m => m.version)].sort((a, b) => a - b));
+      migrations.forEach(migration => {
+        expect(migration.checksum).to.match(/^[0-9a-f]{64}$/);
+        expect(migration.down).to.be.a('string').that.is.not.empty;
+      });
+    });
+
+    it('should create every table the database module queries', function() {
+      const source = fs.readFileSync(path.join(__dirname, '../database/database.js'), 'utf8');
+      const queried = new Set([...source.matchAll(/\b(?:FROM|INTO|UPDATE)\s+([a-z_]+)/g)].map(match => match[1]));
+      ['information_schema', 'pg_locks'].forEach(name => queried.delete(name));
+
+      const created = new Set(loadMigrations().flatMap(migration =>
+        [...migration.up.matchAll(/CREATE TABLE IF NOT EXISTS ([a-z_]+)/g)].map(match => match[1])));
+
+      expect(queried.size).to.be.above(5);
+      expect([...queried].filter(table => !created.has(table))).to.deep.equal([]);
+    });
+
+    it('should reject missing halves, duplicates and stray files', function() {
+      fs.writeFileSync(path.join(dir, '001_a.up.sql'), 'SELECT 1;');
+      expect(() => loadMigrations(dir)).to.throw('001_a has no down file');
+
+      fs.writeFileSync(path.join(dir, '001_a.down.sql'), 'SELECT 1;');
+      fs.writeFileSync(path.join(dir, '1_b.up.sql'), 'SELECT 1;');
+      expect(() => loadMigrations(dir)).to.throw('Duplicate migration version: 1');
+
+      fs.rmSync(path.join(dir, '1_b.up.sql'));
+      fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+      expect(() => loadMigrations(dir)).to.throw('Unrecognised migration file: notes.txt');
+    });
+  });
+
+  describe('Runner', function() {
+
+    let migrations;
+
+    beforeEach(function() {
+      migrations = writeMigrations({
+        '001_create_a.up.sql': 'CREATE TABLE a ();',
+        '001_create_a.down.sql': 'DROP TABLE a;',
+        '002_create_b.up.sql': 'CREATE TABLE b ();',
+        '002_create_b.down.sql': 'DROP TABLE b;',
+        '010_create_c.up.sql': 'CREATE TABLE c ();',
+        '010_create_c.down.sql': 'DROP TABLE c;'
+      });
+    });
+
+    it('should apply pending migrations in order once', async function() {
+      const client = createFakeClient();
+
+      const first = await migrate(client, { to: 2, migrations });
+      const second = await migrate(client, { migrations });
+      const third = await migrate(client, { migrations });
+
+      expect(first.map(m => m.version)).to.deep.equal([1, 2]);
+      expect(second.map(m => m.version)).to.deep.equal([10]);
+      expect(third).to.be.empty;
+      expect(client.executed).to.deep.equal(['CREATE TABLE a ();', 'CREATE TABLE b ();', 'CREATE TABLE c ();']);
+      expect(client.rows.get(10).checksum).to.equal(migrations[2].checksum);
+    });
+
+    it('should not record a migration that fails', async function() {
+      const client = createFakeClient({ failOn: 'TABLE b' });
+
+      const error = await rejectionOf(migrate(client, { migrations }));
+
+      expect(error.message).to.equal('Migration 002_create_b failed: syntax error');
+      expect([...client.rows.keys()]).to.deep.equal([1]);
+    });
+
+    it('should roll back newest first by steps or target', async function() {
+      const client = createFakeClient();
+      await migrate(client, { migrations });
+
+      const one = await rollback(client, { migrations });
+      const rest = await rollback(client, { to: 0, migrations });
+
+      expect(one.map(m => m.version)).to.deep.equal([10]);
+      expect(rest.map(m => m.version)).to.deep.equal([2, 1]);
+      expect(client.executed.slice(3)).to.deep.equal(['DROP TABLE c;', 'DROP TABLE b;', 'DROP TABLE a;']);
+      expect(client.rows.size).to.equal(0);
+    });
+
+    it('should refuse to run after an applied migration was edited', async function() {
+      const client = createFakeClient();
+      await migrate(client, { to: 1, migrations });
+
+      fs.writeFileSync(path.join(dir, '001_create_a.up.sql'), 'CREATE TABLE a (id INTEGER);');
+      const edited = loadMigrations(dir);
+      const error = await rejectionOf(migrate(client, { migrations: edited }));
+      const status = await getMigrationStatus(client, { migrations: edited });
+
+      expect(error.message).to.include('Checksum mismatch for applied migration 001_create_a');
+      expect(status.map(m => [m.version, m.applied, m.checksumMatch])).to.deep.equal([
+        [1, true, false], [2, false, null], [10, false, null]
+      ]);
+    });
+
+    it('should refuse a database ahead of the migration files', async function() {
+      const client = createFakeClient();
+      await migrate(client, { migrations });
+
+      const error = await rejectionOf(migrate(client, { migrations: migrations.slice(0, 2) }));
+
+      expect(error.message).to.include('010_create_c is applied but has no file');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// Path: backend/tests/recoveryCodes.test.js
+
+/**
+ * Recovery Codes Test Suite
+ *
+ * Tests for:
+ * - Code format and uniqueness
+ * - Input normalization (case, dashes, Crockford aliases)
+ * - Slow hash round trip
+ * - Request token hashing
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  verifyRecoveryCode,
+  generateRecoveryToken,
+  verifyRecoveryToken
+} = require('../crypto/recoveryCodes');
+
+describe('Recovery Codes', function() {
+
+  this.timeout(10000); // scrypt
+
+  it('should generate unique grouped codes', function() {
+    const codes = generateRecoveryCodes(10);
+
+    expect(codes).to.have.lengthOf(10);
+    expect(new Set(codes).size).to.equal(10);
+    codes.forEach(code => expect(code).to.match(/^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){3}$/));
+  });
+
+  it('should normalize user input', function() {
+    expect(normalizeRecoveryCode('7k2m 9qxd-4hnb-t0wz')).to.equal('7K2M9QXD4HNBT0WZ');
+    expect(normalizeRecoveryCode('OIL0-0000-0000-0000')).to.equal('0110000000000000');
+    expect(normalizeRecoveryCode('7K2M-9QXD-4HNB')).to.be.null;
+    expect(normalizeRecoveryCode('7K2M-9QXD-4HNB-T0WU')).to.be.null;
+    expect(normalizeRecoveryCode(null)).to.be.null;
+  });
+
+  it('should store only a salted slow hash', async function() {
+    const [code] = generateRecoveryCodes(1);
+    const first = await hashRecoveryCode(code);
+    const second = await hashRecoveryCode(code);
+
+    expect(first).to.match(/^scrypt\$16384\$8\$1\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    expect(first).to.not.include(code.replace(/-/g, ''));
+    expect(first).to.not.equal(second);
+  });
+
+  it('should verify a code regardless of formatting', async function() {
+    const [code, other] = generateRecoveryCodes(2);
+    const encoded = await hashRecoveryCode(code);
+
+    expect(await verifyRecoveryCode(code, encoded)).to.be.true;
+    expect(await verifyRecoveryCode(code.toLowerCase().replace(/-/g, ' '), encoded)).to.be.true;
+    expect(await verifyRecoveryCode(other, encoded)).to.be.false;
+    expect(await verifyRecoveryCode('garbage', encoded)).to.be.false;
+    expect(await verifyRecoveryCode(code, 'not-a-hash')).to.be.false;
+  });
+
+  it('should check request tokens against their hash', function() {
+    const { token, tokenHash } = generateRecoveryToken();
+
+    expect(tokenHash).to.match(/^[0-9a-f]{64}$/);
+    expect(verifyRecoveryToken(token, tokenHash)).to.be.true;
+    expect(verifyRecoveryToken(generateRecoveryToken().token, tokenHash)).to.be.false;
+    expect(verifyRecoveryToken(undefined, tokenHash)).to.be.false;
+  });
+});
@@ -0,0 +1,123 @@
+// Path: backend/tests/riskAssessment.test.js
+
+/**
+ * Risk Assessment Test Suite
+ * 
+ * Tests for:
+ * - Risk scoring (amount per currency, device, IP reputation, velocity)
+ * - Challenge sizing per risk level
+ * 
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  computeRiskScore,
+  getRiskLevel,
+  buildChallenge,
+  RISK_LEVELS
+} = require('../services/riskAssessment');
+const { countCategories } = require('../services/factorPolicy');
+
+const baseInputs = {
+  device_present: true,
+  device_known: true,
+  ip_blacklisted: false,
+  ip_whitelisted: false,
+  ip_violations: 0,
+  user_violations: 0,
+  ip_penalty_level: 0,
+  user_penalty_level: 0
+};
+
+const smallTx = { merchant_id: 'm-1', amount: '10.00', currency: 'EUR', payee_reference: 'o-1' };
+const largeTx = { ...smallTx, amount: '5000.00' };
+
+const FACTORS = ['PIN', 'COLOUR', 'EMOJI', 'PATTERN_NORMAL', 'FACE', 'NFC'];
+
+describe('Risk Assessment', function() {
+  
+  describe('Risk Score', function() {
+    
+    it('should score a small payment from a known device as LOW', function() {
+      const score = computeRiskScore(baseInputs, smallTx);
+      expect(getRiskLevel(score)).to.equal(RISK_LEVELS.LOW);
+    });
+    
+    it('should step up large amounts to MEDIUM', function() {
+      const score = computeRiskScore(baseInputs, largeTx);
+      expect(getRiskLevel(score)).to.equal(RISK_LEVELS.MEDIUM);
+    });
+    
+    it('should band amounts by their EUR value', function() {
+      const eur = computeRiskScore(baseInputs, { ...smallTx, amount: '5000' });
+      const jpy = computeRiskScore(baseInputs, { ...smallTx, amount: '4000', currency: 'JPY' });
+      const sek = computeRiskScore(baseInputs, { ...smallTx, amount: '250', currency: 'SEK' });
+
+      expect(getRiskLevel(eur)).to.equal(RISK_LEVELS.MEDIUM);
+      expect(getRiskLevel(jpy)).to.equal(RISK_LEVELS.LOW);
+      expect(jpy).to.equal(computeRiskScore(baseInputs, smallTx));
+      expect(sek).to.equal(computeRiskScore(baseInputs, smallTx));
+    });
+    
+    it('should score unknown currencies as the top band', function() {
+      const score = computeRiskScore(baseInputs, { ...smallTx, currency: 'XYZ' });
+      expect(score).to.equal(computeRiskScore(baseInputs, largeTx));
+    });
+    
+    it('should step up large amounts from unknown devices to HIGH', function() {
+      const score = computeRiskScore({ ...baseInputs, device_known: false }, largeTx);
+      expect(getRiskLevel(score)).to.equal(RISK_LEVELS.HIGH);
+    });
+    
+    it('should treat blacklisted IPs as HIGH', function() {
+      const score = computeRiskScore({ ...baseInputs, ip_blacklisted: true }, smallTx);
+      expect(getRiskLevel(score)).to.equal(RISK_LEVELS.HIGH);
+    });
+    
+    it('should add velocity from violations and penalties', function() {
+      const quiet = computeRiskScore(baseInputs, smallTx);
+      const noisy = computeRiskScore({ ...baseInputs, ip_violations: 3, user_penalty_level: 2 }, smallTx);
+      expect(noisy).to.be.greaterThan(quiet);
+    });
+    
+    it('should clamp score to 0-100', function() {
+      const score = computeRiskScore({
+        ...baseInputs,
+        ip_blacklisted: true,
+        ip_violations: 50,
+        ip_penalty_level: 3
+      }, largeTx);
+      expect(score).to.equal(100);
+    });
+  });
+  
+  describe('Challenge Size', function() {
+    
+    const policy = { threshold: 2, min_categories: 2 };
+    
+    it('should challenge the policy threshold at LOW risk', function() {
+      const challenge = buildChallenge(RISK_LEVELS.LOW, policy, FACTORS);
+      expect(challenge.factors).to.have.lengthOf(2);
+      expect(countCategories(challenge.factors)).to.be.at.least(2);
+    });
+    
+    it('should step up by one factor at MEDIUM risk', function() {
+      const challenge = buildChallenge(RISK_LEVELS.MEDIUM, policy, FACTORS);
+      expect(challenge.factors).to.have.lengthOf(3);
+    });
+    
+    it('should challenge every factor at HIGH risk', function() {
+      const challenge = buildChallenge(RISK_LEVELS.HIGH, policy, FACTORS);
+      expect(challenge.factors).to.have.members(FACTORS);
+    });
+    
+    it('should never challenge fewer factors than an all-factor policy', function() {
+      const challenge = buildChallenge(RISK_LEVELS.LOW, { threshold: 6, min_categories: 1 }, FACTORS);
+      expect(challenge.factors).to.have.lengthOf(6);
+    });
+  });
+});
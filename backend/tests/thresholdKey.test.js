@@ -0,0 +1,163 @@
+// Path: backend/tests/thresholdKey.test.js
+
+/**
+ * Threshold Key Test Suite
+ * 
+ * Tests for:
+ * - Shamir secret sharing (GF(256))
+ * - K-of-N factor key recovery
+ * - Factor policy subset checks
+ * 
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const crypto = require('crypto');
+
+const {
+  splitSecret,
+  combineShares,
+  createThresholdKey,
+  recoverThresholdKey
+} = require('../crypto/thresholdKey');
+const { normalizePolicy, checkFactorSubset } = require('../services/factorPolicy');
+
+describe('Threshold Key (K-of-N)', function() {
+  
+  this.timeout(30000); // PBKDF2 per factor
+  
+  describe('Shamir Secret Sharing', function() {
+    
+    it('should recover secret from any K shares', function() {
+      const secret = crypto.randomBytes(32);
+      const shares = splitSecret(secret, 5, 3);
+      
+      expect(combineShares([shares[0], shares[1], shares[2]]).equals(secret)).to.be.true;
+      expect(combineShares([shares[4], shares[0], shares[3]]).equals(secret)).to.be.true;
+      expect(combineShares(shares).equals(secret)).to.be.true;
+    });
+    
+    it('should not recover secret from fewer than K shares', function() {
+      const secret = crypto.randomBytes(32);
+      const shares = splitSecret(secret, 5, 3);
+      
+      expect(combineShares([shares[0], shares[1]]).equals(secret)).to.be.false;
+    });
+    
+    it('should reject invalid parameters', function() {
+      const secret = crypto.randomBytes(32);
+      
+      expect(() => splitSecret(secret, 2, 3)).to.throw();
+      expect(() => splitSecret(secret, 5, 1)).to.throw();
+    });
+  });
+  
+  describe('Factor Shares', function() {
+    
+    const uuid = '550e8400-e29b-41d4-a716-446655440000';
+    const factors = {
+      PIN: 'a'.repeat(64),
+      COLOUR: 'b'.repeat(64),
+      FACE: 'c'.repeat(64),
+      NFC: 'd'.repeat(64)
+    };
+    let thresholdKey;
+    
+    before(async function() {
+      thresholdKey = await createThresholdKey({ uuid, factorDigests: factors, threshold: 2 });
+    });
+    
+    it('should create one encrypted share per factor', function() {
+      expect(Object.keys(thresholdKey.shares).sort()).to.deep.equal(Object.keys(factors).sort());
+      expect(thresholdKey.secret).to.have.lengthOf(32);
+    });
+    
+    it('should recover the key from a K-factor subset', async function() {
+      const recovered = await recoverThresholdKey({
+        uuid,
+        factorDigests: { PIN: factors.PIN, NFC: factors.NFC },
+        shares: thresholdKey.shares,
+        threshold: 2,
+        secret: thresholdKey.secret
+      });
+      
+      expect(recovered.equals(thresholdKey.secret)).to.be.true;
+    });
+    
+    it('should fail with a wrong factor in the subset', async function() {
+      const recovered = await recoverThresholdKey({
+        uuid,
+        factorDigests: { PIN: factors.PIN, NFC: 'e'.repeat(64) },
+        shares: thresholdKey.shares,
+        threshold: 2,
+        secret: thresholdKey.secret
+      });
+      
+      expect(recovered).to.be.null;
+    });
+    
+    it('should fail when digests are swapped between factors', async function() {
+      const recovered = await recoverThresholdKey({
+        uuid,
+        factorDigests: { PIN: factors.FACE, FACE: factors.PIN },
+        shares: thresholdKey.shares,
+        threshold: 2,
+        secret: thresholdKey.secret
+      });
+      
+      expect(recovered).to.be.null;
+    });
+    
+    it('should not open shares without the KMS-held secret', async function() {
+      const attempt = {
+        uuid,
+        factorDigests: { PIN: factors.PIN, NFC: factors.NFC },
+        shares: thresholdKey.shares,
+        threshold: 2
+      };
+      
+      expect(await recoverThresholdKey(attempt)).to.be.null;
+      expect(await recoverThresholdKey({ ...attempt, secret: crypto.randomBytes(32) })).to.be.null;
+    });
+    
+    it('should only open shares of the current version', async function() {
+      const attempt = {
+        uuid,
+        factorDigests: { PIN: factors.PIN, NFC: factors.NFC },
+        shares: thresholdKey.shares,
+        threshold: 2,
+        secret: thresholdKey.secret
+      };
+      
+      expect(await recoverThresholdKey({ ...attempt, version: 'zeropay.share.v1' })).to.be.null;
+    });
+  });
+  
+  describe('Factor Policy', function() {
+    
+    const enrolled = ['PIN', 'COLOUR', 'EMOJI', 'PATTERN_NORMAL', 'FACE', 'NFC'];
+    
+    it('should default to all factors', function() {
+      const result = normalizePolicy(undefined, enrolled);
+      
+      expect(result.policy).to.deep.equal({ threshold: 6, min_categories: 1 });
+    });
+    
+    it('should accept 3 of 6 from 2 categories', function() {
+      const { policy } = normalizePolicy({ threshold: 3, min_categories: 2 }, enrolled);
+      
+      expect(checkFactorSubset(policy, enrolled, ['PIN', 'COLOUR', 'FACE']).valid).to.be.true;
+      expect(checkFactorSubset(policy, enrolled, ['PIN', 'COLOUR', 'EMOJI']).valid).to.be.false;
+      expect(checkFactorSubset(policy, enrolled, ['PIN', 'FACE']).valid).to.be.false;
+      expect(checkFactorSubset(policy, enrolled, ['PIN', 'FACE', 'VOICE']).valid).to.be.false;
+    });
+    
+    it('should reject unsatisfiable policies', function() {
+      expect(normalizePolicy({ threshold: 1 }, enrolled).valid).to.be.false;
+      expect(normalizePolicy({ threshold: 7 }, enrolled).valid).to.be.false;
+      expect(normalizePolicy({ threshold: 2, min_categories: 2 }, ['PIN', 'EMOJI']).valid).to.be.false;
+    });
+  });
+});
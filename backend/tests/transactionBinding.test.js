@@ -0,0 +1,106 @@
+// Path: backend/tests/transactionBinding.test.js
+
+/**
+ * Transaction Binding Test Suite
+ * 
+ * Tests for:
+ * - Descriptor validation & normalization
+ * - Commitment stability (canonical form)
+ * - Mismatch detection (amount, payee, merchant, currency)
+ * 
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  normalizeTransaction,
+  normalizeAmount,
+  hashTransaction,
+  matchesTransaction
+} = require('../services/transactionBinding');
+
+describe('Transaction Binding (Dynamic Linking)', function() {
+  
+  const transaction = {
+    merchant_id: 'merchant-001',
+    amount: '49.90',
+    currency: 'eur',
+    payee_reference: 'DE89370400440532013000'
+  };
+  
+  function commit(tx) {
+    return hashTransaction(normalizeTransaction(tx).transaction);
+  }
+  
+  describe('Normalization', function() {
+    
+    it('should canonicalize amounts', function() {
+      expect(normalizeAmount('10.50')).to.equal('10.5');
+      expect(normalizeAmount(10.5)).to.equal('10.5');
+      expect(normalizeAmount('007.000')).to.equal('7');
+      expect(normalizeAmount('0.01')).to.equal('0.01');
+    });
+    
+    it('should reject invalid amounts', function() {
+      expect(normalizeAmount('-1')).to.be.null;
+      expect(normalizeAmount('1.2345')).to.be.null;
+      expect(normalizeAmount('1e3')).to.be.null;
+      expect(normalizeAmount(null)).to.be.null;
+    });
+    
+    it('should reject incomplete descriptors', function() {
+      expect(normalizeTransaction(null).valid).to.be.false;
+      expect(normalizeTransaction({ ...transaction, currency: 'EURO' }).valid).to.be.false;
+      expect(normalizeTransaction({ ...transaction, payee_reference: '  ' }).valid).to.be.false;
+      expect(normalizeTransaction({ ...transaction, merchant_id: 'bad id' }).valid).to.be.false;
+    });
+  });
+  
+  describe('Commitment', function() {
+    
+    it('should be stable across equivalent representations', function() {
+      const equivalent = { ...transaction, amount: 49.9, currency: 'EUR' };
+      
+      expect(commit(transaction)).to.equal(commit(equivalent));
+      expect(commit(transaction)).to.match(/^[0-9a-f]{64}$/);
+    });
+    
+    it('should match the authenticated transaction', function() {
+      const result = matchesTransaction(commit(transaction), { ...transaction });
+      
+      expect(result.match).to.be.true;
+    });
+    
+    it('should reject a changed amount', function() {
+      const result = matchesTransaction(commit(transaction), { ...transaction, amount: '49.91' });
+      
+      expect(result.match).to.be.false;
+    });
+    
+    it('should reject a changed payee', function() {
+      const result = matchesTransaction(commit(transaction), {
+        ...transaction,
+        payee_reference: 'GB29NWBK60161331926819'
+      });
+      
+      expect(result.match).to.be.false;
+    });
+    
+    it('should reject a changed merchant or currency', function() {
+      const expected = commit(transaction);
+      
+      expect(matchesTransaction(expected, { ...transaction, merchant_id: 'merchant-002' }).match).to.be.false;
+      expect(matchesTransaction(expected, { ...transaction, currency: 'USD' }).match).to.be.false;
+    });
+    
+    it('should report invalid descriptors at capture', function() {
+      const result = matchesTransaction(commit(transaction), { amount: '49.90' });
+      
+      expect(result.match).to.be.false;
+      expect(result.error).to.be.a('string');
+    });
+  });
+});
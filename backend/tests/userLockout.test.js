@@ -0,0 +1,62 @@
+// Path: backend/tests/userLockout.test.js
+
+/**
+ * User Lockout Test Suite
+ * 
+ * Tests for:
+ * - Exponential backoff schedule
+ * - Lockout HTTP responses
+ * 
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  getBackoffDelay,
+  getLockoutResponse,
+  LOCKOUT_STATE
+} = require('../services/userLockout');
+
+describe('User Lockout', function() {
+  
+  describe('Backoff Schedule', function() {
+    
+    it('should not delay the first failures', function() {
+      expect(getBackoffDelay(1)).to.equal(0);
+      expect(getBackoffDelay(2)).to.equal(0);
+    });
+    
+    it('should double the delay per failure', function() {
+      expect(getBackoffDelay(3)).to.equal(30);
+      expect(getBackoffDelay(4)).to.equal(60);
+      expect(getBackoffDelay(5)).to.equal(120);
+    });
+    
+    it('should cap the delay', function() {
+      expect(getBackoffDelay(30)).to.equal(3600);
+    });
+  });
+  
+  describe('Lockout Responses', function() {
+    
+    it('should allow users that are not locked', function() {
+      expect(getLockoutResponse({ state: LOCKOUT_STATE.OK })).to.be.null;
+    });
+    
+    it('should return 429 with retry-after while temporarily locked', function() {
+      const response = getLockoutResponse({ state: LOCKOUT_STATE.LOCKED, retryAfter: 42 });
+      expect(response.status).to.equal(429);
+      expect(response.retryAfter).to.equal(42);
+      expect(response.body.retry_after).to.equal(42);
+    });
+    
+    it('should return 423 requiring re-enrollment when permanently locked', function() {
+      const response = getLockoutResponse({ state: LOCKOUT_STATE.PERMANENTLY_LOCKED });
+      expect(response.status).to.equal(423);
+      expect(response.body.reenrollment_required).to.be.true;
+    });
+  });
+});
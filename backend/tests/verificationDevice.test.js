@@ -0,0 +1,121 @@
+// Path: backend/tests/verificationDevice.test.js
+
+/**
+ * Verification Device Test Suite
+ *
+ * Tests for:
+ * - /initiate without device_id (unknown device for risk scoring)
+ * - /verify device binding for sessions opened with and without a device
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { describe, it, before, after, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { createApp, fakeDatabase, loadModule } = require('./helpers/routeHarness');
+
+const { setKeyManager } = loadModule('crypto/encryption');
+const { loadKeysFromEnv } = loadModule('crypto/keyManagement');
+const { getVerificationSession } = loadModule('services/verificationSessionStore');
+
+describe('Verification Device', function() {
+
+  this.timeout(30000); // KDF per enrollment / verification
+
+  const FACTORS = { PIN: 'a'.repeat(64), FACE: 'e'.repeat(64) };
+
+  let app;
+  let redisClient;
+  let uuid;
+
+  function initiate(body = {}) {
+    return request(app)
+      .post('/v1/verification/initiate')
+      .send({ user_uuid: uuid, ...body });
+  }
+
+  function verify(sessionId, body = {}) {
+    return request(app)
+      .post('/v1/verification/verify')
+      .send({ session_id: sessionId, user_uuid: uuid, factors: FACTORS, ...body });
+  }
+
+  before(function() {
+    setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEY: '1'.repeat(64) }));
+  });
+
+  after(function() {
+    setKeyManager(null);
+  });
+
+  beforeEach(async function() {
+    fakeDatabase.reset();
+    ({ app, redisClient } = createApp({
+      '/v1/enrollment': 'routes/enrollmentRouter',
+      '/v1/verification': 'routes/verificationRouter'
+    }));
+
+    uuid = crypto.randomUUID();
+    const enrolled = await request(app)
+      .post('/v1/enrollment/store')
+      .send({ user_uuid: uuid, factors: FACTORS, device_id: 'device-1' });
+    expect(enrolled.status).to.equal(200);
+  });
+
+  describe('Initiate', function() {
+
+    it('should score a missing device_id as an unknown device', async function() {
+      const known = await initiate({ device_id: 'device-1' });
+      const unknown = await initiate();
+
+      expect(unknown.status).to.equal(200);
+      expect(unknown.body.device_challenge).to.be.a('string');
+
+      const knownRisk = (await getVerificationSession(redisClient, known.body.session_id)).risk;
+      const unknownRisk = (await getVerificationSession(redisClient, unknown.body.session_id)).risk;
+
+      expect(unknownRisk.inputs).to.include({ device_present: false, device_known: false });
+      expect(unknownRisk.score).to.be.above(knownRisk.score);
+    });
+
+    it('should still reject a malformed device_id', async function() {
+      const response = await initiate({ device_id: 'device 1;' });
+
+      expect(response.status).to.equal(400);
+    });
+  });
+
+  describe('Verify', function() {
+
+    it('should accept the active device presented at /verify', async function() {
+      const { body } = await initiate();
+
+      const response = await verify(body.session_id, { device_id: 'device-1' });
+
+      expect(response.status).to.equal(200);
+      expect(response.body.auth_token).to.be.a('string');
+    });
+
+    it('should refuse a session with no device or an inactive one', async function() {
+      const { body } = await initiate();
+
+      const noDevice = await verify(body.session_id);
+      const unknownDevice = await verify(body.session_id, { device_id: 'device-2' });
+
+      expect(noDevice.status).to.equal(403);
+      expect(unknownDevice.status).to.equal(403);
+    });
+
+    it('should keep the device bound at /initiate', async function() {
+      const { body } = await initiate({ device_id: 'device-3' });
+
+      const response = await verify(body.session_id, { device_id: 'device-1' });
+
+      expect(response.status).to.equal(403);
+    });
+  });
+});
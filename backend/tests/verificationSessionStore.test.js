@@ -0,0 +1,147 @@
+// Path: backend/tests/verificationSessionStore.test.js
+
+/**
+ * Verification Session Store Test Suite
+ *
+ * Tests for:
+ * - Session payload encrypted at rest, shared through Redis
+ * - Atomic attempt counter (concurrent INCR)
+ * - Counter / claim TTL limited to the session lifetime
+ * - Single verification claim per session
+ *
+ * @version 1.0.0
+ * @date 2025-10-19
+ */
+
+const { describe, it, before, after, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { FakeRedis } = require('./helpers/routeHarness');
+const { setKeyManager } = require('../crypto/encryption');
+const { loadKeysFromEnv } = require('../crypto/keyManagement');
+const {
+  createVerificationSession,
+  getVerificationSession,
+  updateVerificationSession,
+  recordAttempt,
+  claimVerification,
+  deleteVerificationSession,
+  SESSION_TTL_SECONDS
+} = require('../services/verificationSessionStore');
+
+describe('Verification Session Store', function() {
+
+  const UUID = '550e8400-e29b-41d4-a716-446655440000';
+
+  let redisClient;
+  let session;
+
+  /**
+   * Redis key for the session (SESSION namespace)
+   */
+  function key(suffix = '') {
+    return `session:verification:${session.sessionId}${suffix}`;
+  }
+
+  /**
+   * Pretend the session was created `seconds` before its expiry
+   */
+  function expiresIn(seconds) {
+    session.expiresAt = Date.now() + seconds * 1000;
+  }
+
+  before(function() {
+    setKeyManager(loadKeysFromEnv({ ENCRYPTION_KEY: '1'.repeat(64) }));
+  });
+
+  after(function() {
+    setKeyManager(null);
+  });
+
+  beforeEach(async function() {
+    redisClient = new FakeRedis();
+    session = await createVerificationSession(redisClient, { uuid: UUID, factorCount: 2, deviceId: 'device-1' });
+  });
+
+  describe('Sessions', function() {
+
+    it('should share a pending session through Redis, encrypted at rest', async function() {
+      const stored = await getVerificationSession(redisClient, session.sessionId);
+
+      expect(stored).to.include({ sessionId: session.sessionId, uuid: UUID, status: 'pending', attempts: 0 });
+      expect(await redisClient.ttl(key())).to.be.within(SESSION_TTL_SECONDS - 1, SESSION_TTL_SECONDS);
+      expect(await redisClient.get(key())).to.not.include(UUID);
+    });
+
+    it('should keep the original expiry on update', async function() {
+      expiresIn(60);
+      session.status = 'verified';
+
+      expect(await updateVerificationSession(redisClient, session)).to.be.true;
+      expect(await redisClient.ttl(key())).to.be.at.most(60);
+      expect((await getVerificationSession(redisClient, session.sessionId)).status).to.equal('verified');
+    });
+
+    it('should refuse to update an expired session', async function() {
+      expiresIn(-1);
+
+      expect(await updateVerificationSession(redisClient, session)).to.be.false;
+    });
+
+    it('should delete the session with its counter and claim', async function() {
+      await recordAttempt(redisClient, session);
+      await claimVerification(redisClient, session);
+
+      await deleteVerificationSession(redisClient, session.sessionId);
+
+      expect(await getVerificationSession(redisClient, session.sessionId)).to.be.null;
+      expect(await redisClient.exists(key(':attempts'))).to.equal(0);
+      expect(await redisClient.exists(key(':verified'))).to.equal(0);
+    });
+  });
+
+  describe('Attempts', function() {
+
+    it('should count concurrent attempts exactly once each', async function() {
+      const counts = await Promise.all([1, 2, 3, 4, 5].map(() => recordAttempt(redisClient, { ...session })));
+
+      expect(counts.sort()).to.deep.equal([1, 2, 3, 4, 5]);
+      expect((await getVerificationSession(redisClient, session.sessionId)).attempts).to.equal(5);
+    });
+
+    it('should not let a payload update reset the counter', async function() {
+      await recordAttempt(redisClient, session);
+      await recordAttempt(redisClient, session);
+
+      await updateVerificationSession(redisClient, { ...session, attempts: 0 });
+
+      expect((await getVerificationSession(redisClient, session.sessionId)).attempts).to.equal(2);
+    });
+
+    it('should expire the counter with its session', async function() {
+      expiresIn(42);
+
+      await recordAttempt(redisClient, session);
+
+      expect(await redisClient.ttl(key(':attempts'))).to.be.within(1, 42);
+    });
+  });
+
+  describe('Verification Claim', function() {
+
+    it('should let only one concurrent verification claim the session', async function() {
+      const claims = await Promise.all([1, 2, 3].map(() => claimVerification(redisClient, session)));
+
+      expect(claims.filter(Boolean)).to.have.lengthOf(1);
+      expect(await claimVerification(redisClient, session)).to.be.false;
+    });
+
+    it('should expire the claim with its session', async function() {
+      expiresIn(42);
+
+      await claimVerification(redisClient, session);
+
+      expect(await redisClient.ttl(key(':verified'))).to.be.within(1, 42);
+    });
+  });
+});